@@ -0,0 +1,72 @@
+// Service worker: permite abrir la app en obra sin señal.
+// Los datos (Supabase) no pasan por aquí; su copia local la maneja src/offlineStore.js.
+
+// El build reemplaza la versión y la lista de archivos con hash (ver vite.config.js)
+const BUILD_VERSION = 'dev'
+const BUILD_ASSETS = []
+
+const CACHE_NAME = `erp-shell-${BUILD_VERSION}`
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/vite.svg']
+
+// Al instalarse guarda la app completa: se puede abrir sin señal aunque nunca se haya navegado con ella
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll([...APP_SHELL, ...BUILD_ASSETS])))
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  // 1. Navegación: primero la red, sin señal la última versión guardada
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone()
+          caches.open(CACHE_NAME).then(cache => cache.put('/index.html', copy))
+          return response
+        })
+        .catch(() => caches.match('/index.html'))
+    )
+    return
+  }
+
+  // 2. Archivos del build (llevan hash en el nombre): primero la caché
+  if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || APP_SHELL.includes(url.pathname))) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => {
+        if (response.ok) {
+          const copy = response.clone()
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy))
+        }
+        return response
+      }))
+    )
+    return
+  }
+
+  // 3. Tailwind desde CDN: se usa la copia guardada y se actualiza en segundo plano
+  if (url.hostname === 'cdn.tailwindcss.com') {
+    event.respondWith(
+      caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        const network = fetch(request)
+          .then(response => {
+            cache.put(request, response.clone())
+            return response
+          })
+          .catch(() => cached)
+        return cached || network
+      }))
+    )
+  }
+})
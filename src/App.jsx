@@ -1,47 +1,672 @@
-import { useState, useEffect, useCallback } from 'react';
-import { supabase, uploadEvidence, getUserProfile, getUserProjects } from './supabaseClient';
+import { Fragment, useState, useEffect, useCallback, useRef } from 'react';
+import {
+  supabase, uploadEvidence, getUserProfile, getUserProjects, getMaterialStock, evidencePathFromUrl,
+  getEvidenceSignedUrls, removeEvidence, cleanupOrphanEvidence, EVIDENCE_URL_TTL_SECONDS, EVIDENCE_EXPORT_URL_TTL_SECONDS,
+  isLocalBackend, switchDataBackend, resetDemoData, sendInvitationEmail, sendPasswordResetEmail,
+  PASSWORD_RESET_PATH, listDemoMail, hasPermission, withProjectRole, getActiveCompany, setActiveCompany
+} from './supabaseClient';
+import { DEMO_USERS, DEMO_PASSWORD } from './demoSeed';
+import {
+  isNetworkError, cacheGet, cacheSet, fetchWithOfflineCache, queueReport, listQueuedReports,
+  updateQueuedReport, removeQueuedReport, queueTareo, getQueuedTareo, listQueuedTareo, updateQueuedTareo,
+  removeQueuedTareo, savePhotoBlob, getPhotoBlob, deletePhotoBlob
+} from './offlineStore';
+import { preparePhoto, createThumbnail } from './photoProcessing';
+import { navigate, usePathname, resolveRoute, buildPath } from './router';
+import { downloadWorkbook } from './xlsxExport';
+import { toISODate, todayISO, addDaysISO } from './dates';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
   LineChart, Line, PieChart, Pie, Cell
 } from 'recharts';
 
 // ============== UTILITY FUNCTIONS ==============
-const generatePassword = () => {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789!@#$%';
-  return Array.from({ length: 12 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
-};
-
-const exportToCSV = (data, filename) => {
-  if (!data || data.length === 0) return;
-  
-  const headers = Object.keys(data[0]);
-  const csvContent = [
-    headers.join(','),
-    ...data.map(row => 
-      headers.map(header => {
-        const cell = row[header] ?? '';
-        const escaped = String(cell).replace(/"/g, '""');
-        return `"${escaped}"`;
-      }).join(',')
-    )
-  ].join('\n');
-
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  link.href = URL.createObjectURL(blob);
-  link.download = `${filename}_${new Date().toISOString().split('T')[0]}.csv`;
-  link.click();
-  URL.revokeObjectURL(link.href);
-};
-
-const formatCurrency = (amount) => {
+const formatCurrency = (amount, currency = 'PEN') => {
   return new Intl.NumberFormat('es-PE', {
     style: 'currency',
-    currency: 'PEN',
+    currency,
     minimumFractionDigits: 2
   }).format(amount || 0);
 };
 
+// Estados de revisión de un reporte diario (solo 'approved' cuenta como avance y costo)
+const REPORT_STATUS = {
+  pending: { label: 'Pendiente', className: 'bg-amber-100 text-amber-800' },
+  approved: { label: 'Aprobado', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Observado', className: 'bg-red-100 text-red-800' }
+};
+
+// Estados de compras: requerimiento -> orden de compra -> recepción
+const REQUISITION_STATUS = {
+  pending: { label: 'Pendiente', className: 'bg-amber-100 text-amber-800' },
+  ordered: { label: 'Con OC', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rechazado', className: 'bg-red-100 text-red-800' }
+};
+
+const PURCHASE_ORDER_STATUS = {
+  issued: { label: 'Emitida', className: 'bg-blue-100 text-blue-800' },
+  partial: { label: 'Recepción parcial', className: 'bg-amber-100 text-amber-800' },
+  received: { label: 'Completada', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Anulada', className: 'bg-gray-100 text-gray-600' }
+};
+
+const StatusBadge = ({ statuses, status }) => {
+  const config = statuses[status] || Object.values(statuses)[0];
+  return (
+    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${config.className}`}>
+      {config.label}
+    </span>
+  );
+};
+
+const ReportStatusBadge = ({ status }) => <StatusBadge statuses={REPORT_STATUS} status={status} />;
+
+const formatDocNumber = (prefix, number) => `${prefix}-${String(number || 0).padStart(6, '0')}`;
+
+// ============== PRESUPUESTO (PARTIDAS) HELPERS ==============
+const PARTIDA_UNITS = ['und', 'glb', 'est', 'pto', 'm', 'ml', 'm2', 'm3', 'kg', 'ton', 'p2', 'lt', 'gal', 'bls', 'hh', 'hm', 'día', 'mes', 'km'];
+
+const UNIT_ALIASES = {
+  u: 'und', un: 'und', unid: 'und', unidad: 'und',
+  gbl: 'glb', global: 'glb',
+  mts: 'm', mt: 'm',
+  'm²': 'm2', 'm³': 'm3',
+  kgr: 'kg', kilo: 'kg',
+  tn: 'ton', t: 'ton',
+  l: 'lt', litro: 'lt',
+  bol: 'bls', bolsa: 'bls',
+  dia: 'día', d: 'día'
+};
+
+const normalizeUnit = (unit) => {
+  const clean = String(unit ?? '').trim().toLowerCase().replace(/\.$/, '');
+  return UNIT_ALIASES[clean] || clean;
+};
+
+// Acepta "1,250.50", "1250,50" y "1.250,50" (formatos que salen de S10 / Excel)
+const parseDecimal = (value) => {
+  if (typeof value === 'number') return value;
+  let text = String(value ?? '').trim().replace(/\s/g, '');
+  if (text === '') return NaN;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > -1 && lastDot > -1) {
+    text = lastComma > lastDot
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (lastComma > -1) {
+    text = /^-?\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+  }
+
+  return /^-?\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+};
+
+// Parser CSV mínimo con soporte de comillas; detecta ; , o tabulador (pegado desde Excel)
+const parseDelimitedText = (text) => {
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  const delimiter = ['\t', ';', ','].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else cell += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell); cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// Los CSV guardados desde Excel suelen venir en Windows-1252 y rompen las tildes
+const readTextFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+const normalizeHeader = (header) => String(header || '')
+  .trim().toLowerCase()
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const PARTIDA_IMPORT_COLUMNS = {
+  code: ['code', 'codigo', 'item', 'cod'],
+  name: ['name', 'partida', 'descripcion', 'nombre'],
+  unit: ['unit', 'unidad', 'und', 'um'],
+  total_budgeted: ['total_budgeted', 'metrado', 'cantidad', 'cant'],
+  unit_price: ['unit_price', 'precio_unitario', 'precio', 'pu', 'p_u']
+};
+
+const buildPartidaImportPreview = (rows, existingPartidas) => {
+  if (rows.length < 2) return { rows: [], missingColumns: [] };
+
+  const headers = rows[0].map(normalizeHeader);
+  const columnIndex = {};
+  Object.entries(PARTIDA_IMPORT_COLUMNS).forEach(([field, aliases]) => {
+    columnIndex[field] = headers.findIndex(h => aliases.includes(h));
+  });
+  const missingColumns = Object.keys(columnIndex).filter(field => columnIndex[field] === -1);
+  if (missingColumns.length > 0) return { rows: [], missingColumns };
+
+  const existingByCode = new Map(existingPartidas.map(p => [String(p.code).trim().toUpperCase(), p]));
+  const seenCodes = new Map();
+
+  const previewRows = rows.slice(1).map((cells, idx) => {
+    const line = idx + 2;
+    const get = (field) => String(cells[columnIndex[field]] ?? '').trim();
+    const errors = [];
+    const warnings = [];
+
+    const code = get('code');
+    const name = get('name');
+    const unit = normalizeUnit(get('unit'));
+    const totalBudgeted = parseDecimal(get('total_budgeted'));
+    const unitPrice = parseDecimal(get('unit_price'));
+
+    if (!code) errors.push('Código vacío');
+    if (!name) errors.push('Descripción vacía');
+    if (!PARTIDA_UNITS.includes(unit)) errors.push(`Unidad no válida: "${get('unit')}"`);
+    if (Number.isNaN(totalBudgeted) || totalBudgeted < 0) errors.push(`Metrado no numérico: "${get('total_budgeted')}"`);
+    if (Number.isNaN(unitPrice) || unitPrice < 0) errors.push(`Precio no numérico: "${get('unit_price')}"`);
+
+    const codeKey = code.toUpperCase();
+    if (code && seenCodes.has(codeKey)) {
+      errors.push(`Código duplicado (también en fila ${seenCodes.get(codeKey)})`);
+    } else if (code) {
+      seenCodes.set(codeKey, line);
+    }
+
+    const existing = existingByCode.get(codeKey);
+    if (existing) {
+      warnings.push('Ya existe: se actualizará');
+      if (!Number.isNaN(totalBudgeted) && totalBudgeted < (existing.current_progress || 0)) {
+        errors.push(`Metrado menor al avance ejecutado (${existing.current_progress})`);
+      }
+    }
+
+    return {
+      line,
+      existingId: existing?.id || null,
+      data: { code, name, unit, total_budgeted: totalBudgeted, unit_price: unitPrice },
+      errors,
+      warnings
+    };
+  });
+
+  return { rows: previewRows, missingColumns: [] };
+};
+
+// ============== MANO DE OBRA (TARIFAS) HELPERS ==============
+// Categorías del régimen de construcción civil (más capataz, que se maneja como categoría propia)
+const LABOR_CATEGORIES = [
+  { value: 'operario', label: 'Operario' },
+  { value: 'oficial', label: 'Oficial' },
+  { value: 'peon', label: 'Peón' },
+  { value: 'capataz', label: 'Capataz' }
+];
+
+// Recargos por defecto: sobretiempo 60% las dos primeras horas y 100% las siguientes; nocturno 35%
+const DEFAULT_LABOR_EXTRAS = { overtime_first_pct: 60, overtime_after_pct: 100, night_pct: 35 };
+
+const getLaborCategoryLabel = (value) =>
+  LABOR_CATEGORIES.find(c => c.value === value)?.label || value;
+
+// Para tablas con vigencia (effective_from): devuelve, por clave, la fila vigente en la fecha (YYYY-MM-DD)
+const resolveInForce = (rows, date, keyField) => {
+  const inForce = {};
+  rows
+    .filter(r => r.effective_from <= date)
+    .sort((a, b) => a.effective_from.localeCompare(b.effective_from))
+    .forEach(r => { inForce[r[keyField]] = r; });
+  return inForce;
+};
+
+const resolveLaborRates = (rates, date) => resolveInForce(rates, date, 'category');
+
+// Los tramos de horas extra (las 2 primeras y las siguientes) se cuentan por trabajador y día, no por
+// asignación: dayOvertimeHours es el sobretiempo del trabajador en todas sus partidas del día y el
+// costo de ese sobretiempo se prorratea según las horas extra de esta asignación.
+const computeLaborCost = (rate, { hours = 0, overtime_hours = 0, night_shift = false }, dayOvertimeHours = overtime_hours) => {
+  const base = rate?.hourly_rate || 0;
+  const nightFactor = night_shift ? 1 + (rate?.night_pct || 0) / 100 : 1;
+  const firstOvertime = Math.min(dayOvertimeHours, 2);
+  const extraOvertime = Math.max(dayOvertimeHours - 2, 0);
+  const dayOvertimeCost = firstOvertime * base * (1 + (rate?.overtime_first_pct || 0) / 100)
+    + extraOvertime * base * (1 + (rate?.overtime_after_pct || 0) / 100);
+
+  return hours * base * nightFactor
+    + (dayOvertimeHours > 0 ? dayOvertimeCost * (overtime_hours / dayOvertimeHours) : 0);
+};
+
+// Horas extra del trabajador en el día, sumando todas sus asignaciones del tareo
+const getDayOvertimeHours = (entries, entry) => entries
+  .filter(e => e.worker_id === entry.worker_id && e.work_date === entry.work_date)
+  .reduce((sum, e) => sum + (parseFloat(e.overtime_hours) || 0), 0);
+
+// ============== MATERIALES (PRECIOS) HELPERS ==============
+const resolveMaterialPrices = (prices, date) => resolveInForce(prices, date, 'material_id');
+
+// Precio vigente de un material; si aún no tiene historial se usa el unit_cost del catálogo
+const getMaterialPrice = (material, pricesInForce) =>
+  pricesInForce[material?.id]?.unit_cost ?? material?.unit_cost ?? 0;
+
+// Moneda del precio vigente (cada vigencia guarda la suya; sin historial, la del catálogo)
+const getMaterialCurrency = (material, pricesInForce) =>
+  pricesInForce[material?.id]?.currency || material?.currency || 'PEN';
+
+// ============== MONEDAS (TIPO DE CAMBIO) HELPERS ==============
+// Los costos de obra se llevan en soles; proyectos, precios de catálogo y facturas pueden estar en dólares
+const BASE_CURRENCY = 'PEN';
+const CURRENCIES = [
+  { code: 'PEN', label: 'Soles (S/)', symbol: 'S/' },
+  { code: 'USD', label: 'Dólares (US$)', symbol: 'US$' }
+];
+
+const getCurrencySymbol = (code) => CURRENCIES.find(c => c.code === code)?.symbol || code;
+
+// Tipo de cambio (soles por unidad) en la fecha: el último publicado hasta ese día, porque fines de
+// semana y feriados no hay publicación. null si no hay ninguno anterior.
+const rateAt = (rates, currency, date) => {
+  if (currency === BASE_CURRENCY) return 1;
+  let found = null;
+  rates.forEach(r => {
+    if (r.currency === currency && r.rate_date <= date && (!found || r.rate_date > found.rate_date)) found = r;
+  });
+  return found ? Number(found.rate) : null;
+};
+
+// Convierte un monto entre monedas con el tipo de cambio de la fecha; null si falta el tipo de cambio
+const convertAmount = (amount, from, to, date, rates) => {
+  if (!amount || from === to) return amount || 0;
+  const fromRate = rateAt(rates, from, date);
+  const toRate = rateAt(rates, to, date);
+  if (fromRate === null || toRate === null) return null;
+  return amount * fromRate / toRate;
+};
+
+const EXCHANGE_RATE_IMPORT_COLUMNS = {
+  rate_date: ['fecha', 'date', 'rate_date', 'dia'],
+  rate: ['tipo_de_cambio', 'tc', 'venta', 'tc_venta', 'rate', 'cambio']
+};
+
+// Fecha como YYYY-MM-DD a partir de "2026-10-19" o "19/10/2026" (formato de la SBS y de Excel en es-PE)
+const parseImportDate = (value) => {
+  const text = String(value ?? '').trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const local = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : local ? [local[3], local[2], local[1]] : [];
+  if (!year) return null;
+  const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return Number.isNaN(new Date(date + 'T00:00:00').getTime()) ? null : date;
+};
+
+// La columna moneda es opcional: sin ella todas las filas son de la moneda elegida al importar
+const buildExchangeRateImportPreview = (rows, currency, existingRates) => {
+  if (rows.length < 2) return { rows: [], missingColumns: [] };
+
+  const headers = rows[0].map(normalizeHeader);
+  const columnIndex = {};
+  Object.entries(EXCHANGE_RATE_IMPORT_COLUMNS).forEach(([field, aliases]) => {
+    columnIndex[field] = headers.findIndex(h => aliases.includes(h));
+  });
+  const missingColumns = Object.keys(columnIndex).filter(field => columnIndex[field] === -1);
+  if (missingColumns.length > 0) return { rows: [], missingColumns };
+  const currencyIndex = headers.findIndex(h => ['moneda', 'currency'].includes(h));
+
+  const existingKeys = new Set(existingRates.map(r => `${r.currency}:${r.rate_date}`));
+  const seenKeys = new Map();
+
+  const previewRows = rows.slice(1).map((cells, idx) => {
+    const line = idx + 2;
+    const get = (field) => String(cells[columnIndex[field]] ?? '').trim();
+    const errors = [];
+    const warnings = [];
+
+    const rateDate = parseImportDate(get('rate_date'));
+    const rate = parseDecimal(get('rate'));
+    const rowCurrency = currencyIndex > -1 ? String(cells[currencyIndex] ?? '').trim().toUpperCase() || currency : currency;
+
+    if (!rateDate) errors.push(`Fecha no válida: "${get('rate_date')}"`);
+    if (Number.isNaN(rate) || rate <= 0) errors.push(`Tipo de cambio no válido: "${get('rate')}"`);
+    if (rowCurrency === BASE_CURRENCY || !CURRENCIES.some(c => c.code === rowCurrency)) errors.push(`Moneda no válida: "${rowCurrency}"`);
+
+    const key = `${rowCurrency}:${rateDate}`;
+    if (rateDate && seenKeys.has(key)) {
+      errors.push(`Fecha repetida (también en fila ${seenKeys.get(key)})`);
+    } else if (rateDate) {
+      seenKeys.set(key, line);
+    }
+    if (existingKeys.has(key)) warnings.push('Ya existe: se reemplazará');
+
+    return { line, data: { rate_date: rateDate, currency: rowCurrency, rate }, errors, warnings };
+  });
+
+  return { rows: previewRows, missingColumns: [] };
+};
+
+// ============== PROVEEDORES HELPERS ==============
+const RUC_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+const RUC_PREFIXES = ['10', '15', '17', '20'];
+
+// RUC SUNAT: 11 dígitos, prefijo de contribuyente válido y dígito verificador módulo 11
+const isValidRuc = (value) => {
+  const ruc = String(value || '').trim();
+  if (!/^\d{11}$/.test(ruc) || !RUC_PREFIXES.includes(ruc.slice(0, 2))) return false;
+  const sum = RUC_WEIGHTS.reduce((acc, weight, i) => acc + weight * Number(ruc[i]), 0);
+  return (11 - (sum % 11)) % 10 === Number(ruc[10]);
+};
+
+const PAYMENT_TERMS = [
+  { days: 0, label: 'Contado' },
+  { days: 15, label: 'Crédito 15 días' },
+  { days: 30, label: 'Crédito 30 días' },
+  { days: 45, label: 'Crédito 45 días' },
+  { days: 60, label: 'Crédito 60 días' },
+  { days: 90, label: 'Crédito 90 días' }
+];
+
+const getPaymentTermsLabel = (days) =>
+  PAYMENT_TERMS.find(t => t.days === days)?.label || `Crédito ${days} días`;
+
+// ============== FACTURACIÓN Y COBRANZAS HELPERS ==============
+const IGV_RATE = 0.18;
+const DETRACCION_RATE = 0.04; // Contratos de construcción (Anexo 3 SUNAT)
+const DETRACCION_MIN_TOTAL = 700;
+const RETENCION_RATE = 0.03;
+const INVOICE_NUMBER_PATTERN = /^[FE][A-Z0-9]{3}-\d{1,8}$/;
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Montos de la factura y lo que el cliente descuenta: la detracción se deposita sin decimales
+// en la cuenta del Banco de la Nación y excluye a la retención; el fondo de garantía va sobre el valor de venta
+const computeInvoiceAmounts = (subtotal, { detraccion, retencion, guaranteePct }) => {
+  const igv = round2(subtotal * IGV_RATE);
+  const total = round2(subtotal + igv);
+  const detraccionAmount = detraccion && total > DETRACCION_MIN_TOTAL ? Math.round(total * DETRACCION_RATE) : 0;
+  const retencionAmount = retencion && !detraccionAmount ? round2(total * RETENCION_RATE) : 0;
+  const guaranteeAmount = round2(subtotal * (guaranteePct || 0) / 100);
+  return {
+    subtotal: round2(subtotal),
+    igv,
+    total,
+    detraccion_amount: detraccionAmount,
+    retencion_amount: retencionAmount,
+    guarantee_amount: guaranteeAmount,
+    net_amount: round2(total - detraccionAmount - retencionAmount - guaranteeAmount)
+  };
+};
+
+const COLLECTION_TYPES = {
+  payment: 'Abono en cuenta corriente',
+  detraccion: 'Depósito de detracción (Banco de la Nación)',
+  retencion: 'Comprobante de retención',
+  guarantee: 'Devolución de fondo de garantía'
+};
+
+// La retención la paga el cliente a SUNAT: se concilia con el comprobante pero no es caja
+const CASH_COLLECTION_TYPES = ['payment', 'detraccion', 'guarantee'];
+
+// Saldo pendiente de una factura por tipo de cobro
+const getInvoiceBalances = (invoice) => {
+  const collected = (type) => (invoice.collections || [])
+    .filter(c => c.type === type)
+    .reduce((sum, c) => sum + (c.amount || 0), 0);
+  return {
+    payment: round2((invoice.net_amount || 0) - collected('payment')),
+    detraccion: round2((invoice.detraccion_amount || 0) - collected('detraccion')),
+    retencion: round2((invoice.retencion_amount || 0) - collected('retencion')),
+    guarantee: round2((invoice.guarantee_amount || 0) - collected('guarantee'))
+  };
+};
+
+// Por cobrar exigible (sin el fondo de garantía, que se devuelve al cierre de obra)
+const getInvoiceReceivable = (invoice) => {
+  const balances = getInvoiceBalances(invoice);
+  return round2(Math.max(balances.payment, 0) + Math.max(balances.detraccion, 0) + Math.max(balances.retencion, 0));
+};
+
+const INVOICE_STATUS = {
+  issued: { label: 'Emitida', className: 'bg-blue-100 text-blue-800' },
+  partial: { label: 'Cobro parcial', className: 'bg-amber-100 text-amber-800' },
+  paid: { label: 'Cobrada', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Anulada', className: 'bg-gray-100 text-gray-600' }
+};
+
+const getInvoiceStatus = (invoice) => {
+  if (invoice.status === 'cancelled') return 'cancelled';
+  if (getInvoiceReceivable(invoice) <= 0) return 'paid';
+  return invoice.collections?.length > 0 ? 'partial' : 'issued';
+};
+
+const AGING_BUCKETS = [
+  { id: 'current', label: 'Por vencer', maxDays: 0 },
+  { id: 'd30', label: '1-30 días', maxDays: 30 },
+  { id: 'd60', label: '31-60 días', maxDays: 60 },
+  { id: 'd90', label: '61-90 días', maxDays: 90 },
+  { id: 'over90', label: 'Más de 90', maxDays: Infinity }
+];
+
+// Antigüedad de cuentas por cobrar a la fecha de corte, según días vencidos
+const buildReceivablesAging = (invoices, asOf) => {
+  const aging = Object.fromEntries(AGING_BUCKETS.map(b => [b.id, 0]));
+  aging.guarantee = 0;
+  (invoices || []).filter(inv => inv.status !== 'cancelled').forEach(invoice => {
+    const receivable = getInvoiceReceivable(invoice);
+    aging.guarantee += Math.max(getInvoiceBalances(invoice).guarantee, 0);
+    if (receivable <= 0) return;
+    const daysOverdue = Math.floor((new Date(asOf) - new Date(invoice.due_date)) / 86400000);
+    const bucket = AGING_BUCKETS.find(b => daysOverdue <= b.maxDays);
+    aging[bucket.id] += receivable;
+  });
+  aging.total = AGING_BUCKETS.reduce((sum, b) => sum + aging[b.id], 0);
+  return aging;
+};
+
+// ============== CRONOGRAMA (CURVA S) HELPERS ==============
+// Distribución del metrado en el plazo de la partida: fracción acumulada en t ∈ [0, 1]
+const SCHEDULE_DISTRIBUTIONS = {
+  linear: { label: 'Lineal', cumulative: (t) => t },
+  front: { label: 'Carga al inicio', cumulative: (t) => 1 - (1 - t) * (1 - t) },
+  back: { label: 'Carga al final', cumulative: (t) => t * t },
+  bell: { label: 'Campana', cumulative: (t) => t * t * (3 - 2 * t) }
+};
+
+// Holgura antes de marcar una partida como atrasada (% del metrado)
+const SCHEDULE_TOLERANCE_PCT = 5;
+
+const isScheduled = (partida) => !!(partida.planned_start && partida.planned_finish);
+
+const plannedFractionAt = (partida, date) => {
+  if (!isScheduled(partida)) return null;
+  const start = new Date(partida.planned_start + 'T00:00:00');
+  // El día de término se considera completo
+  const end = new Date(partida.planned_finish + 'T00:00:00');
+  end.setDate(end.getDate() + 1);
+  const at = new Date(date + 'T00:00:00');
+  if (at < start) return 0;
+  if (at >= end) return 1;
+  const distribution = SCHEDULE_DISTRIBUTIONS[partida.distribution] || SCHEDULE_DISTRIBUTIONS.linear;
+  return distribution.cumulative((at - start) / (end - start));
+};
+
+// Avance programado vs real de una partida a la fecha
+const getScheduleStatus = (partida, date) => {
+  const plannedFraction = plannedFractionAt(partida, date);
+  if (plannedFraction == null) return null;
+  const plannedPct = plannedFraction * 100;
+  const actualPct = ((partida.current_progress || 0) / (partida.total_budgeted || 1)) * 100;
+  return { plannedPct, actualPct, behind: actualPct < plannedPct - SCHEDULE_TOLERANCE_PCT };
+};
+
+// Curva S semanal: % programado y % real acumulados, ponderados por el presupuesto de cada partida
+const buildSCurve = (partidas, approvedReports, today) => {
+  const scheduled = partidas.filter(isScheduled);
+  if (scheduled.length === 0) return [];
+  const weight = (p) => (p.total_budgeted || 0) * (p.unit_price || 0);
+  const totalWeight = partidas.reduce((sum, p) => sum + weight(p), 0) || 1;
+  const byId = Object.fromEntries(partidas.map(p => [p.id, p]));
+
+  const first = scheduled.map(p => p.planned_start).sort()[0];
+  const last = scheduled.map(p => p.planned_finish).sort().pop();
+  const points = [];
+  const cursor = new Date(first + 'T00:00:00');
+  const end = new Date(last + 'T00:00:00');
+  end.setDate(end.getDate() + 7);
+
+  while (cursor <= end) {
+    const date = toISODate(cursor);
+    const planned = scheduled.reduce((sum, p) => sum + weight(p) * plannedFractionAt(p, date), 0);
+    const point = { date, label: cursor.toLocaleDateString('es-PE', { day: '2-digit', month: 'short' }), programado: +(planned / totalWeight * 100).toFixed(2) };
+    if (date <= today) {
+      const earned = approvedReports
+        .filter(r => r.report_date <= date)
+        .reduce((sum, r) => sum + (r.progress_value || 0) * (byId[r.partida_id]?.unit_price || 0), 0);
+      point.real = +(earned / totalWeight * 100).toFixed(2);
+    }
+    points.push(point);
+    cursor.setDate(cursor.getDate() + 7);
+  }
+  return points;
+};
+
+// ============== VALOR GANADO (EVM) HELPERS ==============
+// Línea base: las partidas con cronograma aportan según su distribución; el resto del
+// presupuesto (BAC) se distribuye linealmente entre el inicio y el fin del proyecto
+const plannedValueAt = (project, bac, date) => {
+  const scheduled = (project.partidas || []).filter(isScheduled);
+  if (scheduled.length > 0) {
+    const scheduledBudget = scheduled.reduce((sum, p) => sum + (p.total_budgeted || 0) * (p.unit_price || 0), 0);
+    const scheduledValue = scheduled.reduce((sum, p) => sum + (p.total_budgeted || 0) * (p.unit_price || 0) * plannedFractionAt(p, date), 0);
+    return scheduledValue + plannedValueAt({ ...project, partidas: [] }, Math.max(bac - scheduledBudget, 0), date);
+  }
+  if (!project.start_date || !project.end_date) return 0;
+  const start = new Date(project.start_date + 'T00:00:00');
+  const end = new Date(project.end_date + 'T00:00:00');
+  const at = new Date(date + 'T00:00:00');
+  if (at < start) return 0;
+  if (at >= end || end <= start) return bac;
+  return bac * (at - start) / (end - start);
+};
+
+// EV: avance aprobado valorizado al precio unitario de cada partida; AC: costo de los reportes aprobados
+const earnedValueAt = (partidas, approvedReports, date) => {
+  const unitPrices = Object.fromEntries((partidas || []).map(p => [p.id, p.unit_price || 0]));
+  return approvedReports
+    .filter(r => r.report_date <= date)
+    .reduce((sum, r) => sum + (r.progress_value || 0) * (unitPrices[r.partida_id] || 0), 0);
+};
+
+const actualCostAt = (approvedReports, date) => approvedReports
+  .filter(r => r.report_date <= date)
+  .reduce((sum, r) => sum + (r.total_labor_cost || 0) + (r.total_materials_cost || 0), 0);
+
+// Índices de desempeño; EAC asume que el CPI actual se mantiene hasta el final
+const computeEvmIndices = ({ bac, pv, ev, ac }) => {
+  const spi = pv > 0 ? ev / pv : null;
+  const cpi = ac > 0 ? ev / ac : null;
+  const eac = cpi ? bac / cpi : bac;
+  return { bac, pv, ev, ac, spi, cpi, eac, vac: bac - eac };
+};
+
+const formatIndex = (value) => (value == null ? '—' : value.toFixed(2));
+const indexColor = (value) => (value == null ? 'text-gray-500' : value >= 1 ? 'text-green-600' : 'text-red-600');
+
+// ============== EVIDENCIA FOTOGRÁFICA HELPERS ==============
+// Las fotos guardan la ruta en el bucket privado; las anteriores guardaban la URL pública
+const getPhotoPath = (photo) => photo.path || evidencePathFromUrl(photo.url);
+const getPhotoThumbPath = (photo) => photo.thumb_path || evidencePathFromUrl(photo.thumb_url);
+const getEvidencePaths = (photos) => photos.flatMap(photo => [getPhotoPath(photo), getPhotoThumbPath(photo)]).filter(Boolean);
+
+// URLs firmadas para un conjunto de fotos; se renuevan antes de que caduquen
+const useEvidenceUrls = (photos) => {
+  const [urls, setUrls] = useState({});
+  const pathsKey = getEvidencePaths(photos).join('|');
+
+  useEffect(() => {
+    if (!pathsKey) return;
+    let cancelled = false;
+    const load = () => getEvidenceSignedUrls(pathsKey.split('|')).then(map => {
+      if (!cancelled) setUrls(prev => ({ ...prev, ...map }));
+    });
+    load();
+    const timer = setInterval(load, EVIDENCE_URL_TTL_SECONDS * 900);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [pathsKey]);
+
+  return {
+    full: (photo) => urls[getPhotoPath(photo)] || photo.preview_url,
+    thumb: (photo) => urls[getPhotoThumbPath(photo)] || urls[getPhotoPath(photo)] || photo.preview_url
+  };
+};
+
+// taken_at viene del EXIF como hora local de la cámara ("2026-10-19T08:15:30")
+const formatPhotoTakenAt = (takenAt) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(takenAt || '');
+  return match ? `${match[3]}/${match[2]}/${match[1]} ${match[4]}:${match[5]}` : null;
+};
+
+const PhotoCaption = ({ photo }) => {
+  const takenAt = formatPhotoTakenAt(photo.taken_at);
+  if (!takenAt && !photo.gps) return null;
+  return (
+    <div className="flex items-center justify-between gap-1 px-1 py-0.5 text-[10px] text-gray-500">
+      <span>{takenAt ? `📷 ${takenAt}` : ''}</span>
+      {photo.gps && (
+        <span
+          role="link"
+          title={`${photo.gps.lat}, ${photo.gps.lng}`}
+          onClick={(e) => {
+            e.preventDefault();
+            window.open(`https://www.google.com/maps?q=${photo.gps.lat},${photo.gps.lng}`, '_blank', 'noopener');
+          }}
+          className="text-blue-600 hover:underline cursor-pointer"
+        >
+          📍 Ubicación
+        </span>
+      )}
+    </div>
+  );
+};
+
+// ============== EXPORT BUTTON COMPONENT ==============
+const ExportExcelButton = ({ onClick, exporting }) => (
+  <button
+    onClick={onClick}
+    disabled={exporting}
+    className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition flex items-center gap-2 disabled:opacity-50"
+  >
+    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+    </svg>
+    {exporting ? 'Exportando...' : 'Exportar Excel'}
+  </button>
+);
+
 // ============== LOADING SPINNER COMPONENT ==============
 const Spinner = ({ size = 'md' }) => {
   const sizeClasses = {
@@ -64,12 +689,18 @@ const LoadingOverlay = ({ message = 'Cargando...' }) => (
 );
 
 // ============== MODAL COMPONENT ==============
-const Modal = ({ isOpen, onClose, title, children }) => {
+const Modal = ({ isOpen, onClose, title, children, size = 'lg' }) => {
   if (!isOpen) return null;
+
+  const sizeClasses = {
+    lg: 'max-w-lg',
+    '2xl': 'max-w-2xl',
+    '4xl': 'max-w-4xl'
+  };
   
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+      <div className={`bg-white rounded-xl shadow-2xl w-full ${sizeClasses[size] || sizeClasses.lg} max-h-[90vh] overflow-y-auto`}>
         <div className="flex items-center justify-between p-4 border-b">
           <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
           <button
@@ -87,1616 +718,7120 @@ const Modal = ({ isOpen, onClose, title, children }) => {
   );
 };
 
-// ============== PASSWORD MODAL COMPONENT ==============
-const PasswordModal = ({ isOpen, onClose, userData }) => {
-  const [copied, setCopied] = useState(false);
+// ============== CHANGE PASSWORD SCREEN ==============
+// Primer ingreso de un invitado (must_change_password) o enlace de "olvidé mi contraseña"
+const MIN_PASSWORD_LENGTH = 8;
 
-  const handleCopy = async () => {
-    await navigator.clipboard.writeText(userData?.password || '');
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
-  };
+const ChangePasswordScreen = ({ profile, onDone, onLogout }) => {
+  const [form, setForm] = useState({ password: '', confirm: '' });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isFirstLogin = !!profile?.must_change_password;
 
-  if (!isOpen || !userData) return null;
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`);
+      return;
+    }
+    if (form.password !== form.confirm) {
+      setError('Las contraseñas no coinciden');
+      return;
+    }
+    setSaving(true);
+    setError('');
+    try {
+      const { error: updateError } = await supabase.auth.updateUser({ password: form.password });
+      if (updateError) throw updateError;
+      const { error: rpcError } = await supabase.rpc('complete_password_change');
+      if (rpcError) throw rpcError;
+      await onDone();
+    } catch (err) {
+      setError(err.message || 'No se pudo cambiar la contraseña');
+    } finally {
+      setSaving(false);
+    }
+  };
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Usuario Creado Exitosamente">
-      <div className="space-y-4">
-        <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-          <p className="text-green-800 font-medium flex items-center gap-2">
-            <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-            </svg>
-            Usuario creado correctamente
-          </p>
-        </div>
-        
-        <div className="space-y-3">
-          <div>
-            <label className="block text-sm font-medium text-gray-600">Email</label>
-            <p className="text-gray-900 font-mono bg-gray-50 p-2 rounded">{userData.email}</p>
-          </div>
+    <div className="min-h-screen bg-gradient-to-br from-blue-600 to-purple-700 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-8">
+        <h1 className="text-2xl font-bold text-gray-800 text-center">
+          {isFirstLogin ? `Bienvenido${profile?.full_name ? `, ${profile.full_name}` : ''}` : 'Nueva contraseña'}
+        </h1>
+        <p className="text-gray-500 text-center mt-1 mb-6">
+          {isFirstLogin ? 'Cree su contraseña para terminar de activar su cuenta.' : 'Ingrese la nueva contraseña de su cuenta.'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>}
           <div>
-            <label className="block text-sm font-medium text-gray-600">Nombre</label>
-            <p className="text-gray-900 bg-gray-50 p-2 rounded">{userData.full_name}</p>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Contraseña</label>
+            <input type="password" required autoComplete="new-password" value={form.password} onChange={e => setForm(prev => ({ ...prev, password: e.target.value }))} className="w-full border rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500" />
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-600">Contraseña (solo se muestra una vez)</label>
-            <div className="flex gap-2">
-              <p className="flex-1 text-gray-900 font-mono bg-yellow-50 border border-yellow-300 p-2 rounded">
-                {userData.password}
-              </p>
-              <button
-                onClick={handleCopy}
-                className={`px-4 py-2 rounded font-medium transition ${
-                  copied 
-                    ? 'bg-green-500 text-white' 
-                    : 'bg-blue-500 text-white hover:bg-blue-600'
-                }`}
-              >
-                {copied ? '¡Copiado!' : 'Copiar'}
-              </button>
-            </div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Repita la contraseña</label>
+            <input type="password" required autoComplete="new-password" value={form.confirm} onChange={e => setForm(prev => ({ ...prev, confirm: e.target.value }))} className="w-full border rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500" />
           </div>
-        </div>
-
-        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 mt-4">
-          <p className="text-amber-800 text-sm">
-            <strong>⚠️ Importante:</strong> Guarde esta contraseña ahora. No podrá verla nuevamente.
-          </p>
-        </div>
+          <button type="submit" disabled={saving} className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center gap-2">
+            {saving && <Spinner size="sm" />}
+            {saving ? 'Guardando...' : 'Guardar contraseña'}
+          </button>
+        </form>
 
-        <button
-          onClick={onClose}
-          className="w-full mt-4 bg-gray-800 text-white py-2 rounded-lg hover:bg-gray-900 transition"
-        >
-          Entendido, Cerrar
+        <button type="button" onClick={onLogout} className="mt-6 w-full text-sm text-gray-500 hover:text-red-600">
+          Cerrar sesión
         </button>
       </div>
-    </Modal>
+    </div>
   );
 };
 
-// ============== ADMIN MODULE (ACTUALIZADO: Editable + Fix) ==============
-const AdminModule = ({ currentUser }) => {
-  const [activeTab, setActiveTab] = useState('projects'); // Empezar en proyectos
+// ============== DEMO MAILBOX ==============
+// En el modo demostración no hay servidor de correo: los enlaces de invitación y de
+// contraseña olvidada se abren desde aquí
+const DemoMailbox = () => {
+  const [open, setOpen] = useState(false);
+  const [mail, setMail] = useState([]);
+
+  const toggle = async () => {
+    if (!open) setMail(await listDemoMail());
+    setOpen(!open);
+  };
+
+  return (
+    <div>
+      <button type="button" onClick={toggle} className="text-sm text-amber-800 hover:underline">
+        {open ? 'Ocultar correos enviados' : '📬 Ver correos enviados (invitaciones y contraseñas)'}
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2 max-h-48 overflow-y-auto">
+          {mail.length === 0 && <p className="text-xs text-gray-500">Todavía no se envió ningún correo.</p>}
+          {mail.map(message => (
+            <div key={message.id} className="bg-white border border-amber-200 rounded-lg px-3 py-2 text-sm">
+              <p className="font-medium text-gray-800">{message.subject}</p>
+              <p className="text-xs text-gray-500">Para {message.to} · {new Date(message.sent_at).toLocaleString('es-PE')}</p>
+              <a href={message.link} className="text-xs text-blue-600 hover:underline">Abrir enlace</a>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============== PARTIDAS MANAGER COMPONENT ==============
+const emptyPartidaForm = { code: '', name: '', unit: 'und', total_budgeted: '', unit_price: '', planned_start: '', planned_finish: '', distribution: 'linear' };
+
+const PartidasManager = ({ project, onPartidasChange }) => {
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
-  const [users, setUsers] = useState([]);
-  const [projects, setProjects] = useState([]);
-
-  // --- ESTADOS PARA PROYECTOS (NUEVO) ---
-  const [showProjectModal, setShowProjectModal] = useState(false);
-  const [editingProject, setEditingProject] = useState(null); // Para saber si editamos
-  
-  // Formulario Proyecto Unificado
-  const [projectForm, setProjectForm] = useState({
-    name: '', code: '', client: '', location: '', 
-    start_date: '', end_date: '', total_budget: '', description: ''
-  });
+  const [partidas, setPartidas] = useState([]);
 
-  // --- ESTADOS PARA USUARIOS (MANTENIDOS) ---
-  const [showCreateUserModal, setShowCreateUserModal] = useState(false);
-  const [showEditUserModal, setShowEditUserModal] = useState(false);
-  const [showPasswordModal, setShowPasswordModal] = useState(false);
-  const [createdUserData, setCreatedUserData] = useState(null);
-  const [selectedUser, setSelectedUser] = useState(null);
-  const [userFormData, setUserFormData] = useState({
-    email: '', full_name: '', role: 'foreman', assigned_projects: []
-  });
+  const [showPartidaModal, setShowPartidaModal] = useState(false);
+  const [editingPartida, setEditingPartida] = useState(null);
+  const [partidaForm, setPartidaForm] = useState(emptyPartidaForm);
+  const [formError, setFormError] = useState('');
 
-  const roles = [
-    { value: 'admin', label: 'Administrador' },
-    { value: 'ceo', label: 'CEO' },
-    { value: 'engineer', label: 'Ingeniero Residente' },
-    { value: 'foreman', label: 'Maestro de Obra' },
-    { value: 'logistics', label: 'Logística' }
-  ];
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
 
-  const fetchData = useCallback(async () => {
+  const fetchPartidas = useCallback(async () => {
+    if (!project?.id) return;
     setLoading(true);
     try {
-      const [u, p] = await Promise.all([
-        supabase.from('profiles').select('*, project_assignments(project_id)').order('created_at', { ascending: false }),
-        supabase.from('projects').select('*').order('created_at', { ascending: false })
-      ]);
-      if (u.data) setUsers(u.data);
-      if (p.data) setProjects(p.data);
-    } catch (e) { console.error(e); } 
-    finally { setLoading(false); }
-  }, []);
+      const { data, error } = await supabase
+        .from('partidas')
+        .select('*')
+        .eq('project_id', project.id)
+        .order('code');
+      if (error) throw error;
+      setPartidas(data || []);
+      onPartidasChange?.(data || []);
+    } catch (error) {
+      console.error('Error fetching partidas:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id, onPartidasChange]);
 
-  useEffect(() => { fetchData(); }, [fetchData]);
+  useEffect(() => { fetchPartidas(); }, [fetchPartidas]);
 
-  // --- LÓGICA DE PROYECTOS (MEJORADA) ---
+  // --- EDITOR DE PARTIDA ---
 
-  // Abrir modal para crear
-  const handleOpenCreateProject = () => {
-    setEditingProject(null);
-    setProjectForm({ name: '', code: '', client: '', location: '', start_date: '', end_date: '', total_budget: '', description: '' });
-    setShowProjectModal(true);
+  const handleOpenCreate = () => {
+    setEditingPartida(null);
+    setPartidaForm(emptyPartidaForm);
+    setFormError('');
+    setShowPartidaModal(true);
   };
 
-  // Abrir modal para editar
-  const handleOpenEditProject = (project) => {
-    setEditingProject(project);
-    setProjectForm({
-      name: project.name,
-      code: project.code,
-      client: project.client,
-      location: project.location,
-      start_date: project.start_date,
-      end_date: project.end_date,
-      total_budget: project.total_budget,
-      description: project.description || ''
+  const handleOpenEdit = (partida) => {
+    setEditingPartida(partida);
+    setPartidaForm({
+      code: partida.code,
+      name: partida.name,
+      unit: normalizeUnit(partida.unit),
+      total_budgeted: partida.total_budgeted ?? '',
+      unit_price: partida.unit_price ?? '',
+      planned_start: partida.planned_start || '',
+      planned_finish: partida.planned_finish || '',
+      distribution: partida.distribution || 'linear'
     });
-    setShowProjectModal(true);
+    setFormError('');
+    setShowPartidaModal(true);
   };
 
-  const handleSaveProject = async (e) => {
+  const validatePartidaForm = () => {
+    const code = partidaForm.code.trim();
+    const totalBudgeted = parseDecimal(partidaForm.total_budgeted);
+    const unitPrice = parseDecimal(partidaForm.unit_price);
+
+    const duplicated = partidas.some(p =>
+      String(p.code).trim().toUpperCase() === code.toUpperCase() && p.id !== editingPartida?.id
+    );
+    if (duplicated) return `Ya existe una partida con el código ${code}`;
+    if (!PARTIDA_UNITS.includes(partidaForm.unit)) return 'Unidad no válida';
+    if (Number.isNaN(totalBudgeted) || totalBudgeted < 0) return 'El metrado debe ser un número mayor o igual a 0';
+    if (Number.isNaN(unitPrice) || unitPrice < 0) return 'El precio unitario debe ser un número mayor o igual a 0';
+    if (editingPartida && totalBudgeted < (editingPartida.current_progress || 0)) {
+      return `El metrado no puede ser menor al avance ejecutado (${editingPartida.current_progress})`;
+    }
+    if (!!partidaForm.planned_start !== !!partidaForm.planned_finish) return 'Indique inicio y fin programados, o deje ambos vacíos';
+    if (partidaForm.planned_finish && partidaForm.planned_finish < partidaForm.planned_start) {
+      return 'El fin programado no puede ser anterior al inicio';
+    }
+    return '';
+  };
+
+  const handleSavePartida = async (e) => {
     e.preventDefault();
+    const error = validatePartidaForm();
+    if (error) {
+      setFormError(error);
+      return;
+    }
+
     setSubmitting(true);
+    const payload = {
+      code: partidaForm.code.trim(),
+      name: partidaForm.name.trim(),
+      unit: partidaForm.unit,
+      total_budgeted: parseDecimal(partidaForm.total_budgeted),
+      unit_price: parseDecimal(partidaForm.unit_price),
+      planned_start: partidaForm.planned_start || null,
+      planned_finish: partidaForm.planned_finish || null,
+      distribution: partidaForm.distribution
+    };
+
     try {
-      if (editingProject) {
-        // ACTUALIZAR
-        const { error } = await supabase.from('projects')
-          .update(projectForm)
-          .eq('id', editingProject.id);
+      if (editingPartida) {
+        const { error } = await supabase.from('partidas').update(payload).eq('id', editingPartida.id);
         if (error) throw error;
-        alert('Proyecto actualizado exitosamente');
       } else {
-        // CREAR
-        const { error } = await supabase.from('projects')
-          .insert([{ ...projectForm, is_active: true }]);
+        const { error } = await supabase.from('partidas')
+          .insert([{ ...payload, project_id: project.id, current_progress: 0 }]);
         if (error) throw error;
-        alert('Proyecto creado exitosamente');
       }
-      setShowProjectModal(false);
-      fetchData();
+      setShowPartidaModal(false);
+      fetchPartidas();
     } catch (error) {
-      alert('Error: ' + error.message);
+      setFormError('Error: ' + error.message);
     } finally {
       setSubmitting(false);
     }
   };
 
-  const toggleProjectStatus = async (project) => {
-    if (!confirm(`¿${project.is_active ? 'Desactivar' : 'Activar'} proyecto?`)) return;
-    await supabase.from('projects').update({ is_active: !project.is_active }).eq('id', project.id);
-    fetchData();
-  };
-
-  // --- LÓGICA DE USUARIOS (MANTENIDA) ---
-
-  const handleCreateUser = async (e) => {
-    e.preventDefault();
-    setSubmitting(true);
-
-    try {
-      const password = generatePassword();
-      const { data: authData, error: authError } = await supabase.auth.signUp({
-        email: userFormData.email,
-        password: password,
-        options: {
-          data: {
-            full_name: userFormData.full_name,
-            role: userFormData.role
-          }
-        }
-      });
-
-      if (authError) throw authError;
-      const userId = authData.user.id;
+  const handleDeletePartida = async (partida) => {
+    if ((partida.current_progress || 0) > 0) {
+      alert('No se puede eliminar una partida con avance registrado');
+      return;
+    }
+    if (!confirm(`¿Eliminar la partida ${partida.code} - ${partida.name}?`)) return;
+    const { error } = await supabase.from('partidas').delete().eq('id', partida.id);
+    if (error) {
+      alert('Error: ' + error.message);
+      return;
+    }
+    fetchPartidas();
+  };
 
-      const { error: profileError } = await supabase.from('profiles').insert({
-        id: userId,
-        email: userFormData.email,
-        full_name: userFormData.full_name,
-        role: userFormData.role,
-        is_active: true
-      });
+  // --- IMPORTACIÓN DE PRESUPUESTO ---
 
-      if (profileError) throw profileError;
+  const handleOpenImport = () => {
+    setImportText('');
+    setImportPreview(null);
+    setShowImportModal(true);
+  };
 
-      if (userFormData.assigned_projects.length > 0) {
-        const assignments = userFormData.assigned_projects.map(projectId => ({
-          user_id: userId,
-          project_id: projectId
-        }));
-        await supabase.from('project_assignments').insert(assignments);
-      }
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await readTextFile(file);
+    setImportText(text);
+    setImportPreview(buildPartidaImportPreview(parseDelimitedText(text), partidas));
+    e.target.value = '';
+  };
 
-      setCreatedUserData({
-        email: userFormData.email,
-        full_name: userFormData.full_name,
-        password: password
-      });
-      setShowCreateUserModal(false);
-      setShowPasswordModal(true);
-      setUserFormData({ email: '', full_name: '', role: 'foreman', assigned_projects: [] });
-      fetchData();
-    } catch (error) {
-      alert('Error al crear usuario: ' + error.message);
-    } finally {
-      setSubmitting(false);
-    }
+  const handleValidateImport = () => {
+    setImportPreview(buildPartidaImportPreview(parseDelimitedText(importText), partidas));
   };
 
-  const handleEditUser = async (e) => {
-    e.preventDefault();
-    if (!selectedUser) return;
+  const importErrors = importPreview?.rows.filter(r => r.errors.length > 0).length || 0;
+  const canImport = importPreview
+    && importPreview.missingColumns.length === 0
+    && importPreview.rows.length > 0
+    && importErrors === 0;
+
+  const handleConfirmImport = async () => {
+    if (!canImport) return;
     setSubmitting(true);
     try {
-      await supabase.from('profiles').update({
-          full_name: userFormData.full_name,
-          role: userFormData.role
-        }).eq('id', selectedUser.id);
-
-      await supabase.from('project_assignments').delete().eq('user_id', selectedUser.id);
-
-      if (userFormData.assigned_projects.length > 0) {
-        const assignments = userFormData.assigned_projects.map(projectId => ({
-          user_id: selectedUser.id,
-          project_id: projectId
-        }));
-        await supabase.from('project_assignments').insert(assignments);
-      }
-      setShowEditUserModal(false);
-      setSelectedUser(null);
-      fetchData();
-      alert('Usuario actualizado');
+      // Nuevas y existentes (por código) en una sola transacción: o se importa todo o nada
+      const { error } = await supabase.rpc('import_partidas', {
+        p_project_id: project.id,
+        p_rows: importPreview.rows.map(r => r.data)
+      });
+      if (error) throw error;
+
+      const updatedCount = importPreview.rows.filter(r => r.existingId).length;
+      alert(`Presupuesto importado: ${importPreview.rows.length - updatedCount} nuevas, ${updatedCount} actualizadas`);
+      setShowImportModal(false);
+      fetchPartidas();
     } catch (error) {
-      alert('Error: ' + error.message);
+      alert('Error al importar: ' + error.message);
     } finally {
       setSubmitting(false);
     }
   };
 
-  const handleSoftDeleteUser = async (userId) => {
-    if (!confirm('¿Desactivar usuario?')) return;
-    await supabase.from('profiles').update({ is_active: false }).eq('id', userId);
-    fetchData();
-  };
-
-  const openEditUserModal = (user) => {
-    setSelectedUser(user);
-    setUserFormData({
-      email: user.email,
-      full_name: user.full_name,
-      role: user.role,
-      assigned_projects: user.project_assignments?.map(pa => pa.project_id) || []
-    });
-    setShowEditUserModal(true);
-  };
-
-  const handleProjectAssignmentToggle = (projectId) => {
-    setUserFormData(prev => ({
-      ...prev,
-      assigned_projects: prev.assigned_projects.includes(projectId)
-        ? prev.assigned_projects.filter(id => id !== projectId)
-        : [...prev.assigned_projects, projectId]
-    }));
-  };
+  const totalBudget = partidas.reduce((sum, p) => sum + (p.total_budgeted || 0) * (p.unit_price || 0), 0);
 
   if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
 
   return (
-    <div className="space-y-6">
-      <div className="flex flex-col sm:flex-row justify-between items-center gap-4 border-b border-gray-200 pb-4">
-        <h2 className="text-2xl font-bold text-gray-800">Panel de Administración</h2>
-        <div className="flex gap-2 bg-gray-100 p-1 rounded-lg">
-          <button onClick={() => setActiveTab('projects')} className={`px-4 py-2 rounded-md text-sm font-medium transition ${activeTab==='projects'?'bg-white shadow text-blue-600':'text-gray-500 hover:text-gray-700'}`}>📁 Proyectos</button>
-          <button onClick={() => setActiveTab('users')} className={`px-4 py-2 rounded-md text-sm font-medium transition ${activeTab==='users'?'bg-white shadow text-blue-600':'text-gray-500 hover:text-gray-700'}`}>👥 Usuarios</button>
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <p className="text-sm text-gray-500">{partidas.length} partidas</p>
+          <p className="text-lg font-semibold text-gray-800">Total: {formatCurrency(totalBudget, project.currency)}</p>
         </div>
-      </div>
-
-      {/* ================= VISTA DE PROYECTOS ================= */}
-      {activeTab === 'projects' && (
-        <div className="space-y-4">
-          <div className="flex justify-end">
-            <button onClick={handleOpenCreateProject} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
-              <span>+</span> Nuevo Proyecto
-            </button>
-          </div>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {projects.map(p => (
-              <div key={p.id} className={`bg-white p-5 rounded-xl border ${p.is_active ? 'border-blue-100 shadow-sm' : 'border-gray-200 bg-gray-50 opacity-70'}`}>
-                <div className="flex justify-between items-start mb-2">
-                  <div>
-                    <h3 className="font-bold text-gray-800 text-lg">{p.name}</h3>
-                    <p className="text-xs font-mono text-gray-500">{p.code}</p>
-                  </div>
-                  <button onClick={() => handleOpenEditProject(p)} className="text-blue-600 hover:bg-blue-50 p-2 rounded-full transition" title="Editar">
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" /></svg>
-                  </button>
-                </div>
-                
-                <div className="text-sm space-y-2 text-gray-600 mb-4 mt-2">
-                  <p className="flex items-center gap-2"><span>🏢</span> {p.client}</p>
-                  <p className="flex items-center gap-2"><span>📍</span> {p.location}</p>
-                  <p className="flex items-center gap-2"><span>💰</span> {formatCurrency(p.total_budget)}</p>
-                  <div className="flex gap-4 text-xs text-gray-400 mt-2">
-                     <span>Inicio: {p.start_date}</span>
-                     <span>Fin: {p.end_date}</span>
-                  </div>
-                </div>
-
-                <div className="pt-4 border-t border-gray-100 flex justify-end">
-                  <button 
-                    onClick={() => toggleProjectStatus(p)} 
-                    className={`text-sm font-medium ${p.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}>
-                    {p.is_active ? 'Desactivar Proyecto' : 'Reactivar Proyecto'}
-                  </button>
-                </div>
-              </div>
-            ))}
-            {projects.length === 0 && (
-              <div className="col-span-full text-center py-10 text-gray-500 bg-white rounded-xl border border-dashed border-gray-300">
-                No hay proyectos registrados. Crea el primero.
-              </div>
-            )}
-          </div>
+        <div className="flex gap-2">
+          <button onClick={handleOpenImport} className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition">
+            Importar Presupuesto
+          </button>
+          <button onClick={handleOpenCreate} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+            <span>+</span> Nueva Partida
+          </button>
         </div>
-      )}
-
-      {/* ================= VISTA DE USUARIOS ================= */}
-      {activeTab === 'users' && (
-        <div className="space-y-4">
-          <div className="flex justify-end">
-            <button
-              onClick={() => { setUserFormData({ email: '', full_name: '', role: 'foreman', assigned_projects: [] }); setShowCreateUserModal(true); }}
-              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2"
-            >
-              <span>+</span> Nuevo Usuario
-            </button>
-          </div>
+      </div>
 
-          <div className="bg-white rounded-xl shadow overflow-hidden">
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Usuario</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rol</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Estado</th>
-                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-200">
-                  {users.map(user => (
-                    <tr key={user.id} className={!user.is_active ? 'bg-gray-50 opacity-60' : ''}>
-                      <td className="px-4 py-4">
-                        <p className="font-medium text-gray-900">{user.full_name}</p>
-                        <p className="text-sm text-gray-500">{user.email}</p>
-                      </td>
-                      <td className="px-4 py-4">
-                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                          user.role === 'admin' ? 'bg-purple-100 text-purple-800' :
-                          user.role === 'ceo' ? 'bg-blue-100 text-blue-800' :
-                          'bg-gray-100 text-gray-800'
-                        }`}>
-                          {roles.find(r => r.value === user.role)?.label || user.role}
-                        </span>
-                      </td>
-                      <td className="px-4 py-4">
-                        <span className={`text-xs font-bold ${user.is_active ? 'text-green-600' : 'text-red-600'}`}>
-                          {user.is_active ? 'ACTIVO' : 'INACTIVO'}
-                        </span>
-                      </td>
-                      <td className="px-4 py-4 text-right space-x-2">
-                        <button onClick={() => openEditUserModal(user)} className="text-blue-600 hover:text-blue-800 text-sm">Editar</button>
-                        {user.is_active && user.id !== currentUser?.id && (
-                          <button onClick={() => handleSoftDeleteUser(user.id)} className="text-red-600 hover:text-red-800 text-sm">Desactivar</button>
-                        )}
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </div>
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Código</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Partida</th>
+                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Und</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Metrado</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">P.U.</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Parcial</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {partidas.map(partida => (
+                <tr key={partida.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 font-mono text-sm text-gray-600">{partida.code}</td>
+                  <td className="px-4 py-3 font-medium text-gray-900">{partida.name}</td>
+                  <td className="px-4 py-3 text-center text-gray-600">{partida.unit}</td>
+                  <td className="px-4 py-3 text-right text-gray-600">{partida.total_budgeted || 0}</td>
+                  <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(partida.unit_price, project.currency)}</td>
+                  <td className="px-4 py-3 text-right text-gray-900">
+                    {formatCurrency((partida.total_budgeted || 0) * (partida.unit_price || 0), project.currency)}
+                  </td>
+                  <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                    <button onClick={() => handleOpenEdit(partida)} className="text-blue-600 hover:text-blue-800 text-sm">Editar</button>
+                    <button onClick={() => handleDeletePartida(partida)} className="text-red-600 hover:text-red-800 text-sm">Eliminar</button>
+                  </td>
+                </tr>
+              ))}
+              {partidas.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-4 py-8 text-center text-gray-500">
+                    El proyecto no tiene partidas. Créelas una a una o importe el presupuesto.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
         </div>
-      )}
+      </div>
 
-      {/* MODAL PROYECTO (SIRVE PARA CREAR Y EDITAR) */}
-      <Modal isOpen={showProjectModal} onClose={() => setShowProjectModal(false)} title={editingProject ? "Editar Proyecto" : "Nuevo Proyecto"}>
-        <form onSubmit={handleSaveProject} className="space-y-4">
+      {/* MODAL PARTIDA (CREAR Y EDITAR) */}
+      <Modal isOpen={showPartidaModal} onClose={() => setShowPartidaModal(false)} title={editingPartida ? 'Editar Partida' : 'Nueva Partida'}>
+        <form onSubmit={handleSavePartida} className="space-y-4">
           <div className="grid grid-cols-2 gap-4">
-            <input required placeholder="Código (ej. PRJ-001)" value={projectForm.code} onChange={e=>setProjectForm({...projectForm, code: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
-            <input required type="number" placeholder="Presupuesto Total" value={projectForm.total_budget} onChange={e=>setProjectForm({...projectForm, total_budget: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+            <input required placeholder="Código (ej. 01.02.03)" value={partidaForm.code} onChange={e => setPartidaForm({ ...partidaForm, code: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            <select value={partidaForm.unit} onChange={e => setPartidaForm({ ...partidaForm, unit: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+              {PARTIDA_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+            </select>
           </div>
-          <input required placeholder="Nombre del Proyecto" value={projectForm.name} onChange={e=>setProjectForm({...projectForm, name: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
-          <input required placeholder="Cliente" value={projectForm.client} onChange={e=>setProjectForm({...projectForm, client: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
-          <input required placeholder="Ubicación" value={projectForm.location} onChange={e=>setProjectForm({...projectForm, location: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+          <input required placeholder="Descripción de la partida" value={partidaForm.name} onChange={e => setPartidaForm({ ...partidaForm, name: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
           <div className="grid grid-cols-2 gap-4">
             <div>
-              <label className="text-xs text-gray-500">Fecha Inicio</label>
-              <input type="date" required value={projectForm.start_date} onChange={e=>setProjectForm({...projectForm, start_date: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+              <label className="text-xs text-gray-500">Metrado</label>
+              <input required inputMode="decimal" placeholder="0.00" value={partidaForm.total_budgeted} onChange={e => setPartidaForm({ ...partidaForm, total_budgeted: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
             </div>
             <div>
-              <label className="text-xs text-gray-500">Fecha Fin</label>
-              <input type="date" required value={projectForm.end_date} onChange={e=>setProjectForm({...projectForm, end_date: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+              <label className="text-xs text-gray-500">Precio Unitario ({getCurrencySymbol(project.currency)})</label>
+              <input required inputMode="decimal" placeholder="0.00" value={partidaForm.unit_price} onChange={e => setPartidaForm({ ...partidaForm, unit_price: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
             </div>
           </div>
-          <textarea placeholder="Descripción del proyecto..." value={projectForm.description} onChange={e => setProjectForm({...projectForm, description: e.target.value})} className="w-full border rounded-lg px-3 py-2" rows="2"></textarea>
-          
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="text-xs text-gray-500">Inicio programado</label>
+              <input type="date" value={partidaForm.planned_start} onChange={e => setPartidaForm({ ...partidaForm, planned_start: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">Fin programado</label>
+              <input type="date" value={partidaForm.planned_finish} onChange={e => setPartidaForm({ ...partidaForm, planned_finish: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">Distribución</label>
+              <select value={partidaForm.distribution} onChange={e => setPartidaForm({ ...partidaForm, distribution: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+                {Object.entries(SCHEDULE_DISTRIBUTIONS).map(([id, d]) => <option key={id} value={id}>{d.label}</option>)}
+              </select>
+            </div>
+          </div>
+          {formError && <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">{formError}</div>}
           <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
-            {submitting ? 'Guardando...' : (editingProject ? 'Guardar Cambios' : 'Crear Proyecto')}
+            {submitting ? 'Guardando...' : (editingPartida ? 'Guardar Cambios' : 'Crear Partida')}
           </button>
         </form>
       </Modal>
 
-      {/* Modales de Usuario (Crear, Editar, Password) - Mantenidos igual que antes */}
-      <Modal isOpen={showCreateUserModal} onClose={() => setShowCreateUserModal(false)} title="Crear Nuevo Usuario">
-        <form onSubmit={handleCreateUser} className="space-y-4">
-          <input type="email" required placeholder="Email" value={userFormData.email} onChange={e => setUserFormData({...userFormData, email: e.target.value})} className="w-full border rounded-lg px-3 py-2" />
-          <input type="text" required placeholder="Nombre Completo" value={userFormData.full_name} onChange={e => setUserFormData({...userFormData, full_name: e.target.value})} className="w-full border rounded-lg px-3 py-2" />
-          <select value={userFormData.role} onChange={e => setUserFormData({...userFormData, role: e.target.value})} className="w-full border rounded-lg px-3 py-2">
-            {roles.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
-          </select>
-          <div>
-             <label className="block text-sm font-medium text-gray-700 mb-1">Asignar Proyectos</label>
-             <div className="max-h-32 overflow-y-auto border rounded p-2">
-                {projects.map(p => (
-                   <label key={p.id} className="flex items-center gap-2 p-1 hover:bg-gray-50 cursor-pointer">
-                      <input type="checkbox" checked={userFormData.assigned_projects.includes(p.id)} onChange={() => handleProjectAssignmentToggle(p.id)} />
-                      <span className="text-sm">{p.name}</span>
-                   </label>
-                ))}
-             </div>
-          </div>
-          <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 rounded-lg">{submitting ? 'Creando...' : 'Crear Usuario'}</button>
-        </form>
-      </Modal>
+      {/* MODAL IMPORTACIÓN */}
+      <Modal isOpen={showImportModal} onClose={() => setShowImportModal(false)} title="Importar Presupuesto" size="4xl">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Suba un archivo CSV o pegue las filas copiadas desde Excel. Columnas requeridas:
+            <span className="font-mono"> codigo, partida, unidad, metrado, precio_unitario</span>.
+          </p>
+          <input type="file" accept=".csv,.txt,text/csv" onChange={handleImportFile} className="text-sm" />
+          <textarea
+            value={importText}
+            onChange={e => { setImportText(e.target.value); setImportPreview(null); }}
+            rows={5}
+            className="w-full border rounded-lg px-3 py-2 font-mono text-xs"
+            placeholder={'codigo;partida;unidad;metrado;precio_unitario\n01.01;Limpieza de terreno;m2;1200;2.50'}
+          />
+          <button type="button" onClick={handleValidateImport} disabled={!importText.trim()} className="bg-gray-800 text-white px-4 py-2 rounded-lg hover:bg-gray-900 transition disabled:opacity-50">
+            Validar
+          </button>
 
-      <Modal isOpen={showEditUserModal} onClose={() => setShowEditUserModal(false)} title="Editar Usuario">
-         <form onSubmit={handleEditUser} className="space-y-4">
-            <input type="email" disabled value={userFormData.email} className="w-full border rounded-lg px-3 py-2 bg-gray-100" />
-            <input type="text" required value={userFormData.full_name} onChange={e => setUserFormData({...userFormData, full_name: e.target.value})} className="w-full border rounded-lg px-3 py-2" />
-            <select value={userFormData.role} onChange={e => setUserFormData({...userFormData, role: e.target.value})} className="w-full border rounded-lg px-3 py-2">
-               {roles.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
-            </select>
-            <div>
-               <label className="block text-sm font-medium text-gray-700 mb-1">Asignar Proyectos</label>
-               <div className="max-h-32 overflow-y-auto border rounded p-2">
-                  {projects.map(p => (
-                     <label key={p.id} className="flex items-center gap-2 p-1 hover:bg-gray-50 cursor-pointer">
-                        <input type="checkbox" checked={userFormData.assigned_projects.includes(p.id)} onChange={() => handleProjectAssignmentToggle(p.id)} />
-                        <span className="text-sm">{p.name}</span>
-                     </label>
-                  ))}
-               </div>
+          {importPreview?.missingColumns.length > 0 && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+              Faltan columnas: {importPreview.missingColumns.join(', ')}
             </div>
-            <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 rounded-lg">{submitting ? 'Guardando...' : 'Guardar Cambios'}</button>
-         </form>
-      </Modal>
+          )}
+
+          {importPreview?.rows.length > 0 && (
+            <>
+              <div className={`px-4 py-3 rounded-lg text-sm ${importErrors > 0 ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+                {importPreview.rows.length} filas leídas · {importErrors} con errores
+                {importErrors > 0 && ' — corrija el archivo antes de importar'}
+              </div>
+              <div className="overflow-x-auto max-h-80 border rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Fila</th>
+                      <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Código</th>
+                      <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Partida</th>
+                      <th className="px-2 py-2 text-center text-xs font-medium text-gray-500">Und</th>
+                      <th className="px-2 py-2 text-right text-xs font-medium text-gray-500">Metrado</th>
+                      <th className="px-2 py-2 text-right text-xs font-medium text-gray-500">P.U.</th>
+                      <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Observaciones</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {importPreview.rows.map(row => (
+                      <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                        <td className="px-2 py-1 text-gray-500">{row.line}</td>
+                        <td className="px-2 py-1 font-mono">{row.data.code}</td>
+                        <td className="px-2 py-1">{row.data.name}</td>
+                        <td className="px-2 py-1 text-center">{row.data.unit}</td>
+                        <td className="px-2 py-1 text-right">{Number.isNaN(row.data.total_budgeted) ? '—' : row.data.total_budgeted}</td>
+                        <td className="px-2 py-1 text-right">{Number.isNaN(row.data.unit_price) ? '—' : row.data.unit_price}</td>
+                        <td className="px-2 py-1 text-xs">
+                          {row.errors.map(err => <p key={err} className="text-red-700">{err}</p>)}
+                          {row.warnings.map(w => <p key={w} className="text-amber-700">{w}</p>)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
 
-      <PasswordModal isOpen={showPasswordModal} onClose={() => { setShowPasswordModal(false); setCreatedUserData(null); }} userData={createdUserData} />
+          <button
+            type="button"
+            onClick={handleConfirmImport}
+            disabled={!canImport || submitting}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            {submitting ? 'Importando...' : `Importar ${importPreview?.rows.length || 0} partidas`}
+          </button>
+        </div>
+      </Modal>
     </div>
   );
 };
 
-// ============== FOREMAN MODULE ==============
-const ForemanModule = ({ project, currentUser }) => {
+// ============== LABOR RATES MANAGER COMPONENT ==============
+const LaborRatesManager = ({ project }) => {
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
-  const [partidas, setPartidas] = useState([]);
-  const [materials, setMaterials] = useState([]);
-  const [selectedPartida, setSelectedPartida] = useState(null);
-  const [laborRows, setLaborRows] = useState([{ worker_type: 'peon', hours: '' }]);
-  const [materialRows, setMaterialRows] = useState([{ material_id: '', quantity: '' }]);
-  const [photos, setPhotos] = useState([]);
-  const [uploadingPhotos, setUploadingPhotos] = useState(false);
-  const [notes, setNotes] = useState('');
-  const [progressInput, setProgressInput] = useState('');
-  const [validationError, setValidationError] = useState('');
-
-  const workerTypes = [
-    { value: 'peon', label: 'Peón', rate: 80 },
-    { value: 'oficial', label: 'Oficial', rate: 120 },
-    { value: 'operario', label: 'Operario', rate: 150 },
-    { value: 'capataz', label: 'Capataz', rate: 200 }
-  ];
+  const [rates, setRates] = useState([]);
+  const [showRateModal, setShowRateModal] = useState(false);
+  const [rateForm, setRateForm] = useState({
+    category: 'operario', hourly_rate: '', effective_from: '', ...DEFAULT_LABOR_EXTRAS
+  });
 
-  useEffect(() => {
-    const fetchData = async () => {
-      if (!project?.id) return;
-      setLoading(true);
-
-      try {
-        const [partidasRes, materialsRes] = await Promise.all([
-          supabase
-            .from('partidas')
-            .select('*')
-            .eq('project_id', project.id)
-            .order('code'),
-          supabase
-            .from('materials_catalog')
-            .select('*')
-            .eq('is_active', true)
-            .order('name')
-        ]);
-
-        if (partidasRes.data) setPartidas(partidasRes.data);
-        if (materialsRes.data) setMaterials(materialsRes.data);
-      } catch (error) {
-        console.error('Error fetching foreman data:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchData();
+  const fetchRates = useCallback(async () => {
+    if (!project?.id) return;
+    setLoading(true);
+    try {
+      const { data, error } = await supabase
+        .from('labor_rates')
+        .select('*')
+        .eq('project_id', project.id)
+        .order('effective_from', { ascending: false });
+      if (error) throw error;
+      setRates(data || []);
+    } catch (error) {
+      console.error('Error fetching labor rates:', error);
+    } finally {
+      setLoading(false);
+    }
   }, [project?.id]);
 
-  const addLaborRow = () => {
-    setLaborRows(prev => [...prev, { worker_type: 'peon', hours: '' }]);
-  };
-
-  const removeLaborRow = (index) => {
-    if (laborRows.length > 1) {
-      setLaborRows(prev => prev.filter((_, i) => i !== index));
-    }
-  };
+  useEffect(() => { fetchRates(); }, [fetchRates]);
 
-  const updateLaborRow = (index, field, value) => {
-    setLaborRows(prev => prev.map((row, i) => 
-      i === index ? { ...row, [field]: value } : row
-    ));
-  };
+  const today = todayISO();
+  const ratesInForce = resolveLaborRates(rates, today);
 
-  const addMaterialRow = () => {
-    setMaterialRows(prev => [...prev, { material_id: '', quantity: '' }]);
+  const handleOpenCreate = (category = 'operario') => {
+    const current = ratesInForce[category];
+    setRateForm({
+      category,
+      hourly_rate: current?.hourly_rate ?? '',
+      effective_from: today,
+      overtime_first_pct: current?.overtime_first_pct ?? DEFAULT_LABOR_EXTRAS.overtime_first_pct,
+      overtime_after_pct: current?.overtime_after_pct ?? DEFAULT_LABOR_EXTRAS.overtime_after_pct,
+      night_pct: current?.night_pct ?? DEFAULT_LABOR_EXTRAS.night_pct
+    });
+    setShowRateModal(true);
   };
 
-  const removeMaterialRow = (index) => {
-    if (materialRows.length > 1) {
-      setMaterialRows(prev => prev.filter((_, i) => i !== index));
+  // Las tarifas no se editan: una nueva vigencia reemplaza a la anterior desde su fecha,
+  // así los reportes antiguos siguen valorizados con la tarifa de su día.
+  const handleSaveRate = async (e) => {
+    e.preventDefault();
+    const hourlyRate = parseDecimal(rateForm.hourly_rate);
+    if (Number.isNaN(hourlyRate) || hourlyRate <= 0) {
+      alert('La tarifa por hora debe ser un número mayor a 0');
+      return;
+    }
+    const duplicated = rates.some(r => r.category === rateForm.category && r.effective_from === rateForm.effective_from);
+    if (duplicated) {
+      alert('Ya existe una tarifa para esa categoría con la misma fecha de vigencia');
+      return;
     }
-  };
-
-  const updateMaterialRow = (index, field, value) => {
-    setMaterialRows(prev => prev.map((row, i) => 
-      i === index ? { ...row, [field]: value } : row
-    ));
-  };
-
-  const handlePhotoUpload = async (e) => {
-    const files = Array.from(e.target.files);
-    if (files.length === 0) return;
-
-    setUploadingPhotos(true);
-    const uploadedPhotos = [];
 
+    setSubmitting(true);
     try {
-      for (const file of files) {
-        const url = await uploadEvidence(file, project.id, 'daily-reports');
-        if (url) {
-          uploadedPhotos.push({
-            url,
-            name: file.name,
-            uploaded_at: new Date().toISOString()
-          });
-        }
-      }
-      setPhotos(prev => [...prev, ...uploadedPhotos]);
+      const { error } = await supabase.from('labor_rates').insert([{
+        project_id: project.id,
+        category: rateForm.category,
+        hourly_rate: hourlyRate,
+        effective_from: rateForm.effective_from,
+        overtime_first_pct: parseDecimal(rateForm.overtime_first_pct) || 0,
+        overtime_after_pct: parseDecimal(rateForm.overtime_after_pct) || 0,
+        night_pct: parseDecimal(rateForm.night_pct) || 0
+      }]);
+      if (error) throw error;
+      setShowRateModal(false);
+      fetchRates();
     } catch (error) {
-      console.error('Error uploading photos:', error);
-      alert('Error al subir algunas fotos');
+      alert('Error: ' + error.message);
     } finally {
-      setUploadingPhotos(false);
+      setSubmitting(false);
     }
   };
 
-  const removePhoto = (index) => {
-    setPhotos(prev => prev.filter((_, i) => i !== index));
+  const handleDeleteRate = async (rate) => {
+    if (!confirm(`¿Eliminar la tarifa de ${getLaborCategoryLabel(rate.category)} vigente desde ${rate.effective_from}?`)) return;
+    const { error } = await supabase.from('labor_rates').delete().eq('id', rate.id);
+    if (error) {
+      alert('Error: ' + error.message);
+      return;
+    }
+    fetchRates();
   };
 
-  const validateSubmission = () => {
-    if (!selectedPartida) {
-      setValidationError('Debe seleccionar una partida');
-      return false;
-    }
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
 
-    const progress = parseFloat(progressInput) || 0;
-    const currentProgress = selectedPartida.current_progress || 0;
-    const totalBudgeted = selectedPartida.total_budgeted || 0;
+  return (
+    <div className="space-y-4">
+      {/* Tarifas vigentes */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {LABOR_CATEGORIES.map(category => {
+          const rate = ratesInForce[category.value];
+          return (
+            <div key={category.value} className="bg-white rounded-xl shadow p-4">
+              <p className="text-sm text-gray-500">{category.label}</p>
+              {rate ? (
+                <>
+                  <p className="text-xl font-bold text-gray-900">{formatCurrency(rate.hourly_rate)} <span className="text-sm font-normal text-gray-500">/ hora</span></p>
+                  <p className="text-xs text-gray-400">Vigente desde {rate.effective_from}</p>
+                  <p className="text-xs text-gray-400">HE +{rate.overtime_first_pct}% / +{rate.overtime_after_pct}% · Noct. +{rate.night_pct}%</p>
+                </>
+              ) : (
+                <p className="text-sm text-amber-600 mt-1">Sin tarifa configurada</p>
+              )}
+              <button onClick={() => handleOpenCreate(category.value)} className="mt-3 text-sm text-blue-600 hover:text-blue-800">
+                + Nueva vigencia
+              </button>
+            </div>
+          );
+        })}
+      </div>
 
-    if (currentProgress + progress > totalBudgeted) {
-      setValidationError(
-        `El avance excede el presupuesto. Actual: ${currentProgress}, Ingresado: ${progress}, Máximo permitido: ${totalBudgeted - currentProgress}`
-      );
-      return false;
-    }
+      {/* Historial */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Historial de Tarifas</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Categoría</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vigente desde</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tarifa / hora</th>
+                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">H. Extra</th>
+                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Nocturno</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rates.map(rate => (
+                <tr key={rate.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 font-medium text-gray-900">{getLaborCategoryLabel(rate.category)}</td>
+                  <td className="px-4 py-3 text-gray-600">{rate.effective_from}</td>
+                  <td className="px-4 py-3 text-right text-gray-900">{formatCurrency(rate.hourly_rate)}</td>
+                  <td className="px-4 py-3 text-center text-gray-600">+{rate.overtime_first_pct}% / +{rate.overtime_after_pct}%</td>
+                  <td className="px-4 py-3 text-center text-gray-600">+{rate.night_pct}%</td>
+                  <td className="px-4 py-3 text-right">
+                    <button onClick={() => handleDeleteRate(rate)} className="text-red-600 hover:text-red-800 text-sm">Eliminar</button>
+                  </td>
+                </tr>
+              ))}
+              {rates.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-8 text-center text-gray-500">
+                    No hay tarifas registradas para este proyecto
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
 
-    const validLabor = laborRows.some(row => row.hours && parseFloat(row.hours) > 0);
-    if (!validLabor) {
-      setValidationError('Debe ingresar al menos una fila de mano de obra con horas válidas');
-      return false;
+      <Modal isOpen={showRateModal} onClose={() => setShowRateModal(false)} title="Nueva Vigencia de Tarifa">
+        <form onSubmit={handleSaveRate} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <select value={rateForm.category} onChange={e => setRateForm({ ...rateForm, category: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+              {LABOR_CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+            </select>
+            <input required type="date" value={rateForm.effective_from} onChange={e => setRateForm({ ...rateForm, effective_from: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+          </div>
+          <div>
+            <label className="text-xs text-gray-500">Costo hora-hombre (S/)</label>
+            <input required inputMode="decimal" placeholder="0.00" value={rateForm.hourly_rate} onChange={e => setRateForm({ ...rateForm, hourly_rate: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="text-xs text-gray-500">HE primeras 2h (%)</label>
+              <input inputMode="decimal" value={rateForm.overtime_first_pct} onChange={e => setRateForm({ ...rateForm, overtime_first_pct: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">HE siguientes (%)</label>
+              <input inputMode="decimal" value={rateForm.overtime_after_pct} onChange={e => setRateForm({ ...rateForm, overtime_after_pct: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">Nocturno (%)</label>
+              <input inputMode="decimal" value={rateForm.night_pct} onChange={e => setRateForm({ ...rateForm, night_pct: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+          </div>
+          <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+            {submitting ? 'Guardando...' : 'Registrar Tarifa'}
+          </button>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+// ============== EXCHANGE RATES MANAGER COMPONENT ==============
+// Tipo de cambio diario (soles por unidad). Se registra a mano o se importa desde un archivo
+// (p. ej. la serie de la SBS exportada a Excel); una fecha ya registrada se reemplaza.
+const ExchangeRatesManager = () => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [rates, setRates] = useState([]);
+  const foreignCurrencies = CURRENCIES.filter(c => c.code !== BASE_CURRENCY);
+  const [currencyFilter, setCurrencyFilter] = useState(foreignCurrencies[0].code);
+  const [rateForm, setRateForm] = useState({ rate_date: '', rate: '' });
+
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
+
+  const fetchRates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data, error } = await supabase
+        .from('exchange_rates')
+        .select('*')
+        .order('rate_date', { ascending: false });
+      if (error) throw error;
+      setRates(data || []);
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+    } finally {
+      setLoading(false);
     }
+  }, []);
 
-    setValidationError('');
-    return true;
-  };
+  useEffect(() => { fetchRates(); }, [fetchRates]);
 
-  const handleSubmit = async (e) => {
+  const today = todayISO();
+  const visibleRates = rates.filter(r => r.currency === currencyFilter);
+  const todayRate = rateAt(rates, currencyFilter, today);
+
+  const handleSaveRate = async (e) => {
     e.preventDefault();
-    if (!validateSubmission()) return;
+    const rate = parseDecimal(rateForm.rate);
+    if (Number.isNaN(rate) || rate <= 0) {
+      alert('El tipo de cambio debe ser un número mayor a 0');
+      return;
+    }
 
     setSubmitting(true);
-
     try {
-      // Calculate labor costs
-      const laborData = laborRows
-        .filter(row => row.hours && parseFloat(row.hours) > 0)
-        .map(row => {
-          const workerType = workerTypes.find(wt => wt.value === row.worker_type);
-          return {
-            worker_type: row.worker_type,
-            hours: parseFloat(row.hours),
-            rate: workerType?.rate || 0,
-            cost: parseFloat(row.hours) * (workerType?.rate || 0)
-          };
-        });
+      const { error } = await supabase.from('exchange_rates').upsert([{
+        rate_date: rateForm.rate_date || today,
+        currency: currencyFilter,
+        rate,
+        source: 'manual'
+      }], { onConflict: 'rate_date,currency' });
+      if (error) throw error;
+      setRateForm({ rate_date: '', rate: '' });
+      fetchRates();
+    } catch (error) {
+      alert('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
 
-      // Prepare materials data
-      const materialsData = materialRows
-        .filter(row => row.material_id && row.quantity && parseFloat(row.quantity) > 0)
-        .map(row => {
-          const material = materials.find(m => m.id === row.material_id);
-          return {
-            material_id: row.material_id,
-            material_name: material?.name || '',
-            quantity: parseFloat(row.quantity),
-            unit: material?.unit || '',
-            unit_cost: material?.unit_cost || 0,
-            total_cost: parseFloat(row.quantity) * (material?.unit_cost || 0)
-          };
-        });
+  const handleDeleteRate = async (rate) => {
+    if (!confirm(`¿Eliminar el tipo de cambio del ${rate.rate_date}?`)) return;
+    const { error } = await supabase.from('exchange_rates').delete()
+      .eq('rate_date', rate.rate_date)
+      .eq('currency', rate.currency);
+    if (error) {
+      alert('Error: ' + error.message);
+      return;
+    }
+    fetchRates();
+  };
 
-      // Create daily report
-      const { data: reportData, error: reportError } = await supabase
-        .from('daily_reports')
-        .insert({
-          project_id: project.id,
-          partida_id: selectedPartida.id,
-          user_id: currentUser.id,
-          report_date: new Date().toISOString().split('T')[0],
-          progress_value: parseFloat(progressInput) || 0,
-          labor_data: laborData,
-          materials_data: materialsData,
-          photos: photos,
-          notes: notes,
-          total_labor_cost: laborData.reduce((sum, l) => sum + l.cost, 0),
-          total_materials_cost: materialsData.reduce((sum, m) => sum + m.total_cost, 0)
-        })
-        .select()
-        .single();
+  // --- IMPORTACIÓN ---
 
-      if (reportError) throw reportError;
+  const handleOpenImport = () => {
+    setImportText('');
+    setImportPreview(null);
+    setShowImportModal(true);
+  };
 
-      // Update partida progress
-      const newProgress = (selectedPartida.current_progress || 0) + (parseFloat(progressInput) || 0);
-      const { error: updateError } = await supabase
-        .from('partidas')
-        .update({ current_progress: newProgress })
-        .eq('id', selectedPartida.id);
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await readTextFile(file);
+    setImportText(text);
+    setImportPreview(buildExchangeRateImportPreview(parseDelimitedText(text), currencyFilter, rates));
+    e.target.value = '';
+  };
 
-      if (updateError) throw updateError;
+  const handleValidateImport = () => {
+    setImportPreview(buildExchangeRateImportPreview(parseDelimitedText(importText), currencyFilter, rates));
+  };
 
-      // Reset form
-      setSelectedPartida(null);
-      setLaborRows([{ worker_type: 'peon', hours: '' }]);
-      setMaterialRows([{ material_id: '', quantity: '' }]);
-      setPhotos([]);
-      setNotes('');
-      setProgressInput('');
-      
-      alert('Reporte diario guardado exitosamente');
-      
-      // Refresh partidas
-      const { data: refreshedPartidas } = await supabase
-        .from('partidas')
-        .select('*')
-        .eq('project_id', project.id)
-        .order('code');
-      
-      if (refreshedPartidas) setPartidas(refreshedPartidas);
+  const importErrors = importPreview?.rows.filter(r => r.errors.length > 0).length || 0;
+  const canImport = importPreview
+    && importPreview.missingColumns.length === 0
+    && importPreview.rows.length > 0
+    && importErrors === 0;
 
+  const handleConfirmImport = async () => {
+    if (!canImport) return;
+    setSubmitting(true);
+    try {
+      const { error } = await supabase.from('exchange_rates').upsert(
+        importPreview.rows.map(r => ({ ...r.data, source: 'import' })),
+        { onConflict: 'rate_date,currency' }
+      );
+      if (error) throw error;
+      alert(`Tipo de cambio importado: ${importPreview.rows.length} fechas`);
+      setShowImportModal(false);
+      fetchRates();
     } catch (error) {
-      console.error('Error submitting report:', error);
-      alert('Error al guardar el reporte: ' + error.message);
+      alert('Error al importar: ' + error.message);
     } finally {
       setSubmitting(false);
     }
   };
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <Spinner size="lg" />
-      </div>
-    );
-  }
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
 
   return (
-    <div className="space-y-6">
-      <h2 className="text-2xl font-bold text-gray-800">Reporte Diario de Avance</h2>
-
-      <form onSubmit={handleSubmit} className="space-y-6">
-        {/* Partida Selection */}
-        <div className="bg-white rounded-xl shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4">Seleccionar Partida</h3>
-          <select
-            value={selectedPartida?.id || ''}
-            onChange={(e) => {
-              const partida = partidas.find(p => p.id === e.target.value);
-              setSelectedPartida(partida);
-              setValidationError('');
-            }}
-            className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-          >
-            <option value="">-- Seleccione una partida --</option>
-            {partidas.map(partida => (
-              <option key={partida.id} value={partida.id}>
-                {partida.code} - {partida.name} (Avance: {partida.current_progress || 0}/{partida.total_budgeted || 0} {partida.unit})
-              </option>
-            ))}
-          </select>
-          
-          {selectedPartida && (
-            <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4">
-              <div className="bg-blue-50 p-3 rounded-lg">
-                <p className="text-xs text-blue-600 font-medium">Unidad</p>
-                <p className="text-lg font-bold text-blue-800">{selectedPartida.unit}</p>
-              </div>
-              <div className="bg-green-50 p-3 rounded-lg">
-                <p className="text-xs text-green-600 font-medium">Presupuestado</p>
-                <p className="text-lg font-bold text-green-800">{selectedPartida.total_budgeted || 0}</p>
-              </div>
-              <div className="bg-yellow-50 p-3 rounded-lg">
-                <p className="text-xs text-yellow-600 font-medium">Avance Actual</p>
-                <p className="text-lg font-bold text-yellow-800">{selectedPartida.current_progress || 0}</p>
-              </div>
-              <div className="bg-purple-50 p-3 rounded-lg">
-                <p className="text-xs text-purple-600 font-medium">Disponible</p>
-                <p className="text-lg font-bold text-purple-800">
-                  {(selectedPartida.total_budgeted || 0) - (selectedPartida.current_progress || 0)}
-                </p>
-              </div>
-            </div>
-          )}
-        </div>
-
-        {/* Progress Input */}
-        <div className="bg-white rounded-xl shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4">Avance del Día</h3>
-          <div className="flex gap-4 items-end">
-            <div className="flex-1">
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Cantidad Ejecutada ({selectedPartida?.unit || 'unidad'})
-              </label>
-              <input
-                type="number"
-                step="0.01"
-                min="0"
-                value={progressInput}
-                onChange={(e) => {
-                  setProgressInput(e.target.value);
-                  setValidationError('');
-                }}
-                className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="0.00"
-              />
-            </div>
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div className="bg-white rounded-xl shadow p-4 md:w-72">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-500">Tipo de cambio vigente hoy</p>
+            {foreignCurrencies.length > 1 && (
+              <select value={currencyFilter} onChange={e => setCurrencyFilter(e.target.value)} className="border rounded px-2 py-1 text-sm">
+                {foreignCurrencies.map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+              </select>
+            )}
           </div>
+          {todayRate !== null ? (
+            <p className="text-xl font-bold text-gray-900">{formatCurrency(todayRate)} <span className="text-sm font-normal text-gray-500">por {getCurrencySymbol(currencyFilter)} 1</span></p>
+          ) : (
+            <p className="text-sm text-amber-600 mt-1">Sin tipo de cambio registrado</p>
+          )}
         </div>
-
-        {/* Labor Section */}
-        <div className="bg-white rounded-xl shadow p-6">
-          <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-semibold text-gray-800">Mano de Obra</h3>
-            <button
-              type="button"
-              onClick={addLaborRow}
-              className="text-blue-600 hover:text-blue-800 font-medium text-sm flex items-center gap-1"
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-              </svg>
-              Agregar Fila
-            </button>
+        <form onSubmit={handleSaveRate} className="flex flex-wrap items-end gap-2">
+          <div>
+            <label className="text-xs text-gray-500">Fecha</label>
+            <input type="date" value={rateForm.rate_date || today} onChange={e => setRateForm({ ...rateForm, rate_date: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
           </div>
-          
-          <div className="space-y-3">
-            {laborRows.map((row, index) => (
-              <div key={index} className="flex gap-3 items-center">
-                <select
-                  value={row.worker_type}
-                  onChange={(e) => updateLaborRow(index, 'worker_type', e.target.value)}
-                  className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
-                >
-                  {workerTypes.map(wt => (
-                    <option key={wt.value} value={wt.value}>
-                      {wt.label} (S/ {wt.rate}/hora)
-                    </option>
-                  ))}
-                </select>
-                <input
-                  type="number"
-                  step="0.5"
-                  min="0"
-                  placeholder="Horas"
-                  value={row.hours}
-                  onChange={(e) => updateLaborRow(index, 'hours', e.target.value)}
-                  className="w-32 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
-                />
-                {laborRows.length > 1 && (
-                  <button
-                    type="button"
-                    onClick={() => removeLaborRow(index)}
-                    className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                  </button>
-                )}
-              </div>
-            ))}
+          <div>
+            <label className="text-xs text-gray-500">S/ por {getCurrencySymbol(currencyFilter)} 1</label>
+            <input required inputMode="decimal" placeholder="3.750" value={rateForm.rate} onChange={e => setRateForm({ ...rateForm, rate: e.target.value })} className="border rounded-lg px-3 py-2 w-32" />
           </div>
-        </div>
+          <button disabled={submitting} type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition">
+            Registrar
+          </button>
+          <button type="button" onClick={handleOpenImport} className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition">
+            Importar
+          </button>
+        </form>
+      </div>
 
-        {/* Materials Section */}
-        <div className="bg-white rounded-xl shadow p-6">
-          <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-semibold text-gray-800">Materiales Utilizados</h3>
-            <button
-              type="button"
-              onClick={addMaterialRow}
-              className="text-blue-600 hover:text-blue-800 font-medium text-sm flex items-center gap-1"
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-              </svg>
-              Agregar Material
-            </button>
-          </div>
-          
-          <div className="space-y-3">
-            {materialRows.map((row, index) => (
-              <div key={index} className="flex gap-3 items-center">
-                <select
-                  value={row.material_id}
-                  onChange={(e) => updateMaterialRow(index, 'material_id', e.target.value)}
-                  className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
-                >
-                  <option value="">-- Seleccionar material --</option>
-                  {materials.map(mat => (
-                    <option key={mat.id} value={mat.id}>
-                      {mat.name} ({mat.unit}) - S/ {mat.unit_cost}
-                    </option>
-                  ))}
-                </select>
-                <input
-                  type="number"
-                  step="0.01"
-                  min="0"
-                  placeholder="Cantidad"
-                  value={row.quantity}
-                  onChange={(e) => updateMaterialRow(index, 'quantity', e.target.value)}
-                  className="w-32 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
-                />
-                {materialRows.length > 1 && (
-                  <button
-                    type="button"
-                    onClick={() => removeMaterialRow(index)}
-                    className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                  </button>
-                )}
-              </div>
-            ))}
-          </div>
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Historial {currencyFilter}</h3>
+          <p className="text-xs text-gray-500">Los días sin registro (fines de semana, feriados) usan el último tipo de cambio anterior.</p>
         </div>
-
-        {/* Photos Section */}
-        <div className="bg-white rounded-xl shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4">Evidencia Fotográfica</h3>
-          
-          <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition">
-            <input
-              type="file"
-              accept="image/*"
-              multiple
-              onChange={handlePhotoUpload}
-              className="hidden"
-              id="photo-upload"
-              disabled={uploadingPhotos}
-            />
-            <label
-              htmlFor="photo-upload"
-              className="cursor-pointer flex flex-col items-center gap-2"
-            >
-              {uploadingPhotos ? (
-                <>
-                  <Spinner size="md" />
-                  <span className="text-gray-600">Subiendo fotos...</span>
-                </>
-              ) : (
-                <>
-                  <svg className="w-12 h-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                  </svg>
-                  <span className="text-gray-600">Haga clic para subir fotos</span>
-                  <span className="text-sm text-gray-400">JPG, PNG hasta 10MB</span>
-                </>
+        <div className="overflow-x-auto max-h-[32rem]">
+          <table className="w-full">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fecha</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tipo de cambio</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Origen</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {visibleRates.map(rate => (
+                <tr key={`${rate.currency}:${rate.rate_date}`} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-gray-900">{new Date(rate.rate_date + 'T00:00:00').toLocaleDateString('es-PE')}</td>
+                  <td className="px-4 py-3 text-right font-mono text-gray-900">{Number(rate.rate).toFixed(3)}</td>
+                  <td className="px-4 py-3 text-gray-600">{rate.source === 'import' ? 'Importado' : 'Manual'}</td>
+                  <td className="px-4 py-3 text-right">
+                    <button onClick={() => handleDeleteRate(rate)} className="text-red-600 hover:text-red-800 text-sm">Eliminar</button>
+                  </td>
+                </tr>
+              ))}
+              {visibleRates.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="px-4 py-8 text-center text-gray-500">No hay tipos de cambio registrados</td>
+                </tr>
               )}
-            </label>
-          </div>
+            </tbody>
+          </table>
+        </div>
+      </div>
 
-          {photos.length > 0 && (
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
-              {photos.map((photo, index) => (
-                <div key={index} className="relative group">
-                  <img
-                    src={photo.url}
-                    alt={photo.name}
-                    className="w-full h-24 object-cover rounded-lg"
-                  />
-                  <button
-                    type="button"
-                    onClick={() => removePhoto(index)}
-                    className="absolute top-1 right-1 bg-red-500 text-white p-1 rounded-full opacity-0 group-hover:opacity-100 transition"
-                  >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                    </svg>
-                  </button>
-                </div>
-              ))}
+      {/* MODAL IMPORTACIÓN */}
+      <Modal isOpen={showImportModal} onClose={() => setShowImportModal(false)} title={`Importar Tipo de Cambio (${currencyFilter})`} size="2xl">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Suba un archivo CSV o pegue las filas copiadas desde Excel. Columnas requeridas:
+            <span className="font-mono"> fecha, tipo_de_cambio</span> (o <span className="font-mono">venta</span>); opcional <span className="font-mono">moneda</span>.
+          </p>
+          <input type="file" accept=".csv,.txt,text/csv" onChange={handleImportFile} className="text-sm" />
+          <textarea
+            value={importText}
+            onChange={e => { setImportText(e.target.value); setImportPreview(null); }}
+            rows={5}
+            className="w-full border rounded-lg px-3 py-2 font-mono text-xs"
+            placeholder={'fecha;venta\n19/10/2026;3.752'}
+          />
+          <button type="button" onClick={handleValidateImport} disabled={!importText.trim()} className="bg-gray-800 text-white px-4 py-2 rounded-lg hover:bg-gray-900 transition disabled:opacity-50">
+            Validar
+          </button>
+
+          {importPreview?.missingColumns.length > 0 && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+              Faltan columnas: {importPreview.missingColumns.join(', ')}
             </div>
           )}
+
+          {importPreview?.rows.length > 0 && (
+            <>
+              <div className={`px-4 py-3 rounded-lg text-sm ${importErrors > 0 ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+                {importPreview.rows.length} filas leídas · {importErrors} con errores
+                {importErrors > 0 && ' — corrija el archivo antes de importar'}
+              </div>
+              <div className="overflow-x-auto max-h-80 border rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Fila</th>
+                      <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Fecha</th>
+                      <th className="px-2 py-2 text-center text-xs font-medium text-gray-500">Moneda</th>
+                      <th className="px-2 py-2 text-right text-xs font-medium text-gray-500">T.C.</th>
+                      <th className="px-2 py-2 text-left text-xs font-medium text-gray-500">Observaciones</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {importPreview.rows.map(row => (
+                      <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                        <td className="px-2 py-1 text-gray-500">{row.line}</td>
+                        <td className="px-2 py-1">{row.data.rate_date || '—'}</td>
+                        <td className="px-2 py-1 text-center">{row.data.currency}</td>
+                        <td className="px-2 py-1 text-right font-mono">{Number.isNaN(row.data.rate) ? '—' : row.data.rate}</td>
+                        <td className="px-2 py-1 text-xs">
+                          {row.errors.map(err => <p key={err} className="text-red-700">{err}</p>)}
+                          {row.warnings.map(w => <p key={w} className="text-amber-700">{w}</p>)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <button
+            type="button"
+            onClick={handleConfirmImport}
+            disabled={!canImport || submitting}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            {submitting ? 'Importando...' : `Importar ${importPreview?.rows.length || 0} fechas`}
+          </button>
         </div>
+      </Modal>
+    </div>
+  );
+};
 
-        {/* Notes */}
-        <div className="bg-white rounded-xl shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4">Observaciones</h3>
-          <textarea
-            value={notes}
-            onChange={(e) => setNotes(e.target.value)}
-            rows={4}
-            className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            placeholder="Ingrese observaciones del día, incidentes, clima, etc."
-          />
+// ============== AUDIT LOG VIEWER COMPONENT ==============
+const AUDIT_ENTITIES = {
+  projects: 'Proyectos',
+  profiles: 'Usuarios',
+  project_assignments: 'Asignaciones',
+  partidas: 'Partidas',
+  daily_reports: 'Reportes diarios'
+};
+
+const AUDIT_ACTIONS = {
+  insert: { label: 'Creación', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Edición', className: 'bg-blue-100 text-blue-800' },
+  soft_delete: { label: 'Desactivación', className: 'bg-amber-100 text-amber-800' },
+  restore: { label: 'Reactivación', className: 'bg-teal-100 text-teal-800' },
+  delete: { label: 'Eliminación', className: 'bg-red-100 text-red-800' }
+};
+
+const AUDIT_PAGE_SIZE = 100;
+
+// Campos técnicos que no aportan al leer la bitácora
+const AUDIT_HIDDEN_FIELDS = ['id', 'created_at', 'updated_at'];
+
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+  if (typeof value === 'object') {
+    const json = JSON.stringify(value);
+    return json.length > 80 ? `${json.slice(0, 80)}…` : json;
+  }
+  return String(value);
+};
+
+// Nombre legible del registro a partir de los datos del propio cambio
+const getAuditRecordLabel = (entry) => {
+  const field = (key) => entry.diff[key]?.after ?? entry.diff[key]?.before;
+  return field('code') && field('name')
+    ? `${field('code')} - ${field('name')}`
+    : field('name') || field('full_name') || field('email') || field('report_date') || entry.record_id.slice(0, 8);
+};
+
+const AuditLogViewer = ({ users, projects }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [hasMore, setHasMore] = useState(false);
+  const [filters, setFilters] = useState({ entity: '', actorId: '', from: '', to: '' });
+
+  const fetchEntries = useCallback(async (offset = 0) => {
+    setLoading(true);
+    try {
+      let query = supabase
+        .from('audit_log')
+        .select('*')
+        .order('changed_at', { ascending: false })
+        .range(offset, offset + AUDIT_PAGE_SIZE - 1);
+      if (filters.entity) query = query.eq('table_name', filters.entity);
+      if (filters.actorId) query = query.eq('actor_id', filters.actorId);
+      if (filters.from) query = query.gte('changed_at', new Date(filters.from + 'T00:00:00').toISOString());
+      if (filters.to) query = query.lt('changed_at', new Date(new Date(filters.to + 'T00:00:00').getTime() + 86400000).toISOString());
+
+      const { data, error } = await query;
+      if (error) throw error;
+      setEntries(prev => (offset === 0 ? data : [...prev, ...data]));
+      setHasMore(data.length === AUDIT_PAGE_SIZE);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      alert('Error al cargar la bitácora: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => { fetchEntries(0); }, [fetchEntries]);
+
+  const userName = (id) => (id ? users.find(u => u.id === id)?.full_name || 'Usuario eliminado' : 'Sistema');
+
+  // Los ids de proyecto en los cambios se muestran con su código
+  const describeValue = (key, value) => {
+    if (key === 'project_id') return projects.find(p => p.id === value)?.code || formatAuditValue(value);
+    if (key === 'user_id' || key === 'reviewed_by') return value ? userName(value) : '—';
+    return formatAuditValue(value);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow p-4 grid grid-cols-1 md:grid-cols-4 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Entidad</label>
+          <select value={filters.entity} onChange={e => setFilters(prev => ({ ...prev, entity: e.target.value }))} className="w-full border rounded-lg px-3 py-2 text-sm">
+            <option value="">Todas</option>
+            {Object.entries(AUDIT_ENTITIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Usuario</label>
+          <select value={filters.actorId} onChange={e => setFilters(prev => ({ ...prev, actorId: e.target.value }))} className="w-full border rounded-lg px-3 py-2 text-sm">
+            <option value="">Todos</option>
+            {users.map(u => <option key={u.id} value={u.id}>{u.full_name}</option>)}
+          </select>
         </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Desde</label>
+          <input type="date" value={filters.from} onChange={e => setFilters(prev => ({ ...prev, from: e.target.value }))} className="w-full border rounded-lg px-3 py-2 text-sm" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Hasta</label>
+          <input type="date" value={filters.to} min={filters.from || undefined} onChange={e => setFilters(prev => ({ ...prev, to: e.target.value }))} className="w-full border rounded-lg px-3 py-2 text-sm" />
+        </div>
+      </div>
 
-        {/* Validation Error */}
-        {validationError && (
-          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
-            {validationError}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fecha</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Usuario</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Registro</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Acción</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cambios</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {entries.map(entry => {
+                const changes = Object.entries(entry.diff).filter(([key]) => !AUDIT_HIDDEN_FIELDS.includes(key));
+                return (
+                  <tr key={entry.id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{new Date(entry.changed_at).toLocaleString('es-PE')}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{userName(entry.actor_id)}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <p className="text-gray-900">{getAuditRecordLabel(entry)}</p>
+                      <p className="text-xs text-gray-500">{AUDIT_ENTITIES[entry.table_name] || entry.table_name}</p>
+                    </td>
+                    <td className="px-4 py-3"><StatusBadge statuses={AUDIT_ACTIONS} status={entry.action} /></td>
+                    <td className="px-4 py-3 text-xs text-gray-600">
+                      {changes.map(([key, { before, after }]) => (
+                        <p key={key}>
+                          <span className="font-medium text-gray-800">{key}</span>:{' '}
+                          {entry.action !== 'insert' && <><span className="line-through text-red-600">{describeValue(key, before)}</span> → </>}
+                          <span className="text-green-700">{describeValue(key, after)}</span>
+                        </p>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        {loading && <div className="flex justify-center py-6"><Spinner size="md" /></div>}
+        {!loading && entries.length === 0 && (
+          <div className="text-center py-8 text-gray-500">No hay cambios registrados con estos filtros</div>
+        )}
+        {!loading && hasMore && (
+          <div className="text-center py-3 border-t">
+            <button onClick={() => fetchEntries(entries.length)} className="text-sm text-blue-600 hover:underline">Cargar más</button>
           </div>
         )}
+      </div>
+    </div>
+  );
+};
 
-        {/* Submit Button */}
-        <button
-          type="submit"
-          disabled={submitting || uploadingPhotos}
-          className="w-full bg-blue-600 text-white py-4 rounded-xl font-semibold text-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center gap-2"
-        >
-          {submitting && <Spinner size="sm" />}
-          {submitting ? 'Guardando Reporte...' : 'Guardar Reporte Diario'}
+// ============== COMPANIES MANAGER COMPONENT ==============
+// Razones sociales con las que se opera. Proyectos, catálogo, proveedores y usuarios pertenecen
+// a una empresa; quien crea una empresa queda como miembro para poder elegirla en la cabecera
+const CompaniesManager = ({ currentUser, onCompaniesChange }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [companies, setCompanies] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCompany, setEditingCompany] = useState(null);
+  const [form, setForm] = useState({ name: '', ruc: '' });
+
+  const fetchData = useCallback(async () => {
+    try {
+      const { data, error } = await supabase.from('companies').select('*, company_members(user_id), projects(id)').order('name');
+      if (error) throw error;
+      setCompanies(data || []);
+    } catch (error) {
+      console.error('Error fetching companies:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  const openModal = (company = null) => {
+    setEditingCompany(company);
+    setForm({ name: company?.name || '', ruc: company?.ruc || '' });
+    setShowModal(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const ruc = form.ruc.trim();
+    if (ruc && !isValidRuc(ruc)) {
+      alert('RUC no válido: debe tener 11 dígitos, empezar en 10, 15, 17 o 20 y su dígito verificador debe ser correcto');
+      return;
+    }
+    const payload = { name: form.name.trim(), ruc: ruc || null };
+
+    setSubmitting(true);
+    try {
+      if (editingCompany) {
+        const { error } = await supabase.from('companies').update(payload).eq('id', editingCompany.id);
+        if (error) throw error;
+      } else {
+        const { data, error } = await supabase.from('companies').insert([payload]).select('id').single();
+        if (error) throw error;
+        const { error: memberError } = await supabase.from('company_members').insert({ company_id: data.id, user_id: currentUser.id });
+        if (memberError) throw memberError;
+      }
+      setShowModal(false);
+      fetchData();
+      onCompaniesChange?.();
+    } catch (error) {
+      alert(error.code === '23505' ? 'Ya existe una empresa con ese RUC' : 'Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-500">Cada empresa tiene sus propios proyectos, catálogo y proveedores. Los miembros se asignan al editar cada usuario.</p>
+        <button onClick={() => openModal()} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+          <span>+</span> Nueva Empresa
         </button>
-      </form>
+      </div>
+
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Empresa</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">RUC</th>
+              <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Proyectos</th>
+              <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Usuarios</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {companies.map(company => (
+              <tr key={company.id}>
+                <td className="px-4 py-4 font-medium text-gray-900">{company.name}</td>
+                <td className="px-4 py-4 text-sm text-gray-500 font-mono">{company.ruc || '—'}</td>
+                <td className="px-4 py-4 text-center text-sm">{company.projects.length}</td>
+                <td className="px-4 py-4 text-center text-sm">{company.company_members.length}</td>
+                <td className="px-4 py-4 text-right">
+                  <button onClick={() => openModal(company)} className="text-blue-600 hover:text-blue-800 text-sm">Editar</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => setShowModal(false)} title={editingCompany ? 'Editar Empresa' : 'Nueva Empresa'}>
+        <form onSubmit={handleSave} className="space-y-4">
+          <input required placeholder="Razón social" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} className="w-full border rounded-lg px-3 py-2" />
+          <input placeholder="RUC (opcional)" value={form.ruc} onChange={e => setForm({ ...form, ruc: e.target.value })} className="w-full border rounded-lg px-3 py-2 font-mono" />
+          <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+            {submitting ? 'Guardando...' : 'Guardar'}
+          </button>
+        </form>
+      </Modal>
     </div>
   );
 };
 
-// ============== ENGINEER MODULE ==============
-const EngineerModule = ({ project }) => {
+// ============== ROLES MANAGER COMPONENT ==============
+// Matriz de permisos por rol. Los permisos vienen de la tabla permissions; los roles propios se
+// crean aquí y un usuario puede tener varios (su acceso es la unión de todos)
+const roleKeyFromName = (name) => name
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const RolesManager = ({ onRolesChange }) => {
   const [loading, setLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState('progress');
-  const [partidas, setPartidas] = useState([]);
-  const [dailyReports, setDailyReports] = useState([]);
-  const [selectedReport, setSelectedReport] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [savingCell, setSavingCell] = useState(null);
+  const [showRoleModal, setShowRoleModal] = useState(false);
+  const [roleForm, setRoleForm] = useState({ name: '', description: '' });
 
-  useEffect(() => {
-    const fetchData = async () => {
-      if (!project?.id) return;
-      setLoading(true);
+  const fetchData = useCallback(async () => {
+    try {
+      const [permissionsRes, rolesRes] = await Promise.all([
+        supabase.from('permissions').select('*').order('sort_order'),
+        supabase.from('roles').select('*, role_permissions(permission_key), user_roles(user_id)').order('is_system', { ascending: false }).order('name')
+      ]);
+      if (permissionsRes.error) throw permissionsRes.error;
+      if (rolesRes.error) throw rolesRes.error;
+      setPermissions(permissionsRes.data);
+      setRoles(rolesRes.data);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
-      try {
-        const [partidasRes, reportsRes] = await Promise.all([
-          supabase
-            .from('partidas')
-            .select('*')
-            .eq('project_id', project.id)
-            .order('code'),
-          supabase
-            .from('daily_reports')
-            .select('*, profiles(full_name), partidas(code, name)')
-            .eq('project_id', project.id)
-            .order('report_date', { ascending: false })
-        ]);
+  useEffect(() => { fetchData(); }, [fetchData]);
 
-        if (partidasRes.data) setPartidas(partidasRes.data);
-        if (reportsRes.data) setDailyReports(reportsRes.data);
-      } catch (error) {
-        console.error('Error fetching engineer data:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Quitarle la administración de usuarios al rol admin dejaría a todos fuera
+  const isLocked = (role, permissionKey) => role.key === 'admin' && permissionKey === 'users.manage';
 
-    fetchData();
-  }, [project?.id]);
+  const togglePermission = async (role, permissionKey) => {
+    const granted = role.role_permissions.some(rp => rp.permission_key === permissionKey);
+    setSavingCell(`${role.id}:${permissionKey}`);
+    try {
+      const { error } = granted
+        ? await supabase.from('role_permissions').delete().eq('role_id', role.id).eq('permission_key', permissionKey)
+        : await supabase.from('role_permissions').insert({ role_id: role.id, permission_key: permissionKey });
+      if (error) throw error;
+      await fetchData();
+    } catch (error) {
+      alert('Error al actualizar el permiso: ' + error.message);
+    } finally {
+      setSavingCell(null);
+    }
+  };
 
-  const handleExportCSV = () => {
-    const exportData = partidas.map(p => ({
-      Codigo: p.code,
-      Partida: p.name,
-      Unidad: p.unit,
-      Presupuestado: p.total_budgeted || 0,
-      'Avance Actual': p.current_progress || 0,
-      'Porcentaje (%)': ((p.current_progress || 0) / (p.total_budgeted || 1) * 100).toFixed(2),
-      'Precio Unitario': p.unit_price || 0,
-      'Costo Presupuestado': (p.total_budgeted || 0) * (p.unit_price || 0),
-      'Costo Ejecutado': (p.current_progress || 0) * (p.unit_price || 0)
-    }));
+  const handleCreateRole = async (e) => {
+    e.preventDefault();
+    const key = roleKeyFromName(roleForm.name);
+    if (!key) {
+      alert('Ingrese un nombre válido');
+      return;
+    }
+    const { error } = await supabase.from('roles').insert({
+      key,
+      name: roleForm.name.trim(),
+      description: roleForm.description.trim() || null
+    });
+    if (error) {
+      alert(error.code === '23505' ? 'Ya existe un rol con ese nombre' : 'Error al crear el rol: ' + error.message);
+      return;
+    }
+    setShowRoleModal(false);
+    setRoleForm({ name: '', description: '' });
+    fetchData();
+    onRolesChange?.();
+  };
 
-    exportToCSV(exportData, `avance_${project.name.replace(/\s+/g, '_')}`);
+  const handleDeleteRole = async (role) => {
+    const message = role.user_roles.length > 0
+      ? `El rol "${role.name}" está asignado a ${role.user_roles.length} usuario(s), que perderán sus permisos. ¿Eliminarlo?`
+      : `¿Eliminar el rol "${role.name}"?`;
+    if (!confirm(message)) return;
+    const { error } = await supabase.from('roles').delete().eq('id', role.id);
+    if (error) alert('Error al eliminar el rol: ' + error.message);
+    fetchData();
+    onRolesChange?.();
   };
 
-  const tabs = [
-    { id: 'progress', label: 'Avance de Partidas' },
-    { id: 'reports', label: 'Reportes Diarios' },
-    { id: 'evidence', label: 'Evidencia Fotográfica' }
-  ];
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <Spinner size="lg" />
-      </div>
-    );
-  }
+  const groups = [...new Set(permissions.map(p => p.group_name))];
 
   return (
-    <div className="space-y-6">
-      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
-        <h2 className="text-2xl font-bold text-gray-800">Panel de Ingeniero</h2>
-        <button
-          onClick={handleExportCSV}
-          className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition flex items-center gap-2"
-        >
-          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-          </svg>
-          Exportar Excel
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-500">Marque qué puede hacer cada rol. Los cambios rigen desde el próximo ingreso de cada usuario.</p>
+        <button onClick={() => setShowRoleModal(true)} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+          <span>+</span> Nuevo Rol
         </button>
       </div>
 
-      {/* Tabs */}
-      <div className="border-b border-gray-200">
-        <nav className="flex gap-4 overflow-x-auto">
-          {tabs.map(tab => (
-            <button
-              key={tab.id}
-              onClick={() => setActiveTab(tab.id)}
-              className={`py-3 px-1 border-b-2 font-medium text-sm whitespace-nowrap transition ${
-                activeTab === tab.id
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              }`}
-            >
-              {tab.label}
-            </button>
-          ))}
-        </nav>
+      <div className="bg-white rounded-xl shadow overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Permiso</th>
+              {roles.map(role => (
+                <th key={role.id} className="px-3 py-3 text-center text-xs font-medium text-gray-700 align-bottom">
+                  <p>{role.name}</p>
+                  <p className="font-normal text-gray-400">{role.user_roles.length} usuario(s)</p>
+                  {!role.is_system && (
+                    <button onClick={() => handleDeleteRole(role)} className="text-red-600 hover:text-red-800 font-normal">Eliminar</button>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {groups.map(group => (
+              <Fragment key={group}>
+                <tr className="bg-gray-50">
+                  <td colSpan={roles.length + 1} className="px-4 py-2 text-xs font-semibold text-gray-500 uppercase">{group}</td>
+                </tr>
+                {permissions.filter(p => p.group_name === group).map(permission => (
+                  <tr key={permission.key} className="hover:bg-gray-50">
+                    <td className="px-4 py-2 text-gray-800">{permission.label}</td>
+                    {roles.map(role => (
+                      <td key={role.id} className="px-3 py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={role.role_permissions.some(rp => rp.permission_key === permission.key)}
+                          disabled={isLocked(role, permission.key) || savingCell === `${role.id}:${permission.key}`}
+                          onChange={() => togglePermission(role, permission.key)}
+                          title={isLocked(role, permission.key) ? 'El rol Administrador siempre gestiona usuarios' : undefined}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
       </div>
 
-      {/* Progress Tab */}
-      {activeTab === 'progress' && (
-        <div className="bg-white rounded-xl shadow overflow-hidden">
-          <div className="overflow-x-auto">
-            <table className="w-full">
-              <thead className="bg-gray-50">
-                <tr>
+      <Modal isOpen={showRoleModal} onClose={() => setShowRoleModal(false)} title="Nuevo Rol">
+        <form onSubmit={handleCreateRole} className="space-y-4">
+          <input required placeholder="Nombre (ej. Supervisor de Seguridad)" value={roleForm.name} onChange={e => setRoleForm({ ...roleForm, name: e.target.value })} className="w-full border rounded-lg px-3 py-2" />
+          <textarea placeholder="Descripción (opcional)" value={roleForm.description} onChange={e => setRoleForm({ ...roleForm, description: e.target.value })} className="w-full border rounded-lg px-3 py-2" rows="2" />
+          <p className="text-xs text-gray-500">El rol se crea sin permisos; márquelos luego en la matriz.</p>
+          <button type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">Crear Rol</button>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+// ============== ADMIN MODULE (ACTUALIZADO: Editable + Fix) ==============
+const AdminModule = ({ currentUser, company, allowedTabs, tab, managedProjectId, onCompaniesChange }) => {
+  const activeTab = tab || allowedTabs[0];
+  // Presupuestos, tarifas y facturación comparten el proyecto elegido (/admin/:tab/:projectId)
+  const isProjectTab = (tabId) => ['budgets', 'rates', 'billing'].includes(tabId);
+  const setActiveTab = (nextTab) => navigate(buildPath('admin', nextTab, isProjectTab(nextTab) ? managedProjectId : ''));
+  const setManagedProjectId = (projectId) => navigate(buildPath('admin', activeTab, projectId));
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const managedProject = projects.find(p => p.id === managedProjectId);
+
+  // --- ESTADOS PARA PROYECTOS (NUEVO) ---
+  const [showProjectModal, setShowProjectModal] = useState(false);
+  const [editingProject, setEditingProject] = useState(null); // Para saber si editamos
+  
+  // Formulario Proyecto Unificado
+  const [projectForm, setProjectForm] = useState({
+    name: '', code: '', client: '', location: '', 
+    start_date: '', end_date: '', total_budget: '', currency: BASE_CURRENCY, description: ''
+  });
+
+  // --- ESTADOS PARA USUARIOS (MANTENIDOS) ---
+  const [showCreateUserModal, setShowCreateUserModal] = useState(false);
+  const [showEditUserModal, setShowEditUserModal] = useState(false);
+  const [invitations, setInvitations] = useState([]);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [userFormData, setUserFormData] = useState({
+    email: '', full_name: '', role_ids: [], company_ids: [], assignments: []
+  });
+  const [roles, setRoles] = useState([]);
+  const [companies, setCompanies] = useState([]);
+
+  // Usuarios, proyectos e invitaciones de la empresa activa
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [u, p, inv, r, c] = await Promise.all([
+        supabase.from('profiles')
+          .select('*, company_members!inner(company_id), project_assignments(project_id, role_id, start_date, end_date), user_roles(role_id)')
+          .eq('company_members.company_id', company.id)
+          .order('created_at', { ascending: false }),
+        supabase.from('projects').select('*').eq('company_id', company.id).order('created_at', { ascending: false }),
+        supabase.from('user_invitations').select('*').eq('company_id', company.id).is('accepted_at', null).is('revoked_at', null).order('created_at', { ascending: false }),
+        supabase.from('roles').select('id, key, name').order('is_system', { ascending: false }).order('name'),
+        supabase.from('companies').select('id, name').order('name')
+      ]);
+      if (u.data) setUsers(u.data);
+      if (p.data) setProjects(p.data);
+      if (inv.data) setInvitations(inv.data);
+      if (r.data) setRoles(r.data);
+      if (c.data) setCompanies(c.data);
+    } catch (e) { console.error(e); } 
+    finally { setLoading(false); }
+  }, [company.id]);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  // Sin spinner: la pestaña de roles sigue montada mientras se crean o eliminan roles
+  const fetchRoles = useCallback(async () => {
+    const { data } = await supabase.from('roles').select('id, key, name').order('is_system', { ascending: false }).order('name');
+    if (data) setRoles(data);
+  }, []);
+
+  // --- LÓGICA DE PROYECTOS (MEJORADA) ---
+
+  // Abrir modal para crear
+  const handleOpenCreateProject = () => {
+    setEditingProject(null);
+    setProjectForm({ name: '', code: '', client: '', location: '', start_date: '', end_date: '', total_budget: '', currency: BASE_CURRENCY, description: '' });
+    setShowProjectModal(true);
+  };
+
+  // Abrir modal para editar
+  const handleOpenEditProject = (project) => {
+    setEditingProject(project);
+    setProjectForm({
+      name: project.name,
+      code: project.code,
+      client: project.client,
+      location: project.location,
+      start_date: project.start_date,
+      end_date: project.end_date,
+      total_budget: project.total_budget,
+      currency: project.currency || BASE_CURRENCY,
+      description: project.description || ''
+    });
+    setShowProjectModal(true);
+  };
+
+  const handleSaveProject = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      if (editingProject) {
+        // ACTUALIZAR
+        const { error } = await supabase.from('projects')
+          .update(projectForm)
+          .eq('id', editingProject.id);
+        if (error) throw error;
+        alert('Proyecto actualizado exitosamente');
+      } else {
+        // CREAR
+        const { error } = await supabase.from('projects')
+          .insert([{ ...projectForm, company_id: company.id, is_active: true }]);
+        if (error) throw error;
+        alert('Proyecto creado exitosamente');
+      }
+      setShowProjectModal(false);
+      fetchData();
+    } catch (error) {
+      alert('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleProjectStatus = async (project) => {
+    if (!confirm(`¿${project.is_active ? 'Desactivar' : 'Activar'} proyecto?`)) return;
+    await supabase.from('projects').update({ is_active: !project.is_active }).eq('id', project.id);
+    fetchData();
+  };
+
+  // --- LÓGICA DE USUARIOS (MANTENIDA) ---
+
+  // El usuario recibe un enlace por correo; su perfil se crea al entrar (accept_invitation)
+  const handleInviteUser = async (e) => {
+    e.preventDefault();
+    const email = userFormData.email.trim().toLowerCase();
+    if (users.some(u => u.email?.toLowerCase() === email)) {
+      alert('Ya existe un usuario con ese correo');
+      return;
+    }
+    const validationError = validateUserAccess();
+    if (validationError) {
+      alert(validationError);
+      return;
+    }
+    setSubmitting(true);
+
+    try {
+      // Si ya tiene cuenta (en otra empresa) no hace falta invitarlo: se le suma a esta
+      const { data: existingUser } = await supabase.from('profiles').select('id, full_name').eq('email', email).maybeSingle();
+      if (existingUser) {
+        if (!confirm(`${existingUser.full_name} ya tiene cuenta en otra empresa. ¿Agregarlo a ${company.name}?`)) return;
+        const { error: memberError } = await supabase.from('company_members').insert({ company_id: company.id, user_id: existingUser.id });
+        if (memberError) throw memberError;
+        if (userFormData.assignments.length > 0) {
+          const { error: assignError } = await supabase.from('project_assignments')
+            .insert(assignmentRows().map(a => ({ ...a, user_id: existingUser.id })));
+          if (assignError) throw assignError;
+        }
+        setShowCreateUserModal(false);
+        fetchData();
+        alert(`${existingUser.full_name} fue agregado a ${company.name}. Sus roles generales no cambian.`);
+        return;
+      }
+
+      const { error } = await supabase.from('user_invitations').insert({
+        company_id: company.id,
+        email,
+        full_name: userFormData.full_name,
+        role_keys: roles.filter(r => userFormData.role_ids.includes(r.id)).map(r => r.key),
+        project_ids: userFormData.assignments.map(a => a.project_id),
+        assignments: assignmentRows()
+      });
+      if (error) {
+        if (error.code === '23505') throw new Error('Ya hay una invitación pendiente para ese correo');
+        throw error;
+      }
+
+      await sendInvitationEmail(email);
+
+      setShowCreateUserModal(false);
+      setUserFormData({ email: '', full_name: '', role_ids: [], company_ids: [], assignments: [] });
+      fetchData();
+      alert(`Invitación enviada a ${email}. Al abrir el enlace del correo deberá crear su contraseña.`);
+    } catch (error) {
+      alert('Error al invitar usuario: ' + error.message);
+      fetchData();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Reenviar también renueva el plazo de la invitación
+  const handleResendInvitation = async (invitation) => {
+    try {
+      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+      const { error } = await supabase.from('user_invitations').update({ expires_at: expiresAt }).eq('id', invitation.id);
+      if (error) throw error;
+      await sendInvitationEmail(invitation.email);
+      fetchData();
+      alert(`Invitación reenviada a ${invitation.email}`);
+    } catch (error) {
+      alert('Error al reenviar la invitación: ' + error.message);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    if (!confirm(`¿Anular la invitación de ${invitation.email}?`)) return;
+    const { error } = await supabase.from('user_invitations').update({ revoked_at: new Date().toISOString() }).eq('id', invitation.id);
+    if (error) alert('Error al anular la invitación: ' + error.message);
+    fetchData();
+  };
+
+  const handleEditUser = async (e) => {
+    e.preventDefault();
+    if (!selectedUser) return;
+    const validationError = validateUserAccess();
+    if (validationError) {
+      alert(validationError);
+      return;
+    }
+    setSubmitting(true);
+    try {
+      // Nombre, roles, empresas y obras se guardan juntos: si algo falla no queda nada a medias.
+      // Solo se reemplazan las asignaciones y membresías que este panel muestra.
+      const { error } = await supabase.rpc('save_user_access', {
+        p_user_id: selectedUser.id,
+        p_company_id: company.id,
+        p_full_name: userFormData.full_name,
+        p_role_ids: userFormData.role_ids,
+        p_assignments: assignmentRows(),
+        p_company_ids: companies.length > 1 ? userFormData.company_ids : null
+      });
+      if (error) throw error;
+
+      setShowEditUserModal(false);
+      setSelectedUser(null);
+      fetchData();
+      alert('Usuario actualizado');
+    } catch (error) {
+      alert('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSoftDeleteUser = async (userId) => {
+    if (!confirm('¿Desactivar usuario?')) return;
+    await supabase.from('profiles').update({ is_active: false }).eq('id', userId);
+    fetchData();
+  };
+
+  const openEditUserModal = async (user) => {
+    const { data: memberships } = await supabase.from('company_members').select('company_id').eq('user_id', user.id);
+    setSelectedUser(user);
+    setUserFormData({
+      email: user.email,
+      full_name: user.full_name,
+      role_ids: user.user_roles?.map(ur => ur.role_id) || [],
+      company_ids: memberships?.map(m => m.company_id) || [company.id],
+      assignments: user.project_assignments?.filter(pa => projects.some(p => p.id === pa.project_id)).map(pa => ({
+        project_id: pa.project_id,
+        role_id: pa.role_id || '',
+        start_date: pa.start_date || '',
+        end_date: pa.end_date || ''
+      })) || []
+    });
+    setShowEditUserModal(true);
+  };
+
+  // Cada asignación lleva el rol en esa obra ('' = solo sus roles generales) y su vigencia
+  const handleProjectAssignmentToggle = (projectId) => {
+    setUserFormData(prev => ({
+      ...prev,
+      assignments: prev.assignments.some(a => a.project_id === projectId)
+        ? prev.assignments.filter(a => a.project_id !== projectId)
+        : [...prev.assignments, { project_id: projectId, role_id: '', start_date: '', end_date: '' }]
+    }));
+  };
+
+  const handleCompanyToggle = (companyId) => {
+    setUserFormData(prev => ({
+      ...prev,
+      company_ids: prev.company_ids.includes(companyId)
+        ? prev.company_ids.filter(id => id !== companyId)
+        : [...prev.company_ids, companyId]
+    }));
+  };
+
+  const handleAssignmentChange = (projectId, field, value) => {
+    setUserFormData(prev => ({
+      ...prev,
+      assignments: prev.assignments.map(a => a.project_id === projectId ? { ...a, [field]: value } : a)
+    }));
+  };
+
+  const assignmentRows = () => userFormData.assignments.map(a => ({
+    project_id: a.project_id,
+    role_id: a.role_id || null,
+    start_date: a.start_date || null,
+    end_date: a.end_date || null
+  }));
+
+  const validateUserAccess = () => {
+    if (userFormData.role_ids.length === 0 && !userFormData.assignments.some(a => a.role_id)) {
+      return 'Asigne al menos un rol general o un rol en alguna obra';
+    }
+    if (showEditUserModal && companies.length > 1 && userFormData.company_ids.length === 0) {
+      return 'El usuario debe pertenecer al menos a una empresa';
+    }
+    if (userFormData.assignments.some(a => a.start_date && a.end_date && a.end_date < a.start_date)) {
+      return 'La fecha de fin de una asignación no puede ser anterior a la de inicio';
+    }
+    return null;
+  };
+
+  const handleRoleToggle = (roleId) => {
+    setUserFormData(prev => ({
+      ...prev,
+      role_ids: prev.role_ids.includes(roleId)
+        ? prev.role_ids.filter(id => id !== roleId)
+        : [...prev.role_ids, roleId]
+    }));
+  };
+
+
+  const roleCheckboxes = (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Roles generales</label>
+      <div className="grid grid-cols-2 gap-1 border rounded p-2">
+        {roles.map(r => (
+          <label key={r.id} className="flex items-center gap-2 p-1 hover:bg-gray-50 cursor-pointer">
+            <input type="checkbox" checked={userFormData.role_ids.includes(r.id)} onChange={() => handleRoleToggle(r.id)} />
+            <span className="text-sm">{r.name}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  const assignmentEditor = (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Obras asignadas</label>
+      <div className="max-h-64 overflow-y-auto border rounded p-2 space-y-1">
+        {projects.map(p => {
+          const assignment = userFormData.assignments.find(a => a.project_id === p.id);
+          return (
+            <div key={p.id} className="p-1 hover:bg-gray-50">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={!!assignment} onChange={() => handleProjectAssignmentToggle(p.id)} />
+                <span className="text-sm">{p.name}</span>
+              </label>
+              {assignment && (
+                <div className="grid grid-cols-3 gap-2 mt-1 ml-6">
+                  <select value={assignment.role_id} onChange={e => handleAssignmentChange(p.id, 'role_id', e.target.value)} className="border rounded px-2 py-1 text-sm">
+                    <option value="">Sin rol en la obra</option>
+                    {roles.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                  </select>
+                  <input type="date" title="Desde" value={assignment.start_date} onChange={e => handleAssignmentChange(p.id, 'start_date', e.target.value)} className="border rounded px-2 py-1 text-sm" />
+                  <input type="date" title="Hasta" value={assignment.end_date} onChange={e => handleAssignmentChange(p.id, 'end_date', e.target.value)} className="border rounded px-2 py-1 text-sm" />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">En cada obra el usuario tiene sus roles generales más el rol de la obra, entre las fechas indicadas (vacías = sin límite).</p>
+    </div>
+  );
+
+  const adminTabs = [
+    { id: 'projects', label: '📁 Proyectos' },
+    { id: 'users', label: '👥 Usuarios' },
+    { id: 'roles', label: '🛡️ Roles' },
+    { id: 'companies', label: '🏢 Empresas' },
+    { id: 'budgets', label: '📋 Presupuestos' },
+    { id: 'rates', label: '👷 Tarifas MO' },
+    { id: 'billing', label: '💵 Facturación' },
+    { id: 'exchange', label: '💱 Tipo de Cambio' },
+    { id: 'audit', label: '🕵️ Auditoría' }
+  ].filter(t => allowedTabs.includes(t.id));
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-center gap-4 border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">Panel de Administración</h2>
+          <p className="text-sm text-gray-500">{company.name}</p>
+        </div>
+        <div className="flex gap-2 bg-gray-100 p-1 rounded-lg">
+          {adminTabs.map(t => (
+            <button key={t.id} onClick={() => setActiveTab(t.id)} className={`px-4 py-2 rounded-md text-sm font-medium transition ${activeTab===t.id?'bg-white shadow text-blue-600':'text-gray-500 hover:text-gray-700'}`}>{t.label}</button>
+          ))}
+        </div>
+      </div>
+
+      {/* ================= VISTA DE PROYECTOS ================= */}
+      {activeTab === 'projects' && (
+        <div className="space-y-4">
+          <div className="flex justify-end">
+            <button onClick={handleOpenCreateProject} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+              <span>+</span> Nuevo Proyecto
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {projects.map(p => (
+              <div key={p.id} className={`bg-white p-5 rounded-xl border ${p.is_active ? 'border-blue-100 shadow-sm' : 'border-gray-200 bg-gray-50 opacity-70'}`}>
+                <div className="flex justify-between items-start mb-2">
+                  <div>
+                    <h3 className="font-bold text-gray-800 text-lg">{p.name}</h3>
+                    <p className="text-xs font-mono text-gray-500">{p.code}</p>
+                  </div>
+                  <button onClick={() => handleOpenEditProject(p)} className="text-blue-600 hover:bg-blue-50 p-2 rounded-full transition" title="Editar">
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" /></svg>
+                  </button>
+                </div>
+                
+                <div className="text-sm space-y-2 text-gray-600 mb-4 mt-2">
+                  <p className="flex items-center gap-2"><span>🏢</span> {p.client}</p>
+                  <p className="flex items-center gap-2"><span>📍</span> {p.location}</p>
+                  <p className="flex items-center gap-2"><span>💰</span> {formatCurrency(p.total_budget, p.currency)}</p>
+                  <div className="flex gap-4 text-xs text-gray-400 mt-2">
+                     <span>Inicio: {p.start_date}</span>
+                     <span>Fin: {p.end_date}</span>
+                  </div>
+                </div>
+
+                <div className="pt-4 border-t border-gray-100 flex justify-end">
+                  <button 
+                    onClick={() => toggleProjectStatus(p)} 
+                    className={`text-sm font-medium ${p.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}>
+                    {p.is_active ? 'Desactivar Proyecto' : 'Reactivar Proyecto'}
+                  </button>
+                </div>
+              </div>
+            ))}
+            {projects.length === 0 && (
+              <div className="col-span-full text-center py-10 text-gray-500 bg-white rounded-xl border border-dashed border-gray-300">
+                No hay proyectos registrados. Crea el primero.
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* ================= VISTA DE USUARIOS ================= */}
+      {activeTab === 'users' && (
+        <div className="space-y-4">
+          <div className="flex justify-end">
+            <button
+              onClick={() => { setUserFormData({ email: '', full_name: '', role_ids: [], company_ids: [], assignments: [] }); setShowCreateUserModal(true); }}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2"
+            >
+              <span>+</span> Invitar Usuario
+            </button>
+          </div>
+
+          {invitations.length > 0 && (
+            <div className="bg-white rounded-xl shadow overflow-hidden">
+              <h3 className="px-4 py-3 font-semibold text-gray-800 border-b">Invitaciones pendientes</h3>
+              <div className="divide-y divide-gray-200">
+                {invitations.map(invitation => {
+                  const expired = new Date(invitation.expires_at) < new Date();
+                  return (
+                    <div key={invitation.id} className="px-4 py-3 flex flex-col md:flex-row md:items-center justify-between gap-2">
+                      <div>
+                        <p className="font-medium text-gray-900">{invitation.full_name} <span className="text-sm text-gray-500">· {(invitation.role_keys?.length ? roles.filter(r => invitation.role_keys.includes(r.key)).map(r => r.name) : [invitation.role]).join(', ')}</span></p>
+                        <p className="text-sm text-gray-500">{invitation.email}</p>
+                        <p className={`text-xs ${expired ? 'text-red-600' : 'text-gray-400'}`}>
+                          {expired ? 'Vencida el ' : 'Vence el '}{new Date(invitation.expires_at).toLocaleDateString('es-PE')}
+                        </p>
+                      </div>
+                      <div className="space-x-2">
+                        <button onClick={() => handleResendInvitation(invitation)} className="text-blue-600 hover:text-blue-800 text-sm">Reenviar</button>
+                        <button onClick={() => handleRevokeInvitation(invitation)} className="text-red-600 hover:text-red-800 text-sm">Anular</button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white rounded-xl shadow overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Usuario</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rol</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Estado</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {users.map(user => (
+                    <tr key={user.id} className={!user.is_active ? 'bg-gray-50 opacity-60' : ''}>
+                      <td className="px-4 py-4">
+                        <p className="font-medium text-gray-900">{user.full_name}</p>
+                        <p className="text-sm text-gray-500">{user.email}</p>
+                      </td>
+                      <td className="px-4 py-4">
+                        <div className="flex flex-wrap gap-1">
+                          {roles.filter(r => user.user_roles?.some(ur => ur.role_id === r.id)).map(r => (
+                            <span key={r.id} className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                              r.key === 'admin' ? 'bg-purple-100 text-purple-800' :
+                              r.key === 'ceo' ? 'bg-blue-100 text-blue-800' :
+                              'bg-gray-100 text-gray-800'
+                            }`}>
+                              {r.name}
+                            </span>
+                          ))}
+                          {!user.user_roles?.length && <span className="text-xs text-gray-400">Sin rol general</span>}
+                        </div>
+                        {user.project_assignments?.filter(pa => pa.role_id).map(pa => (
+                          <p key={pa.project_id} className="text-xs text-gray-500 mt-1">
+                            {projects.find(p => p.id === pa.project_id)?.name}: {roles.find(r => r.id === pa.role_id)?.name}
+                            {pa.end_date && ` (hasta ${new Date(pa.end_date + 'T00:00:00').toLocaleDateString('es-PE')})`}
+                          </p>
+                        ))}
+                      </td>
+                      <td className="px-4 py-4">
+                        <span className={`text-xs font-bold ${user.is_active ? 'text-green-600' : 'text-red-600'}`}>
+                          {user.is_active ? 'ACTIVO' : 'INACTIVO'}
+                        </span>
+                      </td>
+                      <td className="px-4 py-4 text-right space-x-2">
+                        <button onClick={() => openEditUserModal(user)} className="text-blue-600 hover:text-blue-800 text-sm">Editar</button>
+                        {user.is_active && user.id !== currentUser?.id && (
+                          <button onClick={() => handleSoftDeleteUser(user.id)} className="text-red-600 hover:text-red-800 text-sm">Desactivar</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ================= VISTA DE AUDITORÍA ================= */}
+      {activeTab === 'roles' && <RolesManager onRolesChange={fetchRoles} />}
+
+      {activeTab === 'companies' && <CompaniesManager currentUser={currentUser} onCompaniesChange={onCompaniesChange} />}
+
+      {activeTab === 'exchange' && <ExchangeRatesManager />}
+
+      {activeTab === 'audit' && <AuditLogViewer users={users} projects={projects} />}
+
+      {/* ================= VISTAS POR PROYECTO: PRESUPUESTOS, TARIFAS Y FACTURACIÓN ================= */}
+      {isProjectTab(activeTab) && (
+        <div className="space-y-4">
+          <select value={managedProjectId} onChange={e => setManagedProjectId(e.target.value)} className="w-full md:w-96 border rounded-lg px-3 py-2">
+            <option value="">-- Seleccione un proyecto --</option>
+            {projects.map(p => <option key={p.id} value={p.id}>{p.code} - {p.name}</option>)}
+          </select>
+          {managedProject ? (
+            <>
+              {activeTab === 'budgets' && <PartidasManager project={managedProject} />}
+              {activeTab === 'rates' && <LaborRatesManager project={managedProject} />}
+              {activeTab === 'billing' && <BillingManager project={managedProject} currentUser={currentUser} />}
+            </>
+          ) : (
+            <div className="text-center py-10 text-gray-500 bg-white rounded-xl border border-dashed border-gray-300">
+              Seleccione un proyecto para gestionar sus {{ budgets: 'partidas', rates: 'tarifas de mano de obra', billing: 'facturas y cobranzas' }[activeTab]}.
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* MODAL PROYECTO (SIRVE PARA CREAR Y EDITAR) */}
+      <Modal isOpen={showProjectModal} onClose={() => setShowProjectModal(false)} title={editingProject ? "Editar Proyecto" : "Nuevo Proyecto"}>
+        <form onSubmit={handleSaveProject} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <input required placeholder="Código (ej. PRJ-001)" value={projectForm.code} onChange={e=>setProjectForm({...projectForm, code: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+            <input required type="number" placeholder="Presupuesto Total" value={projectForm.total_budget} onChange={e=>setProjectForm({...projectForm, total_budget: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+          </div>
+          <div>
+            <label className="text-xs text-gray-500">Moneda del contrato (presupuesto, valorizaciones y facturas)</label>
+            <select value={projectForm.currency} onChange={e=>setProjectForm({...projectForm, currency: e.target.value})} className="border rounded-lg px-3 py-2 w-full">
+              {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.label}</option>)}
+            </select>
+          </div>
+          <input required placeholder="Nombre del Proyecto" value={projectForm.name} onChange={e=>setProjectForm({...projectForm, name: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+          <input required placeholder="Cliente" value={projectForm.client} onChange={e=>setProjectForm({...projectForm, client: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+          <input required placeholder="Ubicación" value={projectForm.location} onChange={e=>setProjectForm({...projectForm, location: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="text-xs text-gray-500">Fecha Inicio</label>
+              <input type="date" required value={projectForm.start_date} onChange={e=>setProjectForm({...projectForm, start_date: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">Fecha Fin</label>
+              <input type="date" required value={projectForm.end_date} onChange={e=>setProjectForm({...projectForm, end_date: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+          </div>
+          <textarea placeholder="Descripción del proyecto..." value={projectForm.description} onChange={e => setProjectForm({...projectForm, description: e.target.value})} className="w-full border rounded-lg px-3 py-2" rows="2"></textarea>
+          
+          <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+            {submitting ? 'Guardando...' : (editingProject ? 'Guardar Cambios' : 'Crear Proyecto')}
+          </button>
+        </form>
+      </Modal>
+
+      {/* Modales de Usuario (Invitar, Editar) */}
+      <Modal isOpen={showCreateUserModal} onClose={() => setShowCreateUserModal(false)} title="Invitar Usuario">
+        <form onSubmit={handleInviteUser} className="space-y-4">
+          <input type="email" required placeholder="Email" value={userFormData.email} onChange={e => setUserFormData({...userFormData, email: e.target.value})} className="w-full border rounded-lg px-3 py-2" />
+          <input type="text" required placeholder="Nombre Completo" value={userFormData.full_name} onChange={e => setUserFormData({...userFormData, full_name: e.target.value})} className="w-full border rounded-lg px-3 py-2" />
+          {roleCheckboxes}
+          {assignmentEditor}
+          <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 rounded-lg">{submitting ? 'Enviando...' : 'Enviar Invitación'}</button>
+        </form>
+      </Modal>
+
+      <Modal isOpen={showEditUserModal} onClose={() => setShowEditUserModal(false)} title="Editar Usuario">
+         <form onSubmit={handleEditUser} className="space-y-4">
+            <input type="email" disabled value={userFormData.email} className="w-full border rounded-lg px-3 py-2 bg-gray-100" />
+            <input type="text" required value={userFormData.full_name} onChange={e => setUserFormData({...userFormData, full_name: e.target.value})} className="w-full border rounded-lg px-3 py-2" />
+            {companies.length > 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Empresas</label>
+                <div className="grid grid-cols-2 gap-1 border rounded p-2">
+                  {companies.map(c => (
+                    <label key={c.id} className="flex items-center gap-2 p-1 hover:bg-gray-50 cursor-pointer">
+                      <input type="checkbox" checked={userFormData.company_ids.includes(c.id)} onChange={() => handleCompanyToggle(c.id)} />
+                      <span className="text-sm">{c.name}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+            {roleCheckboxes}
+            {assignmentEditor}
+            <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 rounded-lg">{submitting ? 'Guardando...' : 'Guardar Cambios'}</button>
+         </form>
+      </Modal>
+    </div>
+  );
+};
+
+// ============== WORKERS MANAGER COMPONENT ==============
+const emptyWorkerForm = { dni: '', full_name: '', category: 'peon', hire_date: '' };
+
+const WorkersManager = ({ project }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [workers, setWorkers] = useState([]);
+  const [showInactive, setShowInactive] = useState(false);
+  const [showWorkerModal, setShowWorkerModal] = useState(false);
+  const [editingWorker, setEditingWorker] = useState(null);
+  const [workerForm, setWorkerForm] = useState(emptyWorkerForm);
+
+  const fetchWorkers = useCallback(async () => {
+    if (!project?.id) return;
+    setLoading(true);
+    try {
+      const { data, error } = await supabase
+        .from('workers')
+        .select('*')
+        .eq('project_id', project.id)
+        .order('full_name');
+      if (error) throw error;
+      setWorkers(data || []);
+    } catch (error) {
+      console.error('Error fetching workers:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id]);
+
+  useEffect(() => { fetchWorkers(); }, [fetchWorkers]);
+
+  const handleOpenCreate = () => {
+    setEditingWorker(null);
+    setWorkerForm({ ...emptyWorkerForm, hire_date: todayISO() });
+    setShowWorkerModal(true);
+  };
+
+  const handleOpenEdit = (worker) => {
+    setEditingWorker(worker);
+    setWorkerForm({
+      dni: worker.dni,
+      full_name: worker.full_name,
+      category: worker.category,
+      hire_date: worker.hire_date || ''
+    });
+    setShowWorkerModal(true);
+  };
+
+  const handleSaveWorker = async (e) => {
+    e.preventDefault();
+    const dni = workerForm.dni.trim();
+    if (!/^\d{8}$/.test(dni)) {
+      alert('El DNI debe tener 8 dígitos');
+      return;
+    }
+    if (workers.some(w => w.dni === dni && w.id !== editingWorker?.id)) {
+      alert('Ya existe un trabajador con ese DNI en el proyecto');
+      return;
+    }
+
+    setSubmitting(true);
+    const payload = { ...workerForm, dni, full_name: workerForm.full_name.trim() };
+    try {
+      if (editingWorker) {
+        const { error } = await supabase.from('workers').update(payload).eq('id', editingWorker.id);
+        if (error) throw error;
+      } else {
+        const { error } = await supabase.from('workers').insert([{ ...payload, project_id: project.id, is_active: true }]);
+        if (error) throw error;
+      }
+      setShowWorkerModal(false);
+      fetchWorkers();
+    } catch (error) {
+      alert('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleWorkerStatus = async (worker) => {
+    if (!confirm(`¿${worker.is_active ? 'Dar de baja' : 'Reactivar'} a ${worker.full_name}?`)) return;
+    await supabase.from('workers').update({ is_active: !worker.is_active }).eq('id', worker.id);
+    fetchWorkers();
+  };
+
+  const visibleWorkers = showInactive ? workers : workers.filter(w => w.is_active);
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={showInactive} onChange={e => setShowInactive(e.target.checked)} />
+          Mostrar personal dado de baja
+        </label>
+        <button onClick={handleOpenCreate} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+          <span>+</span> Nuevo Trabajador
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">DNI</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Nombre</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Categoría</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ingreso</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {visibleWorkers.map(worker => (
+                <tr key={worker.id} className={!worker.is_active ? 'bg-gray-50 opacity-60' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3 font-mono text-sm text-gray-600">{worker.dni}</td>
+                  <td className="px-4 py-3 font-medium text-gray-900">{worker.full_name}</td>
+                  <td className="px-4 py-3 text-gray-600">{getLaborCategoryLabel(worker.category)}</td>
+                  <td className="px-4 py-3 text-gray-600">{worker.hire_date}</td>
+                  <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                    <button onClick={() => handleOpenEdit(worker)} className="text-blue-600 hover:text-blue-800 text-sm">Editar</button>
+                    <button onClick={() => toggleWorkerStatus(worker)} className={`text-sm ${worker.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}>
+                      {worker.is_active ? 'Dar de baja' : 'Reactivar'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {visibleWorkers.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-gray-500">No hay personal registrado</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <Modal isOpen={showWorkerModal} onClose={() => setShowWorkerModal(false)} title={editingWorker ? 'Editar Trabajador' : 'Nuevo Trabajador'}>
+        <form onSubmit={handleSaveWorker} className="space-y-4">
+          <input required inputMode="numeric" maxLength={8} placeholder="DNI" value={workerForm.dni} onChange={e => setWorkerForm({ ...workerForm, dni: e.target.value })} className="border rounded-lg px-3 py-2 w-full font-mono" />
+          <input required placeholder="Apellidos y Nombres" value={workerForm.full_name} onChange={e => setWorkerForm({ ...workerForm, full_name: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+          <div className="grid grid-cols-2 gap-4">
+            <select value={workerForm.category} onChange={e => setWorkerForm({ ...workerForm, category: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+              {LABOR_CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+            </select>
+            <input required type="date" value={workerForm.hire_date} onChange={e => setWorkerForm({ ...workerForm, hire_date: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+          </div>
+          <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+            {submitting ? 'Guardando...' : (editingWorker ? 'Guardar Cambios' : 'Registrar Trabajador')}
+          </button>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+// ============== TAREO (DAILY ATTENDANCE) COMPONENT ==============
+const emptyAllocation = { partida_id: '', hours: '', overtime_hours: '', night_shift: false };
+
+const entryHours = (entry) => (parseFloat(entry.hours) || 0) + (parseFloat(entry.overtime_hours) || 0);
+
+// Jornada ordinaria de construcción civil
+const REGULAR_DAY_HOURS = 8;
+
+const TareoSheet = ({ project, partidas, editableReportIds, reservedTareoIds, queuedDays, onSaved }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [workDate, setWorkDate] = useState(todayISO());
+  const [workers, setWorkers] = useState([]);
+  const [lockedEntries, setLockedEntries] = useState([]);
+  const [sheet, setSheet] = useState({});
+  const [error, setError] = useState('');
+
+  // Las filas ya usadas por un reporte pendiente o aprobado no se pueden modificar,
+  // tampoco las que usa un reporte guardado en el dispositivo que aún no se envía
+  const editableKey = (editableReportIds || []).join(',');
+  const reservedKey = (reservedTareoIds || []).join(',');
+  const isLocked = useCallback((entry) =>
+    (!!entry.daily_report_id && !editableKey.split(',').includes(entry.daily_report_id)) ||
+    reservedKey.split(',').includes(entry.id),
+  [editableKey, reservedKey]);
+
+  const fetchSheet = useCallback(async () => {
+    if (!project?.id) return;
+    setLoading(true);
+    try {
+      // Sin señal se trabaja con la copia local; el tareo guardado en el dispositivo es el más reciente del día
+      const [workersData, serverEntries, queued] = await Promise.all([
+        fetchWithOfflineCache(`workers:${project.id}`, () => selectOrThrow(
+          supabase.from('workers').select('*').eq('project_id', project.id).eq('is_active', true).order('full_name')
+        )),
+        fetchWithOfflineCache(`tareo-day:${project.id}:${workDate}`, () => selectOrThrow(
+          supabase.from('tareo_entries').select('*').eq('project_id', project.id).eq('work_date', workDate)
+        )).catch(error => {
+          if (!isNetworkError(error)) throw error;
+          return [];
+        }),
+        getQueuedTareo(project.id, workDate)
+      ]);
+
+      const entries = (queued ? queued.entries : serverEntries) || [];
+      const nextSheet = {};
+      (workersData || []).forEach(worker => {
+        const own = entries.filter(e => e.worker_id === worker.id && !isLocked(e));
+        nextSheet[worker.id] = {
+          present: own.length === 0 || own.some(e => e.attendance === 'present'),
+          allocations: own.filter(e => e.attendance === 'present').map(e => ({
+            id: e.id,
+            daily_report_id: e.daily_report_id,
+            partida_id: e.partida_id || '',
+            hours: String(e.hours || ''),
+            overtime_hours: String(e.overtime_hours || ''),
+            night_shift: !!e.night_shift
+          }))
+        };
+        if (nextSheet[worker.id].allocations.length === 0) {
+          nextSheet[worker.id].allocations = [emptyAllocation];
+        }
+      });
+
+      setWorkers(workersData || []);
+      setLockedEntries(entries.filter(isLocked));
+      setSheet(nextSheet);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching tareo:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id, workDate, isLocked]);
+
+  // Tareo del día que espera en el dispositivo; al enviarse o descartarse se vuelve a leer
+  const queuedDay = (queuedDays || []).find(day => day.work_date === workDate);
+  const queuedVersion = queuedDay?.queued_at || '';
+
+  useEffect(() => { fetchSheet(); }, [fetchSheet, queuedVersion]);
+
+  const updateWorker = (workerId, changes) => {
+    setSheet(prev => ({ ...prev, [workerId]: { ...prev[workerId], ...changes } }));
+  };
+
+  const updateAllocation = (workerId, index, field, value) => {
+    setSheet(prev => ({
+      ...prev,
+      [workerId]: {
+        ...prev[workerId],
+        allocations: prev[workerId].allocations.map((a, i) => i === index ? { ...a, [field]: value } : a)
+      }
+    }));
+  };
+
+  const addAllocation = (workerId) => {
+    updateWorker(workerId, { allocations: [...sheet[workerId].allocations, emptyAllocation] });
+  };
+
+  const removeAllocation = (workerId, index) => {
+    updateWorker(workerId, { allocations: sheet[workerId].allocations.filter((_, i) => i !== index) });
+  };
+
+  const validateSheet = () => {
+    for (const worker of workers) {
+      const row = sheet[worker.id];
+      if (!row?.present) continue;
+      const filled = row.allocations.filter(a => a.partida_id || entryHours(a) > 0);
+      if (filled.some(a => !a.partida_id || entryHours(a) <= 0)) {
+        return `${worker.full_name}: cada asignación necesita partida y horas`;
+      }
+      const lockedHours = lockedEntries
+        .filter(e => e.worker_id === worker.id)
+        .reduce((sum, e) => sum + (parseFloat(e.hours) || 0), 0);
+      const regularHours = filled.reduce((sum, a) => sum + (parseFloat(a.hours) || 0), 0) + lockedHours;
+      if (regularHours > REGULAR_DAY_HOURS) {
+        return `${worker.full_name}: ${regularHours} horas ordinarias superan la jornada de ${REGULAR_DAY_HOURS}h; registre el exceso como horas extra`;
+      }
+    }
+    return '';
+  };
+
+  const handleSave = async () => {
+    const validation = validateSheet();
+    if (validation) {
+      setError(validation);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // Cada fila lleva su id: las asignaciones ya guardadas lo conservan al volver a guardar
+      const rows = [];
+      workers.forEach(worker => {
+        const row = sheet[worker.id];
+        if (!row?.present) {
+          rows.push({ id: crypto.randomUUID(), worker_id: worker.id, attendance: 'absent', hours: 0, overtime_hours: 0, night_shift: false });
+          return;
+        }
+        row.allocations
+          .filter(a => a.partida_id && entryHours(a) > 0)
+          .forEach(a => rows.push({
+            id: a.id || crypto.randomUUID(),
+            worker_id: worker.id,
+            attendance: 'present',
+            partida_id: a.partida_id,
+            hours: parseFloat(a.hours) || 0,
+            overtime_hours: parseFloat(a.overtime_hours) || 0,
+            night_shift: !!a.night_shift,
+            daily_report_id: a.daily_report_id || null
+          }));
+      });
+
+      // Reemplaza el tareo editable del día en una sola transacción; lo ya reportado queda intacto.
+      // Las filas bloqueadas se envían tal cual para que no se borren las de reportes observados ajenos.
+      // Cada fila lleva los datos del trabajador para armar la mano de obra del reporte sin señal.
+      const day = {
+        project_id: project.id,
+        work_date: workDate,
+        entries: [...lockedEntries, ...rows].map(entry => {
+          const worker = workers.find(w => w.id === entry.worker_id);
+          return {
+            ...entry,
+            project_id: project.id,
+            work_date: workDate,
+            workers: entry.workers || (worker ? { full_name: worker.full_name, dni: worker.dni, category: worker.category } : null)
+          };
+        })
+      };
+
+      const result = await sendTareoDay(day);
+      if (!result.offline) {
+        // Lo guardado en el servidor reemplaza a una versión anterior que esperaba en el dispositivo
+        await removeQueuedTareo(project.id, workDate);
+        alert('Tareo guardado');
+      } else {
+        await queueTareo(day);
+        alert('Sin conexión: el tareo quedó guardado en el dispositivo y se enviará al recuperar la señal.');
+      }
+      fetchSheet();
+      onSaved?.();
+    } catch (error) {
+      setError('Error al guardar el tareo: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const presentCount = workers.filter(w => sheet[w.id]?.present).length;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <label className="text-sm font-medium text-gray-700">Fecha</label>
+          <input type="date" value={workDate} onChange={e => setWorkDate(e.target.value)} className="border rounded-lg px-3 py-2" />
+        </div>
+        <p className="text-sm text-gray-500">{presentCount} de {workers.length} trabajadores presentes</p>
+      </div>
+
+      {queuedDay && (
+        <p className={`text-sm rounded-lg px-4 py-2 border ${queuedDay.sync_status === 'failed' ? 'text-red-700 bg-red-50 border-red-200' : 'text-amber-800 bg-amber-50 border-amber-200'}`}>
+          {queuedDay.sync_status === 'failed'
+            ? `El tareo guardado en el dispositivo no se pudo enviar: ${queuedDay.sync_error}. Corríjalo y guárdelo de nuevo.`
+            : `Tareo guardado en el dispositivo el ${new Date(queuedDay.queued_at).toLocaleString('es-PE')}; se enviará al recuperar la señal.`}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center h-32"><Spinner size="lg" /></div>
+      ) : (
+        <div className="space-y-3">
+          {workers.map(worker => {
+            const row = sheet[worker.id];
+            const locked = lockedEntries.filter(e => e.worker_id === worker.id);
+            return (
+              <div key={worker.id} className={`bg-white rounded-xl shadow p-4 ${row?.present ? '' : 'opacity-60'}`}>
+                <div className="flex items-center justify-between gap-3 mb-3">
+                  <div>
+                    <p className="font-medium text-gray-900">{worker.full_name}</p>
+                    <p className="text-xs text-gray-500">DNI {worker.dni} · {getLaborCategoryLabel(worker.category)}</p>
+                  </div>
+                  <div className="flex bg-gray-100 p-1 rounded-lg text-sm">
+                    <button type="button" onClick={() => updateWorker(worker.id, { present: true })} className={`px-3 py-1 rounded-md ${row?.present ? 'bg-white shadow text-green-700' : 'text-gray-500'}`}>Asistió</button>
+                    <button type="button" onClick={() => updateWorker(worker.id, { present: false })} className={`px-3 py-1 rounded-md ${!row?.present ? 'bg-white shadow text-red-700' : 'text-gray-500'}`}>Falta</button>
+                  </div>
+                </div>
+
+                {locked.length > 0 && (
+                  <div className="mb-2 text-xs text-gray-500 space-y-1">
+                    {locked.map(e => (
+                      <p key={e.id}>
+                        🔒 {partidas.find(p => p.id === e.partida_id)?.code || 'Sin partida'} · {e.hours}h{e.overtime_hours > 0 && ` + ${e.overtime_hours}h extra`} (ya reportado)
+                      </p>
+                    ))}
+                  </div>
+                )}
+
+                {row?.present && (
+                  <div className="space-y-2">
+                    {row.allocations.map((allocation, index) => (
+                      <div key={index} className="flex flex-wrap gap-2 items-center">
+                        <select
+                          value={allocation.partida_id}
+                          onChange={e => updateAllocation(worker.id, index, 'partida_id', e.target.value)}
+                          className="flex-1 min-w-[180px] border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                        >
+                          <option value="">-- Partida --</option>
+                          {partidas.map(p => <option key={p.id} value={p.id}>{p.code} - {p.name}</option>)}
+                        </select>
+                        <input type="number" step="0.5" min="0" placeholder="Horas" value={allocation.hours} onChange={e => updateAllocation(worker.id, index, 'hours', e.target.value)} className="w-20 border border-gray-300 rounded-lg px-2 py-2 text-sm" />
+                        <input type="number" step="0.5" min="0" placeholder="H. Extra" value={allocation.overtime_hours} onChange={e => updateAllocation(worker.id, index, 'overtime_hours', e.target.value)} className="w-20 border border-gray-300 rounded-lg px-2 py-2 text-sm" />
+                        <label className="flex items-center gap-1 text-sm text-gray-600">
+                          <input type="checkbox" checked={!!allocation.night_shift} onChange={e => updateAllocation(worker.id, index, 'night_shift', e.target.checked)} />
+                          Noct.
+                        </label>
+                        {row.allocations.length > 1 && (
+                          <button type="button" onClick={() => removeAllocation(worker.id, index)} className="text-red-500 text-sm px-2">✕</button>
+                        )}
+                      </div>
+                    ))}
+                    <button type="button" onClick={() => addAllocation(worker.id)} className="text-blue-600 hover:text-blue-800 text-sm">
+                      + Otra partida
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {workers.length === 0 && (
+            <div className="text-center py-10 text-gray-500 bg-white rounded-xl border border-dashed border-gray-300">
+              No hay personal activo. Regístrelo en la pestaña Personal.
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>}
+
+      <button
+        type="button"
+        onClick={handleSave}
+        disabled={saving || loading || workers.length === 0}
+        className="w-full bg-blue-600 text-white py-3 rounded-xl font-semibold hover:bg-blue-700 transition disabled:opacity-50"
+      >
+        {saving ? 'Guardando Tareo...' : 'Guardar Tareo'}
+      </button>
+    </div>
+  );
+};
+
+// ============== FOREMAN OFFLINE HELPERS ==============
+const OFFLINE_SYNC_STATUS = {
+  pending: { label: 'Pendiente de envío', className: 'bg-amber-100 text-amber-800' },
+  syncing: { label: 'Enviando...', className: 'bg-blue-100 text-blue-800' },
+  synced: { label: 'Sincronizado', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Error', className: 'bg-red-100 text-red-800' }
+};
+
+// Supabase no lanza excepciones: las convertimos para que fetchWithOfflineCache detecte la falla de red
+const selectOrThrow = async (query) => {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+};
+
+// Carpeta de la evidencia de un reporte: proyecto/fecha/reporte. Los reportes nuevos usan como id
+// el draftId del formulario, así la ruta ya es la definitiva antes de insertar el reporte.
+const getReportEvidenceFolder = (projectId, reportDate, reportId) => `${projectId}/${reportDate}/${reportId}`;
+
+// Sube la foto ya comprimida junto con su miniatura para las galerías.
+// Sin señal devuelve { offline: true } para que la foto quede en el dispositivo.
+const uploadReportPhoto = async (file, folder) => {
+  if (!navigator.onLine) return { offline: true };
+  const path = await uploadEvidence(file, folder);
+  if (!path) {
+    if (!navigator.onLine) return { offline: true };
+    throw new Error(`No se pudo subir la foto ${file.name}`);
+  }
+
+  let thumbPath = null;
+  try {
+    thumbPath = await uploadEvidence(await createThumbnail(file), `${folder}/thumbs`);
+  } catch (error) {
+    console.warn('Thumbnail not generated:', error);
+  }
+  return { path, thumb_path: thumbPath };
+};
+
+// Sube las fotos tomadas sin señal; devuelve { photos } listo para guardar, o { offline: true }
+const uploadPendingPhotos = async (photos, folder) => {
+  const uploaded = [];
+  for (const photo of photos) {
+    if (!photo.local_photo_id) {
+      uploaded.push(photo);
+      continue;
+    }
+    const stored = await getPhotoBlob(photo.local_photo_id);
+    if (!stored) throw new Error(`La foto ${photo.name} ya no está en el dispositivo`);
+    const file = new File([stored.blob], stored.name, { type: stored.type });
+    const result = await uploadReportPhoto(file, folder);
+    if (result.offline) return { offline: true };
+    const { local_photo_id, preview_url, ...metadata } = photo;
+    uploaded.push({ ...metadata, ...result });
+  }
+  return { photos: uploaded };
+};
+
+// Guarda el reporte (nuevo o corrección) con su tareo y su evidencia en una sola transacción
+// del servidor, que además revisa el tope del metrado. Los reportes nuevos usan el draftId
+// como id, así reintentar el mismo envío actualiza en lugar de duplicar el reporte.
+// Las fotos que la corrección quitó se borran del bucket una vez guardado el reporte.
+const persistDailyReport = async ({ reportId, draftId, projectId, reportDate, fields, tareoEntryIds, removedEvidence = [] }) => {
+  const { data: id, error } = await supabase.rpc('submit_daily_report', {
+    p_report_id: reportId || draftId,
+    p_project_id: projectId,
+    p_report_date: reportDate,
+    p_fields: fields,
+    p_tareo_entry_ids: tareoEntryIds,
+    p_evidence_paths: getEvidencePaths(fields.photos || [])
+  });
+  if (error) throw error;
+
+  await removeEvidence(removedEvidence);
+  return id;
+};
+
+// Envía un reporte del formulario o de la cola: sube sus fotos pendientes y lo guarda.
+// Sin señal, o si la red se cae a mitad del envío, devuelve { offline: true } para dejarlo en cola.
+const sendDailyReport = async (submission) => {
+  if (!navigator.onLine) return { offline: true };
+  const pendingPhotos = submission.fields.photos || [];
+  try {
+    const uploaded = await uploadPendingPhotos(pendingPhotos, submission.evidenceFolder);
+    if (uploaded.offline) return { offline: true };
+    const reportId = await persistDailyReport({ ...submission, fields: { ...submission.fields, photos: uploaded.photos } });
+    await Promise.all(pendingPhotos.filter(p => p.local_photo_id).map(p => deletePhotoBlob(p.local_photo_id)));
+    return { reportId, photos: uploaded.photos };
+  } catch (error) {
+    if (isNetworkError(error)) return { offline: true };
+    throw error;
+  }
+};
+
+// Tareo de un día (ver save_tareo); se envía igual desde la planilla o desde la cola del dispositivo.
+// Sin señal devuelve { offline: true }.
+const sendTareoDay = async ({ project_id, work_date, entries }) => {
+  if (!navigator.onLine) return { offline: true };
+  const { error } = await supabase.rpc('save_tareo', {
+    p_project_id: project_id,
+    p_work_date: work_date,
+    p_entries: entries
+  });
+  if (error && isNetworkError(error)) return { offline: true };
+  if (error) throw error;
+  return { offline: false };
+};
+
+// ============== FOREMAN MODULE ==============
+const ForemanModule = ({ project, currentUser, allowedTabs, tab }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [partidas, setPartidas] = useState([]);
+  const [materials, setMaterials] = useState([]);
+  const [selectedPartida, setSelectedPartida] = useState(null);
+  const activeTab = tab || allowedTabs[0];
+  const setActiveTab = (nextTab) => navigate(projectPath(project.id, nextTab));
+  const canViewCosts = hasPermission(currentUser, 'costs.view');
+  const [laborRates, setLaborRates] = useState([]);
+  const [materialPrices, setMaterialPrices] = useState([]);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [tareoEntries, setTareoEntries] = useState([]);
+  const [materialStock, setMaterialStock] = useState({});
+  const [materialRows, setMaterialRows] = useState([{ material_id: '', quantity: '' }]);
+  const [photos, setPhotos] = useState([]);
+  // Id que tendrá el reporte nuevo; da nombre a su carpeta de evidencia
+  const [draftId, setDraftId] = useState(() => crypto.randomUUID());
+  const evidenceUrls = useEvidenceUrls(photos);
+  const [uploadingPhotos, setUploadingPhotos] = useState(false);
+  const [notes, setNotes] = useState('');
+  const [progressInput, setProgressInput] = useState('');
+  const [validationError, setValidationError] = useState('');
+  const [myReports, setMyReports] = useState([]);
+  const [editingReport, setEditingReport] = useState(null);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [queuedReports, setQueuedReports] = useState([]);
+  const [queuedTareo, setQueuedTareo] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  // El evento online y el montaje pueden pedir un envío a la vez: solo corre uno
+  const syncInFlight = useRef(false);
+  const [cachedAt, setCachedAt] = useState(null);
+
+  // Las correcciones se valorizan con la tarifa vigente en la fecha original del reporte
+  const reportDate = editingReport?.report_date || todayISO();
+  const ratesInForce = resolveLaborRates(laborRates, reportDate);
+  const pricesInForce = resolveMaterialPrices(materialPrices, reportDate);
+
+  // Reportes propios que aún no cuentan como avance (pendientes u observados)
+  const fetchMyReports = useCallback(async () => {
+    if (!project?.id || !currentUser?.id) return;
+    try {
+      const data = await fetchWithOfflineCache(`foreman-reports:${project.id}:${currentUser.id}`, () => selectOrThrow(
+        supabase
+          .from('daily_reports')
+          .select('*, partidas(code, name)')
+          .eq('project_id', project.id)
+          .eq('user_id', currentUser.id)
+          .in('status', ['pending', 'rejected'])
+          .order('report_date', { ascending: false })
+      ));
+      if (data) setMyReports(data);
+    } catch (error) {
+      console.error('Error fetching my reports:', error);
+    }
+  }, [project?.id, currentUser?.id]);
+
+  // Horas del tareo del día; la mano de obra del reporte se arma a partir de ellas.
+  // Si el tareo del día está guardado en el dispositivo sin enviar, esa es la versión vigente.
+  const fetchTareoEntries = useCallback(async () => {
+    if (!project?.id) return;
+    try {
+      const queued = await getQueuedTareo(project.id, reportDate);
+      if (queued) {
+        setTareoEntries(queued.entries.filter(e => e.attendance === 'present'));
+        return;
+      }
+      const data = await fetchWithOfflineCache(`tareo:${project.id}:${reportDate}`, () => selectOrThrow(
+        supabase
+          .from('tareo_entries')
+          .select('*, workers(full_name, dni, category)')
+          .eq('project_id', project.id)
+          .eq('work_date', reportDate)
+          .eq('attendance', 'present')
+      ));
+      if (data) setTareoEntries(data);
+    } catch (error) {
+      console.error('Error fetching tareo:', error);
+      setTareoEntries([]);
+    }
+  }, [project?.id, reportDate]);
+
+  useEffect(() => {
+    if (activeTab === 'report') fetchTareoEntries();
+  }, [activeTab, fetchTareoEntries]);
+
+  // Al corregir un reporte su propio consumo no se descuenta del stock disponible
+  const fetchMaterialStock = useCallback(async () => {
+    if (!project?.id) return;
+    try {
+      setMaterialStock(await fetchWithOfflineCache(`stock:${project.id}:${editingReport?.id || ''}`, () =>
+        getMaterialStock(project.id, { excludeReportId: editingReport?.id })
+      ) || {});
+    } catch {
+      setMaterialStock({});
+    }
+  }, [project?.id, editingReport?.id]);
+
+  useEffect(() => { fetchMaterialStock(); }, [fetchMaterialStock]);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      if (!project?.id) return;
+      setLoading(true);
+
+      // Partidas, materiales, tarifas y precios quedan guardados en el dispositivo para trabajar sin señal
+      const cacheKey = `foreman:${project.id}`;
+      try {
+        const [data] = await Promise.all([
+          fetchWithOfflineCache(cacheKey, async () => {
+            const [partidasData, materialsData, ratesData, pricesData, exchangeData] = await Promise.all([
+              selectOrThrow(supabase.from('partidas').select('*').eq('project_id', project.id).order('code')),
+              selectOrThrow(supabase.from('materials_catalog').select('*').eq('company_id', project.company_id).eq('is_active', true).order('name')),
+              selectOrThrow(supabase.from('labor_rates').select('*').eq('project_id', project.id)),
+              selectOrThrow(supabase.from('material_prices').select('*')),
+              selectOrThrow(supabase.from('exchange_rates').select('*'))
+            ]);
+            return { partidas: partidasData, materials: materialsData, laborRates: ratesData, materialPrices: pricesData, exchangeRates: exchangeData };
+          }),
+          fetchMyReports()
+        ]);
+
+        setPartidas(data?.partidas || []);
+        setMaterials(data?.materials || []);
+        setLaborRates(data?.laborRates || []);
+        setMaterialPrices(data?.materialPrices || []);
+        setExchangeRates(data?.exchangeRates || []);
+        setCachedAt(navigator.onLine ? null : (await cacheGet(cacheKey))?.cached_at);
+      } catch (error) {
+        console.error('Error fetching foreman data:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [project?.id, project?.company_id, fetchMyReports]);
+
+  const rejectedReports = myReports.filter(r => r.status === 'rejected');
+
+  // --- MODO SIN CONEXIÓN: COLA DE REPORTES ---
+
+  const loadQueue = useCallback(async () => {
+    if (!project?.id) return;
+    try {
+      const [reports, tareoDays] = await Promise.all([listQueuedReports(project.id), listQueuedTareo(project.id)]);
+      setQueuedReports(reports);
+      setQueuedTareo(tareoDays);
+    } catch (error) {
+      console.error('Error reading offline queue:', error);
+    }
+  }, [project?.id]);
+
+  const syncQueue = useCallback(async ({ retryFailed = false } = {}) => {
+    if (!project?.id || !navigator.onLine || syncInFlight.current) return;
+    syncInFlight.current = true;
+    try {
+      const shouldSync = (q) => q.sync_status === 'pending' || q.sync_status === 'syncing' || (retryFailed && q.sync_status === 'failed');
+      const [queue, tareoQueue] = await Promise.all([listQueuedReports(project.id), listQueuedTareo(project.id)]);
+      const toSync = queue.filter(shouldSync);
+      const tareoToSync = tareoQueue.filter(shouldSync);
+      if (toSync.length === 0 && tareoToSync.length === 0) return;
+
+      setSyncing(true);
+      let syncedAny = false;
+      let offline = false;
+
+      // Primero el tareo: los reportes del día se vinculan a sus filas
+      for (const day of tareoToSync) {
+        try {
+          offline = (await sendTareoDay(day)).offline;
+          if (offline) break;
+          await removeQueuedTareo(day.project_id, day.work_date);
+          syncedAny = true;
+        } catch (error) {
+          console.error('Error syncing tareo:', error);
+          await updateQueuedTareo(day.key, { sync_status: 'failed', sync_error: error.message });
+        }
+      }
+
+      // Un reporte no se envía mientras el tareo de su día siga en el dispositivo
+      const heldDates = new Set((await listQueuedTareo(project.id)).map(day => day.work_date));
+      for (const entry of offline ? [] : toSync) {
+        if (heldDates.has(entry.reportDate)) {
+          await updateQueuedReport(entry.local_id, { sync_status: 'failed', sync_error: 'El tareo del día no se pudo enviar; corríjalo antes de reintentar' });
+          continue;
+        }
+        await updateQueuedReport(entry.local_id, { sync_status: 'syncing', sync_error: null });
+        setQueuedReports(await listQueuedReports(project.id));
+        try {
+          const result = await sendDailyReport(entry);
+          if (result.offline) {
+            await updateQueuedReport(entry.local_id, { sync_status: 'pending' });
+            break;
+          }
+          await updateQueuedReport(entry.local_id, { sync_status: 'synced', report_id: result.reportId, photos: result.photos, synced_at: new Date().toISOString() });
+          syncedAny = true;
+        } catch (error) {
+          console.error('Error syncing report:', error);
+          await updateQueuedReport(entry.local_id, { sync_status: 'failed', sync_error: error.message });
+        }
+      }
+      await loadQueue();
+      if (syncedAny) {
+        await Promise.all([fetchMyReports(), fetchTareoEntries(), fetchMaterialStock()]);
+      }
+    } finally {
+      syncInFlight.current = false;
+      setSyncing(false);
+    }
+  }, [project?.id, loadQueue, fetchMyReports, fetchTareoEntries, fetchMaterialStock]);
+
+  // Al recuperar la señal se envía la cola automáticamente
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncQueue]);
+
+  useEffect(() => {
+    loadQueue().then(() => syncQueue());
+  }, [loadQueue, syncQueue]);
+
+  // Fotos de borradores abandonados que quedaron en el bucket
+  useEffect(() => {
+    if (!currentUser?.id || !project?.id || !navigator.onLine) return;
+    listQueuedReports(project.id)
+      .then(queue => cleanupOrphanEvidence(currentUser.id, project.id, getEvidencePaths(queue.flatMap(q => q.photos || []))))
+      .catch(error => console.error('Error cleaning up evidence:', error));
+  }, [currentUser?.id, project?.id]);
+
+  const handleDiscardQueued = async (entry) => {
+    if (entry.sync_status !== 'synced' && !confirm('¿Descartar este reporte? Se perderá lo registrado en el dispositivo.')) return;
+    await Promise.all((entry.photos || []).filter(p => p.local_photo_id).map(p => deletePhotoBlob(p.local_photo_id)));
+    await removeQueuedReport(entry.local_id);
+    loadQueue();
+  };
+
+  const handleTareoSaved = () => {
+    loadQueue();
+    fetchTareoEntries();
+  };
+
+  const unsyncedQueue = queuedReports.filter(q => q.sync_status !== 'synced');
+  const queuedTareoIds = new Set(unsyncedQueue.flatMap(q => q.tareoEntryIds || []));
+
+  // El tareo que usa un reporte en cola no se puede descartar sin dejar al reporte sin mano de obra
+  const handleDiscardQueuedTareo = async (day) => {
+    if (unsyncedQueue.some(q => q.reportDate === day.work_date)) {
+      alert('Hay reportes del día en el dispositivo que usan este tareo; descártelos primero.');
+      return;
+    }
+    if (!confirm('¿Descartar el tareo guardado en el dispositivo? Se perderá lo registrado sin enviar.')) return;
+    await removeQueuedTareo(day.project_id, day.work_date);
+    await loadQueue();
+    fetchTareoEntries();
+  };
+
+  // Cantidades que superan lo disponible en almacén (solo advertencia, no bloquea el envío)
+  const getStockWarning = (row) => {
+    const quantity = parseFloat(row.quantity) || 0;
+    if (!row.material_id || quantity <= 0) return '';
+    const requested = materialRows
+      .filter(r => r.material_id === row.material_id)
+      .reduce((sum, r) => sum + (parseFloat(r.quantity) || 0), 0);
+    const available = materialStock[row.material_id]?.available || 0;
+    return requested > available
+      ? `Stock en obra: ${available.toFixed(2)}. Lo reportado excede lo ingresado a almacén.`
+      : '';
+  };
+
+  // El tareo ya usado por un reporte en cola tampoco está disponible
+  const laborEntries = selectedPartida
+    ? tareoEntries.filter(e =>
+        e.partida_id === selectedPartida.id &&
+        (!e.daily_report_id || e.daily_report_id === editingReport?.id) &&
+        !queuedTareoIds.has(e.id))
+    : [];
+
+  // Avance ya reportado pero aún sin aprobar (incluida la cola del dispositivo), para no exceder el metrado
+  const getPendingProgress = (partidaId) => myReports
+    .filter(r => r.status === 'pending' && r.partida_id === partidaId && r.id !== editingReport?.id)
+    .reduce((sum, r) => sum + (r.progress_value || 0), 0)
+    + unsyncedQueue
+      .filter(q => q.fields.partida_id === partidaId && q.reportId !== editingReport?.id && !myReports.some(r => r.id === q.report_id))
+      .reduce((sum, q) => sum + (q.fields.progress_value || 0), 0);
+
+  const evidenceFolder = getReportEvidenceFolder(
+    project.id,
+    editingReport?.report_date || reportDate,
+    editingReport?.id || draftId
+  );
+
+  // Fotos subidas en este formulario que todavía no pertenecen a ningún reporte enviado
+  const isUnsentPhoto = (photo) => !editingReport?.photos?.some(p => getPhotoPath(p) === getPhotoPath(photo));
+
+  const discardUnsentPhoto = (photo) => {
+    if (photo.local_photo_id) {
+      deletePhotoBlob(photo.local_photo_id);
+    } else if (isUnsentPhoto(photo)) {
+      removeEvidence([getPhotoPath(photo), getPhotoThumbPath(photo)]);
+    }
+  };
+
+  const resetForm = () => {
+    setEditingReport(null);
+    setSelectedPartida(null);
+    setMaterialRows([{ material_id: '', quantity: '' }]);
+    setPhotos([]);
+    setDraftId(crypto.randomUUID());
+    setNotes('');
+    setProgressInput('');
+    setValidationError('');
+  };
+
+  const handleEditRejected = (report) => {
+    setActiveTab('report');
+    setEditingReport(report);
+    setSelectedPartida(partidas.find(p => p.id === report.partida_id) || null);
+    setProgressInput(String(report.progress_value ?? ''));
+    setMaterialRows(report.materials_data?.length > 0
+      ? report.materials_data.map(m => ({ material_id: m.material_id, quantity: String(m.quantity) }))
+      : [{ material_id: '', quantity: '' }]);
+    setPhotos(report.photos || []);
+    setNotes(report.notes || '');
+    setValidationError('');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const addMaterialRow = () => {
+    setMaterialRows(prev => [...prev, { material_id: '', quantity: '' }]);
+  };
+
+  const removeMaterialRow = (index) => {
+    if (materialRows.length > 1) {
+      setMaterialRows(prev => prev.filter((_, i) => i !== index));
+    }
+  };
+
+  const updateMaterialRow = (index, field, value) => {
+    setMaterialRows(prev => prev.map((row, i) => 
+      i === index ? { ...row, [field]: value } : row
+    ));
+  };
+
+  const handlePhotoUpload = async (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+
+    setUploadingPhotos(true);
+    const uploadedPhotos = [];
+
+    try {
+      for (const original of files) {
+        // Se comprime antes de subir; hora de captura y GPS salen del EXIF del original
+        const { file, metadata } = await preparePhoto(original);
+        const photo = { name: original.name, uploaded_at: new Date().toISOString(), ...metadata };
+
+        const uploaded = await uploadReportPhoto(file, evidenceFolder);
+        if (uploaded.offline) {
+          // Sin señal: la foto se guarda en el dispositivo y se sube al sincronizar
+          uploadedPhotos.push({
+            ...photo,
+            local_photo_id: await savePhotoBlob(file),
+            preview_url: URL.createObjectURL(file)
+          });
+        } else {
+          uploadedPhotos.push({ ...photo, ...uploaded });
+        }
+      }
+    } catch (error) {
+      console.error('Error uploading photos:', error);
+      alert('Error al subir algunas fotos');
+    } finally {
+      setPhotos(prev => [...prev, ...uploadedPhotos]);
+      setUploadingPhotos(false);
+      e.target.value = '';
+    }
+  };
+
+  // Las fotos ya enviadas en el reporte se borran del bucket recién cuando se envía la corrección
+  const removePhoto = (index) => {
+    discardUnsentPhoto(photos[index]);
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleCancelForm = () => {
+    photos.forEach(discardUnsentPhoto);
+    resetForm();
+  };
+
+  const validateSubmission = () => {
+    if (!selectedPartida) {
+      setValidationError('Debe seleccionar una partida');
+      return false;
+    }
+
+    const progress = parseFloat(progressInput) || 0;
+    const currentProgress = (selectedPartida.current_progress || 0) + getPendingProgress(selectedPartida.id);
+    const totalBudgeted = selectedPartida.total_budgeted || 0;
+
+    if (currentProgress + progress > totalBudgeted) {
+      setValidationError(
+        `El avance excede el presupuesto. Actual (incl. pendientes): ${currentProgress}, Ingresado: ${progress}, Máximo permitido: ${totalBudgeted - currentProgress}`
+      );
+      return false;
+    }
+
+    if (laborEntries.length === 0) {
+      setValidationError(`No hay horas de tareo del ${reportDate} asignadas a esta partida. Registre primero el tareo del día.`);
+      return false;
+    }
+
+    const missingRate = laborEntries.find(entry => !ratesInForce[entry.workers?.category]);
+    if (missingRate) {
+      setValidationError(
+        `No hay tarifa vigente para ${getLaborCategoryLabel(missingRate.workers?.category)} al ${reportDate}. Solicite al administrador que la registre.`
+      );
+      return false;
+    }
+
+    // Los materiales con precio en dólares se valorizan en soles con el tipo de cambio del día
+    const missingExchange = materialRows.find(row => {
+      const material = materials.find(m => m.id === row.material_id);
+      return material && rateAt(exchangeRates, getMaterialCurrency(material, pricesInForce), reportDate) === null;
+    });
+    if (missingExchange) {
+      const material = materials.find(m => m.id === missingExchange.material_id);
+      setValidationError(
+        `No hay tipo de cambio al ${reportDate} para valorizar ${material.name} (${getMaterialCurrency(material, pricesInForce)}). Solicite que se registre.`
+      );
+      return false;
+    }
+
+    setValidationError('');
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateSubmission()) return;
+
+    setSubmitting(true);
+
+    try {
+      // Calculate labor costs from the tareo
+      // Se guarda una copia de la tarifa aplicada para que el reporte no cambie si luego se actualiza la tabla
+      const laborData = laborEntries.map(tareo => {
+        const rate = ratesInForce[tareo.workers?.category];
+        const entry = {
+          tareo_entry_id: tareo.id,
+          worker_id: tareo.worker_id,
+          worker_name: tareo.workers?.full_name || '',
+          dni: tareo.workers?.dni || '',
+          worker_type: tareo.workers?.category,
+          hours: tareo.hours || 0,
+          overtime_hours: tareo.overtime_hours || 0,
+          night_shift: !!tareo.night_shift
+        };
+        return {
+          ...entry,
+          rate: rate?.hourly_rate || 0,
+          rate_id: rate?.id || null,
+          rate_effective_from: rate?.effective_from || null,
+          cost: computeLaborCost(rate, entry, getDayOvertimeHours(tareoEntries, tareo))
+        };
+      });
+
+      // Prepare materials data, valued at the price in force on the report date
+      const materialsData = materialRows
+        .filter(row => row.material_id && row.quantity && parseFloat(row.quantity) > 0)
+        .map(row => {
+          const material = materials.find(m => m.id === row.material_id);
+          const priceCurrency = getMaterialCurrency(material, pricesInForce);
+          const exchangeRate = rateAt(exchangeRates, priceCurrency, reportDate);
+          const unitCost = getMaterialPrice(material, pricesInForce) * exchangeRate;
+          return {
+            material_id: row.material_id,
+            material_name: material?.name || '',
+            quantity: parseFloat(row.quantity),
+            unit: material?.unit || '',
+            unit_cost: unitCost,
+            price_effective_from: pricesInForce[row.material_id]?.effective_from || null,
+            price_currency: priceCurrency,
+            exchange_rate: exchangeRate,
+            total_cost: parseFloat(row.quantity) * unitCost
+          };
+        });
+
+      const reportFields = {
+        partida_id: selectedPartida.id,
+        progress_value: parseFloat(progressInput) || 0,
+        labor_data: laborData,
+        materials_data: materialsData,
+        photos: photos.map(({ preview_url, ...photo }) => photo),
+        notes: notes,
+        total_labor_cost: laborData.reduce((sum, l) => sum + l.cost, 0),
+        total_materials_cost: materialsData.reduce((sum, m) => sum + m.total_cost, 0),
+        status: 'pending'
+      };
+
+      // El avance de la partida solo se actualiza cuando el ingeniero aprueba
+      const keptPaths = new Set(getEvidencePaths(reportFields.photos));
+      const submission = {
+        reportId: editingReport?.id || null,
+        draftId,
+        evidenceFolder,
+        projectId: project.id,
+        reportDate,
+        fields: reportFields,
+        // Vincular el tareo al reporte para que no se vuelva a usar en otro
+        tareoEntryIds: laborEntries.map(entry => entry.id),
+        // Fotos que la corrección quitó del reporte
+        removedEvidence: getEvidencePaths(editingReport?.photos || []).filter(path => !keptPaths.has(path))
+      };
+      const wasCorrection = !!editingReport;
+
+      const result = await sendDailyReport(submission);
+      if (result.offline) {
+        // Sin señal: el reporte queda en el dispositivo y se envía al recuperar la conexión
+        await queueReport({
+          ...submission,
+          project_id: project.id,
+          partida_label: `${selectedPartida.code} - ${selectedPartida.name}`,
+          photos: reportFields.photos
+        });
+        resetForm();
+        await loadQueue();
+        alert('Sin conexión: el reporte quedó guardado en el dispositivo y se enviará automáticamente al recuperar la señal.');
+        return;
+      }
+
+      resetForm();
+
+      alert(wasCorrection
+        ? 'Reporte corregido y reenviado para aprobación'
+        : 'Reporte diario enviado para aprobación del ingeniero');
+
+      await Promise.all([fetchMyReports(), fetchTareoEntries(), fetchMaterialStock()]);
+
+    } catch (error) {
+      console.error('Error submitting report:', error);
+      alert('Error al guardar el reporte: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-2xl font-bold text-gray-800">Reporte Diario de Avance</h2>
+        <span className={`inline-flex items-center gap-2 px-3 py-1 text-xs font-semibold rounded-full ${isOnline ? 'bg-green-100 text-green-800' : 'bg-amber-100 text-amber-800'}`}>
+          <span className={`w-2 h-2 rounded-full ${isOnline ? 'bg-green-500' : 'bg-amber-500'}`}></span>
+          {isOnline ? 'En línea' : 'Sin conexión'}
+        </span>
+      </div>
+
+      {!isOnline && (
+        <p className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-4 py-2">
+          Trabajando sin señal con los datos guardados en el dispositivo
+          {cachedAt && ` (actualizados el ${new Date(cachedAt).toLocaleString('es-PE')})`}.
+          El tareo y los reportes se guardarán y se enviarán al recuperar la conexión.
+        </p>
+      )}
+
+      {/* Tareo y reportes guardados en el dispositivo */}
+      {(queuedReports.length > 0 || queuedTareo.length > 0) && (
+        <div className="bg-white rounded-xl shadow p-4 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <h3 className="font-semibold text-gray-800">Pendiente en el dispositivo ({unsyncedQueue.length + queuedTareo.length} por enviar)</h3>
+            <button
+              type="button"
+              onClick={() => syncQueue({ retryFailed: true })}
+              disabled={!isOnline || syncing || unsyncedQueue.length + queuedTareo.length === 0}
+              className="text-sm bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              {syncing ? 'Sincronizando...' : 'Sincronizar ahora'}
+            </button>
+          </div>
+          {queuedTareo.map(day => (
+            <div key={day.key} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 border-t pt-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {new Date(day.work_date + 'T00:00:00').toLocaleDateString('es-PE')} · Tareo
+                </p>
+                <p className="text-xs text-gray-500">
+                  {new Set(day.entries.filter(e => e.attendance === 'present').map(e => e.worker_id)).size} trabajador(es) presentes
+                </p>
+                {day.sync_error && <p className="text-xs text-red-700">{day.sync_error}</p>}
+              </div>
+              <div className="flex items-center gap-2">
+                <StatusBadge statuses={OFFLINE_SYNC_STATUS} status={day.sync_status} />
+                {day.sync_status === 'failed' && (
+                  <button type="button" onClick={() => handleDiscardQueuedTareo(day)} className="text-xs text-gray-500 hover:text-red-600">
+                    Descartar
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+          {queuedReports.map(entry => (
+            <div key={entry.local_id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 border-t pt-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {new Date(entry.reportDate + 'T00:00:00').toLocaleDateString('es-PE')} · {entry.partida_label}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Avance {entry.fields.progress_value} · {entry.photos?.length || 0} foto(s)
+                  {entry.synced_at && ` · Enviado el ${new Date(entry.synced_at).toLocaleString('es-PE')}`}
+                </p>
+                {entry.sync_error && <p className="text-xs text-red-700">{entry.sync_error}</p>}
+              </div>
+              <div className="flex items-center gap-2">
+                <StatusBadge statuses={OFFLINE_SYNC_STATUS} status={entry.sync_status} />
+                {(entry.sync_status === 'synced' || entry.sync_status === 'failed') && (
+                  <button type="button" onClick={() => handleDiscardQueued(entry)} className="text-xs text-gray-500 hover:text-red-600">
+                    {entry.sync_status === 'synced' ? 'Quitar' : 'Descartar'}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-4 overflow-x-auto">
+          {[
+            { id: 'report', label: 'Reporte' },
+            { id: 'tareo', label: 'Tareo' },
+            { id: 'workers', label: 'Personal' },
+            { id: 'requests', label: 'Requerimientos' }
+          ].filter(t => allowedTabs.includes(t.id)).map(tab => (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => setActiveTab(tab.id)}
+              className={`py-3 px-1 border-b-2 font-medium text-sm whitespace-nowrap transition ${
+                activeTab === tab.id
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'tareo' && (
+        <TareoSheet
+          project={project}
+          partidas={partidas}
+          editableReportIds={rejectedReports.map(r => r.id)}
+          reservedTareoIds={[...queuedTareoIds]}
+          queuedDays={queuedTareo}
+          onSaved={handleTareoSaved}
+        />
+      )}
+
+      {activeTab === 'workers' && <WorkersManager project={project} />}
+
+      {activeTab === 'requests' && <RequisitionsPanel project={project} currentUser={currentUser} />}
+
+      {activeTab === 'report' && (
+        <>
+          {/* Reportes observados por el ingeniero */}
+          {rejectedReports.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4 space-y-3">
+              <h3 className="font-semibold text-red-800">Reportes Observados ({rejectedReports.length})</h3>
+              {rejectedReports.map(report => (
+                <div key={report.id} className="bg-white rounded-lg p-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {new Date(report.report_date).toLocaleDateString('es-PE')} · {report.partidas?.code} - {report.partidas?.name}
+                    </p>
+                    <p className="text-sm text-red-700">{report.review_comment || 'Sin comentario'}</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleEditRejected(report)}
+                    className="text-sm bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700 transition whitespace-nowrap"
+                  >
+                    Corregir
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {myReports.some(r => r.status === 'pending') && (
+            <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-4 py-2">
+              Tiene {myReports.filter(r => r.status === 'pending').length} reporte(s) pendiente(s) de aprobación.
+            </p>
+          )}
+
+          {editingReport && (
+            <div className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg px-4 py-2 text-sm text-blue-800">
+              <span>Corrigiendo reporte del {new Date(editingReport.report_date).toLocaleDateString('es-PE')}</span>
+              <button type="button" onClick={handleCancelForm} className="font-medium hover:underline">Cancelar</button>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Partida Selection */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4">Seleccionar Partida</h3>
+              <select
+                value={selectedPartida?.id || ''}
+                onChange={(e) => {
+                  const partida = partidas.find(p => p.id === e.target.value);
+                  setSelectedPartida(partida);
+                  setValidationError('');
+                }}
+                className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">-- Seleccione una partida --</option>
+                {partidas.map(partida => (
+                  <option key={partida.id} value={partida.id}>
+                    {partida.code} - {partida.name} (Avance: {partida.current_progress || 0}/{partida.total_budgeted || 0} {partida.unit})
+                  </option>
+                ))}
+              </select>
+          
+              {selectedPartida && (
+                <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div className="bg-blue-50 p-3 rounded-lg">
+                    <p className="text-xs text-blue-600 font-medium">Unidad</p>
+                    <p className="text-lg font-bold text-blue-800">{selectedPartida.unit}</p>
+                  </div>
+                  <div className="bg-green-50 p-3 rounded-lg">
+                    <p className="text-xs text-green-600 font-medium">Presupuestado</p>
+                    <p className="text-lg font-bold text-green-800">{selectedPartida.total_budgeted || 0}</p>
+                  </div>
+                  <div className="bg-yellow-50 p-3 rounded-lg">
+                    <p className="text-xs text-yellow-600 font-medium">Avance Actual</p>
+                    <p className="text-lg font-bold text-yellow-800">{selectedPartida.current_progress || 0}</p>
+                  </div>
+                  <div className="bg-purple-50 p-3 rounded-lg">
+                    <p className="text-xs text-purple-600 font-medium">Disponible</p>
+                    <p className="text-lg font-bold text-purple-800">
+                      {(selectedPartida.total_budgeted || 0) - (selectedPartida.current_progress || 0) - getPendingProgress(selectedPartida.id)}
+                    </p>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Progress Input */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4">Avance del Día</h3>
+              <div className="flex gap-4 items-end">
+                <div className="flex-1">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Cantidad Ejecutada ({selectedPartida?.unit || 'unidad'})
+                  </label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={progressInput}
+                    onChange={(e) => {
+                      setProgressInput(e.target.value);
+                      setValidationError('');
+                    }}
+                    className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="0.00"
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Labor Section (generada desde el tareo) */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-800">Mano de Obra</h3>
+                {allowedTabs.includes('tareo') && (
+                  <button
+                    type="button"
+                    onClick={() => setActiveTab('tareo')}
+                    className="text-blue-600 hover:text-blue-800 font-medium text-sm"
+                  >
+                    Editar Tareo
+                  </button>
+                )}
+              </div>
+
+              {Object.keys(ratesInForce).length === 0 && (
+                <p className="mb-3 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+                  El proyecto no tiene tarifas de mano de obra vigentes. Solicite al administrador que las registre.
+                </p>
+              )}
+
+              {!selectedPartida ? (
+                <p className="text-sm text-gray-500">Seleccione una partida para ver las horas del tareo.</p>
+              ) : laborEntries.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  No hay horas registradas en el tareo del {reportDate} para esta partida.
+                </p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Trabajador</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Categoría</th>
+                        <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Horas</th>
+                        <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">H. Extra</th>
+                        {canViewCosts && <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Costo</th>}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {laborEntries.map(entry => (
+                        <tr key={entry.id}>
+                          <td className="px-3 py-2 text-gray-900">{entry.workers?.full_name}</td>
+                          <td className="px-3 py-2 text-gray-600">{getLaborCategoryLabel(entry.workers?.category)}</td>
+                          <td className="px-3 py-2 text-center text-gray-600">{entry.hours}{entry.night_shift && ' (noct.)'}</td>
+                          <td className="px-3 py-2 text-center text-gray-600">{entry.overtime_hours || 0}</td>
+                          {canViewCosts && (
+                            <td className="px-3 py-2 text-right text-gray-900">
+                              {ratesInForce[entry.workers?.category]
+                                ? formatCurrency(computeLaborCost(ratesInForce[entry.workers?.category], entry, getDayOvertimeHours(tareoEntries, entry)))
+                                : 'Sin tarifa'}
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Materials Section */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-800">Materiales Utilizados</h3>
+                <button
+                  type="button"
+                  onClick={addMaterialRow}
+                  className="text-blue-600 hover:text-blue-800 font-medium text-sm flex items-center gap-1"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  Agregar Material
+                </button>
+              </div>
+          
+              <div className="space-y-3">
+                {materialRows.map((row, index) => (
+                  <div key={index}>
+                    <div className="flex gap-3 items-center">
+                      <select
+                        value={row.material_id}
+                        onChange={(e) => updateMaterialRow(index, 'material_id', e.target.value)}
+                        className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">-- Seleccionar material --</option>
+                        {materials.map(mat => (
+                          <option key={mat.id} value={mat.id}>
+                            {mat.name} ({mat.unit}) - {formatCurrency(getMaterialPrice(mat, pricesInForce), getMaterialCurrency(mat, pricesInForce))}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        placeholder="Cantidad"
+                        value={row.quantity}
+                        onChange={(e) => updateMaterialRow(index, 'quantity', e.target.value)}
+                        className="w-32 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
+                      />
+                      {materialRows.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => removeMaterialRow(index)}
+                          className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      )}
+                    </div>
+                    {getStockWarning(row) && (
+                      <p className="mt-1 text-xs text-amber-700">⚠️ {getStockWarning(row)}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Photos Section */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4">Evidencia Fotográfica</h3>
+          
+              <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition">
+                <input
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  onChange={handlePhotoUpload}
+                  className="hidden"
+                  id="photo-upload"
+                  disabled={uploadingPhotos}
+                />
+                <label
+                  htmlFor="photo-upload"
+                  className="cursor-pointer flex flex-col items-center gap-2"
+                >
+                  {uploadingPhotos ? (
+                    <>
+                      <Spinner size="md" />
+                      <span className="text-gray-600">Comprimiendo y subiendo fotos...</span>
+                    </>
+                  ) : (
+                    <>
+                      <svg className="w-12 h-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                      </svg>
+                      <span className="text-gray-600">Haga clic para subir fotos</span>
+                      <span className="text-sm text-gray-400">JPG, PNG · se comprimen antes de subir</span>
+                    </>
+                  )}
+                </label>
+              </div>
+
+              {photos.length > 0 && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+                  {photos.map((photo, index) => (
+                    <div key={index} className="relative group">
+                      <img
+                        src={evidenceUrls.thumb(photo)}
+                        alt={photo.name}
+                        className="w-full h-24 object-cover rounded-lg"
+                      />
+                      <PhotoCaption photo={photo} />
+                      {photo.local_photo_id && (
+                        <span className="absolute top-1 left-1 bg-amber-500 text-white text-xs px-1 rounded">Por subir</span>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => removePhoto(index)}
+                        className="absolute top-1 right-1 bg-red-500 text-white p-1 rounded-full opacity-0 group-hover:opacity-100 transition"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Notes */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4">Observaciones</h3>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={4}
+                className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Ingrese observaciones del día, incidentes, clima, etc."
+              />
+            </div>
+
+            {/* Validation Error */}
+            {validationError && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                {validationError}
+              </div>
+            )}
+
+            {/* Submit Button */}
+            <button
+              type="submit"
+              disabled={submitting || uploadingPhotos}
+              className="w-full bg-blue-600 text-white py-4 rounded-xl font-semibold text-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {submitting && <Spinner size="sm" />}
+              {submitting ? 'Guardando Reporte...' : (editingReport ? 'Reenviar Reporte Corregido' : 'Guardar Reporte Diario')}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ============== VALUATIONS (VALORIZACIONES) COMPONENT ==============
+const VALUATION_STATUS = {
+  draft: { label: 'Borrador', className: 'bg-gray-100 text-gray-700' },
+  submitted: { label: 'Presentada', className: 'bg-blue-100 text-blue-800' },
+  approved: { label: 'Aprobada', className: 'bg-green-100 text-green-800' }
+};
+
+const formatPeriod = (periodStart) => {
+  const [year, month] = periodStart.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('es-PE', { month: 'long', year: 'numeric' });
+};
+
+// Metrado acumulado al cierre del periodo (reportes aprobados) menos lo ya valorizado en la anterior
+const buildValuationItems = (partidas, approvedReports, periodEnd, previousItems) => {
+  const previous = Object.fromEntries(
+    previousItems.map(item => [item.partida_id, (item.previous_quantity || 0) + (item.current_quantity || 0)])
+  );
+  const accumulated = {};
+  approvedReports
+    .filter(r => r.report_date <= periodEnd)
+    .forEach(r => { accumulated[r.partida_id] = (accumulated[r.partida_id] || 0) + (r.progress_value || 0); });
+
+  return partidas.map(p => ({
+    partida_id: p.id,
+    code: p.code,
+    name: p.name,
+    unit: p.unit,
+    unit_price: p.unit_price || 0,
+    budgeted_quantity: p.total_budgeted || 0,
+    previous_quantity: previous[p.id] || 0,
+    current_quantity: Math.max((accumulated[p.id] || 0) - (previous[p.id] || 0), 0)
+  }));
+};
+
+const valuationTotal = (items, field) => items.reduce((sum, item) => sum + (item[field] || 0) * (item.unit_price || 0), 0);
+
+const ValuationsManager = ({ project, currentUser }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [partidas, setPartidas] = useState([]);
+  const [valuations, setValuations] = useState([]);
+  const [approvedReports, setApprovedReports] = useState([]);
+  const [newPeriod, setNewPeriod] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [selectedValuation, setSelectedValuation] = useState(null);
+  const [approvalDate, setApprovalDate] = useState('');
+
+  const fetchData = useCallback(async () => {
+    if (!project?.id) return;
+    setLoading(true);
+    try {
+      const [partidasRes, valuationsRes, reportsRes] = await Promise.all([
+        supabase.from('partidas').select('*').eq('project_id', project.id).order('code'),
+        supabase
+          .from('valuations')
+          .select('*, valuation_items(*)')
+          .eq('project_id', project.id)
+          .order('period_start', { ascending: false }),
+        supabase
+          .from('daily_reports')
+          .select('partida_id, progress_value, report_date')
+          .eq('project_id', project.id)
+          .eq('status', 'approved')
+      ]);
+      if (partidasRes.data) setPartidas(partidasRes.data);
+      if (valuationsRes.data) setValuations(valuationsRes.data);
+      if (reportsRes.data) setApprovedReports(reportsRes.data);
+    } catch (error) {
+      console.error('Error fetching valuations:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id]);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  const lastValuation = valuations[0];
+  // Cada valorización parte de la última aprobada por el cliente, nunca de un borrador
+  const lastApproved = valuations.find(v => v.status === 'approved');
+  const openValuation = valuations.find(v => v.status !== 'approved');
+  const sortItems = (items) => [...(items || [])].sort((a, b) => (a.code || '').localeCompare(b.code || '', undefined, { numeric: true }));
+
+  const handleGenerate = () => {
+    if (!newPeriod) return;
+    const periodStart = `${newPeriod}-01`;
+    if (openValuation) {
+      alert(`La valorización N° ${openValuation.number} aún no está aprobada por el cliente; apruébela o elimínela antes de generar la siguiente`);
+      return;
+    }
+    if (lastValuation && periodStart <= lastValuation.period_start) {
+      alert(`El periodo debe ser posterior a la última valorización (${formatPeriod(lastValuation.period_start)})`);
+      return;
+    }
+    const [year, month] = newPeriod.split('-').map(Number);
+    const periodEnd = `${newPeriod}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+    setPreview({
+      period_start: periodStart,
+      period_end: periodEnd,
+      items: buildValuationItems(partidas, approvedReports, periodEnd, lastApproved?.valuation_items || [])
+    });
+  };
+
+  const handleSaveDraft = async () => {
+    setSubmitting(true);
+    try {
+      // Cabecera e ítems en una sola transacción; el número y el total los calcula el servidor
+      const { error } = await supabase.rpc('save_valuation', {
+        p_project_id: project.id,
+        p_period_start: preview.period_start,
+        p_period_end: preview.period_end,
+        p_items: preview.items
+      });
+      if (error) throw error;
+
+      setPreview(null);
+      setNewPeriod('');
+      fetchData();
+    } catch (error) {
+      alert('Error al guardar la valorización: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmitToClient = async (valuation) => {
+    if (!confirm(`¿Presentar la valorización N° ${valuation.number} al cliente? Ya no podrá eliminarse.`)) return;
+    const { error } = await supabase.from('valuations').update({ status: 'submitted' }).eq('id', valuation.id);
+    if (error) {
+      alert('Error: ' + error.message);
+      return;
+    }
+    setSelectedValuation(null);
+    fetchData();
+  };
+
+  // La aprobación del cliente convierte la valorización en ingreso en el flujo de caja
+  const handleApprove = async (valuation) => {
+    if (!approvalDate) {
+      alert('Indique la fecha de aprobación del cliente');
+      return;
+    }
+    const { error } = await supabase.from('valuations')
+      .update({ status: 'approved', approved_date: approvalDate, approved_by: currentUser?.id })
+      .eq('id', valuation.id);
+    if (error) {
+      alert('Error: ' + error.message);
+      return;
+    }
+    setSelectedValuation(null);
+    fetchData();
+  };
+
+  const handleDelete = async (valuation) => {
+    if (!confirm(`¿Eliminar el borrador de la valorización N° ${valuation.number}?`)) return;
+    const { error } = await supabase.from('valuations').delete().eq('id', valuation.id);
+    if (error) {
+      alert('Error al eliminar la valorización: ' + error.message);
+      return;
+    }
+    setSelectedValuation(null);
+    fetchData();
+  };
+
+  const handleExportSheet = (valuation) => {
+    const currency = project.currency || BASE_CURRENCY;
+    const accumulated = (item) => item.previous_quantity + item.current_quantity;
+    downloadWorkbook([{
+      name: `Valorización N° ${valuation.number}`,
+      columns: [
+        { header: 'Código', value: item => item.code },
+        { header: 'Partida', value: item => item.name },
+        { header: 'Unidad', value: item => item.unit },
+        { header: 'Metrado', type: 'number', value: item => item.budgeted_quantity },
+        { header: 'Precio Unitario', type: 'currency', currency, value: item => item.unit_price },
+        { header: 'Presupuesto', type: 'currency', currency, value: item => item.budgeted_quantity * item.unit_price },
+        { header: 'Anterior Cant.', type: 'number', value: item => item.previous_quantity },
+        { header: 'Anterior Monto', type: 'currency', currency, value: item => item.previous_quantity * item.unit_price },
+        { header: 'Actual Cant.', type: 'number', value: item => item.current_quantity },
+        { header: 'Actual Monto', type: 'currency', currency, value: item => item.current_quantity * item.unit_price },
+        { header: 'Acumulado Cant.', type: 'number', value: item => accumulated(item) },
+        { header: 'Acumulado Monto', type: 'currency', currency, value: item => accumulated(item) * item.unit_price },
+        { header: 'Acumulado (%)', type: 'percent', value: item => accumulated(item) / (item.budgeted_quantity || 1) },
+        { header: 'Saldo', type: 'currency', currency, value: item => (item.budgeted_quantity - accumulated(item)) * item.unit_price }
+      ],
+      rows: sortItems(valuation.valuation_items)
+    }], `valorizacion_${valuation.number}_${project.name.replace(/\s+/g, '_')}`);
+  };
+
+  // Hoja de valorización: columnas anterior / actual / acumulado como en el formato estándar
+  const renderSheet = (items) => {
+    const sorted = sortItems(items);
+    const totalBudget = valuationTotal(sorted, 'budgeted_quantity');
+    const totalPrevious = valuationTotal(sorted, 'previous_quantity');
+    const totalCurrent = valuationTotal(sorted, 'current_quantity');
+    const totalAccumulated = totalPrevious + totalCurrent;
+    return (
+      <div className="overflow-x-auto border rounded-lg">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50">
+            <tr>
+              <th rowSpan={2} className="px-2 py-2 text-left font-medium text-gray-500 uppercase">Partida</th>
+              <th rowSpan={2} className="px-2 py-2 text-center font-medium text-gray-500 uppercase">Und</th>
+              <th rowSpan={2} className="px-2 py-2 text-right font-medium text-gray-500 uppercase">Metrado</th>
+              <th rowSpan={2} className="px-2 py-2 text-right font-medium text-gray-500 uppercase">P.U.</th>
+              <th colSpan={2} className="px-2 py-1 text-center font-medium text-gray-500 uppercase border-l">Anterior</th>
+              <th colSpan={2} className="px-2 py-1 text-center font-medium text-blue-700 uppercase border-l bg-blue-50">Actual</th>
+              <th colSpan={3} className="px-2 py-1 text-center font-medium text-gray-500 uppercase border-l">Acumulado</th>
+              <th rowSpan={2} className="px-2 py-2 text-right font-medium text-gray-500 uppercase border-l">Saldo</th>
+            </tr>
+            <tr>
+              <th className="px-2 py-1 text-right font-medium text-gray-500 border-l">Cant.</th>
+              <th className="px-2 py-1 text-right font-medium text-gray-500">Monto</th>
+              <th className="px-2 py-1 text-right font-medium text-blue-700 border-l bg-blue-50">Cant.</th>
+              <th className="px-2 py-1 text-right font-medium text-blue-700 bg-blue-50">Monto</th>
+              <th className="px-2 py-1 text-right font-medium text-gray-500 border-l">Cant.</th>
+              <th className="px-2 py-1 text-right font-medium text-gray-500">Monto</th>
+              <th className="px-2 py-1 text-right font-medium text-gray-500">%</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {sorted.map(item => {
+              const accumulated = item.previous_quantity + item.current_quantity;
+              return (
+                <tr key={item.partida_id}>
+                  <td className="px-2 py-1"><span className="font-mono text-gray-500">{item.code}</span> {item.name}</td>
+                  <td className="px-2 py-1 text-center">{item.unit}</td>
+                  <td className="px-2 py-1 text-right">{item.budgeted_quantity}</td>
+                  <td className="px-2 py-1 text-right">{formatCurrency(item.unit_price, project.currency)}</td>
+                  <td className="px-2 py-1 text-right border-l">{item.previous_quantity}</td>
+                  <td className="px-2 py-1 text-right">{formatCurrency(item.previous_quantity * item.unit_price, project.currency)}</td>
+                  <td className="px-2 py-1 text-right border-l bg-blue-50">{item.current_quantity}</td>
+                  <td className="px-2 py-1 text-right bg-blue-50 font-medium">{formatCurrency(item.current_quantity * item.unit_price, project.currency)}</td>
+                  <td className="px-2 py-1 text-right border-l">{accumulated}</td>
+                  <td className="px-2 py-1 text-right">{formatCurrency(accumulated * item.unit_price, project.currency)}</td>
+                  <td className="px-2 py-1 text-right">{((accumulated / (item.budgeted_quantity || 1)) * 100).toFixed(1)}%</td>
+                  <td className="px-2 py-1 text-right border-l">{formatCurrency((item.budgeted_quantity - accumulated) * item.unit_price, project.currency)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot className="bg-gray-50 font-semibold">
+            <tr>
+              <td colSpan={4} className="px-2 py-2 text-right">Total {formatCurrency(totalBudget, project.currency)}</td>
+              <td colSpan={2} className="px-2 py-2 text-right border-l">{formatCurrency(totalPrevious, project.currency)}</td>
+              <td colSpan={2} className="px-2 py-2 text-right border-l bg-blue-50 text-blue-800">{formatCurrency(totalCurrent, project.currency)}</td>
+              <td colSpan={2} className="px-2 py-2 text-right border-l">{formatCurrency(totalAccumulated, project.currency)}</td>
+              <td className="px-2 py-2 text-right">{((totalAccumulated / (totalBudget || 1)) * 100).toFixed(1)}%</td>
+              <td className="px-2 py-2 text-right border-l">{formatCurrency(totalBudget - totalAccumulated, project.currency)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    );
+  };
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow p-4 flex flex-col sm:flex-row sm:items-end gap-3">
+        <div>
+          <label className="text-xs text-gray-500">Periodo a valorizar</label>
+          <input type="month" value={newPeriod} onChange={e => setNewPeriod(e.target.value)} className="border rounded-lg px-3 py-2 w-full" />
+        </div>
+        <button onClick={handleGenerate} disabled={!newPeriod} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+          Generar Valorización
+        </button>
+        <p className="text-xs text-gray-500 sm:ml-auto">Se valoriza el avance de los reportes aprobados hasta el cierre del mes.</p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">N°</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Periodo</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Monto del Periodo</th>
+              <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Estado</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {valuations.map(valuation => (
+              <tr key={valuation.id} className="hover:bg-gray-50">
+                <td className="px-4 py-3 font-medium text-gray-900">{valuation.number}</td>
+                <td className="px-4 py-3 text-gray-600 capitalize">{formatPeriod(valuation.period_start)}</td>
+                <td className="px-4 py-3 text-right text-gray-900">{formatCurrency(valuation.total_amount, project.currency)}</td>
+                <td className="px-4 py-3 text-center">
+                  <StatusBadge statuses={VALUATION_STATUS} status={valuation.status} />
+                  {valuation.approved_date && <p className="text-xs text-gray-500 mt-1">{new Date(valuation.approved_date + 'T00:00:00').toLocaleDateString('es-PE')}</p>}
+                </td>
+                <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                  <button onClick={() => { setSelectedValuation(valuation); setApprovalDate(todayISO()); }} className="text-blue-600 hover:text-blue-800 text-sm">Ver Hoja</button>
+                  <button onClick={() => handleExportSheet(valuation)} className="text-green-600 hover:text-green-800 text-sm">Excel</button>
+                </td>
+              </tr>
+            ))}
+            {valuations.length === 0 && (
+              <tr><td colSpan={5} className="px-4 py-8 text-center text-gray-500">No hay valorizaciones registradas</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* MODAL VISTA PREVIA */}
+      <Modal isOpen={!!preview} onClose={() => setPreview(null)} title={preview ? `Valorización N° ${(lastValuation?.number || 0) + 1} — ${formatPeriod(preview.period_start)}` : ''} size="4xl">
+        {preview && (
+          <div className="space-y-4">
+            {renderSheet(preview.items)}
+            {valuationTotal(preview.items, 'current_quantity') === 0 && (
+              <p className="text-sm text-amber-700 bg-amber-50 rounded-lg p-3">No hay avance aprobado nuevo en este periodo.</p>
+            )}
+            <button disabled={submitting} onClick={handleSaveDraft} className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+              {submitting ? 'Guardando...' : 'Guardar como Borrador'}
+            </button>
+          </div>
+        )}
+      </Modal>
+
+      {/* MODAL HOJA DE VALORIZACIÓN */}
+      <Modal isOpen={!!selectedValuation} onClose={() => setSelectedValuation(null)} title={selectedValuation ? `Valorización N° ${selectedValuation.number} — ${formatPeriod(selectedValuation.period_start)}` : ''} size="4xl">
+        {selectedValuation && (
+          <div className="space-y-4">
+            {renderSheet(selectedValuation.valuation_items)}
+            {selectedValuation.status === 'draft' && (
+              <div className="flex gap-2">
+                <button onClick={() => handleSubmitToClient(selectedValuation)} className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+                  Presentar al Cliente
+                </button>
+                {selectedValuation.id === lastValuation?.id && (
+                  <button onClick={() => handleDelete(selectedValuation)} className="border border-red-300 text-red-600 px-4 py-2 rounded-lg hover:bg-red-50">
+                    Eliminar
+                  </button>
+                )}
+              </div>
+            )}
+            {selectedValuation.status === 'submitted' && (
+              <div className="flex gap-2 items-end">
+                <div className="flex-1">
+                  <label className="text-xs text-gray-500">Fecha de aprobación del cliente</label>
+                  <input type="date" value={approvalDate} onChange={e => setApprovalDate(e.target.value)} className="border rounded-lg px-3 py-2 w-full" />
+                </div>
+                <button onClick={() => handleApprove(selectedValuation)} className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700">
+                  Registrar Aprobación
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+// ============== BILLING (FACTURACIÓN Y COBRANZAS) COMPONENT ==============
+const BillingManager = ({ project, currentUser }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [valuations, setValuations] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+
+  const [invoiceValuation, setInvoiceValuation] = useState(null);
+  const [invoiceForm, setInvoiceForm] = useState({ invoice_number: '', issue_date: '', credit_days: 30, detraccion: true, retencion: false, guarantee_pct: 5 });
+
+  const [collectingInvoice, setCollectingInvoice] = useState(null);
+  const [collectionForm, setCollectionForm] = useState({ type: 'payment', collection_date: '', amount: '', reference: '' });
+
+  const fetchData = useCallback(async () => {
+    if (!project?.id) return;
+    setLoading(true);
+    try {
+      const [valuationsRes, invoicesRes] = await Promise.all([
+        supabase
+          .from('valuations')
+          .select('id, number, period_start, total_amount, approved_date')
+          .eq('project_id', project.id)
+          .eq('status', 'approved')
+          .order('number'),
+        supabase
+          .from('invoices')
+          .select('*, valuations(number), collections(*)')
+          .eq('project_id', project.id)
+          .order('issue_date', { ascending: false })
+      ]);
+      if (valuationsRes.data) setValuations(valuationsRes.data);
+      if (invoicesRes.data) setInvoices(invoicesRes.data);
+    } catch (error) {
+      console.error('Error fetching billing data:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id]);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  const today = todayISO();
+  const invoicedValuationIds = new Set(invoices.filter(i => i.status !== 'cancelled').map(i => i.valuation_id));
+  const pendingValuations = valuations.filter(v => !invoicedValuationIds.has(v.id));
+  const aging = buildReceivablesAging(invoices, today);
+
+  // --- EMISIÓN DE FACTURA ---
+
+  const invoicePreview = invoiceValuation
+    ? computeInvoiceAmounts(invoiceValuation.total_amount || 0, {
+        detraccion: invoiceForm.detraccion,
+        retencion: invoiceForm.retencion,
+        guaranteePct: parseDecimal(invoiceForm.guarantee_pct) || 0
+      })
+    : null;
+
+  const handleOpenInvoice = (valuation) => {
+    setInvoiceValuation(valuation);
+    setInvoiceForm({ invoice_number: '', issue_date: today, credit_days: 30, detraccion: true, retencion: false, guarantee_pct: 5 });
+  };
+
+  const handleSaveInvoice = async (e) => {
+    e.preventDefault();
+    const invoiceNumber = invoiceForm.invoice_number.trim().toUpperCase();
+    if (!INVOICE_NUMBER_PATTERN.test(invoiceNumber)) {
+      alert('Número de factura no válido. Formato esperado: serie-correlativo (ej. F001-00000123)');
+      return;
+    }
+    const dueDate = addDaysISO(invoiceForm.issue_date, parseInt(invoiceForm.credit_days, 10) || 0);
+
+    setSubmitting(true);
+    try {
+      const { error } = await supabase.from('invoices').insert([{
+        ...invoicePreview,
+        project_id: project.id,
+        currency: project.currency || BASE_CURRENCY,
+        valuation_id: invoiceValuation.id,
+        invoice_number: invoiceNumber,
+        issue_date: invoiceForm.issue_date,
+        due_date: dueDate,
+        guarantee_pct: parseDecimal(invoiceForm.guarantee_pct) || 0,
+        status: 'issued',
+        created_by: currentUser?.id
+      }]);
+      if (error) throw error;
+      setInvoiceValuation(null);
+      fetchData();
+    } catch (error) {
+      alert('Error al registrar la factura: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancelInvoice = async (invoice) => {
+    if (invoice.collections?.length > 0) {
+      alert('No se puede anular una factura con cobros registrados');
+      return;
+    }
+    if (!confirm(`¿Anular la factura ${invoice.invoice_number}? La valorización quedará pendiente de facturar.`)) return;
+    await supabase.from('invoices').update({ status: 'cancelled' }).eq('id', invoice.id);
+    fetchData();
+  };
+
+  // --- COBRANZAS ---
+
+  const handleOpenCollection = (invoice) => {
+    setCollectingInvoice(invoice);
+    setCollectionForm({ type: 'payment', collection_date: today, amount: String(Math.max(getInvoiceBalances(invoice).payment, 0)), reference: '' });
+  };
+
+  const handleCollectionTypeChange = (type) => {
+    setCollectionForm(prev => ({ ...prev, type, amount: String(Math.max(getInvoiceBalances(collectingInvoice)[type], 0)) }));
+  };
+
+  const handleSaveCollection = async (e) => {
+    e.preventDefault();
+    const amount = parseDecimal(collectionForm.amount);
+    if (!(amount > 0)) {
+      alert('El monto debe ser mayor a 0');
+      return;
+    }
+    const pending = getInvoiceBalances(collectingInvoice)[collectionForm.type];
+    if (amount > pending + 0.005) {
+      alert(`El monto supera el saldo pendiente por ${COLLECTION_TYPES[collectionForm.type].toLowerCase()} (${formatCurrency(pending, collectingInvoice.currency)})`);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const { error } = await supabase.from('collections').insert([{
+        invoice_id: collectingInvoice.id,
+        type: collectionForm.type,
+        collection_date: collectionForm.collection_date,
+        amount,
+        reference: collectionForm.reference.trim() || null,
+        created_by: currentUser?.id
+      }]);
+      if (error) throw error;
+      setCollectingInvoice(null);
+      fetchData();
+    } catch (error) {
+      alert('Error al registrar el cobro: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-6">
+      {/* Antigüedad de saldos */}
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
+        {AGING_BUCKETS.map(bucket => (
+          <div key={bucket.id} className="bg-white rounded-xl shadow p-3">
+            <p className="text-xs text-gray-500">{bucket.label}</p>
+            <p className={`font-semibold truncate ${bucket.id !== 'current' && aging[bucket.id] > 0 ? 'text-red-600' : 'text-gray-900'}`}>{formatCurrency(aging[bucket.id], project.currency)}</p>
+          </div>
+        ))}
+        <div className="bg-white rounded-xl shadow p-3">
+          <p className="text-xs text-gray-500">Total por cobrar</p>
+          <p className="font-semibold text-gray-900 truncate">{formatCurrency(aging.total, project.currency)}</p>
+        </div>
+        <div className="bg-white rounded-xl shadow p-3">
+          <p className="text-xs text-gray-500">Fondo de garantía</p>
+          <p className="font-semibold text-gray-900 truncate">{formatCurrency(aging.guarantee, project.currency)}</p>
+        </div>
+      </div>
+
+      {/* Valorizaciones por facturar */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Valorizaciones Aprobadas por Facturar ({pendingValuations.length})</h3>
+        </div>
+        <div className="divide-y divide-gray-100">
+          {pendingValuations.map(valuation => (
+            <div key={valuation.id} className="p-4 flex items-center justify-between gap-3">
+              <div>
+                <p className="font-medium text-gray-900">Valorización N° {valuation.number} · <span className="capitalize">{formatPeriod(valuation.period_start)}</span></p>
+                <p className="text-sm text-gray-500">{formatCurrency(valuation.total_amount, project.currency)} (sin IGV)</p>
+              </div>
+              <button onClick={() => handleOpenInvoice(valuation)} className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 text-sm">Facturar</button>
+            </div>
+          ))}
+          {pendingValuations.length === 0 && <p className="px-6 py-8 text-center text-gray-500">No hay valorizaciones pendientes de facturar</p>}
+        </div>
+      </div>
+
+      {/* Facturas */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Facturas</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Factura</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Detracción</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Retención</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">F. Garantía</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Por Cobrar</th>
+                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Estado</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {invoices.map(invoice => {
+                const status = getInvoiceStatus(invoice);
+                const overdue = status !== 'paid' && status !== 'cancelled' && invoice.due_date < today;
+                return (
+                  <tr key={invoice.id} className={status === 'cancelled' ? 'bg-gray-50 opacity-60' : 'hover:bg-gray-50'}>
+                    <td className="px-4 py-3">
+                      <p className="font-mono text-sm text-gray-900">{invoice.invoice_number}</p>
+                      <p className="text-xs text-gray-500">
+                        Val. N° {invoice.valuations?.number} · Vence {new Date(invoice.due_date + 'T00:00:00').toLocaleDateString('es-PE')}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3 text-right text-gray-900">{formatCurrency(invoice.total, invoice.currency)}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(invoice.detraccion_amount, invoice.currency)}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(invoice.retencion_amount, invoice.currency)}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(invoice.guarantee_amount, invoice.currency)}</td>
+                    <td className={`px-4 py-3 text-right font-medium ${overdue ? 'text-red-600' : 'text-gray-900'}`}>
+                      {status === 'cancelled' ? '—' : formatCurrency(getInvoiceReceivable(invoice), invoice.currency)}
+                    </td>
+                    <td className="px-4 py-3 text-center"><StatusBadge statuses={INVOICE_STATUS} status={status} /></td>
+                    <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                      {status !== 'cancelled' && (
+                        <button onClick={() => handleOpenCollection(invoice)} className="text-blue-600 hover:text-blue-800 text-sm">Cobros</button>
+                      )}
+                      {status === 'issued' && (
+                        <button onClick={() => handleCancelInvoice(invoice)} className="text-red-600 hover:text-red-800 text-sm">Anular</button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {invoices.length === 0 && (
+                <tr><td colSpan={8} className="px-4 py-8 text-center text-gray-500">No hay facturas emitidas</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* MODAL EMITIR FACTURA */}
+      <Modal isOpen={!!invoiceValuation} onClose={() => setInvoiceValuation(null)} title={`Facturar Valorización N° ${invoiceValuation?.number || ''}`}>
+        {invoiceValuation && (
+          <form onSubmit={handleSaveInvoice} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <input required placeholder="F001-00000123" value={invoiceForm.invoice_number} onChange={e => setInvoiceForm({ ...invoiceForm, invoice_number: e.target.value })} className="border rounded-lg px-3 py-2 w-full font-mono uppercase" />
+              <input required type="date" value={invoiceForm.issue_date} onChange={e => setInvoiceForm({ ...invoiceForm, issue_date: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+              <div>
+                <label className="text-xs text-gray-500">Días de crédito</label>
+                <input type="number" min="0" value={invoiceForm.credit_days} onChange={e => setInvoiceForm({ ...invoiceForm, credit_days: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+              </div>
+              <div>
+                <label className="text-xs text-gray-500">Fondo de garantía (%)</label>
+                <input inputMode="decimal" value={invoiceForm.guarantee_pct} onChange={e => setInvoiceForm({ ...invoiceForm, guarantee_pct: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+              </div>
+            </div>
+            <div className="flex gap-6 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={invoiceForm.detraccion} onChange={e => setInvoiceForm({ ...invoiceForm, detraccion: e.target.checked })} />
+                Sujeta a detracción (4%)
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={invoiceForm.retencion} onChange={e => setInvoiceForm({ ...invoiceForm, retencion: e.target.checked })} />
+                Cliente agente de retención (3%)
+              </label>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3 text-sm space-y-1">
+              <div className="flex justify-between"><span>Valor de venta</span><span>{formatCurrency(invoicePreview.subtotal, project.currency)}</span></div>
+              <div className="flex justify-between"><span>IGV (18%)</span><span>{formatCurrency(invoicePreview.igv, project.currency)}</span></div>
+              <div className="flex justify-between font-semibold"><span>Total factura</span><span>{formatCurrency(invoicePreview.total, project.currency)}</span></div>
+              <div className="flex justify-between text-gray-600"><span>(-) Detracción</span><span>{formatCurrency(invoicePreview.detraccion_amount, project.currency)}</span></div>
+              <div className="flex justify-between text-gray-600"><span>(-) Retención</span><span>{formatCurrency(invoicePreview.retencion_amount, project.currency)}</span></div>
+              <div className="flex justify-between text-gray-600"><span>(-) Fondo de garantía</span><span>{formatCurrency(invoicePreview.guarantee_amount, project.currency)}</span></div>
+              <div className="flex justify-between font-semibold border-t pt-1"><span>Neto a abonar en cuenta</span><span>{formatCurrency(invoicePreview.net_amount, project.currency)}</span></div>
+              {invoiceForm.detraccion && invoiceForm.retencion && invoicePreview.detraccion_amount > 0 && (
+                <p className="text-xs text-amber-700">La retención no aplica a comprobantes sujetos a detracción.</p>
+              )}
+            </div>
+            <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+              {submitting ? 'Registrando...' : 'Registrar Factura'}
+            </button>
+          </form>
+        )}
+      </Modal>
+
+      {/* MODAL COBROS */}
+      <Modal isOpen={!!collectingInvoice} onClose={() => setCollectingInvoice(null)} title={`Cobros de ${collectingInvoice?.invoice_number || ''}`}>
+        {collectingInvoice && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              {Object.entries(getInvoiceBalances(collectingInvoice)).map(([type, balance]) => (
+                <div key={type} className="bg-gray-50 p-2 rounded-lg">
+                  <p className="text-xs text-gray-500">{COLLECTION_TYPES[type]}</p>
+                  <p className="font-semibold">{formatCurrency(balance, collectingInvoice.currency)}</p>
+                </div>
+              ))}
+            </div>
+
+            {collectingInvoice.collections?.length > 0 && (
+              <div className="border rounded-lg divide-y text-sm">
+                {[...collectingInvoice.collections].sort((a, b) => a.collection_date.localeCompare(b.collection_date)).map(c => (
+                  <div key={c.id} className="p-2 flex justify-between">
+                    <span>
+                      {new Date(c.collection_date + 'T00:00:00').toLocaleDateString('es-PE')} · {COLLECTION_TYPES[c.type]}
+                      {c.reference && <span className="text-gray-500"> · {c.reference}</span>}
+                    </span>
+                    <span className="font-medium">{formatCurrency(c.amount, collectingInvoice.currency)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {getInvoiceStatus(collectingInvoice) !== 'paid' || getInvoiceBalances(collectingInvoice).guarantee > 0 ? (
+              <form onSubmit={handleSaveCollection} className="space-y-3 border-t pt-4">
+                <select value={collectionForm.type} onChange={e => handleCollectionTypeChange(e.target.value)} className="border rounded-lg px-3 py-2 w-full">
+                  {Object.entries(COLLECTION_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                </select>
+                <div className="grid grid-cols-2 gap-4">
+                  <input required type="date" value={collectionForm.collection_date} onChange={e => setCollectionForm({ ...collectionForm, collection_date: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+                  <input required inputMode="decimal" placeholder="Monto" value={collectionForm.amount} onChange={e => setCollectionForm({ ...collectionForm, amount: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+                </div>
+                <input placeholder="N° de operación / constancia" value={collectionForm.reference} onChange={e => setCollectionForm({ ...collectionForm, reference: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+                <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+                  {submitting ? 'Registrando...' : 'Registrar Cobro'}
+                </button>
+              </form>
+            ) : (
+              <p className="text-sm text-green-700 bg-green-50 rounded-lg p-3">Factura cobrada en su totalidad.</p>
+            )}
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+// ============== SCHEDULE (CRONOGRAMA) COMPONENT ==============
+const DAY_MS = 86400000;
+
+const ScheduleView = ({ partidas, approvedReports }) => {
+  const today = todayISO();
+  const scheduled = partidas.filter(isScheduled);
+  const unscheduledCount = partidas.length - scheduled.length;
+  const sCurve = buildSCurve(partidas, approvedReports, today);
+
+  if (scheduled.length === 0) {
+    return (
+      <div className="text-center py-10 text-gray-500 bg-white rounded-xl border border-dashed border-gray-300">
+        Ninguna partida tiene fechas programadas. Defina inicio y fin en la pestaña Presupuesto.
+      </div>
+    );
+  }
+
+  // Escala del Gantt: del primer inicio al último fin programado
+  const rangeStart = new Date(scheduled.map(p => p.planned_start).sort()[0] + 'T00:00:00');
+  const rangeEnd = new Date(scheduled.map(p => p.planned_finish).sort().pop() + 'T00:00:00');
+  rangeEnd.setDate(rangeEnd.getDate() + 1);
+  const span = rangeEnd - rangeStart;
+  const offsetPct = (date) => Math.min(Math.max((new Date(date + 'T00:00:00') - rangeStart) / span * 100, 0), 100);
+
+  const months = [];
+  const monthCursor = new Date(rangeStart.getFullYear(), rangeStart.getMonth(), 1);
+  while (monthCursor < rangeEnd) {
+    months.push({ key: toISODate(monthCursor), label: monthCursor.toLocaleDateString('es-PE', { month: 'short', year: '2-digit' }) });
+    monthCursor.setMonth(monthCursor.getMonth() + 1);
+  }
+  const todayPct = offsetPct(today);
+
+  return (
+    <div className="space-y-6">
+      {/* Gantt */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b flex flex-wrap items-center justify-between gap-2">
+          <h3 className="text-lg font-semibold text-gray-800">Diagrama de Gantt</h3>
+          <div className="flex gap-4 text-xs text-gray-500">
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-blue-200"></span> Programado</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-blue-600"></span> Ejecutado</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-red-500"></span> Atrasada</span>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <div className="min-w-[800px] p-4">
+            <div className="flex text-xs text-gray-500 mb-2">
+              <div className="w-64 shrink-0"></div>
+              <div className="flex-1 relative h-4">
+                {months.map(m => (
+                  <span key={m.key} className="absolute border-l border-gray-200 pl-1 capitalize" style={{ left: `${offsetPct(m.key)}%` }}>{m.label}</span>
+                ))}
+              </div>
+            </div>
+            <div className="space-y-1">
+              {scheduled.map(partida => {
+                const status = getScheduleStatus(partida, today);
+                const left = offsetPct(partida.planned_start);
+                const finish = new Date(partida.planned_finish + 'T00:00:00');
+                const width = Math.max(((finish - rangeStart + DAY_MS) / span * 100) - left, 0.5);
+                return (
+                  <div key={partida.id} className="flex items-center text-sm">
+                    <div className="w-64 shrink-0 pr-3 truncate" title={`${partida.code} ${partida.name}`}>
+                      <span className="font-mono text-gray-500">{partida.code}</span> {partida.name}
+                    </div>
+                    <div className="flex-1 relative h-6 bg-gray-50 rounded">
+                      <div
+                        className={`absolute top-1 h-4 rounded overflow-hidden ${status.behind ? 'bg-red-100 ring-1 ring-red-500' : 'bg-blue-200'}`}
+                        style={{ left: `${left}%`, width: `${width}%` }}
+                        title={`Programado ${status.plannedPct.toFixed(0)}% · Real ${status.actualPct.toFixed(0)}%`}
+                      >
+                        <div className={`h-4 ${status.behind ? 'bg-red-500' : 'bg-blue-600'}`} style={{ width: `${Math.min(status.actualPct, 100)}%` }} />
+                      </div>
+                      {todayPct > 0 && todayPct < 100 && (
+                        <div className="absolute top-0 bottom-0 w-px bg-amber-500" style={{ left: `${todayPct}%` }} />
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            {unscheduledCount > 0 && (
+              <p className="text-xs text-gray-500 mt-3">{unscheduledCount} partida(s) sin fechas programadas no se muestran.</p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Curva S */}
+      <div className="bg-white rounded-xl shadow p-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">Curva S: Programado vs Real</h3>
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={sCurve}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+            <XAxis dataKey="label" stroke="#6B7280" />
+            <YAxis stroke="#6B7280" domain={[0, 100]} tickFormatter={(v) => `${v}%`} />
+            <Tooltip formatter={(value) => `${value}%`} />
+            <Legend />
+            <Line type="monotone" dataKey="programado" name="Programado" stroke="#6B7280" strokeWidth={2} strokeDasharray="5 5" dot={false} />
+            <Line type="monotone" dataKey="real" name="Real" stroke="#10B981" strokeWidth={3} dot={false} connectNulls />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+// ============== ENGINEER MODULE ==============
+const EngineerModule = ({ project, currentUser, allowedTabs, tab, reportId }) => {
+  const [loading, setLoading] = useState(true);
+  const activeTab = tab || allowedTabs[0];
+  const canApprove = hasPermission(currentUser, 'reports.approve');
+  const canViewCosts = hasPermission(currentUser, 'costs.view');
+  const setActiveTab = (nextTab) => navigate(projectPath(project.id, nextTab));
+  const [partidas, setPartidas] = useState([]);
+  const [dailyReports, setDailyReports] = useState([]);
+  const [reportFilter, setReportFilter] = useState('pending');
+  const [reviewComment, setReviewComment] = useState('');
+  const [reviewing, setReviewing] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  // Solo se firman URLs cuando se abre la galería de evidencia
+  const evidenceUrls = useEvidenceUrls(activeTab === 'evidence' ? dailyReports.flatMap(r => r.photos || []) : []);
+
+  const fetchData = useCallback(async () => {
+    if (!project?.id) return;
+
+    try {
+      const [partidasRes, reportsRes] = await Promise.all([
+        supabase
+          .from('partidas')
+          .select('*')
+          .eq('project_id', project.id)
+          .order('code'),
+        supabase
+          .from('daily_reports')
+          .select('*, profiles(full_name), partidas(code, name)')
+          .eq('project_id', project.id)
+          .order('report_date', { ascending: false })
+      ]);
+
+      if (partidasRes.data) setPartidas(partidasRes.data);
+      if (reportsRes.data) setDailyReports(reportsRes.data);
+    } catch (error) {
+      console.error('Error fetching engineer data:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchData();
+  }, [fetchData]);
+
+  // El reporte abierto es parte de la URL (/projects/:id/reports/:reportId) para poder compartirlo
+  const selectedReport = reportId ? dailyReports.find(r => r.id === reportId) || null : null;
+  const openReport = (report) => navigate(projectPath(project.id, 'reports', report.id));
+  const closeReport = () => navigate(projectPath(project.id, 'reports'));
+
+  useEffect(() => {
+    setReviewComment('');
+  }, [reportId]);
+
+  // Aprobar: recién aquí el avance del reporte se suma a la partida
+  const handleApproveReport = async (report) => {
+    setReviewing(true);
+    try {
+      // El servidor suma el avance sobre el valor vigente de la partida y revisa el tope del metrado
+      const { error } = await supabase.rpc('approve_daily_report', {
+        p_report_id: report.id,
+        p_comment: reviewComment.trim() || null
+      });
+      if (error) throw error;
+
+      closeReport();
+      fetchData();
+    } catch (error) {
+      alert('Error al aprobar el reporte: ' + error.message);
+      fetchData();
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  const handleRejectReport = async (report) => {
+    if (!reviewComment.trim()) {
+      alert('Indique el motivo de la observación para que el maestro pueda corregir');
+      return;
+    }
+    setReviewing(true);
+    try {
+      // Igual que al aprobar: el servidor solo observa reportes que siguen pendientes
+      const { error } = await supabase.rpc('reject_daily_report', {
+        p_report_id: report.id,
+        p_comment: reviewComment.trim()
+      });
+      if (error) throw error;
+
+      closeReport();
+      fetchData();
+    } catch (error) {
+      alert('Error al observar el reporte: ' + error.message);
+      fetchData();
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  const pendingCount = dailyReports.filter(r => r.status === 'pending').length;
+  const today = todayISO();
+  const behindCount = partidas.filter(p => getScheduleStatus(p, today)?.behind).length;
+  const filteredReports = reportFilter === 'all'
+    ? dailyReports
+    : dailyReports.filter(r => r.status === reportFilter);
+
+  // Libro con el avance y el detalle de los reportes; los costos solo para quien puede verlos
+  const handleExportExcel = async () => {
+    setExporting(true);
+    try {
+      const currency = project.currency || BASE_CURRENCY;
+      const partidaLabel = (report) => report.partidas ? `${report.partidas.code} - ${report.partidas.name}` : '';
+      const reportColumns = [
+        { header: 'Fecha', type: 'date', value: r => r.report.report_date },
+        { header: 'Partida', value: r => partidaLabel(r.report) }
+      ];
+      const costColumns = (columns) => (canViewCosts ? columns : []);
+
+      const laborRows = dailyReports.flatMap(report => (report.labor_data || []).map(labor => ({ report, labor })));
+      const materialRows = dailyReports.flatMap(report => (report.materials_data || []).map(material => ({ report, material })));
+      const photoRows = dailyReports.flatMap(report => (report.photos || []).map(photo => ({ report, photo })));
+      // Las fotos están en un bucket privado: se firman enlaces de una semana para el archivo
+      const photoUrls = await getEvidenceSignedUrls(photoRows.map(r => getPhotoPath(r.photo)), EVIDENCE_EXPORT_URL_TTL_SECONDS);
+
+      downloadWorkbook([
+        {
+          name: 'Avance de Partidas',
+          columns: [
+            { header: 'Código', value: p => p.code },
+            { header: 'Partida', value: p => p.name },
+            { header: 'Unidad', value: p => p.unit },
+            { header: 'Presupuestado', type: 'number', value: p => p.total_budgeted || 0 },
+            { header: 'Avance Actual', type: 'number', value: p => p.current_progress || 0 },
+            { header: 'Avance (%)', type: 'percent', value: p => (p.current_progress || 0) / (p.total_budgeted || 1) },
+            ...costColumns([
+              { header: 'Precio Unitario', type: 'currency', currency, value: p => p.unit_price || 0 },
+              { header: 'Costo Presupuestado', type: 'currency', currency, value: p => (p.total_budgeted || 0) * (p.unit_price || 0) },
+              { header: 'Costo Ejecutado', type: 'currency', currency, value: p => (p.current_progress || 0) * (p.unit_price || 0) }
+            ])
+          ],
+          rows: partidas
+        },
+        {
+          name: 'Reportes Diarios',
+          columns: [
+            { header: 'Fecha', type: 'date', value: r => r.report_date },
+            { header: 'Partida', value: r => partidaLabel(r) },
+            { header: 'Estado', value: r => REPORT_STATUS[r.status]?.label || r.status },
+            { header: 'Avance', type: 'number', value: r => r.progress_value || 0 },
+            { header: 'Maestro de Obra', value: r => r.profiles?.full_name },
+            ...costColumns([
+              { header: 'Mano de Obra', type: 'currency', currency: BASE_CURRENCY, value: r => r.total_labor_cost || 0 },
+              { header: 'Materiales', type: 'currency', currency: BASE_CURRENCY, value: r => r.total_materials_cost || 0 }
+            ]),
+            { header: 'Fotos', type: 'integer', value: r => r.photos?.length || 0 },
+            { header: 'Notas', value: r => r.notes },
+            { header: 'Comentario de Revisión', value: r => r.review_comment }
+          ],
+          rows: dailyReports
+        },
+        {
+          name: 'Mano de Obra',
+          columns: [
+            ...reportColumns,
+            { header: 'Trabajador', value: r => r.labor.worker_name },
+            { header: 'DNI', value: r => r.labor.dni },
+            { header: 'Categoría', value: r => getLaborCategoryLabel(r.labor.worker_type) },
+            { header: 'Horas', type: 'number', value: r => r.labor.hours || 0 },
+            { header: 'Horas Extra', type: 'number', value: r => r.labor.overtime_hours || 0 },
+            { header: 'Nocturno', value: r => (r.labor.night_shift ? 'Sí' : 'No') },
+            ...costColumns([
+              { header: 'Tarifa por Hora', type: 'currency', currency: BASE_CURRENCY, value: r => r.labor.rate || 0 },
+              { header: 'Costo', type: 'currency', currency: BASE_CURRENCY, value: r => r.labor.cost || 0 }
+            ])
+          ],
+          rows: laborRows
+        },
+        {
+          name: 'Materiales',
+          columns: [
+            ...reportColumns,
+            { header: 'Material', value: r => r.material.material_name },
+            { header: 'Cantidad', type: 'number', value: r => r.material.quantity || 0 },
+            { header: 'Unidad', value: r => r.material.unit },
+            ...costColumns([
+              { header: 'Moneda del Precio', value: r => r.material.price_currency || BASE_CURRENCY },
+              { header: 'Tipo de Cambio', type: 'number', value: r => r.material.exchange_rate || 1 },
+              { header: 'Costo Unitario', type: 'currency', currency: BASE_CURRENCY, value: r => r.material.unit_cost || 0 },
+              { header: 'Costo Total', type: 'currency', currency: BASE_CURRENCY, value: r => r.material.total_cost || 0 }
+            ])
+          ],
+          rows: materialRows
+        },
+        {
+          name: 'Fotos',
+          columns: [
+            ...reportColumns,
+            { header: 'Descripción', value: r => r.photo.caption },
+            { header: 'Tomada', value: r => formatPhotoTakenAt(r.photo.taken_at) },
+            {
+              header: 'Ubicación',
+              type: 'link',
+              value: r => r.photo.gps && { url: `https://www.google.com/maps?q=${r.photo.gps.lat},${r.photo.gps.lng}`, text: `${r.photo.gps.lat}, ${r.photo.gps.lng}` }
+            },
+            { header: 'Foto (enlace por 7 días)', type: 'link', value: r => photoUrls[getPhotoPath(r.photo)] && { url: photoUrls[getPhotoPath(r.photo)], text: 'Ver foto' } }
+          ],
+          rows: photoRows
+        }
+      ], `avance_${project.name.replace(/\s+/g, '_')}`);
+    } catch (error) {
+      alert('Error al exportar: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const tabs = [
+    { id: 'progress', label: 'Avance de Partidas' },
+    { id: 'reports', label: pendingCount > 0 ? `Reportes Diarios (${pendingCount})` : 'Reportes Diarios' },
+    { id: 'evidence', label: 'Evidencia Fotográfica' },
+    { id: 'schedule', label: behindCount > 0 ? `Cronograma (${behindCount} atrasadas)` : 'Cronograma' },
+    { id: 'budget', label: 'Presupuesto' },
+    { id: 'valuations', label: 'Valorizaciones' },
+    { id: 'requisitions', label: 'Requerimientos' }
+  ].filter(t => allowedTabs.includes(t.id));
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <h2 className="text-2xl font-bold text-gray-800">Panel de Ingeniero</h2>
+        <ExportExcelButton onClick={handleExportExcel} exporting={exporting} />
+      </div>
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-4 overflow-x-auto">
+          {tabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`py-3 px-1 border-b-2 font-medium text-sm whitespace-nowrap transition ${
+                activeTab === tab.id
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {/* Progress Tab */}
+      {activeTab === 'progress' && (
+        <div className="bg-white rounded-xl shadow overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Código</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Partida</th>
                   <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Unidad</th>
                   <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Presupuestado</th>
                   <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Ejecutado</th>
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Programado</th>
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Avance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {partidas.map(partida => {
+                  const progress = ((partida.current_progress || 0) / (partida.total_budgeted || 1)) * 100;
+                  const schedule = getScheduleStatus(partida, today);
+                  return (
+                    <tr key={partida.id} className={schedule?.behind ? 'bg-red-50' : 'hover:bg-gray-50'}>
+                      <td className="px-4 py-3 font-mono text-sm text-gray-600">{partida.code}</td>
+                      <td className="px-4 py-3 font-medium text-gray-900">
+                        {partida.name}
+                        {schedule?.behind && <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">Atrasada</span>}
+                      </td>
+                      <td className="px-4 py-3 text-center text-gray-600">{partida.unit}</td>
+                      <td className="px-4 py-3 text-center text-gray-600">{partida.total_budgeted || 0}</td>
+                      <td className="px-4 py-3 text-center font-medium text-gray-900">{partida.current_progress || 0}</td>
+                      <td className="px-4 py-3 text-center text-gray-600">{schedule ? `${schedule.plannedPct.toFixed(0)}%` : '—'}</td>
+                      <td className="px-4 py-3">
+                        <div className="flex items-center gap-2">
+                          <div className="flex-1 bg-gray-200 rounded-full h-2">
+                            <div
+                              className={`h-2 rounded-full ${
+                                progress >= 100 ? 'bg-green-500' : progress >= 50 ? 'bg-blue-500' : 'bg-yellow-500'
+                              }`}
+                              style={{ width: `${Math.min(progress, 100)}%` }}
+                            />
+                          </div>
+                          <span className="text-sm font-medium text-gray-600 w-12 text-right">
+                            {progress.toFixed(0)}%
+                          </span>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Reports Tab */}
+      {activeTab === 'reports' && (
+        <div className="bg-white rounded-xl shadow overflow-hidden">
+          <div className="flex gap-2 p-3 border-b overflow-x-auto">
+            {[
+              { id: 'pending', label: 'Pendientes' },
+              { id: 'rejected', label: 'Observados' },
+              { id: 'approved', label: 'Aprobados' },
+              { id: 'all', label: 'Todos' }
+            ].map(f => (
+              <button
+                key={f.id}
+                onClick={() => setReportFilter(f.id)}
+                className={`px-3 py-1 rounded-full text-sm font-medium transition ${reportFilter === f.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fecha</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Partida</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reportado por</th>
                   <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Avance</th>
+                  {canViewCosts && <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Costo MO</th>}
+                  {canViewCosts && <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Costo Mat.</th>}
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Estado</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {filteredReports.map(report => (
+                  <tr
+                    key={report.id}
+                    className="hover:bg-gray-50 cursor-pointer"
+                    onClick={() => openReport(report)}
+                  >
+                    <td className="px-4 py-3 text-gray-600">
+                      {new Date(report.report_date).toLocaleDateString('es-PE')}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className="font-mono text-sm text-gray-500">{report.partidas?.code}</span>
+                      <span className="ml-2 text-gray-900">{report.partidas?.name}</span>
+                    </td>
+                    <td className="px-4 py-3 text-gray-600">{report.profiles?.full_name}</td>
+                    <td className="px-4 py-3 text-center font-medium text-gray-900">{report.progress_value}</td>
+                    {canViewCosts && (
+                      <td className="px-4 py-3 text-right text-gray-600">
+                        {formatCurrency(report.total_labor_cost)}
+                      </td>
+                    )}
+                    {canViewCosts && (
+                      <td className="px-4 py-3 text-right text-gray-600">
+                        {formatCurrency(report.total_materials_cost)}
+                      </td>
+                    )}
+                    <td className="px-4 py-3 text-center">
+                      <ReportStatusBadge status={report.status} />
+                    </td>
+                  </tr>
+                ))}
+                {filteredReports.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-8 text-center text-gray-500">
+                      No hay reportes en esta categoría
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Evidence Tab */}
+      {activeTab === 'evidence' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {dailyReports
+            .filter(report => report.photos && report.photos.length > 0)
+            .map(report => (
+              <div key={report.id} className="bg-white rounded-xl shadow overflow-hidden">
+                <div className="p-4 border-b">
+                  <p className="font-medium text-gray-900">
+                    {new Date(report.report_date).toLocaleDateString('es-PE')}
+                  </p>
+                  <p className="text-sm text-gray-500">{report.partidas?.name}</p>
+                  <p className="text-xs text-gray-400">Por: {report.profiles?.full_name}</p>
+                </div>
+                <div className="grid grid-cols-2 gap-1 p-1">
+                  {report.photos.map((photo, idx) => (
+                    <a
+                      key={idx}
+                      href={evidenceUrls.full(photo)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="block"
+                    >
+                      <img
+                        src={evidenceUrls.thumb(photo)}
+                        alt={`Evidencia ${idx + 1}`}
+                        loading="lazy"
+                        className="w-full h-24 object-cover hover:opacity-80 transition"
+                      />
+                      <PhotoCaption photo={photo} />
+                    </a>
+                  ))}
+                </div>
+                {report.notes && (
+                  <div className="p-3 bg-gray-50 text-sm text-gray-600">
+                    {report.notes}
+                  </div>
+                )}
+              </div>
+            ))}
+          {dailyReports.filter(r => r.photos?.length > 0).length === 0 && (
+            <div className="col-span-full text-center py-12 text-gray-500">
+              No hay evidencia fotográfica disponible
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Schedule Tab */}
+      {activeTab === 'schedule' && <ScheduleView partidas={partidas} approvedReports={dailyReports.filter(r => r.status === 'approved')} />}
+
+      {/* Budget Tab */}
+      {activeTab === 'budget' && <PartidasManager project={project} onPartidasChange={setPartidas} />}
+
+      {/* Valuations Tab */}
+      {activeTab === 'valuations' && <ValuationsManager project={project} currentUser={currentUser} />}
+
+      {/* Requisitions Tab */}
+      {activeTab === 'requisitions' && <RequisitionsPanel project={project} currentUser={currentUser} />}
+
+      {/* Report Detail Modal */}
+      <Modal
+        isOpen={!!selectedReport}
+        onClose={closeReport}
+        title={`Reporte del ${selectedReport ? new Date(selectedReport.report_date).toLocaleDateString('es-PE') : ''}`}
+      >
+        {selectedReport && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <p className="text-sm text-gray-500">Partida</p>
+                <p className="font-medium">{selectedReport.partidas?.name}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Avance</p>
+                <p className="font-medium">{selectedReport.progress_value}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Estado</p>
+                <ReportStatusBadge status={selectedReport.status} />
+              </div>
+            </div>
+
+            {selectedReport.review_comment && selectedReport.status !== 'pending' && (
+              <div>
+                <p className="text-sm text-gray-500 mb-2">Comentario de revisión</p>
+                <p className="bg-gray-50 rounded-lg p-3 text-sm">{selectedReport.review_comment}</p>
+              </div>
+            )}
+
+            {selectedReport.labor_data?.length > 0 && (
+              <div>
+                <p className="text-sm text-gray-500 mb-2">Mano de Obra</p>
+                <div className="bg-gray-50 rounded-lg p-3 space-y-1">
+                  {selectedReport.labor_data.map((labor, idx) => (
+                    <div key={idx} className="flex justify-between text-sm">
+                      <span>
+                        {labor.worker_name ? `${labor.worker_name} · ` : ''}{getLaborCategoryLabel(labor.worker_type)}
+                        {labor.night_shift && <span className="ml-1 text-xs text-gray-500">(nocturno)</span>}
+                      </span>
+                      <span>
+                        {labor.hours}h{labor.overtime_hours > 0 && ` + ${labor.overtime_hours}h extra`}
+                        {canViewCosts && <> × S/{labor.rate} = {formatCurrency(labor.cost)}</>}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {selectedReport.materials_data?.length > 0 && (
+              <div>
+                <p className="text-sm text-gray-500 mb-2">Materiales</p>
+                <div className="bg-gray-50 rounded-lg p-3 space-y-1">
+                  {selectedReport.materials_data.map((mat, idx) => (
+                    <div key={idx} className="flex justify-between text-sm">
+                      <span>{mat.material_name}</span>
+                      <span>{mat.quantity} {mat.unit}{canViewCosts && <> = {formatCurrency(mat.total_cost)}</>}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {selectedReport.notes && (
+              <div>
+                <p className="text-sm text-gray-500 mb-2">Observaciones</p>
+                <p className="bg-gray-50 rounded-lg p-3 text-sm">{selectedReport.notes}</p>
+              </div>
+            )}
+
+            {selectedReport.status === 'pending' && canApprove && (
+              <div className="border-t pt-4 space-y-3">
+                <textarea
+                  value={reviewComment}
+                  onChange={(e) => setReviewComment(e.target.value)}
+                  rows={2}
+                  className="w-full border rounded-lg px-3 py-2 text-sm"
+                  placeholder="Comentario (obligatorio para observar)"
+                />
+                <div className="grid grid-cols-2 gap-3">
+                  <button
+                    onClick={() => handleRejectReport(selectedReport)}
+                    disabled={reviewing}
+                    className="border border-red-300 text-red-600 py-2 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                  >
+                    Observar
+                  </button>
+                  <button
+                    onClick={() => handleApproveReport(selectedReport)}
+                    disabled={reviewing}
+                    className="bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+                  >
+                    {reviewing ? 'Procesando...' : 'Aprobar'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+// ============== CEO MODULE (CORREGIDO: CÁLCULO DE PRESUPUESTO) ==============
+// Lleva a la moneda de reporte los montos del proyecto, cada uno con el tipo de cambio de su fecha:
+// costos de obra (en soles) al día del reporte u orden, valorizaciones a su aprobación y cobros a
+// su fecha. Presupuesto y saldos por cobrar se expresan al tipo de cambio de hoy. Las fechas sin
+// tipo de cambio se anotan en missingDates y se convierten con el último disponible.
+const convertProjectForReport = (project, currency, rates, today, missingDates) => {
+  const convert = (amount, from, date) => {
+    const value = convertAmount(amount, from, currency, date, rates);
+    if (value !== null) return value;
+    missingDates.add(date);
+    return convertAmount(amount, from, currency, '9999-12-31', rates) ?? 0;
+  };
+  const projectCurrency = project.currency || BASE_CURRENCY;
+
+  project.total_budget = convert(parseFloat(project.total_budget) || 0, projectCurrency, today);
+  project.partidas?.forEach(p => { p.unit_price = convert(p.unit_price || 0, projectCurrency, today); });
+  project.daily_reports?.forEach(r => {
+    r.total_labor_cost = convert(r.total_labor_cost || 0, BASE_CURRENCY, r.report_date);
+    r.total_materials_cost = convert(r.total_materials_cost || 0, BASE_CURRENCY, r.report_date);
+  });
+  project.purchase_orders?.forEach(o => o.purchase_order_items?.forEach(i => {
+    i.unit_cost = convert(i.unit_cost || 0, BASE_CURRENCY, o.order_date);
+  }));
+  project.valuations?.forEach(v => { v.total_amount = convert(v.total_amount || 0, projectCurrency, v.approved_date || today); });
+  project.invoices?.forEach(invoice => {
+    const invoiceCurrency = invoice.currency || projectCurrency;
+    ['net_amount', 'detraccion_amount', 'retencion_amount', 'guarantee_amount'].forEach(field => {
+      invoice[field] = convert(invoice[field] || 0, invoiceCurrency, today);
+    });
+    invoice.collections?.forEach(c => {
+      c.cash_amount = convert(c.amount || 0, invoiceCurrency, c.collection_date);
+      c.amount = convert(c.amount || 0, invoiceCurrency, today);
+    });
+  });
+};
+
+// scope: 'all' consolida todas las empresas del usuario; si no, el id de una de ellas
+const CEOModule = ({ companies, company }) => {
+  const [loading, setLoading] = useState(true);
+  const [scope, setScope] = useState(companies.length > 1 ? 'all' : company.id);
+  const [reportingCurrency, setReportingCurrency] = useState(BASE_CURRENCY);
+  const [missingRateDates, setMissingRateDates] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [cashFlowData, setCashFlowData] = useState([]);
+  const [evmData, setEvmData] = useState([]);
+  const [selectedProject, setSelectedProject] = useState(null);
+  
+  const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899'];
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+
+      try {
+        const [{ data: projectsData, error }, { data: exchangeRates, error: ratesError }] = await Promise.all([
+          supabase
+            .from('projects')
+            .select(`
+              *,
+              partidas(id, code, name, current_progress, total_budgeted, unit_price, planned_start, planned_finish, distribution),
+              daily_reports(id, partida_id, progress_value, total_labor_cost, total_materials_cost, report_date, status),
+              purchase_orders(id, status, order_date, purchase_order_items(quantity, unit_cost)),
+              valuations(id, status, total_amount, approved_date),
+              invoices(id, status, currency, due_date, net_amount, detraccion_amount, retencion_amount, guarantee_amount, collections(type, amount, collection_date))
+            `)
+            .in('company_id', scope === 'all' ? companies.map(c => c.id) : [scope])
+            .eq('is_active', true),
+          supabase.from('exchange_rates').select('*')
+        ]);
+
+        if (error) throw error;
+        if (ratesError) throw ratesError;
+
+        const today = todayISO();
+
+        // Solo los reportes aprobados por el ingeniero cuentan como costo ejecutado
+        projectsData.forEach(project => {
+          project.daily_reports = project.daily_reports?.filter(r => r.status === 'approved') || [];
+        });
+
+        // Todo lo que sigue se calcula en la moneda de reporte
+        const missingDates = new Set();
+        projectsData.forEach(project => convertProjectForReport(project, reportingCurrency, exchangeRates, today, missingDates));
+        setMissingRateDates([...missingDates].sort());
+
+        // Process project data con la corrección solicitada
+        const processedProjects = projectsData.map(project => {
+          // CORRECCIÓN: Si hay partidas, sumarlas. Si no, usar el presupuesto base del proyecto.
+          let calculatedBudget = parseFloat(project.total_budget) || 0;
+          
+          const sumPartidas = project.partidas?.reduce((sum, p) => 
+            sum + ((p.total_budgeted || 0) * (p.unit_price || 0)), 0
+          ) || 0;
+
+          // Si ya se han creado partidas, el presupuesto real es la suma de ellas.
+          // Si no hay partidas, mantenemos el presupuesto estimado inicial.
+          if (sumPartidas > 0) {
+            calculatedBudget = sumPartidas;
+          }
+
+          const executedCost = project.daily_reports?.reduce((sum, r) => 
+            sum + (r.total_labor_cost || 0) + (r.total_materials_cost || 0), 0
+          ) || 0;
+
+          // Avance ponderado por el presupuesto de cada partida (EV / BAC), no promedio simple
+          const earnedValue = project.partidas?.reduce((sum, p) =>
+            sum + ((p.current_progress || 0) * (p.unit_price || 0)), 0
+          ) || 0;
+          const overallProgress = calculatedBudget > 0 ? (earnedValue / calculatedBudget) * 100 : 0;
+
+          const evm = computeEvmIndices({
+            bac: calculatedBudget,
+            pv: plannedValueAt(project, calculatedBudget, today),
+            ev: earnedValue,
+            ac: executedCost
+          });
+
+          // Comprometido: órdenes de compra emitidas cuyo material aún no se consume en obra
+          const orderedValue = project.purchase_orders
+            ?.filter(o => o.status !== 'cancelled')
+            .reduce((sum, o) => sum + (o.purchase_order_items?.reduce((s, i) => s + i.quantity * i.unit_cost, 0) || 0), 0) || 0;
+          const consumedMaterials = project.daily_reports?.reduce((sum, r) => sum + (r.total_materials_cost || 0), 0) || 0;
+          const committedCost = Math.max(orderedValue - consumedMaterials, 0);
+
+          return {
+            ...project,
+            totalBudget: calculatedBudget, // Usamos la variable corregida
+            executedCost,
+            committedCost,
+            evm,
+            behindPartidas: project.partidas?.filter(p => getScheduleStatus(p, today)?.behind) || [],
+            receivablesAging: buildReceivablesAging(project.invoices, today),
+            overallProgress: Math.min(overallProgress, 100)
+          };
+        });
+
+        setProjects(processedProjects);
+
+        // Generate cash flow data (last 6 months)
+        const monthNames = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+        const now = new Date();
+        const cashFlow = [];
+        const evmSeries = [];
+
+        for (let i = 5; i >= 0; i--) {
+          const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+          const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+          
+          let monthIncome = 0;
+          let monthValued = 0;
+          let monthExpense = 0;
+
+          projectsData.forEach(project => {
+            project.daily_reports?.forEach(report => {
+              if (report.report_date?.startsWith(monthKey)) {
+                monthExpense += (report.total_labor_cost || 0) + (report.total_materials_cost || 0);
+              }
+            });
+
+            // Valorizado: valorizaciones aprobadas por el cliente en el mes
+            project.valuations?.forEach(valuation => {
+              if (valuation.status === 'approved' && valuation.approved_date?.startsWith(monthKey)) {
+                monthValued += valuation.total_amount || 0;
+              }
+            });
+
+            // Ingresos: caja efectivamente cobrada (abonos, detracciones y devolución de garantías)
+            project.invoices?.filter(inv => inv.status !== 'cancelled').forEach(invoice => {
+              invoice.collections?.forEach(collection => {
+                if (CASH_COLLECTION_TYPES.includes(collection.type) && collection.collection_date?.startsWith(monthKey)) {
+                  monthIncome += collection.cash_amount || 0;
+                }
+              });
+            });
+          });
+
+          cashFlow.push({
+            month: monthNames[date.getMonth()],
+            period: monthKey,
+            ingresos: Math.round(monthIncome),
+            valorizado: Math.round(monthValued),
+            egresos: Math.round(monthExpense),
+            balance: Math.round(monthIncome - monthExpense)
+          });
+
+          // Valor ganado acumulado de la cartera al cierre del mes (o a hoy en el mes en curso)
+          const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+          const cutDate = [toISODate(monthEnd), today].sort()[0];
+          evmSeries.push(processedProjects.reduce((acc, project) => ({
+            ...acc,
+            pv: acc.pv + Math.round(plannedValueAt(project, project.totalBudget, cutDate)),
+            ev: acc.ev + Math.round(earnedValueAt(project.partidas, project.daily_reports, cutDate)),
+            ac: acc.ac + Math.round(actualCostAt(project.daily_reports, cutDate))
+          }), { month: monthNames[date.getMonth()], period: monthKey, pv: 0, ev: 0, ac: 0 }));
+        }
+
+        setCashFlowData(cashFlow);
+        setEvmData(evmSeries);
+      } catch (error) {
+        console.error('Error fetching CEO data:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [scope, companies, reportingCurrency]);
+
+  const totalBudget = projects.reduce((sum, p) => sum + p.totalBudget, 0);
+  const totalExecuted = projects.reduce((sum, p) => sum + p.executedCost, 0);
+  const totalCommitted = projects.reduce((sum, p) => sum + p.committedCost, 0);
+  const portfolioEvm = computeEvmIndices({
+    bac: totalBudget,
+    pv: projects.reduce((sum, p) => sum + p.evm.pv, 0),
+    ev: projects.reduce((sum, p) => sum + p.evm.ev, 0),
+    ac: totalExecuted
+  });
+  const avgProgress = totalBudget > 0 ? (portfolioEvm.ev / totalBudget) * 100 : 0;
+
+  const pieData = projects.map(p => ({
+    name: p.name,
+    value: p.totalBudget
+  }));
+
+  // Vista consolidada: resumen de cada empresa
+  const companySummaries = scope === 'all' ? companies.map(c => {
+    const companyProjects = projects.filter(p => p.company_id === c.id);
+    const budget = companyProjects.reduce((sum, p) => sum + p.totalBudget, 0);
+    const earned = companyProjects.reduce((sum, p) => sum + p.evm.ev, 0);
+    return {
+      ...c,
+      projectCount: companyProjects.length,
+      budget,
+      executed: companyProjects.reduce((sum, p) => sum + p.executedCost, 0),
+      progress: budget > 0 ? (earned / budget) * 100 : 0
+    };
+  }) : [];
+
+  // Las mismas cifras del tablero, en la moneda de reporte elegida
+  const handleExportExcel = () => {
+    const currency = reportingCurrency;
+    const money = (header, value) => ({ header, type: 'currency', currency, value });
+    const companyName = (id) => companies.find(c => c.id === id)?.name;
+
+    downloadWorkbook([
+      {
+        name: 'Proyectos',
+        columns: [
+          { header: 'Código', value: p => p.code },
+          { header: 'Proyecto', value: p => p.name },
+          ...(companies.length > 1 ? [{ header: 'Empresa', value: p => companyName(p.company_id) }] : []),
+          { header: 'Ubicación', value: p => p.location },
+          { header: 'Moneda del Contrato', value: p => p.currency || BASE_CURRENCY },
+          { header: 'Avance', type: 'percent', value: p => p.overallProgress / 100 },
+          money('Presupuesto', p => p.totalBudget),
+          money('Ejecutado', p => p.executedCost),
+          money('Comprometido (OC)', p => p.committedCost),
+          money('Valor Planificado', p => p.evm.pv),
+          money('Valor Ganado', p => p.evm.ev),
+          { header: 'SPI', type: 'number', value: p => p.evm.spi },
+          { header: 'CPI', type: 'number', value: p => p.evm.cpi },
+          money('Estimado a la Conclusión', p => p.evm.eac),
+          { header: 'Partidas Atrasadas', type: 'integer', value: p => p.behindPartidas.length }
+        ],
+        rows: projects
+      },
+      {
+        name: 'Flujo de Caja',
+        columns: [
+          { header: 'Mes', value: m => m.period },
+          money('Ingresos', m => m.ingresos),
+          money('Valorizado', m => m.valorizado),
+          money('Egresos', m => m.egresos),
+          money('Balance', m => m.balance)
+        ],
+        rows: cashFlowData
+      },
+      {
+        name: 'Valor Ganado',
+        columns: [
+          { header: 'Mes', value: m => m.period },
+          money('Valor Planificado (PV)', m => m.pv),
+          money('Valor Ganado (EV)', m => m.ev),
+          money('Costo Real (AC)', m => m.ac)
+        ],
+        rows: evmData
+      },
+      {
+        name: 'Cuentas por Cobrar',
+        columns: [
+          { header: 'Proyecto', value: p => p.name },
+          ...AGING_BUCKETS.map(bucket => money(bucket.label, p => p.receivablesAging[bucket.id])),
+          money('Total', p => p.receivablesAging.total),
+          money('F. Garantía', p => p.receivablesAging.guarantee)
+        ],
+        rows: projects
+      },
+      ...(scope === 'all' ? [{
+        name: 'Por Empresa',
+        columns: [
+          { header: 'Empresa', value: c => c.name },
+          { header: 'RUC', value: c => c.ruc },
+          { header: 'Proyectos', type: 'integer', value: c => c.projectCount },
+          money('Presupuesto', c => c.budget),
+          money('Ejecutado', c => c.executed),
+          { header: 'Avance', type: 'percent', value: c => c.progress / 100 }
+        ],
+        rows: companySummaries
+      }] : [])
+    ], `dashboard_${currency}`);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3">
+        <h2 className="text-2xl font-bold text-gray-800">Dashboard Ejecutivo</h2>
+        <div className="flex flex-wrap gap-2">
+          {companies.length > 1 && (
+            <select value={scope} onChange={e => setScope(e.target.value)} className="border rounded-lg px-3 py-2 text-sm">
+              <option value="all">Consolidado (todas las empresas)</option>
+              {companies.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          )}
+          <select value={reportingCurrency} onChange={e => setReportingCurrency(e.target.value)} className="border rounded-lg px-3 py-2 text-sm" title="Moneda de reporte">
+            {CURRENCIES.map(c => <option key={c.code} value={c.code}>Montos en {c.label}</option>)}
+          </select>
+          <ExportExcelButton onClick={handleExportExcel} />
+        </div>
+      </div>
+
+      {missingRateDates.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm">
+          Falta el tipo de cambio para {missingRateDates.length} fecha{missingRateDates.length > 1 ? 's' : ''} (desde el {new Date(missingRateDates[0] + 'T00:00:00').toLocaleDateString('es-PE')}); esos montos se convirtieron con el último tipo de cambio disponible. Regístrelo en Administración › Tipo de Cambio.
+        </div>
+      )}
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+        <div className="bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl p-5 text-white">
+          <p className="text-blue-100 text-sm font-medium">Total Proyectos</p>
+          <p className="text-3xl font-bold mt-1">{projects.length}</p>
+        </div>
+        <div className="bg-gradient-to-br from-green-500 to-green-600 rounded-xl p-5 text-white">
+          <p className="text-green-100 text-sm font-medium">Presupuesto Total</p>
+          <p className="text-lg font-bold mt-1 truncate" title={formatCurrency(totalBudget, reportingCurrency)}>
+            {formatCurrency(totalBudget, reportingCurrency)}
+          </p>
+        </div>
+        <div className="bg-gradient-to-br from-yellow-500 to-yellow-600 rounded-xl p-5 text-white">
+          <p className="text-yellow-100 text-sm font-medium">Ejecutado</p>
+          <p className="text-lg font-bold mt-1 truncate" title={formatCurrency(totalExecuted, reportingCurrency)}>
+            {formatCurrency(totalExecuted, reportingCurrency)}
+          </p>
+        </div>
+        <div className="bg-gradient-to-br from-orange-500 to-orange-600 rounded-xl p-5 text-white">
+          <p className="text-orange-100 text-sm font-medium">Comprometido por Consumir</p>
+          <p className="text-lg font-bold mt-1 truncate" title={formatCurrency(totalCommitted, reportingCurrency)}>
+            {formatCurrency(totalCommitted, reportingCurrency)}
+          </p>
+        </div>
+        <div className="bg-gradient-to-br from-purple-500 to-purple-600 rounded-xl p-5 text-white">
+          <p className="text-purple-100 text-sm font-medium">Avance Ponderado</p>
+          <p className="text-3xl font-bold mt-1">{avgProgress.toFixed(1)}%</p>
+        </div>
+      </div>
+
+      {companySummaries.length > 1 && (
+        <div className="bg-white rounded-xl shadow overflow-hidden">
+          <h3 className="text-lg font-semibold text-gray-800 px-6 py-4 border-b">Por Empresa</h3>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Empresa</th>
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">Proyectos</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Presupuesto</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Ejecutado</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Avance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {companySummaries.map(summary => (
+                <tr key={summary.id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setScope(summary.id)}>
+                  <td className="px-6 py-3 font-medium text-gray-900">{summary.name}</td>
+                  <td className="px-6 py-3 text-center">{summary.projectCount}</td>
+                  <td className="px-6 py-3 text-right">{formatCurrency(summary.budget, reportingCurrency)}</td>
+                  <td className="px-6 py-3 text-right">{formatCurrency(summary.executed, reportingCurrency)}</td>
+                  <td className="px-6 py-3 text-right">{summary.progress.toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Earned Value */}
+      <div className="bg-white rounded-xl shadow p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-800">Valor Ganado de la Cartera</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
+          {[
+            { label: 'PV (Planificado)', value: formatCurrency(portfolioEvm.pv, reportingCurrency) },
+            { label: 'EV (Ganado)', value: formatCurrency(portfolioEvm.ev, reportingCurrency) },
+            { label: 'AC (Costo Real)', value: formatCurrency(portfolioEvm.ac, reportingCurrency) },
+            { label: 'SPI', value: formatIndex(portfolioEvm.spi), className: indexColor(portfolioEvm.spi) },
+            { label: 'CPI', value: formatIndex(portfolioEvm.cpi), className: indexColor(portfolioEvm.cpi) },
+            { label: 'EAC', value: formatCurrency(portfolioEvm.eac, reportingCurrency) },
+            { label: 'VAC', value: formatCurrency(portfolioEvm.vac, reportingCurrency), className: portfolioEvm.vac < 0 ? 'text-red-600' : 'text-green-600' }
+          ].map(card => (
+            <div key={card.label} className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">{card.label}</p>
+              <p className={`font-semibold truncate ${card.className || 'text-gray-900'}`} title={card.value}>{card.value}</p>
+            </div>
+          ))}
+        </div>
+        <ResponsiveContainer width="100%" height={280}>
+          <LineChart data={evmData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+            <XAxis dataKey="month" stroke="#6B7280" />
+            <YAxis stroke="#6B7280" tickFormatter={(v) => `${getCurrencySymbol(reportingCurrency)}${(v/1000).toFixed(0)}k`} />
+            <Tooltip formatter={(value) => formatCurrency(value, reportingCurrency)} />
+            <Legend />
+            <Line type="monotone" dataKey="pv" name="PV" stroke="#6B7280" strokeWidth={2} strokeDasharray="5 5" />
+            <Line type="monotone" dataKey="ev" name="EV" stroke="#10B981" strokeWidth={3} />
+            <Line type="monotone" dataKey="ac" name="AC" stroke="#EF4444" strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Charts Row */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Cash Flow Chart */}
+        <div className="bg-white rounded-xl shadow p-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">Flujo de Caja (Últimos 6 meses)</h3>
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={cashFlowData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+              <XAxis dataKey="month" stroke="#6B7280" />
+              <YAxis stroke="#6B7280" tickFormatter={(v) => `${getCurrencySymbol(reportingCurrency)}${(v/1000).toFixed(0)}k`} />
+              <Tooltip
+                formatter={(value) => formatCurrency(value, reportingCurrency)}
+                labelStyle={{ color: '#374151' }}
+              />
+              <Legend />
+              <Bar dataKey="valorizado" name="Valorizado" fill="#93C5FD" radius={[4, 4, 0, 0]} />
+              <Bar dataKey="ingresos" name="Cobrado" fill="#10B981" radius={[4, 4, 0, 0]} />
+              <Bar dataKey="egresos" name="Egresos" fill="#EF4444" radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Budget Distribution */}
+        <div className="bg-white rounded-xl shadow p-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">Distribución de Presupuesto</h3>
+          <ResponsiveContainer width="100%" height={300}>
+            <PieChart>
+              <Pie
+                data={pieData}
+                cx="50%"
+                cy="50%"
+                innerRadius={60}
+                outerRadius={100}
+                paddingAngle={2}
+                dataKey="value"
+                label={({ name, percent }) => `${name.substring(0, 10)}... (${(percent * 100).toFixed(0)}%)`}
+              >
+                {pieData.map((entry, index) => (
+                  <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                ))}
+              </Pie>
+              <Tooltip formatter={(value) => formatCurrency(value, reportingCurrency)} />
+            </PieChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {/* Balance Trend */}
+      <div className="bg-white rounded-xl shadow p-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">Tendencia de Balance</h3>
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={cashFlowData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+            <XAxis dataKey="month" stroke="#6B7280" />
+            <YAxis stroke="#6B7280" tickFormatter={(v) => `${getCurrencySymbol(reportingCurrency)}${(v/1000).toFixed(0)}k`} />
+            <Tooltip formatter={(value) => formatCurrency(value, reportingCurrency)} />
+            <Line
+              type="monotone"
+              dataKey="balance"
+              name="Balance"
+              stroke="#8B5CF6"
+              strokeWidth={3}
+              dot={{ fill: '#8B5CF6', strokeWidth: 2 }}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Accounts Receivable Aging */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Cuentas por Cobrar — Antigüedad</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Proyecto</th>
+                {AGING_BUCKETS.map(bucket => (
+                  <th key={bucket.id} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">{bucket.label}</th>
+                ))}
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">F. Garantía</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {projects.map(project => (
+                <tr key={project.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 font-medium text-gray-900">{project.name}</td>
+                  {AGING_BUCKETS.map(bucket => (
+                    <td key={bucket.id} className={`px-4 py-3 text-right ${bucket.id !== 'current' && project.receivablesAging[bucket.id] > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                      {formatCurrency(project.receivablesAging[bucket.id], reportingCurrency)}
+                    </td>
+                  ))}
+                  <td className="px-4 py-3 text-right font-semibold text-gray-900">{formatCurrency(project.receivablesAging.total, reportingCurrency)}</td>
+                  <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(project.receivablesAging.guarantee, reportingCurrency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Projects List */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Todos los Proyectos</h3>
+        </div>
+        <div className="divide-y divide-gray-100">
+          {projects.map((project, index) => (
+            <div
+              key={project.id}
+              className="p-4 hover:bg-gray-50 cursor-pointer transition"
+              onClick={() => setSelectedProject(project)}
+            >
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <div
+                    className="w-3 h-3 rounded-full"
+                    style={{ backgroundColor: COLORS[index % COLORS.length] }}
+                  />
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {project.name}
+                      {project.behindPartidas.length > 0 && (
+                        <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                          {project.behindPartidas.length} atrasada{project.behindPartidas.length > 1 ? 's' : ''}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">{project.location || 'Sin ubicación'}</p>
+                  </div>
+                </div>
+                <div className="text-right">
+                  <p className="text-lg font-semibold text-gray-900 truncate max-w-[150px]" title={formatCurrency(project.totalBudget, reportingCurrency)}>
+                    {formatCurrency(project.totalBudget, reportingCurrency)}
+                  </p>
+                  <div className="flex items-center gap-2 justify-end">
+                    <div className="w-20 bg-gray-200 rounded-full h-2">
+                      <div
+                        className="h-2 rounded-full bg-blue-500"
+                        style={{ width: `${project.overallProgress}%` }}
+                      />
+                    </div>
+                    <span className="text-sm text-gray-600">{project.overallProgress.toFixed(0)}%</span>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    SPI <span className={indexColor(project.evm.spi)}>{formatIndex(project.evm.spi)}</span>
+                    {' · '}CPI <span className={indexColor(project.evm.cpi)}>{formatIndex(project.evm.cpi)}</span>
+                  </p>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Project Detail Modal */}
+      <Modal
+        isOpen={!!selectedProject}
+        onClose={() => setSelectedProject(null)}
+        title={selectedProject?.name || 'Detalle del Proyecto'}
+      >
+        {selectedProject && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-500">Presupuesto</p>
+                <p className="font-semibold text-gray-900 truncate">{formatCurrency(selectedProject.totalBudget, reportingCurrency)}</p>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-500">Ejecutado</p>
+                <p className="font-semibold text-gray-900 truncate">{formatCurrency(selectedProject.executedCost, reportingCurrency)}</p>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-500">Comprometido (OC)</p>
+                <p className="font-semibold text-gray-900 truncate">{formatCurrency(selectedProject.committedCost, reportingCurrency)}</p>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-500">Avance</p>
+                <p className="font-semibold text-gray-900">{selectedProject.overallProgress.toFixed(1)}%</p>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-500">Partidas</p>
+                <p className="font-semibold text-gray-900">{selectedProject.partidas?.length || 0}</p>
+              </div>
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-sm">
+              {[
+                ['PV', formatCurrency(selectedProject.evm.pv, reportingCurrency)],
+                ['EV', formatCurrency(selectedProject.evm.ev, reportingCurrency)],
+                ['AC', formatCurrency(selectedProject.evm.ac, reportingCurrency)],
+                ['SPI', formatIndex(selectedProject.evm.spi), indexColor(selectedProject.evm.spi)],
+                ['CPI', formatIndex(selectedProject.evm.cpi), indexColor(selectedProject.evm.cpi)],
+                ['EAC', formatCurrency(selectedProject.evm.eac, reportingCurrency)],
+                ['VAC', formatCurrency(selectedProject.evm.vac, reportingCurrency), selectedProject.evm.vac < 0 ? 'text-red-600' : 'text-green-600']
+              ].map(([label, value, className]) => (
+                <div key={label} className="bg-gray-50 p-2 rounded-lg">
+                  <p className="text-xs text-gray-500">{label}</p>
+                  <p className={`font-semibold truncate ${className || 'text-gray-900'}`}>{value}</p>
+                </div>
+              ))}
+            </div>
+            {selectedProject.behindPartidas.length > 0 && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm">
+                <p className="font-medium text-red-800 mb-1">Partidas atrasadas respecto al cronograma</p>
+                {selectedProject.behindPartidas.map(p => {
+                  const status = getScheduleStatus(p, todayISO());
+                  return (
+                    <p key={p.id} className="text-red-700">
+                      {p.code} {p.name}: {status.actualPct.toFixed(0)}% real vs {status.plannedPct.toFixed(0)}% programado
+                    </p>
+                  );
+                })}
+              </div>
+            )}
+            <div className="bg-gray-50 p-3 rounded-lg">
+              <p className="text-xs text-gray-500 mb-1">Progreso General</p>
+              <div className="flex items-center gap-3">
+                <div className="flex-1 bg-gray-200 rounded-full h-3">
+                  <div
+                    className="h-3 rounded-full bg-blue-500 transition-all"
+                    style={{ width: `${selectedProject.overallProgress}%` }}
+                  />
+                </div>
+                <span className="font-medium text-gray-700">{selectedProject.overallProgress.toFixed(0)}%</span>
+              </div>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+// ============== MATERIALS CATALOG MANAGER COMPONENT ==============
+const emptyMaterialForm = { name: '', description: '', unit: 'und', category_id: '', unit_cost: '', currency: BASE_CURRENCY };
+
+const MaterialsCatalogManager = ({ companyId }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [materials, setMaterials] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [showInactive, setShowInactive] = useState(false);
+
+  const [showMaterialModal, setShowMaterialModal] = useState(false);
+  const [editingMaterial, setEditingMaterial] = useState(null);
+  const [materialForm, setMaterialForm] = useState(emptyMaterialForm);
+
+  const [showCategoriesModal, setShowCategoriesModal] = useState(false);
+  const [newCategoryName, setNewCategoryName] = useState('');
+
+  const [priceMaterial, setPriceMaterial] = useState(null);
+  const [priceHistory, setPriceHistory] = useState([]);
+  const [priceForm, setPriceForm] = useState({ unit_cost: '', currency: BASE_CURRENCY, effective_from: '' });
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [materialsRes, categoriesRes] = await Promise.all([
+        supabase.from('materials_catalog').select('*, material_categories(name)').eq('company_id', companyId).order('name'),
+        supabase.from('material_categories').select('*').eq('company_id', companyId).order('name')
+      ]);
+      if (materialsRes.error) throw materialsRes.error;
+      setMaterials(materialsRes.data || []);
+      setCategories(categoriesRes.data || []);
+    } catch (error) {
+      console.error('Error fetching catalog:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [companyId]);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  const today = todayISO();
+
+  // --- MATERIALES ---
+
+  const handleOpenCreate = () => {
+    setEditingMaterial(null);
+    setMaterialForm({ ...emptyMaterialForm, category_id: categoryFilter });
+    setShowMaterialModal(true);
+  };
+
+  const handleOpenEdit = (material) => {
+    setEditingMaterial(material);
+    setMaterialForm({
+      name: material.name,
+      description: material.description || '',
+      unit: normalizeUnit(material.unit),
+      category_id: material.category_id || '',
+      unit_cost: material.unit_cost ?? '',
+      currency: material.currency || BASE_CURRENCY
+    });
+    setShowMaterialModal(true);
+  };
+
+  const handleSaveMaterial = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: materialForm.name.trim(),
+      description: materialForm.description.trim() || null,
+      unit: materialForm.unit,
+      category_id: materialForm.category_id || null
+    };
+
+    setSubmitting(true);
+    try {
+      if (editingMaterial) {
+        // El precio no se edita aquí: se registra como nueva vigencia en el historial
+        const { error } = await supabase.from('materials_catalog').update(payload).eq('id', editingMaterial.id);
+        if (error) throw error;
+      } else {
+        const unitCost = parseDecimal(materialForm.unit_cost);
+        if (Number.isNaN(unitCost) || unitCost < 0) {
+          alert('El precio inicial debe ser un número mayor o igual a 0');
+          return;
+        }
+        const { data, error } = await supabase.from('materials_catalog')
+          .insert([{ ...payload, company_id: companyId, unit_cost: unitCost, currency: materialForm.currency, is_active: true }])
+          .select('id')
+          .single();
+        if (error) throw error;
+        const { error: priceError } = await supabase.from('material_prices')
+          .insert([{ material_id: data.id, unit_cost: unitCost, currency: materialForm.currency, effective_from: today }]);
+        if (priceError) throw priceError;
+      }
+      setShowMaterialModal(false);
+      fetchData();
+    } catch (error) {
+      alert('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMaterialStatus = async (material) => {
+    if (!confirm(`¿${material.is_active ? 'Desactivar' : 'Activar'} ${material.name}?`)) return;
+    await supabase.from('materials_catalog').update({ is_active: !material.is_active }).eq('id', material.id);
+    fetchData();
+  };
+
+  // --- CATEGORÍAS ---
+
+  const handleAddCategory = async (e) => {
+    e.preventDefault();
+    const name = newCategoryName.trim();
+    if (!name) return;
+    if (categories.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+      alert('La categoría ya existe');
+      return;
+    }
+    const { error } = await supabase.from('material_categories').insert([{ company_id: companyId, name, is_active: true }]);
+    if (error) {
+      alert('Error: ' + error.message);
+      return;
+    }
+    setNewCategoryName('');
+    fetchData();
+  };
+
+  const toggleCategoryStatus = async (category) => {
+    await supabase.from('material_categories').update({ is_active: !category.is_active }).eq('id', category.id);
+    fetchData();
+  };
+
+  // --- HISTORIAL DE PRECIOS ---
+
+  const handleOpenPrices = async (material) => {
+    setPriceMaterial(material);
+    setPriceForm({ unit_cost: '', currency: material.currency || BASE_CURRENCY, effective_from: today });
+    const { data } = await supabase
+      .from('material_prices')
+      .select('*')
+      .eq('material_id', material.id)
+      .order('effective_from', { ascending: false });
+    setPriceHistory(data || []);
+  };
+
+  const handleAddPrice = async (e) => {
+    e.preventDefault();
+    const unitCost = parseDecimal(priceForm.unit_cost);
+    if (Number.isNaN(unitCost) || unitCost < 0) {
+      alert('El precio debe ser un número mayor o igual a 0');
+      return;
+    }
+    if (priceHistory.some(p => p.effective_from === priceForm.effective_from)) {
+      alert('Ya existe un precio con esa fecha de vigencia');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const newPrice = { material_id: priceMaterial.id, unit_cost: unitCost, currency: priceForm.currency, effective_from: priceForm.effective_from };
+      const { error } = await supabase.from('material_prices').insert([newPrice]);
+      if (error) throw error;
+
+      // unit_cost y currency del catálogo reflejan siempre el precio vigente hoy
+      const current = resolveMaterialPrices([...priceHistory, newPrice], today)[priceMaterial.id];
+      const currentCurrency = current?.currency || BASE_CURRENCY;
+      if (current && (current.unit_cost !== priceMaterial.unit_cost || currentCurrency !== priceMaterial.currency)) {
+        await supabase.from('materials_catalog').update({ unit_cost: current.unit_cost, currency: currentCurrency }).eq('id', priceMaterial.id);
+      }
+
+      await handleOpenPrices(current ? { ...priceMaterial, unit_cost: current.unit_cost, currency: currentCurrency } : priceMaterial);
+      fetchData();
+    } catch (error) {
+      alert('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const visibleMaterials = materials
+    .filter(m => showInactive || m.is_active)
+    .filter(m => !categoryFilter || m.category_id === categoryFilter);
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <select value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)} className="border rounded-lg px-3 py-2">
+            <option value="">Todas las categorías</option>
+            {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" checked={showInactive} onChange={e => setShowInactive(e.target.checked)} />
+            Mostrar inactivos
+          </label>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => setShowCategoriesModal(true)} className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition">
+            Categorías
+          </button>
+          <button onClick={handleOpenCreate} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+            <span>+</span> Nuevo Material
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Categoría</th>
+                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Unidad</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Precio Vigente</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {visibleMaterials.map(material => (
+                <tr key={material.id} className={!material.is_active ? 'bg-gray-50 opacity-60' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-gray-900">{material.name}</p>
+                    <p className="text-sm text-gray-500">{material.description || 'Sin descripción'}</p>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{material.material_categories?.name || '—'}</td>
+                  <td className="px-4 py-3 text-center text-gray-600">{material.unit}</td>
+                  <td className="px-4 py-3 text-right font-medium text-gray-900">{formatCurrency(material.unit_cost, material.currency)}</td>
+                  <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                    <button onClick={() => handleOpenEdit(material)} className="text-blue-600 hover:text-blue-800 text-sm">Editar</button>
+                    <button onClick={() => handleOpenPrices(material)} className="text-blue-600 hover:text-blue-800 text-sm">Precios</button>
+                    <button onClick={() => toggleMaterialStatus(material)} className={`text-sm ${material.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}>
+                      {material.is_active ? 'Desactivar' : 'Activar'}
+                    </button>
+                  </td>
                 </tr>
-              </thead>
-              <tbody className="divide-y divide-gray-200">
-                {partidas.map(partida => {
-                  const progress = ((partida.current_progress || 0) / (partida.total_budgeted || 1)) * 100;
-                  return (
-                    <tr key={partida.id} className="hover:bg-gray-50">
-                      <td className="px-4 py-3 font-mono text-sm text-gray-600">{partida.code}</td>
-                      <td className="px-4 py-3 font-medium text-gray-900">{partida.name}</td>
-                      <td className="px-4 py-3 text-center text-gray-600">{partida.unit}</td>
-                      <td className="px-4 py-3 text-center text-gray-600">{partida.total_budgeted || 0}</td>
-                      <td className="px-4 py-3 text-center font-medium text-gray-900">{partida.current_progress || 0}</td>
-                      <td className="px-4 py-3">
-                        <div className="flex items-center gap-2">
-                          <div className="flex-1 bg-gray-200 rounded-full h-2">
-                            <div
-                              className={`h-2 rounded-full ${
-                                progress >= 100 ? 'bg-green-500' : progress >= 50 ? 'bg-blue-500' : 'bg-yellow-500'
-                              }`}
-                              style={{ width: `${Math.min(progress, 100)}%` }}
-                            />
-                          </div>
-                          <span className="text-sm font-medium text-gray-600 w-12 text-right">
-                            {progress.toFixed(0)}%
-                          </span>
-                        </div>
-                      </td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
+              ))}
+              {visibleMaterials.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-gray-500">No hay materiales en el catálogo</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* MODAL MATERIAL (CREAR Y EDITAR) */}
+      <Modal isOpen={showMaterialModal} onClose={() => setShowMaterialModal(false)} title={editingMaterial ? 'Editar Material' : 'Nuevo Material'}>
+        <form onSubmit={handleSaveMaterial} className="space-y-4">
+          <input required placeholder="Nombre (ej. Cemento Portland Tipo I)" value={materialForm.name} onChange={e => setMaterialForm({ ...materialForm, name: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+          <textarea placeholder="Descripción" value={materialForm.description} onChange={e => setMaterialForm({ ...materialForm, description: e.target.value })} className="border rounded-lg px-3 py-2 w-full" rows="2" />
+          <div className="grid grid-cols-2 gap-4">
+            <select value={materialForm.category_id} onChange={e => setMaterialForm({ ...materialForm, category_id: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+              <option value="">Sin categoría</option>
+              {categories.filter(c => c.is_active || c.id === materialForm.category_id).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <select value={materialForm.unit} onChange={e => setMaterialForm({ ...materialForm, unit: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+              {PARTIDA_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+            </select>
+          </div>
+          {!editingMaterial && (
+            <div>
+              <label className="text-xs text-gray-500">Precio inicial, vigente desde hoy</label>
+              <div className="grid grid-cols-3 gap-2">
+                <input required inputMode="decimal" placeholder="0.00" value={materialForm.unit_cost} onChange={e => setMaterialForm({ ...materialForm, unit_cost: e.target.value })} className="col-span-2 border rounded-lg px-3 py-2 w-full" />
+                <select value={materialForm.currency} onChange={e => setMaterialForm({ ...materialForm, currency: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+                  {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.symbol}</option>)}
+                </select>
+              </div>
+            </div>
+          )}
+          <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+            {submitting ? 'Guardando...' : (editingMaterial ? 'Guardar Cambios' : 'Crear Material')}
+          </button>
+        </form>
+      </Modal>
+
+      {/* MODAL CATEGORÍAS */}
+      <Modal isOpen={showCategoriesModal} onClose={() => setShowCategoriesModal(false)} title="Categorías de Materiales">
+        <div className="space-y-4">
+          <form onSubmit={handleAddCategory} className="flex gap-2">
+            <input placeholder="Nueva categoría (ej. Agregados)" value={newCategoryName} onChange={e => setNewCategoryName(e.target.value)} className="flex-1 border rounded-lg px-3 py-2" />
+            <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Agregar</button>
+          </form>
+          <div className="divide-y border rounded-lg">
+            {categories.map(category => (
+              <div key={category.id} className={`flex items-center justify-between px-3 py-2 ${!category.is_active ? 'opacity-60' : ''}`}>
+                <span className="text-gray-900">{category.name}</span>
+                <button onClick={() => toggleCategoryStatus(category)} className={`text-sm ${category.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}>
+                  {category.is_active ? 'Desactivar' : 'Activar'}
+                </button>
+              </div>
+            ))}
+            {categories.length === 0 && <p className="px-3 py-4 text-center text-sm text-gray-500">Sin categorías</p>}
+          </div>
+        </div>
+      </Modal>
+
+      {/* MODAL HISTORIAL DE PRECIOS */}
+      <Modal isOpen={!!priceMaterial} onClose={() => setPriceMaterial(null)} title={`Precios: ${priceMaterial?.name || ''}`}>
+        <div className="space-y-4">
+          <form onSubmit={handleAddPrice} className="grid grid-cols-4 gap-2 items-end">
+            <div>
+              <label className="text-xs text-gray-500">Precio</label>
+              <input required inputMode="decimal" placeholder="0.00" value={priceForm.unit_cost} onChange={e => setPriceForm({ ...priceForm, unit_cost: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">Moneda</label>
+              <select value={priceForm.currency} onChange={e => setPriceForm({ ...priceForm, currency: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+                {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.symbol}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">Vigente desde</label>
+              <input required type="date" value={priceForm.effective_from} onChange={e => setPriceForm({ ...priceForm, effective_from: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+            <button disabled={submitting} type="submit" className="bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+              Registrar
+            </button>
+          </form>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Vigente desde</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Precio</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {priceHistory.map(price => (
+                <tr key={price.id}>
+                  <td className="px-3 py-2 text-gray-600">{price.effective_from}</td>
+                  <td className="px-3 py-2 text-right text-gray-900">{formatCurrency(price.unit_cost, price.currency)}</td>
+                </tr>
+              ))}
+              {priceHistory.length === 0 && (
+                <tr><td colSpan={2} className="px-3 py-4 text-center text-gray-500">Sin historial de precios</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+// ============== SUPPLIERS MANAGER COMPONENT ==============
+const emptySupplierForm = { ruc: '', business_name: '', trade_name: '', address: '', payment_terms_days: 0, contacts: [] };
+const emptySupplierContact = { name: '', phone: '', email: '' };
+
+const SuppliersManager = ({ companyId }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [suppliers, setSuppliers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [showInactive, setShowInactive] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [form, setForm] = useState(emptySupplierForm);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data, error } = await supabase.from('suppliers').select('*').eq('company_id', companyId).order('business_name');
+      if (error) throw error;
+      setSuppliers(data || []);
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [companyId]);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  const handleOpenCreate = () => {
+    setEditingSupplier(null);
+    setForm(emptySupplierForm);
+    setShowModal(true);
+  };
+
+  const handleOpenEdit = (supplier) => {
+    setEditingSupplier(supplier);
+    setForm({
+      ruc: supplier.ruc,
+      business_name: supplier.business_name,
+      trade_name: supplier.trade_name || '',
+      address: supplier.address || '',
+      payment_terms_days: supplier.payment_terms_days || 0,
+      contacts: supplier.contacts || []
+    });
+    setShowModal(true);
+  };
+
+  const updateContact = (index, field, value) => {
+    setForm(prev => ({ ...prev, contacts: prev.contacts.map((c, i) => i === index ? { ...c, [field]: value } : c) }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const ruc = form.ruc.trim();
+    if (!isValidRuc(ruc)) {
+      alert('RUC no válido: debe tener 11 dígitos, empezar en 10, 15, 17 o 20 y su dígito verificador debe ser correcto');
+      return;
+    }
+    if (suppliers.some(s => s.ruc === ruc && s.id !== editingSupplier?.id)) {
+      alert('Ya existe un proveedor registrado con ese RUC');
+      return;
+    }
+
+    const payload = {
+      ruc,
+      business_name: form.business_name.trim(),
+      trade_name: form.trade_name.trim() || null,
+      address: form.address.trim() || null,
+      payment_terms_days: Number(form.payment_terms_days) || 0,
+      contacts: form.contacts
+        .map(c => ({ name: c.name.trim(), phone: c.phone.trim(), email: c.email.trim() }))
+        .filter(c => c.name || c.phone || c.email)
+    };
+
+    setSubmitting(true);
+    try {
+      const { error } = editingSupplier
+        ? await supabase.from('suppliers').update(payload).eq('id', editingSupplier.id)
+        : await supabase.from('suppliers').insert([{ ...payload, company_id: companyId, is_active: true }]);
+      if (error) throw error;
+      setShowModal(false);
+      fetchData();
+    } catch (error) {
+      alert('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleSupplierStatus = async (supplier) => {
+    await supabase.from('suppliers').update({ is_active: !supplier.is_active }).eq('id', supplier.id);
+    fetchData();
+  };
+
+  const term = search.trim().toLowerCase();
+  const visibleSuppliers = suppliers
+    .filter(s => showInactive || s.is_active)
+    .filter(s => !term || s.ruc.includes(term) || s.business_name.toLowerCase().includes(term) || s.trade_name?.toLowerCase().includes(term));
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <input placeholder="Buscar por RUC o razón social" value={search} onChange={e => setSearch(e.target.value)} className="border rounded-lg px-3 py-2 w-72" />
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" checked={showInactive} onChange={e => setShowInactive(e.target.checked)} />
+            Mostrar inactivos
+          </label>
+        </div>
+        <button onClick={handleOpenCreate} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+          <span>+</span> Nuevo Proveedor
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">RUC</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Razón Social</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contacto</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Condición de Pago</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {visibleSuppliers.map(supplier => (
+                <tr key={supplier.id} className={!supplier.is_active ? 'bg-gray-50 opacity-60' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3 font-mono text-sm text-gray-900">{supplier.ruc}</td>
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-gray-900">{supplier.business_name}</p>
+                    <p className="text-sm text-gray-500">{supplier.trade_name || supplier.address || '—'}</p>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {supplier.contacts?.[0] ? (
+                      <>
+                        <p>{supplier.contacts[0].name}</p>
+                        <p className="text-xs text-gray-500">{[supplier.contacts[0].phone, supplier.contacts[0].email].filter(Boolean).join(' · ')}</p>
+                      </>
+                    ) : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{getPaymentTermsLabel(supplier.payment_terms_days)}</td>
+                  <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                    <button onClick={() => handleOpenEdit(supplier)} className="text-blue-600 hover:text-blue-800 text-sm">Editar</button>
+                    <button onClick={() => toggleSupplierStatus(supplier)} className={`text-sm ${supplier.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}>
+                      {supplier.is_active ? 'Desactivar' : 'Activar'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {visibleSuppliers.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-gray-500">No hay proveedores registrados</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* MODAL PROVEEDOR (CREAR Y EDITAR) */}
+      <Modal isOpen={showModal} onClose={() => setShowModal(false)} title={editingSupplier ? 'Editar Proveedor' : 'Nuevo Proveedor'}>
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <input required inputMode="numeric" maxLength={11} placeholder="RUC" value={form.ruc} onChange={e => setForm({ ...form, ruc: e.target.value.replace(/\D/g, '') })} className={`border rounded-lg px-3 py-2 w-full font-mono ${form.ruc.length === 11 && !isValidRuc(form.ruc) ? 'border-red-400' : ''}`} />
+              {form.ruc.length === 11 && !isValidRuc(form.ruc) && <p className="text-xs text-red-600 mt-1">Dígito verificador incorrecto</p>}
+            </div>
+            <select value={form.payment_terms_days} onChange={e => setForm({ ...form, payment_terms_days: Number(e.target.value) })} className="border rounded-lg px-3 py-2 w-full">
+              {PAYMENT_TERMS.map(t => <option key={t.days} value={t.days}>{t.label}</option>)}
+            </select>
+          </div>
+          <input required placeholder="Razón social" value={form.business_name} onChange={e => setForm({ ...form, business_name: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+          <input placeholder="Nombre comercial" value={form.trade_name} onChange={e => setForm({ ...form, trade_name: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+          <input placeholder="Dirección fiscal" value={form.address} onChange={e => setForm({ ...form, address: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Contactos</label>
+            {form.contacts.map((contact, index) => (
+              <div key={index} className="flex gap-2 items-center">
+                <input placeholder="Nombre" value={contact.name} onChange={e => updateContact(index, 'name', e.target.value)} className="flex-1 border rounded-lg px-2 py-2 text-sm" />
+                <input placeholder="Teléfono" value={contact.phone} onChange={e => updateContact(index, 'phone', e.target.value)} className="w-28 border rounded-lg px-2 py-2 text-sm" />
+                <input type="email" placeholder="Correo" value={contact.email} onChange={e => updateContact(index, 'email', e.target.value)} className="flex-1 border rounded-lg px-2 py-2 text-sm" />
+                <button type="button" onClick={() => setForm(prev => ({ ...prev, contacts: prev.contacts.filter((_, i) => i !== index) }))} className="text-red-500 text-sm px-2">✕</button>
+              </div>
+            ))}
+            <button type="button" onClick={() => setForm(prev => ({ ...prev, contacts: [...prev.contacts, emptySupplierContact] }))} className="text-blue-600 hover:text-blue-800 text-sm">
+              + Agregar contacto
+            </button>
           </div>
+
+          <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+            {submitting ? 'Guardando...' : 'Guardar'}
+          </button>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+// ============== WAREHOUSE (ALMACÉN DE OBRA) COMPONENT ==============
+const emptyReceiptItem = { material_id: '', quantity: '', unit_cost: '' };
+
+// Guía de remisión: serie de 4 caracteres y correlativo (ej. T001-00012345, 0001-000123)
+const GUIA_REMISION_PATTERN = /^[A-Z0-9]{4}-\d{1,8}$/;
+
+const WarehouseManager = ({ project, currentUser }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [materials, setMaterials] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [stock, setStock] = useState({});
+  const [showReceiptModal, setShowReceiptModal] = useState(false);
+  const [selectedReceipt, setSelectedReceipt] = useState(null);
+  const [receiptForm, setReceiptForm] = useState({ receipt_date: '', guia_remision: '', supplier_id: '', notes: '' });
+  const [receiptItems, setReceiptItems] = useState([emptyReceiptItem]);
+
+  const fetchData = useCallback(async () => {
+    if (!project?.id) return;
+    setLoading(true);
+    try {
+      const [materialsRes, receiptsRes, suppliersRes, stockData] = await Promise.all([
+        supabase.from('materials_catalog').select('*').eq('company_id', project.company_id).order('name'),
+        supabase
+          .from('warehouse_receipts')
+          .select('*, warehouse_receipt_items(*, materials_catalog(name, unit))')
+          .eq('project_id', project.id)
+          .order('receipt_date', { ascending: false }),
+        supabase.from('suppliers').select('id, ruc, business_name').eq('company_id', project.company_id).eq('is_active', true).order('business_name'),
+        getMaterialStock(project.id)
+      ]);
+      if (materialsRes.data) setMaterials(materialsRes.data);
+      if (receiptsRes.data) setReceipts(receiptsRes.data);
+      if (suppliersRes.data) setSuppliers(suppliersRes.data);
+      setStock(stockData);
+    } catch (error) {
+      console.error('Error fetching warehouse data:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id, project?.company_id]);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  const handleOpenCreate = () => {
+    setReceiptForm({ receipt_date: todayISO(), guia_remision: '', supplier_id: '', notes: '' });
+    setReceiptItems([emptyReceiptItem]);
+    setShowReceiptModal(true);
+  };
+
+  const updateReceiptItem = (index, field, value) => {
+    setReceiptItems(prev => prev.map((item, i) => {
+      if (i !== index) return item;
+      const next = { ...item, [field]: value };
+      // Al elegir el material se propone su precio vigente (la recepción se valoriza en soles)
+      if (field === 'material_id' && !item.unit_cost) {
+        const material = materials.find(m => m.id === value);
+        next.unit_cost = (material?.currency || BASE_CURRENCY) === BASE_CURRENCY ? String(material?.unit_cost ?? '') : '';
+      }
+      return next;
+    }));
+  };
+
+  const handleSaveReceipt = async (e) => {
+    e.preventDefault();
+    const guia = receiptForm.guia_remision.trim().toUpperCase();
+    if (!GUIA_REMISION_PATTERN.test(guia)) {
+      alert('Número de guía no válido. Formato esperado: serie-correlativo (ej. T001-00012345)');
+      return;
+    }
+    const supplier = suppliers.find(sp => sp.id === receiptForm.supplier_id);
+    if (!supplier) {
+      alert('Seleccione el proveedor');
+      return;
+    }
+    if (receipts.some(r => r.guia_remision === guia && r.supplier_name === supplier.business_name)) {
+      alert('Esa guía de remisión ya fue registrada para este proveedor');
+      return;
+    }
+
+    const items = receiptItems.filter(item => item.material_id && parseDecimal(item.quantity) > 0);
+    if (items.length === 0) {
+      alert('Agregue al menos un material con cantidad');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const { data: receipt, error } = await supabase
+        .from('warehouse_receipts')
+        .insert([{
+          project_id: project.id,
+          receipt_date: receiptForm.receipt_date,
+          guia_remision: guia,
+          supplier_id: supplier.id,
+          supplier_name: supplier.business_name,
+          notes: receiptForm.notes.trim() || null,
+          created_by: currentUser?.id
+        }])
+        .select('id')
+        .single();
+      if (error) throw error;
+
+      const { error: itemsError } = await supabase.from('warehouse_receipt_items').insert(items.map(item => ({
+        receipt_id: receipt.id,
+        material_id: item.material_id,
+        quantity: parseDecimal(item.quantity),
+        unit_cost: parseDecimal(item.unit_cost) || 0
+      })));
+      if (itemsError) throw itemsError;
+
+      setShowReceiptModal(false);
+      fetchData();
+    } catch (error) {
+      alert('Error al registrar el ingreso: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const stockRows = Object.entries(stock)
+    .map(([materialId, s]) => ({ ...s, materialId, material: materials.find(m => m.id === materialId) }))
+    .sort((a, b) => (a.material?.name || '').localeCompare(b.material?.name || ''));
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-6">
+      {/* Stock */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Stock en Obra</h3>
         </div>
-      )}
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Unidad</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Ingresado</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Consumido</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Saldo</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {stockRows.map(row => (
+                <tr key={row.materialId} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 font-medium text-gray-900">{row.material?.name || 'Material eliminado'}</td>
+                  <td className="px-4 py-3 text-center text-gray-600">{row.material?.unit}</td>
+                  <td className="px-4 py-3 text-right text-gray-600">{row.received.toFixed(2)}</td>
+                  <td className="px-4 py-3 text-right text-gray-600">{row.consumed.toFixed(2)}</td>
+                  <td className={`px-4 py-3 text-right font-semibold ${row.available < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    {row.available.toFixed(2)}
+                    {row.available < 0 && <span className="ml-1 text-xs">(consumo sin ingreso)</span>}
+                  </td>
+                </tr>
+              ))}
+              {stockRows.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-gray-500">Sin movimientos de almacén</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
 
-      {/* Reports Tab */}
-      {activeTab === 'reports' && (
-        <div className="bg-white rounded-xl shadow overflow-hidden">
-          <div className="overflow-x-auto">
-            <table className="w-full">
-              <thead className="bg-gray-50">
+      {/* Ingresos */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-800">Ingresos a Almacén</h3>
+          <button onClick={handleOpenCreate} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+            <span>+</span> Nuevo Ingreso
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fecha</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Guía de Remisión</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Proveedor</th>
+                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Ítems</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {receipts.map(receipt => (
+                <tr key={receipt.id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedReceipt(receipt)}>
+                  <td className="px-4 py-3 text-gray-600">{new Date(receipt.receipt_date).toLocaleDateString('es-PE')}</td>
+                  <td className="px-4 py-3 font-mono text-sm text-gray-900">{receipt.guia_remision}</td>
+                  <td className="px-4 py-3 text-gray-600">{receipt.supplier_name}</td>
+                  <td className="px-4 py-3 text-center text-gray-600">{receipt.warehouse_receipt_items?.length || 0}</td>
+                </tr>
+              ))}
+              {receipts.length === 0 && (
                 <tr>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fecha</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Partida</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reportado por</th>
-                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Avance</th>
-                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Costo MO</th>
-                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Costo Mat.</th>
+                  <td colSpan={4} className="px-4 py-8 text-center text-gray-500">No hay ingresos registrados</td>
                 </tr>
-              </thead>
-              <tbody className="divide-y divide-gray-200">
-                {dailyReports.map(report => (
-                  <tr
-                    key={report.id}
-                    className="hover:bg-gray-50 cursor-pointer"
-                    onClick={() => setSelectedReport(report)}
-                  >
-                    <td className="px-4 py-3 text-gray-600">
-                      {new Date(report.report_date).toLocaleDateString('es-PE')}
-                    </td>
-                    <td className="px-4 py-3">
-                      <span className="font-mono text-sm text-gray-500">{report.partidas?.code}</span>
-                      <span className="ml-2 text-gray-900">{report.partidas?.name}</span>
-                    </td>
-                    <td className="px-4 py-3 text-gray-600">{report.profiles?.full_name}</td>
-                    <td className="px-4 py-3 text-center font-medium text-gray-900">{report.progress_value}</td>
-                    <td className="px-4 py-3 text-right text-gray-600">
-                      {formatCurrency(report.total_labor_cost)}
-                    </td>
-                    <td className="px-4 py-3 text-right text-gray-600">
-                      {formatCurrency(report.total_materials_cost)}
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+              )}
+            </tbody>
+          </table>
         </div>
-      )}
+      </div>
 
-      {/* Evidence Tab */}
-      {activeTab === 'evidence' && (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {dailyReports
-            .filter(report => report.photos && report.photos.length > 0)
-            .map(report => (
-              <div key={report.id} className="bg-white rounded-xl shadow overflow-hidden">
-                <div className="p-4 border-b">
-                  <p className="font-medium text-gray-900">
-                    {new Date(report.report_date).toLocaleDateString('es-PE')}
-                  </p>
-                  <p className="text-sm text-gray-500">{report.partidas?.name}</p>
-                  <p className="text-xs text-gray-400">Por: {report.profiles?.full_name}</p>
-                </div>
-                <div className="grid grid-cols-2 gap-1 p-1">
-                  {report.photos.map((photo, idx) => (
-                    <a
-                      key={idx}
-                      href={photo.url}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="block"
-                    >
-                      <img
-                        src={photo.url}
-                        alt={`Evidencia ${idx + 1}`}
-                        className="w-full h-24 object-cover hover:opacity-80 transition"
-                      />
-                    </a>
-                  ))}
-                </div>
-                {report.notes && (
-                  <div className="p-3 bg-gray-50 text-sm text-gray-600">
-                    {report.notes}
-                  </div>
+      {/* MODAL NUEVO INGRESO */}
+      <Modal isOpen={showReceiptModal} onClose={() => setShowReceiptModal(false)} title="Nuevo Ingreso a Almacén" size="2xl">
+        <form onSubmit={handleSaveReceipt} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="text-xs text-gray-500">Fecha de recepción</label>
+              <input required type="date" value={receiptForm.receipt_date} onChange={e => setReceiptForm({ ...receiptForm, receipt_date: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+            </div>
+            <div>
+              <label className="text-xs text-gray-500">N° Guía de Remisión</label>
+              <input required placeholder="T001-00012345" value={receiptForm.guia_remision} onChange={e => setReceiptForm({ ...receiptForm, guia_remision: e.target.value })} className="border rounded-lg px-3 py-2 w-full font-mono uppercase" />
+            </div>
+          </div>
+          <select required value={receiptForm.supplier_id} onChange={e => setReceiptForm({ ...receiptForm, supplier_id: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+            <option value="">-- Proveedor --</option>
+            {suppliers.map(sp => <option key={sp.id} value={sp.id}>{sp.business_name} ({sp.ruc})</option>)}
+          </select>
+
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Materiales recibidos</label>
+            {receiptItems.map((item, index) => (
+              <div key={index} className="flex gap-2 items-center">
+                <select value={item.material_id} onChange={e => updateReceiptItem(index, 'material_id', e.target.value)} className="flex-1 border rounded-lg px-3 py-2 text-sm">
+                  <option value="">-- Material --</option>
+                  {materials.filter(m => m.is_active).map(m => <option key={m.id} value={m.id}>{m.name} ({m.unit})</option>)}
+                </select>
+                <input inputMode="decimal" placeholder="Cantidad" value={item.quantity} onChange={e => updateReceiptItem(index, 'quantity', e.target.value)} className="w-24 border rounded-lg px-2 py-2 text-sm" />
+                <input inputMode="decimal" placeholder="P. Unit." value={item.unit_cost} onChange={e => updateReceiptItem(index, 'unit_cost', e.target.value)} className="w-24 border rounded-lg px-2 py-2 text-sm" />
+                {receiptItems.length > 1 && (
+                  <button type="button" onClick={() => setReceiptItems(prev => prev.filter((_, i) => i !== index))} className="text-red-500 text-sm px-2">✕</button>
                 )}
               </div>
             ))}
-          {dailyReports.filter(r => r.photos?.length > 0).length === 0 && (
-            <div className="col-span-full text-center py-12 text-gray-500">
-              No hay evidencia fotográfica disponible
-            </div>
-          )}
-        </div>
-      )}
+            <button type="button" onClick={() => setReceiptItems(prev => [...prev, emptyReceiptItem])} className="text-blue-600 hover:text-blue-800 text-sm">
+              + Agregar material
+            </button>
+          </div>
 
-      {/* Report Detail Modal */}
-      <Modal
-        isOpen={!!selectedReport}
-        onClose={() => setSelectedReport(null)}
-        title={`Reporte del ${selectedReport ? new Date(selectedReport.report_date).toLocaleDateString('es-PE') : ''}`}
-      >
-        {selectedReport && (
+          <textarea placeholder="Observaciones" value={receiptForm.notes} onChange={e => setReceiptForm({ ...receiptForm, notes: e.target.value })} className="w-full border rounded-lg px-3 py-2" rows="2" />
+          <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+            {submitting ? 'Registrando...' : 'Registrar Ingreso'}
+          </button>
+        </form>
+      </Modal>
+
+      {/* MODAL DETALLE DE INGRESO */}
+      <Modal isOpen={!!selectedReceipt} onClose={() => setSelectedReceipt(null)} title={`Guía ${selectedReceipt?.guia_remision || ''}`}>
+        {selectedReceipt && (
           <div className="space-y-4">
-            <div className="grid grid-cols-2 gap-4">
+            <div className="grid grid-cols-2 gap-4 text-sm">
               <div>
-                <p className="text-sm text-gray-500">Partida</p>
-                <p className="font-medium">{selectedReport.partidas?.name}</p>
+                <p className="text-gray-500">Fecha</p>
+                <p className="font-medium">{new Date(selectedReceipt.receipt_date).toLocaleDateString('es-PE')}</p>
               </div>
               <div>
-                <p className="text-sm text-gray-500">Avance</p>
-                <p className="font-medium">{selectedReport.progress_value}</p>
+                <p className="text-gray-500">Proveedor</p>
+                <p className="font-medium">{selectedReceipt.supplier_name}</p>
               </div>
             </div>
-
-            {selectedReport.labor_data?.length > 0 && (
-              <div>
-                <p className="text-sm text-gray-500 mb-2">Mano de Obra</p>
-                <div className="bg-gray-50 rounded-lg p-3 space-y-1">
-                  {selectedReport.labor_data.map((labor, idx) => (
-                    <div key={idx} className="flex justify-between text-sm">
-                      <span className="capitalize">{labor.worker_type}</span>
-                      <span>{labor.hours}h × S/{labor.rate} = {formatCurrency(labor.cost)}</span>
-                    </div>
-                  ))}
+            <div className="bg-gray-50 rounded-lg p-3 space-y-1">
+              {selectedReceipt.warehouse_receipt_items?.map(item => (
+                <div key={item.id} className="flex justify-between text-sm">
+                  <span>{item.materials_catalog?.name}</span>
+                  <span>{item.quantity} {item.materials_catalog?.unit} × {formatCurrency(item.unit_cost)}</span>
                 </div>
-              </div>
-            )}
+              ))}
+            </div>
+            {selectedReceipt.notes && <p className="bg-gray-50 rounded-lg p-3 text-sm">{selectedReceipt.notes}</p>}
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
 
-            {selectedReport.materials_data?.length > 0 && (
-              <div>
-                <p className="text-sm text-gray-500 mb-2">Materiales</p>
-                <div className="bg-gray-50 rounded-lg p-3 space-y-1">
-                  {selectedReport.materials_data.map((mat, idx) => (
-                    <div key={idx} className="flex justify-between text-sm">
-                      <span>{mat.material_name}</span>
-                      <span>{mat.quantity} {mat.unit} = {formatCurrency(mat.total_cost)}</span>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
+// ============== REQUISITIONS PANEL COMPONENT ==============
+const emptyRequisitionItem = { material_id: '', quantity: '' };
 
-            {selectedReport.notes && (
+// Requerimientos de material levantados desde obra (ingeniero o maestro de obra)
+const RequisitionsPanel = ({ project, currentUser }) => {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [requisitions, setRequisitions] = useState([]);
+  const [materials, setMaterials] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState({ required_date: '', notes: '' });
+  const [items, setItems] = useState([emptyRequisitionItem]);
+
+  const fetchData = useCallback(async () => {
+    if (!project?.id) return;
+    setLoading(true);
+    try {
+      const [requisitionsRes, materialsRes] = await Promise.all([
+        supabase
+          .from('purchase_requisitions')
+          .select('*, profiles(full_name), purchase_requisition_items(*, materials_catalog(name, unit))')
+          .eq('project_id', project.id)
+          .order('created_at', { ascending: false }),
+        supabase.from('materials_catalog').select('*').eq('company_id', project.company_id).eq('is_active', true).order('name')
+      ]);
+      if (requisitionsRes.data) setRequisitions(requisitionsRes.data);
+      if (materialsRes.data) setMaterials(materialsRes.data);
+    } catch (error) {
+      console.error('Error fetching requisitions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id, project?.company_id]);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  const handleOpenCreate = () => {
+    setForm({ required_date: '', notes: '' });
+    setItems([emptyRequisitionItem]);
+    setShowModal(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const validItems = items.filter(item => item.material_id && parseDecimal(item.quantity) > 0);
+    if (validItems.length === 0) {
+      alert('Agregue al menos un material con cantidad');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const { data: requisition, error } = await supabase
+        .from('purchase_requisitions')
+        .insert([{
+          project_id: project.id,
+          requested_by: currentUser.id,
+          required_date: form.required_date || null,
+          notes: form.notes.trim() || null,
+          status: 'pending'
+        }])
+        .select('id')
+        .single();
+      if (error) throw error;
+
+      const { error: itemsError } = await supabase.from('purchase_requisition_items').insert(validItems.map(item => ({
+        requisition_id: requisition.id,
+        material_id: item.material_id,
+        quantity: parseDecimal(item.quantity)
+      })));
+      if (itemsError) throw itemsError;
+
+      setShowModal(false);
+      fetchData();
+    } catch (error) {
+      alert('Error al registrar el requerimiento: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end">
+        <button onClick={handleOpenCreate} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+          <span>+</span> Nuevo Requerimiento
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {requisitions.map(req => (
+          <div key={req.id} className="bg-white rounded-xl shadow p-4">
+            <div className="flex items-start justify-between gap-3">
               <div>
-                <p className="text-sm text-gray-500 mb-2">Observaciones</p>
-                <p className="bg-gray-50 rounded-lg p-3 text-sm">{selectedReport.notes}</p>
+                <p className="font-medium text-gray-900">{formatDocNumber('RQ', req.number)}</p>
+                <p className="text-xs text-gray-500">
+                  {new Date(req.created_at).toLocaleDateString('es-PE')} · {req.profiles?.full_name}
+                  {req.required_date && ` · Para el ${new Date(req.required_date).toLocaleDateString('es-PE')}`}
+                </p>
               </div>
-            )}
+              <StatusBadge statuses={REQUISITION_STATUS} status={req.status} />
+            </div>
+            <div className="mt-2 text-sm text-gray-600 space-y-1">
+              {req.purchase_requisition_items?.map(item => (
+                <p key={item.id}>{item.quantity} {item.materials_catalog?.unit} · {item.materials_catalog?.name}</p>
+              ))}
+            </div>
+            {req.review_comment && <p className="mt-2 text-sm text-red-700">{req.review_comment}</p>}
+          </div>
+        ))}
+        {requisitions.length === 0 && (
+          <div className="text-center py-10 text-gray-500 bg-white rounded-xl border border-dashed border-gray-300">
+            No hay requerimientos registrados
           </div>
         )}
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => setShowModal(false)} title="Nuevo Requerimiento de Materiales">
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="space-y-2">
+            {items.map((item, index) => (
+              <div key={index} className="flex gap-2 items-center">
+                <select value={item.material_id} onChange={e => setItems(prev => prev.map((it, i) => i === index ? { ...it, material_id: e.target.value } : it))} className="flex-1 border rounded-lg px-3 py-2 text-sm">
+                  <option value="">-- Material --</option>
+                  {materials.map(m => <option key={m.id} value={m.id}>{m.name} ({m.unit})</option>)}
+                </select>
+                <input inputMode="decimal" placeholder="Cantidad" value={item.quantity} onChange={e => setItems(prev => prev.map((it, i) => i === index ? { ...it, quantity: e.target.value } : it))} className="w-28 border rounded-lg px-2 py-2 text-sm" />
+                {items.length > 1 && (
+                  <button type="button" onClick={() => setItems(prev => prev.filter((_, i) => i !== index))} className="text-red-500 text-sm px-2">✕</button>
+                )}
+              </div>
+            ))}
+            <button type="button" onClick={() => setItems(prev => [...prev, emptyRequisitionItem])} className="text-blue-600 hover:text-blue-800 text-sm">
+              + Agregar material
+            </button>
+          </div>
+          <div>
+            <label className="text-xs text-gray-500">Fecha requerida en obra</label>
+            <input type="date" value={form.required_date} onChange={e => setForm({ ...form, required_date: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+          </div>
+          <textarea placeholder="Observaciones / uso previsto" value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })} className="w-full border rounded-lg px-3 py-2" rows="2" />
+          <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+            {submitting ? 'Enviando...' : 'Enviar Requerimiento'}
+          </button>
+        </form>
       </Modal>
     </div>
   );
 };
 
-// ============== CEO MODULE (CORREGIDO: CÁLCULO DE PRESUPUESTO) ==============
-const CEOModule = () => {
+// ============== PURCHASING MANAGER COMPONENT ==============
+const PurchasingManager = ({ project, currentUser }) => {
   const [loading, setLoading] = useState(true);
-  const [projects, setProjects] = useState([]);
-  const [cashFlowData, setCashFlowData] = useState([]);
-  const [selectedProject, setSelectedProject] = useState(null);
-  
-  const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899'];
+  const [submitting, setSubmitting] = useState(false);
+  const [requisitions, setRequisitions] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [exchangeRates, setExchangeRates] = useState([]);
+
+  const [quoteRequisitionId, setQuoteRequisitionId] = useState(null);
+  const [quoteForm, setQuoteForm] = useState({ supplier_id: '', currency: BASE_CURRENCY, delivery_days: '', prices: {} });
+
+  const [orderRequisition, setOrderRequisition] = useState(null);
+  const [orderForm, setOrderForm] = useState({ order_date: '' });
+  const [orderLines, setOrderLines] = useState([]);
+  const [rejectComment, setRejectComment] = useState('');
+
+  const [receivingOrder, setReceivingOrder] = useState(null);
+  const [receiptForm, setReceiptForm] = useState({ receipt_date: '', guia_remision: '' });
+  const [receiptLines, setReceiptLines] = useState([]);
+
+  const loadRequisitions = useCallback(async () => {
+    if (!project?.id) return;
+    const { data } = await supabase
+      .from('purchase_requisitions')
+      .select('*, profiles(full_name), purchase_requisition_items(*, materials_catalog(name, unit, unit_cost, currency), supplier_quotes(*))')
+      .eq('project_id', project.id)
+      .eq('status', 'pending')
+      .order('created_at');
+    if (data) setRequisitions(data);
+  }, [project?.id]);
 
-  useEffect(() => {
-    const fetchData = async () => {
-      setLoading(true);
+  const fetchData = useCallback(async () => {
+    if (!project?.id) return;
+    setLoading(true);
+    try {
+      const [ordersRes, suppliersRes, ratesRes] = await Promise.all([
+        supabase
+          .from('purchase_orders')
+          .select('*, purchase_order_items(*, materials_catalog(name, unit))')
+          .eq('project_id', project.id)
+          .order('created_at', { ascending: false }),
+        supabase.from('suppliers').select('*').eq('company_id', project.company_id).eq('is_active', true).order('business_name'),
+        supabase.from('exchange_rates').select('*'),
+        loadRequisitions()
+      ]);
+      if (ordersRes.data) setOrders(ordersRes.data);
+      if (suppliersRes.data) setSuppliers(suppliersRes.data);
+      if (ratesRes.data) setExchangeRates(ratesRes.data);
+    } catch (error) {
+      console.error('Error fetching purchasing data:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [project?.id, project?.company_id, loadRequisitions]);
 
-      try {
-        const { data: projectsData, error } = await supabase
-          .from('projects')
-          .select(`
-            *,
-            partidas(id, current_progress, total_budgeted, unit_price),
-            daily_reports(id, total_labor_cost, total_materials_cost, report_date)
-          `)
-          .eq('is_active', true);
+  useEffect(() => { fetchData(); }, [fetchData]);
 
-        if (error) throw error;
+  const today = todayISO();
+  const supplierName = (id) => suppliers.find(sp => sp.id === id)?.business_name || '—';
+  const winningQuote = (item) => item.supplier_quotes?.find(q => q.is_winner);
+  // Las órdenes de compra son en soles: el precio de una cotización en otra moneda no se propone
+  const baseQuoteCost = (quote) => ((quote?.currency || BASE_CURRENCY) === BASE_CURRENCY ? quote?.unit_cost : null);
+  const quoteCostInBase = (quote) => convertAmount(quote.unit_cost, quote.currency || BASE_CURRENCY, BASE_CURRENCY, today, exchangeRates);
 
-        // Process project data con la corrección solicitada
-        const processedProjects = projectsData.map(project => {
-          // CORRECCIÓN: Si hay partidas, sumarlas. Si no, usar el presupuesto base del proyecto.
-          let calculatedBudget = parseFloat(project.total_budget) || 0;
-          
-          const sumPartidas = project.partidas?.reduce((sum, p) => 
-            sum + ((p.total_budgeted || 0) * (p.unit_price || 0)), 0
-          ) || 0;
+  // --- CUADRO COMPARATIVO DE COTIZACIONES ---
 
-          // Si ya se han creado partidas, el presupuesto real es la suma de ellas.
-          // Si no hay partidas, mantenemos el presupuesto estimado inicial.
-          if (sumPartidas > 0) {
-            calculatedBudget = sumPartidas;
-          }
+  const quoteRequisition = requisitions.find(r => r.id === quoteRequisitionId);
+  const quotedSupplierIds = [...new Set(
+    quoteRequisition?.purchase_requisition_items.flatMap(item => item.supplier_quotes?.map(q => q.supplier_id) || []) || []
+  )];
 
-          const executedCost = project.daily_reports?.reduce((sum, r) => 
-            sum + (r.total_labor_cost || 0) + (r.total_materials_cost || 0), 0
-          ) || 0;
+  const handleOpenQuotes = (requisition) => {
+    setQuoteRequisitionId(requisition.id);
+    setQuoteForm({ supplier_id: '', currency: BASE_CURRENCY, delivery_days: '', prices: {} });
+  };
 
-          const overallProgress = project.partidas?.length > 0
-            ? project.partidas.reduce((sum, p) => {
-                const pProgress = ((p.current_progress || 0) / (p.total_budgeted || 1)) * 100;
-                return sum + pProgress;
-              }, 0) / project.partidas.length
-            : 0;
+  const handleSelectQuoteSupplier = (supplierId) => {
+    // Si el proveedor ya cotizó, se cargan sus precios para corregirlos
+    const prices = {};
+    quoteRequisition.purchase_requisition_items.forEach(item => {
+      const quote = item.supplier_quotes?.find(q => q.supplier_id === supplierId);
+      if (quote) prices[item.id] = String(quote.unit_cost);
+    });
+    const anyQuote = quoteRequisition.purchase_requisition_items
+      .flatMap(item => item.supplier_quotes || [])
+      .find(q => q.supplier_id === supplierId);
+    setQuoteForm({
+      supplier_id: supplierId,
+      currency: anyQuote?.currency || BASE_CURRENCY,
+      delivery_days: anyQuote?.delivery_days != null ? String(anyQuote.delivery_days) : '',
+      prices
+    });
+  };
 
-          return {
-            ...project,
-            totalBudget: calculatedBudget, // Usamos la variable corregida
-            executedCost,
-            overallProgress: Math.min(overallProgress, 100)
-          };
-        });
+  const handleSaveQuote = async (e) => {
+    e.preventDefault();
+    const rows = quoteRequisition.purchase_requisition_items
+      .filter(item => parseDecimal(quoteForm.prices[item.id]) >= 0)
+      .map(item => ({
+        requisition_item_id: item.id,
+        supplier_id: quoteForm.supplier_id,
+        unit_cost: parseDecimal(quoteForm.prices[item.id]),
+        currency: quoteForm.currency,
+        delivery_days: quoteForm.delivery_days === '' ? null : parseInt(quoteForm.delivery_days, 10)
+      }));
+    if (rows.length === 0) {
+      alert('Ingrese el precio cotizado de al menos un ítem');
+      return;
+    }
 
-        setProjects(processedProjects);
+    setSubmitting(true);
+    try {
+      const { error } = await supabase.from('supplier_quotes').upsert(rows, { onConflict: 'requisition_item_id,supplier_id' });
+      if (error) throw error;
+      setQuoteForm({ supplier_id: '', currency: BASE_CURRENCY, delivery_days: '', prices: {} });
+      await loadRequisitions();
+    } catch (error) {
+      alert('Error al registrar la cotización: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
 
-        // Generate cash flow data (last 6 months)
-        const monthNames = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
-        const now = new Date();
-        const cashFlow = [];
+  // La cotización ganadora pasa al historial de precios del catálogo con vigencia desde hoy, en su
+  // moneda. Si hoy ya hay un precio cargado en el catálogo, el servidor no lo reemplaza.
+  const handleSelectWinner = async (item, quote) => {
+    setSubmitting(true);
+    try {
+      const { data: priceUpdated, error } = await supabase.rpc('select_winning_quote', {
+        p_quote_id: quote.id,
+        p_effective_from: today
+      });
+      if (error) throw error;
+      if (!priceUpdated) {
+        alert(`${item.materials_catalog?.name} ya tiene un precio registrado hoy en el catálogo; se mantuvo ese precio`);
+      }
+      await loadRequisitions();
+    } catch (error) {
+      alert('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
 
-        for (let i = 5; i >= 0; i--) {
-          const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
-          const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-          
-          let monthIncome = 0;
-          let monthExpense = 0;
+  // --- REQUERIMIENTO -> ORDEN DE COMPRA ---
+
+  const handleOpenOrder = (requisition) => {
+    setOrderRequisition(requisition);
+    setOrderForm({ order_date: today });
+    setRejectComment('');
+    setOrderLines(requisition.purchase_requisition_items.map(item => {
+      const winner = winningQuote(item);
+      const catalogCost = (item.materials_catalog?.currency || BASE_CURRENCY) === BASE_CURRENCY ? item.materials_catalog?.unit_cost : null;
+      return {
+        item,
+        supplier_id: winner?.supplier_id || '',
+        quantity: String(item.quantity),
+        unit_cost: String(baseQuoteCost(winner) ?? catalogCost ?? '')
+      };
+    }));
+  };
 
-          projectsData.forEach(project => {
-            project.daily_reports?.forEach(report => {
-              if (report.report_date?.startsWith(monthKey)) {
-                monthExpense += (report.total_labor_cost || 0) + (report.total_materials_cost || 0);
-              }
-            });
-          });
+  const updateOrderLine = (index, field, value) => {
+    setOrderLines(prev => prev.map((line, i) => {
+      if (i !== index) return line;
+      const next = { ...line, [field]: value };
+      // Al cambiar de proveedor se propone el precio que cotizó para el ítem
+      if (field === 'supplier_id') {
+        const cost = baseQuoteCost(line.item.supplier_quotes?.find(q => q.supplier_id === value));
+        if (cost != null) next.unit_cost = String(cost);
+      }
+      return next;
+    }));
+  };
 
-          // Simulate income based on progress (in real app, this would come from invoices)
-          monthIncome = monthExpense * 1.15;
+  const handleCreateOrder = async (e) => {
+    e.preventDefault();
+    const lines = orderLines.filter(line => parseDecimal(line.quantity) > 0);
+    if (lines.length === 0) {
+      alert('Indique al menos un ítem a comprar');
+      return;
+    }
+    if (lines.some(line => !line.supplier_id)) {
+      alert('Todos los ítems necesitan proveedor');
+      return;
+    }
+    if (lines.some(line => Number.isNaN(parseDecimal(line.unit_cost)))) {
+      alert('Todos los ítems necesitan precio unitario');
+      return;
+    }
 
-          cashFlow.push({
-            month: monthNames[date.getMonth()],
-            ingresos: Math.round(monthIncome),
-            egresos: Math.round(monthExpense),
-            balance: Math.round(monthIncome - monthExpense)
-          });
-        }
+    setSubmitting(true);
+    try {
+      // El servidor emite una orden por proveedor y cierra el requerimiento solo si sigue pendiente
+      const { error } = await supabase.rpc('create_purchase_orders', {
+        p_requisition_id: orderRequisition.id,
+        p_order_date: orderForm.order_date,
+        p_lines: lines.map(line => ({
+          material_id: line.item.material_id,
+          supplier_id: line.supplier_id,
+          quantity: parseDecimal(line.quantity),
+          unit_cost: parseDecimal(line.unit_cost)
+        }))
+      });
+      if (error) throw error;
 
-        setCashFlowData(cashFlow);
-      } catch (error) {
-        console.error('Error fetching CEO data:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
+      setOrderRequisition(null);
+      fetchData();
+    } catch (error) {
+      alert('Error al emitir la orden de compra: ' + error.message);
+      fetchData();
+    } finally {
+      setSubmitting(false);
+    }
+  };
 
+  const handleRejectRequisition = async () => {
+    if (!rejectComment.trim()) {
+      alert('Indique el motivo del rechazo');
+      return;
+    }
+    const { error } = await supabase.from('purchase_requisitions')
+      .update({
+        status: 'rejected',
+        review_comment: rejectComment.trim(),
+        reviewed_by: currentUser?.id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', orderRequisition.id);
+    if (error) {
+      alert('Error: ' + error.message);
+      return;
+    }
+    setOrderRequisition(null);
     fetchData();
-  }, []);
+  };
 
-  const totalBudget = projects.reduce((sum, p) => sum + p.totalBudget, 0);
-  const totalExecuted = projects.reduce((sum, p) => sum + p.executedCost, 0);
-  const avgProgress = projects.length > 0
-    ? projects.reduce((sum, p) => sum + p.overallProgress, 0) / projects.length
-    : 0;
+  // --- RECEPCIÓN DE ORDEN DE COMPRA ---
 
-  const pieData = projects.map(p => ({
-    name: p.name,
-    value: p.totalBudget
-  }));
+  const handleOpenReceive = (order) => {
+    setReceivingOrder(order);
+    setReceiptForm({ receipt_date: today, guia_remision: '' });
+    setReceiptLines(order.purchase_order_items.map(item => ({
+      item,
+      quantity: String(Math.max((item.quantity || 0) - (item.received_quantity || 0), 0))
+    })));
+  };
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <Spinner size="lg" />
-      </div>
-    );
-  }
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    const guia = receiptForm.guia_remision.trim().toUpperCase();
+    if (!GUIA_REMISION_PATTERN.test(guia)) {
+      alert('Número de guía no válido. Formato esperado: serie-correlativo (ej. T001-00012345)');
+      return;
+    }
+    const lines = receiptLines.filter(line => parseDecimal(line.quantity) > 0);
+    if (lines.length === 0) {
+      alert('Indique al menos una cantidad recibida');
+      return;
+    }
+    const over = lines.find(line => parseDecimal(line.quantity) > (line.item.quantity - (line.item.received_quantity || 0)));
+    if (over) {
+      alert(`La cantidad recibida de ${over.item.materials_catalog?.name} supera lo pendiente de la orden`);
+      return;
+    }
 
-  return (
-    <div className="space-y-6">
-      <h2 className="text-2xl font-bold text-gray-800">Dashboard Ejecutivo</h2>
+    setSubmitting(true);
+    try {
+      // Lo recibido se suma en el servidor sobre las líneas bloqueadas de la orden
+      const { error } = await supabase.rpc('receive_purchase_order', {
+        p_order_id: receivingOrder.id,
+        p_receipt_date: receiptForm.receipt_date,
+        p_guia_remision: guia,
+        p_lines: lines.map(line => ({ item_id: line.item.id, quantity: parseDecimal(line.quantity) }))
+      });
+      if (error) throw error;
 
-      {/* Summary Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-        <div className="bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl p-5 text-white">
-          <p className="text-blue-100 text-sm font-medium">Total Proyectos</p>
-          <p className="text-3xl font-bold mt-1">{projects.length}</p>
-        </div>
-        <div className="bg-gradient-to-br from-green-500 to-green-600 rounded-xl p-5 text-white">
-          <p className="text-green-100 text-sm font-medium">Presupuesto Total</p>
-          <p className="text-lg font-bold mt-1 truncate" title={formatCurrency(totalBudget)}>
-            {formatCurrency(totalBudget)}
-          </p>
-        </div>
-        <div className="bg-gradient-to-br from-yellow-500 to-yellow-600 rounded-xl p-5 text-white">
-          <p className="text-yellow-100 text-sm font-medium">Ejecutado</p>
-          <p className="text-lg font-bold mt-1 truncate" title={formatCurrency(totalExecuted)}>
-            {formatCurrency(totalExecuted)}
-          </p>
-        </div>
-        <div className="bg-gradient-to-br from-purple-500 to-purple-600 rounded-xl p-5 text-white">
-          <p className="text-purple-100 text-sm font-medium">Avance Promedio</p>
-          <p className="text-3xl font-bold mt-1">{avgProgress.toFixed(1)}%</p>
-        </div>
-      </div>
+      setReceivingOrder(null);
+      fetchData();
+    } catch (error) {
+      alert('Error al registrar la recepción: ' + error.message);
+      fetchData();
+    } finally {
+      setSubmitting(false);
+    }
+  };
 
-      {/* Charts Row */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* Cash Flow Chart */}
-        <div className="bg-white rounded-xl shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4">Flujo de Caja (Últimos 6 meses)</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={cashFlowData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
-              <XAxis dataKey="month" stroke="#6B7280" />
-              <YAxis stroke="#6B7280" tickFormatter={(v) => `S/${(v/1000).toFixed(0)}k`} />
-              <Tooltip
-                formatter={(value) => formatCurrency(value)}
-                labelStyle={{ color: '#374151' }}
-              />
-              <Legend />
-              <Bar dataKey="ingresos" name="Ingresos" fill="#10B981" radius={[4, 4, 0, 0]} />
-              <Bar dataKey="egresos" name="Egresos" fill="#EF4444" radius={[4, 4, 0, 0]} />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
+  const handleCancelOrder = async (order) => {
+    if (order.purchase_order_items.some(item => (item.received_quantity || 0) > 0)) {
+      alert('No se puede anular una orden con recepciones registradas');
+      return;
+    }
+    if (!confirm(`¿Anular la orden ${formatDocNumber('OC', order.number)}?`)) return;
+    await supabase.from('purchase_orders').update({ status: 'cancelled' }).eq('id', order.id);
+    fetchData();
+  };
 
-        {/* Budget Distribution */}
-        <div className="bg-white rounded-xl shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4">Distribución de Presupuesto</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <PieChart>
-              <Pie
-                data={pieData}
-                cx="50%"
-                cy="50%"
-                innerRadius={60}
-                outerRadius={100}
-                paddingAngle={2}
-                dataKey="value"
-                label={({ name, percent }) => `${name.substring(0, 10)}... (${(percent * 100).toFixed(0)}%)`}
-              >
-                {pieData.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                ))}
-              </Pie>
-              <Tooltip formatter={(value) => formatCurrency(value)} />
-            </PieChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
+  const orderTotal = (order) => order.purchase_order_items?.reduce((sum, item) => sum + item.quantity * item.unit_cost, 0) || 0;
 
-      {/* Balance Trend */}
-      <div className="bg-white rounded-xl shadow p-6">
-        <h3 className="text-lg font-semibold text-gray-800 mb-4">Tendencia de Balance</h3>
-        <ResponsiveContainer width="100%" height={250}>
-          <LineChart data={cashFlowData}>
-            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
-            <XAxis dataKey="month" stroke="#6B7280" />
-            <YAxis stroke="#6B7280" tickFormatter={(v) => `S/${(v/1000).toFixed(0)}k`} />
-            <Tooltip formatter={(value) => formatCurrency(value)} />
-            <Line
-              type="monotone"
-              dataKey="balance"
-              name="Balance"
-              stroke="#8B5CF6"
-              strokeWidth={3}
-              dot={{ fill: '#8B5CF6', strokeWidth: 2 }}
-            />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
+  if (loading) return <div className="flex justify-center h-64"><Spinner size="lg" /></div>;
 
-      {/* Projects List */}
+  return (
+    <div className="space-y-6">
+      {/* Requerimientos pendientes */}
       <div className="bg-white rounded-xl shadow overflow-hidden">
         <div className="px-6 py-4 border-b">
-          <h3 className="text-lg font-semibold text-gray-800">Todos los Proyectos</h3>
+          <h3 className="text-lg font-semibold text-gray-800">Requerimientos Pendientes ({requisitions.length})</h3>
         </div>
         <div className="divide-y divide-gray-100">
-          {projects.map((project, index) => (
-            <div
-              key={project.id}
-              className="p-4 hover:bg-gray-50 cursor-pointer transition"
-              onClick={() => setSelectedProject(project)}
-            >
-              <div className="flex items-center justify-between">
-                <div className="flex items-center gap-3">
-                  <div
-                    className="w-3 h-3 rounded-full"
-                    style={{ backgroundColor: COLORS[index % COLORS.length] }}
-                  />
-                  <div>
-                    <p className="font-medium text-gray-900">{project.name}</p>
-                    <p className="text-sm text-gray-500">{project.location || 'Sin ubicación'}</p>
-                  </div>
-                </div>
-                <div className="text-right">
-                  <p className="text-lg font-semibold text-gray-900 truncate max-w-[150px]" title={formatCurrency(project.totalBudget)}>
-                    {formatCurrency(project.totalBudget)}
-                  </p>
-                  <div className="flex items-center gap-2 justify-end">
-                    <div className="w-20 bg-gray-200 rounded-full h-2">
-                      <div
-                        className="h-2 rounded-full bg-blue-500"
-                        style={{ width: `${project.overallProgress}%` }}
-                      />
-                    </div>
-                    <span className="text-sm text-gray-600">{project.overallProgress.toFixed(0)}%</span>
-                  </div>
-                </div>
+          {requisitions.map(req => (
+            <div key={req.id} className="p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+              <div>
+                <p className="font-medium text-gray-900">{formatDocNumber('RQ', req.number)} · {req.profiles?.full_name}</p>
+                <p className="text-sm text-gray-500">
+                  {req.purchase_requisition_items?.map(item => `${item.quantity} ${item.materials_catalog?.unit} ${item.materials_catalog?.name}`).join(' · ')}
+                </p>
+                {req.required_date && <p className="text-xs text-gray-400">Requerido para el {new Date(req.required_date).toLocaleDateString('es-PE')}</p>}
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => handleOpenQuotes(req)} className="border border-blue-600 text-blue-600 px-3 py-1 rounded-lg hover:bg-blue-50 text-sm whitespace-nowrap">
+                  Cotizaciones
+                </button>
+                <button onClick={() => handleOpenOrder(req)} className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 text-sm whitespace-nowrap">
+                  Atender
+                </button>
               </div>
             </div>
           ))}
+          {requisitions.length === 0 && <p className="px-6 py-8 text-center text-gray-500">No hay requerimientos pendientes</p>}
         </div>
       </div>
 
-      {/* Project Detail Modal */}
-      <Modal
-        isOpen={!!selectedProject}
-        onClose={() => setSelectedProject(null)}
-        title={selectedProject?.name || 'Detalle del Proyecto'}
-      >
-        {selectedProject && (
-          <div className="space-y-4">
-            <div className="grid grid-cols-2 gap-4">
-              <div className="bg-gray-50 p-3 rounded-lg">
-                <p className="text-xs text-gray-500">Presupuesto</p>
-                <p className="font-semibold text-gray-900 truncate">{formatCurrency(selectedProject.totalBudget)}</p>
-              </div>
-              <div className="bg-gray-50 p-3 rounded-lg">
-                <p className="text-xs text-gray-500">Ejecutado</p>
-                <p className="font-semibold text-gray-900 truncate">{formatCurrency(selectedProject.executedCost)}</p>
-              </div>
-              <div className="bg-gray-50 p-3 rounded-lg">
-                <p className="text-xs text-gray-500">Avance</p>
-                <p className="font-semibold text-gray-900">{selectedProject.overallProgress.toFixed(1)}%</p>
-              </div>
-              <div className="bg-gray-50 p-3 rounded-lg">
-                <p className="text-xs text-gray-500">Partidas</p>
-                <p className="font-semibold text-gray-900">{selectedProject.partidas?.length || 0}</p>
+      {/* Órdenes de compra */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-800">Órdenes de Compra</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">N°</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Proveedor</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Recepción</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Estado</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {orders.map(order => (
+                <tr key={order.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3">
+                    <p className="font-mono text-sm text-gray-900">{formatDocNumber('OC', order.number)}</p>
+                    <p className="text-xs text-gray-500">{new Date(order.order_date).toLocaleDateString('es-PE')}</p>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{order.supplier_name}</td>
+                  <td className="px-4 py-3 text-xs text-gray-600">
+                    {order.purchase_order_items?.map(item => (
+                      <p key={item.id}>{item.materials_catalog?.name}: {item.received_quantity || 0}/{item.quantity} {item.materials_catalog?.unit}</p>
+                    ))}
+                  </td>
+                  <td className="px-4 py-3 text-right text-gray-900">{formatCurrency(orderTotal(order))}</td>
+                  <td className="px-4 py-3 text-center"><StatusBadge statuses={PURCHASE_ORDER_STATUS} status={order.status} /></td>
+                  <td className="px-4 py-3 text-right space-x-2 whitespace-nowrap">
+                    {(order.status === 'issued' || order.status === 'partial') && (
+                      <button onClick={() => handleOpenReceive(order)} className="text-blue-600 hover:text-blue-800 text-sm">Recepcionar</button>
+                    )}
+                    {order.status === 'issued' && (
+                      <button onClick={() => handleCancelOrder(order)} className="text-red-600 hover:text-red-800 text-sm">Anular</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {orders.length === 0 && (
+                <tr><td colSpan={6} className="px-4 py-8 text-center text-gray-500">No hay órdenes de compra</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* MODAL CUADRO COMPARATIVO */}
+      <Modal isOpen={!!quoteRequisition} onClose={() => setQuoteRequisitionId(null)} title={`Cuadro Comparativo ${formatDocNumber('RQ', quoteRequisition?.number)}`} size="4xl">
+        {quoteRequisition && (
+          <div className="space-y-6">
+            <div className="overflow-x-auto border rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Ítem</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cant.</th>
+                    {quotedSupplierIds.map(id => (
+                      <th key={id} className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{supplierName(id)}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {quoteRequisition.purchase_requisition_items.map(item => {
+                    const quotes = item.supplier_quotes || [];
+                    // Se comparan en soles al tipo de cambio de hoy; sin tipo de cambio no entran
+                    const comparable = quotes.map(quoteCostInBase).filter(cost => cost !== null);
+                    const lowest = comparable.length > 0 ? Math.min(...comparable) : null;
+                    return (
+                      <tr key={item.id}>
+                        <td className="px-3 py-2">{item.materials_catalog?.name}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{item.quantity} {item.materials_catalog?.unit}</td>
+                        {quotedSupplierIds.map(id => {
+                          const quote = quotes.find(q => q.supplier_id === id);
+                          if (!quote) return <td key={id} className="px-3 py-2 text-right text-gray-400">—</td>;
+                          return (
+                            <td key={id} className={`px-3 py-2 text-right ${quote.is_winner ? 'bg-green-50' : ''}`}>
+                              <p className={quoteCostInBase(quote) === lowest ? 'font-semibold text-green-700' : 'text-gray-900'}>{formatCurrency(quote.unit_cost, quote.currency)}</p>
+                              <p className="text-xs text-gray-500">
+                                {formatCurrency(quote.unit_cost * item.quantity, quote.currency)}
+                                {quote.delivery_days != null && ` · ${quote.delivery_days} d`}
+                              </p>
+                              {quote.is_winner
+                                ? <span className="text-xs font-semibold text-green-700">★ Ganadora</span>
+                                : <button disabled={submitting} onClick={() => handleSelectWinner(item, quote)} className="text-xs text-blue-600 hover:text-blue-800">Elegir</button>}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    );
+                  })}
+                  {quotedSupplierIds.length === 0 && (
+                    <tr><td colSpan={2} className="px-3 py-2 text-xs text-gray-500">Aún no hay cotizaciones registradas</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <form onSubmit={handleSaveQuote} className="border-t pt-4 space-y-3">
+              <h4 className="font-medium text-gray-800">Registrar cotización</h4>
+              <div className="grid grid-cols-3 gap-4">
+                <select required value={quoteForm.supplier_id} onChange={e => handleSelectQuoteSupplier(e.target.value)} className="border rounded-lg px-3 py-2 w-full">
+                  <option value="">-- Proveedor --</option>
+                  {suppliers.map(sp => <option key={sp.id} value={sp.id}>{sp.business_name} ({sp.ruc})</option>)}
+                </select>
+                <select value={quoteForm.currency} onChange={e => setQuoteForm({ ...quoteForm, currency: e.target.value })} className="border rounded-lg px-3 py-2 w-full">
+                  {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.label}</option>)}
+                </select>
+                <input type="number" min="0" placeholder="Plazo de entrega (días)" value={quoteForm.delivery_days} onChange={e => setQuoteForm({ ...quoteForm, delivery_days: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
               </div>
+              {quoteRequisition.purchase_requisition_items.map(item => (
+                <div key={item.id} className="flex gap-2 items-center text-sm">
+                  <span className="flex-1">{item.materials_catalog?.name} ({item.materials_catalog?.unit})</span>
+                  <input inputMode="decimal" placeholder="P. Unit." value={quoteForm.prices[item.id] || ''} onChange={e => setQuoteForm({ ...quoteForm, prices: { ...quoteForm.prices, [item.id]: e.target.value } })} className="w-28 border rounded-lg px-2 py-1" />
+                </div>
+              ))}
+              <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+                {submitting ? 'Guardando...' : 'Guardar Cotización'}
+              </button>
+            </form>
+          </div>
+        )}
+      </Modal>
+
+      {/* MODAL ATENDER REQUERIMIENTO */}
+      <Modal isOpen={!!orderRequisition} onClose={() => setOrderRequisition(null)} title={`Atender ${formatDocNumber('RQ', orderRequisition?.number)}`} size="4xl">
+        {orderRequisition && (
+          <form onSubmit={handleCreateOrder} className="space-y-4">
+            {orderRequisition.notes && <p className="bg-gray-50 rounded-lg p-3 text-sm">{orderRequisition.notes}</p>}
+            <div>
+              <label className="text-xs text-gray-500">Fecha de emisión</label>
+              <input required type="date" value={orderForm.order_date} onChange={e => setOrderForm({ ...orderForm, order_date: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
             </div>
-            <div className="bg-gray-50 p-3 rounded-lg">
-              <p className="text-xs text-gray-500 mb-1">Progreso General</p>
-              <div className="flex items-center gap-3">
-                <div className="flex-1 bg-gray-200 rounded-full h-3">
-                  <div
-                    className="h-3 rounded-full bg-blue-500 transition-all"
-                    style={{ width: `${selectedProject.overallProgress}%` }}
-                  />
+            <div className="space-y-2">
+              {orderLines.map((line, index) => (
+                <div key={line.item.id} className="flex gap-2 items-center text-sm">
+                  <span className="flex-1">
+                    {line.item.materials_catalog?.name} ({line.item.materials_catalog?.unit})
+                    {winningQuote(line.item) && <span className="block text-xs text-green-700">★ Cotización ganadora</span>}
+                  </span>
+                  <select value={line.supplier_id} onChange={e => updateOrderLine(index, 'supplier_id', e.target.value)} className="w-48 border rounded-lg px-2 py-1">
+                    <option value="">-- Proveedor --</option>
+                    {suppliers.map(sp => <option key={sp.id} value={sp.id}>{sp.business_name}</option>)}
+                  </select>
+                  <input inputMode="decimal" value={line.quantity} onChange={e => updateOrderLine(index, 'quantity', e.target.value)} className="w-20 border rounded-lg px-2 py-1" />
+                  <input inputMode="decimal" placeholder="P. Unit." value={line.unit_cost} onChange={e => updateOrderLine(index, 'unit_cost', e.target.value)} className="w-24 border rounded-lg px-2 py-1" />
                 </div>
-                <span className="font-medium text-gray-700">{selectedProject.overallProgress.toFixed(0)}%</span>
-              </div>
+              ))}
+              <p className="text-xs text-gray-500">Se emite una orden de compra por cada proveedor.</p>
             </div>
-          </div>
+            <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+              {submitting ? 'Emitiendo...' : 'Aprobar y Emitir Orden de Compra'}
+            </button>
+            <div className="border-t pt-4 flex gap-2">
+              <input placeholder="Motivo de rechazo" value={rejectComment} onChange={e => setRejectComment(e.target.value)} className="flex-1 border rounded-lg px-3 py-2 text-sm" />
+              <button type="button" onClick={handleRejectRequisition} className="border border-red-300 text-red-600 px-4 py-2 rounded-lg hover:bg-red-50 text-sm">
+                Rechazar
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* MODAL RECEPCIÓN */}
+      <Modal isOpen={!!receivingOrder} onClose={() => setReceivingOrder(null)} title={`Recepción ${formatDocNumber('OC', receivingOrder?.number)}`}>
+        {receivingOrder && (
+          <form onSubmit={handleReceive} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <input required type="date" value={receiptForm.receipt_date} onChange={e => setReceiptForm({ ...receiptForm, receipt_date: e.target.value })} className="border rounded-lg px-3 py-2 w-full" />
+              <input required placeholder="Guía T001-00012345" value={receiptForm.guia_remision} onChange={e => setReceiptForm({ ...receiptForm, guia_remision: e.target.value })} className="border rounded-lg px-3 py-2 w-full font-mono uppercase" />
+            </div>
+            <div className="space-y-2">
+              {receiptLines.map((line, index) => (
+                <div key={line.item.id} className="flex gap-2 items-center text-sm">
+                  <span className="flex-1">
+                    {line.item.materials_catalog?.name}
+                    <span className="block text-xs text-gray-500">Pendiente: {line.item.quantity - (line.item.received_quantity || 0)} {line.item.materials_catalog?.unit}</span>
+                  </span>
+                  <input inputMode="decimal" value={line.quantity} onChange={e => setReceiptLines(prev => prev.map((l, i) => i === index ? { ...l, quantity: e.target.value } : l))} className="w-24 border rounded-lg px-2 py-1" />
+                </div>
+              ))}
+            </div>
+            <button disabled={submitting} type="submit" className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition">
+              {submitting ? 'Registrando...' : 'Registrar Recepción'}
+            </button>
+          </form>
         )}
       </Modal>
     </div>
@@ -1704,10 +7839,13 @@ const CEOModule = () => {
 };
 
 // ============== LOGISTICS MODULE ==============
-const LogisticsModule = ({ project }) => {
+const LogisticsModule = ({ project, currentUser, allowedTabs, tab }) => {
   const [loading, setLoading] = useState(true);
-  const [materials, setMaterials] = useState([]);
+  const activeTab = tab || allowedTabs[0];
+  const canViewCosts = hasPermission(currentUser, 'costs.view');
+  const setActiveTab = (nextTab) => navigate(projectPath(project.id, nextTab));
   const [materialUsage, setMaterialUsage] = useState([]);
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     const fetchData = async () => {
@@ -1715,15 +7853,11 @@ const LogisticsModule = ({ project }) => {
       setLoading(true);
 
       try {
-        const [catalogRes, reportsRes] = await Promise.all([
-          supabase.from('materials_catalog').select('*').eq('is_active', true),
-          supabase
-            .from('daily_reports')
-            .select('materials_data, report_date')
-            .eq('project_id', project.id)
-        ]);
-
-        if (catalogRes.data) setMaterials(catalogRes.data);
+        const reportsRes = await supabase
+          .from('daily_reports')
+          .select('materials_data, report_date')
+          .eq('project_id', project.id)
+          .eq('status', 'approved');
 
         // Aggregate material usage
         const usageMap = new Map();
@@ -1753,6 +7887,116 @@ const LogisticsModule = ({ project }) => {
     fetchData();
   }, [project?.id]);
 
+  // Consumo, stock, ingresos a almacén y órdenes de compra del proyecto en un solo libro
+  const handleExportExcel = async () => {
+    setExporting(true);
+    try {
+      const [reportsRes, materialsRes, receiptsRes, ordersRes, stock] = await Promise.all([
+        supabase
+          .from('daily_reports')
+          .select('report_date, materials_data, partidas(code, name)')
+          .eq('project_id', project.id)
+          .eq('status', 'approved')
+          .order('report_date'),
+        supabase.from('materials_catalog').select('id, name, unit, material_categories(name)').eq('company_id', project.company_id).order('name'),
+        supabase
+          .from('warehouse_receipts')
+          .select('*, warehouse_receipt_items(*, materials_catalog(name, unit))')
+          .eq('project_id', project.id)
+          .order('receipt_date'),
+        supabase
+          .from('purchase_orders')
+          .select('*, purchase_order_items(*, materials_catalog(name, unit))')
+          .eq('project_id', project.id)
+          .order('number'),
+        getMaterialStock(project.id)
+      ]);
+      const failed = [reportsRes, materialsRes, receiptsRes, ordersRes].find(res => res.error);
+      if (failed) throw failed.error;
+
+      const costColumns = (columns) => (canViewCosts ? columns : []);
+      const currencyColumn = (header, value) => ({ header, type: 'currency', currency: BASE_CURRENCY, value });
+
+      downloadWorkbook([
+        {
+          name: 'Consumo',
+          columns: [
+            { header: 'Material', value: u => u.material_name },
+            { header: 'Unidad', value: u => u.unit },
+            { header: 'Cantidad Usada', type: 'number', value: u => u.total_quantity },
+            ...costColumns([currencyColumn('Costo Total', u => u.total_cost)])
+          ],
+          rows: materialUsage
+        },
+        {
+          name: 'Consumo por Reporte',
+          columns: [
+            { header: 'Fecha', type: 'date', value: r => r.report.report_date },
+            { header: 'Partida', value: r => r.report.partidas ? `${r.report.partidas.code} - ${r.report.partidas.name}` : '' },
+            { header: 'Material', value: r => r.material.material_name },
+            { header: 'Cantidad', type: 'number', value: r => r.material.quantity || 0 },
+            { header: 'Unidad', value: r => r.material.unit },
+            ...costColumns([
+              currencyColumn('Costo Unitario', r => r.material.unit_cost || 0),
+              currencyColumn('Costo Total', r => r.material.total_cost || 0)
+            ])
+          ],
+          rows: (reportsRes.data || []).flatMap(report => (report.materials_data || []).map(material => ({ report, material })))
+        },
+        {
+          name: 'Stock',
+          columns: [
+            { header: 'Material', value: m => m.name },
+            { header: 'Categoría', value: m => m.material_categories?.name },
+            { header: 'Unidad', value: m => m.unit },
+            { header: 'Ingresado', type: 'number', value: m => stock[m.id].received },
+            { header: 'Consumido', type: 'number', value: m => stock[m.id].consumed },
+            { header: 'Disponible', type: 'number', value: m => stock[m.id].available }
+          ],
+          rows: (materialsRes.data || []).filter(m => stock[m.id])
+        },
+        {
+          name: 'Ingresos a Almacén',
+          columns: [
+            { header: 'Fecha', type: 'date', value: r => r.receipt.receipt_date },
+            { header: 'Guía de Remisión', value: r => r.receipt.guia_remision },
+            { header: 'Proveedor', value: r => r.receipt.supplier_name },
+            { header: 'Material', value: r => r.item.materials_catalog?.name },
+            { header: 'Cantidad', type: 'number', value: r => r.item.quantity },
+            { header: 'Unidad', value: r => r.item.materials_catalog?.unit },
+            ...costColumns([
+              currencyColumn('Costo Unitario', r => r.item.unit_cost || 0),
+              currencyColumn('Total', r => (r.item.quantity || 0) * (r.item.unit_cost || 0))
+            ])
+          ],
+          rows: (receiptsRes.data || []).flatMap(receipt => (receipt.warehouse_receipt_items || []).map(item => ({ receipt, item })))
+        },
+        {
+          name: 'Órdenes de Compra',
+          columns: [
+            { header: 'N° OC', value: r => formatDocNumber('OC', r.order.number) },
+            { header: 'Fecha', type: 'date', value: r => r.order.order_date },
+            { header: 'Proveedor', value: r => r.order.supplier_name },
+            { header: 'Estado', value: r => PURCHASE_ORDER_STATUS[r.order.status]?.label || r.order.status },
+            { header: 'Material', value: r => r.item.materials_catalog?.name },
+            { header: 'Cantidad', type: 'number', value: r => r.item.quantity },
+            { header: 'Recibido', type: 'number', value: r => r.item.received_quantity || 0 },
+            { header: 'Unidad', value: r => r.item.materials_catalog?.unit },
+            ...costColumns([
+              currencyColumn('Costo Unitario', r => r.item.unit_cost || 0),
+              currencyColumn('Total', r => (r.item.quantity || 0) * (r.item.unit_cost || 0))
+            ])
+          ],
+          rows: (ordersRes.data || []).flatMap(order => (order.purchase_order_items || []).map(item => ({ order, item })))
+        }
+      ], `logistica_${project.name.replace(/\s+/g, '_')}`);
+    } catch (error) {
+      alert('Error al exportar: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -1763,97 +8007,202 @@ const LogisticsModule = ({ project }) => {
 
   return (
     <div className="space-y-6">
-      <h2 className="text-2xl font-bold text-gray-800">Logística de Materiales</h2>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <h2 className="text-2xl font-bold text-gray-800">Logística de Materiales</h2>
+        <ExportExcelButton onClick={handleExportExcel} exporting={exporting} />
+      </div>
 
-      {/* Material Usage Summary */}
-      <div className="bg-white rounded-xl shadow overflow-hidden">
-        <div className="px-6 py-4 border-b">
-          <h3 className="text-lg font-semibold text-gray-800">Consumo de Materiales</h3>
-        </div>
-        <div className="overflow-x-auto">
-          <table className="w-full">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
-                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Unidad</th>
-                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Cantidad Usada</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Costo Total</th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-gray-200">
-              {materialUsage.map(usage => (
-                <tr key={usage.material_id} className="hover:bg-gray-50">
-                  <td className="px-4 py-3 font-medium text-gray-900">{usage.material_name}</td>
-                  <td className="px-4 py-3 text-center text-gray-600">{usage.unit}</td>
-                  <td className="px-4 py-3 text-center font-medium text-gray-900">
-                    {usage.total_quantity.toFixed(2)}
-                  </td>
-                  <td className="px-4 py-3 text-right text-gray-900">
-                    {formatCurrency(usage.total_cost)}
-                  </td>
-                </tr>
-              ))}
-              {materialUsage.length === 0 && (
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-4 overflow-x-auto">
+          {[
+            { id: 'consumption', label: 'Consumo' },
+            { id: 'purchasing', label: 'Compras' },
+            { id: 'suppliers', label: 'Proveedores' },
+            { id: 'warehouse', label: 'Almacén' },
+            { id: 'catalog', label: 'Catálogo y Precios' }
+          ].filter(t => allowedTabs.includes(t.id)).map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`py-3 px-1 border-b-2 font-medium text-sm whitespace-nowrap transition ${
+                activeTab === tab.id
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'consumption' && (
+        <div className="bg-white rounded-xl shadow overflow-hidden">
+          <div className="px-6 py-4 border-b">
+            <h3 className="text-lg font-semibold text-gray-800">Consumo de Materiales</h3>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
                 <tr>
-                  <td colSpan={4} className="px-4 py-8 text-center text-gray-500">
-                    No hay consumo de materiales registrado
-                  </td>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Unidad</th>
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Cantidad Usada</th>
+                  {canViewCosts && <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Costo Total</th>}
                 </tr>
-              )}
-            </tbody>
-          </table>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {materialUsage.map(usage => (
+                  <tr key={usage.material_id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 font-medium text-gray-900">{usage.material_name}</td>
+                    <td className="px-4 py-3 text-center text-gray-600">{usage.unit}</td>
+                    <td className="px-4 py-3 text-center font-medium text-gray-900">
+                      {usage.total_quantity.toFixed(2)}
+                    </td>
+                    {canViewCosts && (
+                      <td className="px-4 py-3 text-right text-gray-900">
+                        {formatCurrency(usage.total_cost)}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+                {materialUsage.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="px-4 py-8 text-center text-gray-500">
+                      No hay consumo de materiales registrado
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
         </div>
-      </div>
+      )}
+
+      {/* Purchasing */}
+      {activeTab === 'purchasing' && <PurchasingManager project={project} currentUser={currentUser} />}
+
+      {/* Suppliers */}
+      {activeTab === 'suppliers' && <SuppliersManager companyId={project.company_id} />}
+
+      {/* Warehouse */}
+      {activeTab === 'warehouse' && <WarehouseManager project={project} currentUser={currentUser} />}
 
       {/* Materials Catalog */}
-      <div className="bg-white rounded-xl shadow overflow-hidden">
-        <div className="px-6 py-4 border-b">
-          <h3 className="text-lg font-semibold text-gray-800">Catálogo de Materiales</h3>
-        </div>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 p-4">
-          {materials.map(mat => (
-            <div key={mat.id} className="bg-gray-50 rounded-lg p-4">
-              <h4 className="font-medium text-gray-900">{mat.name}</h4>
-              <p className="text-sm text-gray-500">{mat.description || 'Sin descripción'}</p>
-              <div className="mt-2 flex justify-between text-sm">
-                <span className="text-gray-600">{mat.unit}</span>
-                <span className="font-medium text-gray-900">{formatCurrency(mat.unit_cost)}</span>
-              </div>
-            </div>
-          ))}
-        </div>
-      </div>
+      {activeTab === 'catalog' && <MaterialsCatalogManager companyId={project.company_id} />}
     </div>
   );
 };
+
+// ============== ROUTING ==============
+// Los módulos del menú y sus pestañas se muestran según los permisos del usuario (la unión de
+// todos sus roles). Los módulos de obra (projectScoped) suman además el rol que el usuario tiene
+// en el proyecto abierto. Cada módulo vive bajo una ruta (path); una URL a la que el usuario no
+// tiene acceso redirige a su pantalla de inicio.
+const APP_MODULES = [
+  {
+    id: 'admin', label: 'Usuarios', path: '/admin',
+    icon: 'M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z',
+    tabs: [
+      { id: 'projects', permission: 'projects.manage' },
+      { id: 'users', permission: 'users.manage' },
+      { id: 'roles', permission: 'users.manage' },
+      { id: 'companies', permission: 'companies.manage' },
+      { id: 'budgets', permission: 'budgets.edit' },
+      { id: 'rates', permission: 'labor_rates.manage' },
+      { id: 'billing', permission: 'billing.manage' },
+      { id: 'exchange', permission: 'billing.manage' },
+      { id: 'audit', permission: 'audit.view' }
+    ]
+  },
+  {
+    id: 'dashboard', label: 'Dashboard', path: '/dashboard', permission: 'dashboard.view',
+    icon: 'M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z'
+  },
+  {
+    id: 'engineer', label: 'Avance', path: '/projects', projectScoped: true,
+    icon: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z',
+    tabs: [
+      { id: 'progress', permission: 'progress.view' },
+      { id: 'reports', permission: 'progress.view' },
+      { id: 'evidence', permission: 'progress.view' },
+      { id: 'schedule', permission: 'progress.view' },
+      { id: 'budget', permission: 'budgets.edit' },
+      { id: 'valuations', permission: 'valuations.manage' },
+      { id: 'requisitions', permission: 'requisitions.create' }
+    ]
+  },
+  {
+    id: 'foreman', label: 'Reporte Diario', path: '/projects', projectScoped: true,
+    icon: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z',
+    tabs: [
+      { id: 'report', permission: 'reports.submit' },
+      { id: 'tareo', permission: 'tareo.manage' },
+      { id: 'workers', permission: 'tareo.manage' },
+      { id: 'requests', permission: 'requisitions.create' }
+    ]
+  },
+  {
+    id: 'logistics', label: 'Materiales', path: '/projects', projectScoped: true,
+    icon: 'M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4',
+    tabs: [
+      { id: 'consumption', permission: 'materials.view' },
+      { id: 'purchasing', permission: 'purchasing.manage' },
+      { id: 'suppliers', permission: 'purchasing.manage' },
+      { id: 'warehouse', permission: 'warehouse.manage' },
+      { id: 'catalog', permission: 'catalog.manage' }
+    ]
+  }
+];
+
+// Módulos visibles con las pestañas permitidas (tabs queda como lista de ids). projectProfile trae
+// los permisos en la obra abierta (withProjectRole)
+const getModulesForUser = (profile, projectProfile = profile) => APP_MODULES
+  .map(module => {
+    const access = module.projectScoped ? projectProfile : profile;
+    if (!module.tabs) return hasPermission(access, module.permission) ? module : null;
+    const tabs = module.tabs.filter(tab => hasPermission(access, tab.permission)).map(tab => tab.id);
+    return tabs.length > 0 ? { ...module, tabs } : null;
+  })
+  .filter(Boolean);
+
+const APP_ROUTES = [
+  { pattern: '/dashboard' },
+  { pattern: '/admin' },
+  { pattern: '/admin/:tab' },
+  { pattern: '/admin/:tab/:projectId' },
+  { pattern: '/projects' },
+  { pattern: '/projects/:projectId' },
+  { pattern: '/projects/:projectId/:tab' },
+  { pattern: '/projects/:projectId/reports/:reportId', tab: 'reports' }
+];
+
+const projectPath = (projectId, tab, reportId) =>
+  reportId ? buildPath('projects', projectId, 'reports', reportId) : buildPath('projects', projectId, tab);
+
+// Ruta válida para el usuario o null si hay que redirigir. Las pestañas de obra comparten
+// /projects/:projectId/:tab, así que el módulo sale de la pestaña
+const resolveRouteForUser = (pathname, modules, projects) => {
+  const route = resolveRoute(APP_ROUTES, pathname);
+  if (!route) return null;
+  const tab = route.tab || route.params.tab;
+  const candidates = modules.filter(m => pathname === m.path || pathname.startsWith(`${m.path}/`));
+  const module = tab ? candidates.find(m => m.tabs?.includes(tab)) : candidates[0];
+  if (!module) return null;
+
+  if (module.projectScoped && route.params.projectId && !projects.some(p => p.id === route.params.projectId)) return null;
+  return { ...route, module, tab };
+};
+
 // ============== MAIN APP COMPONENT ==============
 export default function App() {
   const [loading, setLoading] = useState(true);
   const [user, setUser] = useState(null);
   const [profile, setProfile] = useState(null);
+  const [company, setCompany] = useState(null);
   const [projects, setProjects] = useState([]);
-
-  // Recuperar proyecto de localStorage de forma segura
-  const [selectedProject, setSelectedProject] = useState(() => {
-    try {
-      const saved = localStorage.getItem('erp_active_project');
-      if (!saved || saved === "undefined" || saved === "null") return null;
-      return JSON.parse(saved);
-    } catch (e) {
-      return null;
-    }
-  });
-
-  // Persistir proyecto seleccionado
-  useEffect(() => {
-    try {
-      if (selectedProject) {
-        localStorage.setItem('erp_active_project', JSON.stringify(selectedProject));
-      }
-    } catch (e) {
-      console.warn("Error guardando proyecto", e);
-    }
-  }, [selectedProject]);
+  const pathname = usePathname();
 
   // Configurar Título y Favicon
   useEffect(() => {
@@ -1867,11 +8216,45 @@ export default function App() {
     document.title = "ERP Construcción";
   }, []);
 
-  const [activeModule, setActiveModule] = useState('dashboard');
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [loginForm, setLoginForm] = useState({ email: '', password: '' });
   const [loginError, setLoginError] = useState('');
   const [loginLoading, setLoginLoading] = useState(false);
+  const [forgotMode, setForgotMode] = useState(false);
+  const [resetSent, setResetSent] = useState(false);
+
+  // Perfil, empresa y proyectos quedan guardados en el dispositivo para abrir la app en obra sin señal
+  const loadProfileAndProjects = async (userId) => {
+    const cacheKey = `session:${userId}`;
+    let userProfile = null;
+    let userCompany = null;
+    let userProjects = [];
+    if (navigator.onLine) {
+      userProfile = await getUserProfile(userId);
+      userCompany = getActiveCompany(userProfile);
+      if (userProfile) userProjects = await getUserProjects(userId, userProfile, userCompany?.id);
+    }
+    if (userProfile) {
+      cacheSet(cacheKey, { profile: userProfile, company: userCompany, projects: userProjects });
+    } else {
+      const cached = await cacheGet(cacheKey);
+      if (cached && !navigator.onLine) {
+        userProfile = cached.data.profile;
+        userCompany = cached.data.company;
+        userProjects = cached.data.projects;
+      }
+    }
+    setProfile(userProfile);
+    setCompany(userCompany);
+    setProjects(userProjects || []);
+  };
+
+  // Cada empresa tiene sus propios proyectos: al cambiar se vuelve a la pantalla de inicio
+  const handleCompanyChange = async (companyId) => {
+    setActiveCompany(companyId);
+    await loadProfileAndProjects(user.id);
+    navigate('/', { replace: true });
+  };
 
   // Verificar sesión al inicio
   useEffect(() => {
@@ -1880,13 +8263,7 @@ export default function App() {
         const { data: { session } } = await supabase.auth.getSession();
         if (session?.user) {
           setUser(session.user);
-          const userProfile = await getUserProfile(session.user.id);
-          setProfile(userProfile);
-          
-          if (userProfile) {
-            const userProjects = await getUserProjects(session.user.id, userProfile.role);
-            setProjects(userProjects || []);
-          }
+          await loadProfileAndProjects(session.user.id);
         }
       } catch (error) {
         console.error('Auth check error:', error);
@@ -1898,21 +8275,16 @@ export default function App() {
     checkAuth();
 
     const { data: { subscription } } = supabase.auth.onAuthStateChange(async (event, session) => {
-      if (event === 'SIGNED_IN' && session?.user) {
+      if ((event === 'SIGNED_IN' || event === 'PASSWORD_RECOVERY') && session?.user) {
+        // El enlace de "olvidé mi contraseña" entra con sesión: se pide la nueva antes de seguir
+        if (event === 'PASSWORD_RECOVERY') navigate(PASSWORD_RESET_PATH, { replace: true });
         setUser(session.user);
-        const userProfile = await getUserProfile(session.user.id);
-        setProfile(userProfile);
-        
-        if (userProfile) {
-          const userProjects = await getUserProjects(session.user.id, userProfile.role);
-          setProjects(userProjects || []);
-        }
+        await loadProfileAndProjects(session.user.id);
       } else if (event === 'SIGNED_OUT') {
         setUser(null);
         setProfile(null);
+        setCompany(null);
         setProjects([]);
-        setSelectedProject(null);
-        localStorage.removeItem('erp_active_project');
       }
     });
 
@@ -1938,46 +8310,82 @@ export default function App() {
     }
   };
 
-  const handleLogout = async () => {
-    // Limpiamos estados locales antes de salir para evitar parpadeos
-    setSelectedProject(null);
-    localStorage.removeItem('erp_active_project');
-    await supabase.auth.signOut();
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setLoginLoading(true);
+    setLoginError('');
+    try {
+      await sendPasswordResetEmail(loginForm.email.trim());
+      setResetSent(true);
+    } catch (error) {
+      setLoginError(error.message || 'No se pudo enviar el correo');
+    } finally {
+      setLoginLoading(false);
+    }
   };
 
-  const getModulesForRole = (role) => {
-    const modules = {
-      admin: [
-        { id: 'users', label: 'Usuarios', icon: 'M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z' }
-      ],
-      ceo: [
-        { id: 'dashboard', label: 'Dashboard', icon: 'M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z' }
-      ],
-      engineer: [
-        { id: 'progress', label: 'Avance', icon: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z' }
-      ],
-      foreman: [
-        { id: 'report', label: 'Reporte Diario', icon: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z' }
-      ],
-      logistics: [
-        { id: 'materials', label: 'Materiales', icon: 'M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4' }
-      ]
-    };
-    return modules[role] || [];
+  const handlePasswordChanged = async () => {
+    await loadProfileAndProjects(user.id);
+    navigate('/', { replace: true });
   };
 
-  const needsProjectSelection = (role) => {
-    return ['engineer', 'foreman', 'logistics'].includes(role);
+  const handleLogout = async () => {
+    navigate('/', { replace: true });
+    await supabase.auth.signOut();
   };
 
+  // La URL manda: el proyecto, la pestaña y el reporte abiertos salen de la ruta. Los módulos de
+  // obra dependen del rol en el proyecto de la URL; sin proyecto se muestran los de todas sus obras
+  const urlProject = pathname.startsWith('/projects/')
+    ? projects.find(p => p.id === resolveRoute(APP_ROUTES, pathname)?.params.projectId)
+    : null;
+  const projectProfile = profile && (urlProject ? withProjectRole(profile, urlProject) : projects.reduce(withProjectRole, profile));
+  const modules = profile ? getModulesForUser(profile, projectProfile) : [];
+  const route = profile ? resolveRouteForUser(pathname, modules, projects) : null;
+  const selectedProject = route?.module.projectScoped && route.params.projectId ? urlProject : null;
+  const hasRoute = !!route;
+  const mustChangePassword = !!profile?.must_change_password || pathname === PASSWORD_RESET_PATH;
+
+  const homePath = modules[0]?.path || '/';
+
+  // Rutas sin permiso (o de proyectos no asignados) vuelven a la pantalla de inicio del usuario
+  useEffect(() => {
+    if (profile && !hasRoute && !mustChangePassword) navigate(homePath, { replace: true });
+  }, [profile, hasRoute, mustChangePassword, homePath]);
+
   const renderContent = () => {
-    if (!profile) return null;
-    const role = profile.role;
+    if (!profile) {
+      return (
+        <div className="text-center py-12 text-gray-500">
+          Su usuario no tiene un perfil activo. Si recibió una invitación, pida al administrador que la reenvíe.
+        </div>
+      );
+    }
+    if (!company) {
+      return <div className="text-center py-12 text-gray-500">Su usuario no pertenece a ninguna empresa. Consulte con el administrador.</div>;
+    }
+    if (modules.length === 0) {
+      return <div className="text-center py-12 text-gray-500">Su usuario no tiene roles asignados. Consulte con el administrador.</div>;
+    }
+    if (!route) return null;
+    const { module } = route;
 
-    if (role === 'admin') return <AdminModule currentUser={profile} />;
-    if (role === 'ceo') return <CEOModule />;
+    if (module.id === 'admin') {
+      return (
+        <AdminModule
+          key={company.id}
+          currentUser={profile}
+          company={company}
+          allowedTabs={module.tabs}
+          tab={route.tab}
+          managedProjectId={route.params.projectId || ''}
+          onCompaniesChange={() => loadProfileAndProjects(user.id)}
+        />
+      );
+    }
+    if (module.id === 'dashboard') return <CEOModule key={company.id} companies={profile.companies} company={company} />;
 
-    if (needsProjectSelection(role) && !selectedProject) {
+    if (!selectedProject) {
       return (
         <div className="flex flex-col items-center justify-center h-[70vh] text-center p-4">
           <div className="bg-white p-8 rounded-2xl shadow-lg max-w-md w-full border border-gray-100">
@@ -2014,11 +8422,11 @@ export default function App() {
       );
     }
 
-    switch (role) {
-      case 'engineer': return <EngineerModule project={selectedProject} />;
-      case 'foreman': return <ForemanModule project={selectedProject} currentUser={profile} />;
-      case 'logistics': return <LogisticsModule project={selectedProject} />;
-      default: return <div className="text-center py-12 text-gray-500">Rol no reconocido</div>;
+    switch (module.id) {
+      case 'engineer': return <EngineerModule project={selectedProject} currentUser={projectProfile} allowedTabs={module.tabs} tab={route.tab} reportId={route.params.reportId} />;
+      case 'foreman': return <ForemanModule project={selectedProject} currentUser={projectProfile} allowedTabs={module.tabs} tab={route.tab} />;
+      case 'logistics': return <LogisticsModule project={selectedProject} currentUser={projectProfile} allowedTabs={module.tabs} tab={route.tab} />;
+      default: return null;
     }
   };
 
@@ -2039,28 +8447,98 @@ export default function App() {
             <p className="text-gray-500 mt-1">Control de Obras</p>
           </div>
 
-          <form onSubmit={handleLogin} className="space-y-4">
-            {loginError && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{loginError}</div>}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Correo Electrónico</label>
-              <input type="email" required value={loginForm.email} onChange={(e) => setLoginForm(prev => ({ ...prev, email: e.target.value }))} className="w-full border rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500" placeholder="usuario@empresa.com" />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Contraseña</label>
-              <input type="password" required value={loginForm.password} onChange={(e) => setLoginForm(prev => ({ ...prev, password: e.target.value }))} className="w-full border rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500" placeholder="••••••••" />
+          {forgotMode ? (
+            <form onSubmit={handleForgotPassword} className="space-y-4">
+              {loginError && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{loginError}</div>}
+              {resetSent ? (
+                <div className="bg-green-50 text-green-800 px-4 py-3 rounded-lg text-sm">
+                  Si el correo está registrado, recibirá un enlace para crear una nueva contraseña.
+                </div>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-600">Ingrese su correo y le enviaremos un enlace para restablecer la contraseña.</p>
+                  <input type="email" required value={loginForm.email} onChange={(e) => setLoginForm(prev => ({ ...prev, email: e.target.value }))} className="w-full border rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500" placeholder="usuario@empresa.com" />
+                  <button type="submit" disabled={loginLoading} className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center gap-2">
+                    {loginLoading && <Spinner size="sm" />}
+                    {loginLoading ? 'Enviando...' : 'Enviar enlace'}
+                  </button>
+                </>
+              )}
+              <button type="button" onClick={() => { setForgotMode(false); setResetSent(false); setLoginError(''); }} className="w-full text-sm text-blue-600 hover:underline">
+                Volver a iniciar sesión
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleLogin} className="space-y-4">
+              {loginError && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{loginError}</div>}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Correo Electrónico</label>
+                <input type="email" required value={loginForm.email} onChange={(e) => setLoginForm(prev => ({ ...prev, email: e.target.value }))} className="w-full border rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500" placeholder="usuario@empresa.com" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Contraseña</label>
+                <input type="password" required value={loginForm.password} onChange={(e) => setLoginForm(prev => ({ ...prev, password: e.target.value }))} className="w-full border rounded-lg px-4 py-3 focus:ring-2 focus:ring-blue-500" placeholder="••••••••" />
+              </div>
+              <button type="submit" disabled={loginLoading} className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center gap-2">
+                {loginLoading && <Spinner size="sm" />}
+                {loginLoading ? 'Ingresando...' : 'Ingresar'}
+              </button>
+              <button type="button" onClick={() => { setForgotMode(true); setLoginError(''); }} className="w-full text-sm text-blue-600 hover:underline">
+                ¿Olvidó su contraseña?
+              </button>
+            </form>
+          )}
+
+          {/* Modo demostración: datos de ejemplo en el navegador, sin tocar producción */}
+          {isLocalBackend ? (
+            <div className="mt-6 bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-3">
+              <p className="text-sm text-amber-900">
+                <span className="font-semibold">Modo demostración.</span> Los datos son de ejemplo y se guardan solo en este navegador.
+                Ingrese con cualquier usuario (contraseña <span className="font-mono">{DEMO_PASSWORD}</span>):
+              </p>
+              <div className="grid grid-cols-1 gap-2">
+                {DEMO_USERS.map(demoUser => (
+                  <button
+                    key={demoUser.email}
+                    type="button"
+                    onClick={() => setLoginForm({ email: demoUser.email, password: DEMO_PASSWORD })}
+                    className="text-left text-sm bg-white border border-amber-200 rounded-lg px-3 py-2 hover:bg-amber-100 transition"
+                  >
+                    <span className="font-medium text-gray-800">{demoUser.full_name}</span>
+                    <span className="text-gray-500"> · {demoUser.email}</span>
+                  </button>
+                ))}
+              </div>
+              <DemoMailbox />
+              <button type="button" onClick={() => switchDataBackend('supabase')} className="block text-sm text-amber-800 hover:underline">
+                Salir del modo demostración
+              </button>
             </div>
-            <button type="submit" disabled={loginLoading} className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center gap-2">
-              {loginLoading && <Spinner size="sm" />}
-              {loginLoading ? 'Ingresando...' : 'Ingresar'}
+          ) : (
+            <button type="button" onClick={() => switchDataBackend('local')} className="mt-6 w-full text-sm text-gray-500 hover:text-blue-600">
+              Probar el modo demostración con datos de ejemplo
             </button>
-          </form>
+          )}
         </div>
       </div>
     );
   }
 
-  const modules = getModulesForRole(profile?.role);
-  const showProjects = needsProjectSelection(profile?.role);
+  if (mustChangePassword) {
+    return <ChangePasswordScreen profile={profile} onDone={handlePasswordChanged} onLogout={handleLogout} />;
+  }
+
+  const showProjects = modules.some(module => module.projectScoped);
+
+  // Al cambiar de obra se conserva la pestaña si el rol en la nueva obra la permite
+  const openProject = (project) => {
+    const projectTabs = getModulesForUser(profile, withProjectRole(profile, project))
+      .filter(module => module.projectScoped)
+      .flatMap(module => module.tabs);
+    const keepTab = route?.module.projectScoped && projectTabs.includes(route.tab);
+    navigate(projectPath(project.id, keepTab ? route.tab : undefined));
+    setSidebarOpen(false);
+  };
 
   return (
     <div className="min-h-screen bg-gray-100 flex">
@@ -2085,12 +8563,13 @@ export default function App() {
 
           <div className="p-4 border-b border-gray-800">
             <p className="font-medium truncate">{profile?.full_name}</p>
-            <p className="text-sm text-gray-400 capitalize">{profile?.role}</p>
+            <p className="text-sm text-gray-400">{profile?.roles?.map(role => role.name).join(' · ')}</p>
+            {selectedProject?.project_role && <p className="text-xs text-blue-300">En esta obra: {selectedProject.project_role.name}</p>}
           </div>
 
           <nav className="flex-1 overflow-y-auto p-4 space-y-2">
             {modules.map(module => (
-              <button key={module.id} onClick={() => { setActiveModule(module.id); setSidebarOpen(false); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${activeModule === module.id ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-800'}`}>
+              <button key={module.id} onClick={() => { navigate(module.projectScoped && selectedProject ? projectPath(selectedProject.id, module.tabs[0]) : module.path); setSidebarOpen(false); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${route?.module.id === module.id ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-800'}`}>
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={module.icon} /></svg>
                 {module.label}
               </button>
@@ -2100,8 +8579,9 @@ export default function App() {
               <div className="mt-6">
                 <p className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2 px-4">Proyectos Asignados</p>
                 {projects.map(project => (
-                  <button key={project.id} onClick={() => { setSelectedProject(project); setSidebarOpen(false); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${selectedProject?.id === project.id ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-800'}`}>
-                    <span className="truncate">{project.name}</span>
+                  <button key={project.id} onClick={() => openProject(project)} className={`w-full flex flex-col items-start px-4 py-3 rounded-lg transition ${selectedProject?.id === project.id ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-800'}`}>
+                    <span className="truncate w-full text-left">{project.name}</span>
+                    {project.project_role && <span className="text-xs opacity-70">{project.project_role.name}</span>}
                   </button>
                 ))}
               </div>
@@ -2122,11 +8602,29 @@ export default function App() {
         <header className="bg-white shadow-sm px-4 md:px-6 py-3 sticky top-0 z-30 flex items-center justify-between">
           <div className="ml-10 md:ml-0">
              <h1 className="text-lg font-bold text-gray-800 truncate max-w-[200px] md:max-w-none">
-               {selectedProject ? selectedProject.name : (profile?.role === 'admin' ? 'Administración' : 'Panel de Control')}
+               {selectedProject ? selectedProject.name : (route?.module.id === 'admin' ? 'Administración' : 'Panel de Control')}
              </h1>
              {selectedProject && <p className="text-xs text-gray-500 hidden md:block">{selectedProject.location}</p>}
           </div>
           <div className="flex items-center gap-3">
+             {profile?.companies?.length > 1 ? (
+               <select value={company?.id || ''} onChange={(e) => handleCompanyChange(e.target.value)} className="border rounded-lg px-2 py-1 text-sm text-gray-700 max-w-[160px] md:max-w-none" title="Empresa">
+                 {profile.companies.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+               </select>
+             ) : (
+               company && <span className="text-sm text-gray-500 hidden md:block">{company.name}</span>
+             )}
+             {isLocalBackend && (
+               <div className="flex items-center gap-2">
+                 <span className="px-2 py-1 text-xs font-bold rounded bg-amber-100 text-amber-800">DEMO</span>
+                 <button
+                   onClick={() => confirm('¿Restablecer los datos de ejemplo? Se perderán los cambios hechos en la demo.') && resetDemoData()}
+                   className="text-xs text-gray-500 hover:text-blue-600 hidden sm:block"
+                 >
+                   Restablecer datos
+                 </button>
+               </div>
+             )}
              <span className="text-sm text-gray-500 hidden sm:block">
                {new Date().toLocaleDateString('es-PE', { weekday: 'short', day: 'numeric', month: 'short' })}
              </span>
@@ -0,0 +1,20 @@
+// Fechas de calendario ('YYYY-MM-DD') en la hora local del dispositivo. Reportes, tareo, facturas
+// y vencimientos son fechas de la obra en Perú: con toISOString() (UTC) después de las 7 p. m.
+// "hoy" ya sería mañana, y una fecha armada a medianoche local podía salir como el día anterior.
+
+// 1. Fecha local de un Date
+export function toISODate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+// 2. Hoy
+export function todayISO() {
+  return toISODate(new Date())
+}
+
+// 3. Sumar días a una fecha 'YYYY-MM-DD'
+export function addDaysISO(isoDate, days) {
+  const date = new Date(isoDate + 'T00:00:00')
+  date.setDate(date.getDate() + days)
+  return toISODate(date)
+}
@@ -0,0 +1,432 @@
+// Datos de ejemplo del modo demostración: dos obras (una con contrato en dólares) con presupuesto, cronograma, personal,
+// tareo, reportes diarios (aprobados, pendiente y observado), almacén y una valorización.
+// Las fechas se calculan desde "hoy" para que la demo siempre luzca en curso.
+
+import { toISODate } from './dates'
+
+export const DEMO_PASSWORD = 'demo1234'
+// Última migración que reflejan estos datos y el backend local. Al agregar una migración que cambie
+// tablas o funciones usadas por la demo, se actualiza el seed y este valor: las demos guardadas con
+// otra versión se descartan y se vuelven a sembrar.
+export const DEMO_SCHEMA_VERSION = '20261019002500'
+
+export const DEMO_USERS = [
+  { key: 'admin', email: 'admin@demo.pe', full_name: 'Ana Torres (Admin)', role: 'admin' },
+  { key: 'ceo', email: 'gerencia@demo.pe', full_name: 'Carlos Mendoza', role: 'ceo' },
+  { key: 'engineer', email: 'ingeniero@demo.pe', full_name: 'Lucía Ramírez', role: 'engineer' },
+  { key: 'foreman', email: 'maestro@demo.pe', full_name: 'Jorge Quispe', role: 'foreman' },
+  { key: 'logistics', email: 'logistica@demo.pe', full_name: 'Rosa Huamán', role: 'logistics' }
+]
+
+// Permisos y roles de sistema: los mismos que carga la migración roles_permissions
+const PERMISSIONS = [
+  ['projects.view_all', 'Ver todos los proyectos (sin asignación)', 'Administración'],
+  ['projects.manage', 'Crear y editar proyectos', 'Administración'],
+  ['users.manage', 'Usuarios, invitaciones y roles', 'Administración'],
+  ['companies.manage', 'Empresas y sus miembros', 'Administración'],
+  ['audit.view', 'Bitácora de auditoría', 'Administración'],
+  ['dashboard.view', 'Dashboard gerencial', 'Gerencia'],
+  ['costs.view', 'Ver costos y montos', 'Gerencia'],
+  ['billing.manage', 'Facturación y cobranzas', 'Gerencia'],
+  ['budgets.edit', 'Editar presupuestos (partidas)', 'Obra'],
+  ['labor_rates.manage', 'Tarifas de mano de obra', 'Obra'],
+  ['progress.view', 'Avance, reportes, evidencia y cronograma', 'Obra'],
+  ['reports.approve', 'Aprobar y observar reportes diarios', 'Obra'],
+  ['reports.submit', 'Registrar reportes diarios', 'Obra'],
+  ['tareo.manage', 'Tareo y personal de obra', 'Obra'],
+  ['valuations.manage', 'Valorizaciones', 'Obra'],
+  ['requisitions.create', 'Requerimientos de materiales', 'Obra'],
+  ['materials.view', 'Consumo de materiales', 'Logística'],
+  ['purchasing.manage', 'Compras y proveedores', 'Logística'],
+  ['warehouse.manage', 'Almacén de obra', 'Logística'],
+  ['catalog.manage', 'Catálogo y precios de materiales', 'Logística']
+]
+
+const SYSTEM_ROLES = [
+  {
+    key: 'admin',
+    name: 'Administrador',
+    permissions: [
+      'projects.view_all', 'projects.manage', 'users.manage', 'companies.manage', 'audit.view', 'costs.view', 'billing.manage',
+      'budgets.edit', 'labor_rates.manage'
+    ]
+  },
+  { key: 'ceo', name: 'CEO', permissions: ['projects.view_all', 'dashboard.view', 'costs.view'] },
+  {
+    key: 'engineer',
+    name: 'Ingeniero Residente',
+    permissions: ['costs.view', 'budgets.edit', 'progress.view', 'reports.approve', 'valuations.manage', 'requisitions.create']
+  },
+  { key: 'foreman', name: 'Maestro de Obra', permissions: ['costs.view', 'reports.submit', 'tareo.manage', 'requisitions.create'] },
+  { key: 'logistics', name: 'Logística', permissions: ['costs.view', 'materials.view', 'purchasing.manage', 'warehouse.manage', 'catalog.manage'] }
+]
+
+// Roles que se ejercen en una obra: van en la asignación y no como rol general
+const PROJECT_ROLE_KEYS = ['engineer', 'foreman', 'logistics']
+
+// Tablas de acceso, como los backfills de las migraciones: los perfiles reciben el rol de sistema de
+// profiles.role, salvo los roles de obra, que pasan a sus asignaciones (role_key indica otro rol en esa obra)
+function buildAccessSeed({ uuid, profiles, assignments }) {
+  const permissions = PERMISSIONS.map(([key, label, group_name], index) => ({ key, label, group_name, sort_order: (index + 1) * 10 }))
+  const roles = SYSTEM_ROLES.map(role => ({ id: uuid(), key: role.key, name: role.name, description: null, is_system: true }))
+  const role_permissions = SYSTEM_ROLES.flatMap((role, index) =>
+    role.permissions.map(permission_key => ({ role_id: roles[index].id, permission_key })))
+  const roleId = key => roles.find(role => role.key === key)?.id || null
+
+  assignments.forEach(assignment => {
+    const profile = profiles.find(p => p.id === assignment.user_id)
+    const roleKey = assignment.role_key || (PROJECT_ROLE_KEYS.includes(profile?.role) ? profile.role : null)
+    assignment.role_id = roleId(roleKey)
+    assignment.start_date ??= null
+    assignment.end_date ??= null
+    delete assignment.role_key
+  })
+
+  const user_roles = []
+  profiles.forEach(profile => {
+    const onProjects = PROJECT_ROLE_KEYS.includes(profile.role) && assignments.some(a => a.user_id === profile.id && a.role_id)
+    if (onProjects) profile.role = null
+    else if (roleId(profile.role)) user_roles.push({ user_id: profile.id, role_id: roleId(profile.role) })
+  })
+  return { permissions, roles, role_permissions, user_roles }
+}
+
+const LABOR_RATES = { operario: 26.5, oficial: 21.0, peon: 18.9, capataz: 31.0 }
+
+const MATERIALS = [
+  { key: 'cemento', name: 'Cemento Portland Tipo I', unit: 'bls', unit_cost: 28.5, category: 'Cementos' },
+  { key: 'arena', name: 'Arena gruesa', unit: 'm3', unit_cost: 65, category: 'Agregados' },
+  { key: 'piedra', name: 'Piedra chancada 1/2"', unit: 'm3', unit_cost: 80, category: 'Agregados' },
+  { key: 'acero', name: 'Acero corrugado 1/2"', unit: 'var', unit_cost: 42, category: 'Aceros' },
+  { key: 'alambre', name: 'Alambre negro N°16', unit: 'kg', unit_cost: 5.8, category: 'Aceros' },
+  { key: 'ladrillo', name: 'Ladrillo King Kong 18 huecos', unit: 'und', unit_cost: 0.95, category: 'Albañilería' },
+  { key: 'aditivo', name: 'Aditivo superplastificante (importado)', unit: 'gal', unit_cost: 12.4, currency: 'USD', category: 'Aditivos' }
+]
+
+// Cronograma en días respecto de hoy; consumo de materiales por unidad de avance
+const PROJECTS = [
+  {
+    key: 'olivos',
+    company: 'constructora',
+    code: 'OBR-001',
+    name: 'Edificio Multifamiliar Los Olivos',
+    client: 'Inmobiliaria Andina SAC',
+    location: 'Los Olivos, Lima',
+    start: -90,
+    end: 120,
+    description: 'Edificio de 8 pisos con 32 departamentos y sótano de estacionamientos.',
+    partidas: [
+      { code: '01.01', name: 'Trazo y replanteo', unit: 'm2', total: 850, price: 3.5, from: -90, to: -80, usage: {} },
+      { code: '02.01', name: 'Excavación de zanjas', unit: 'm3', total: 420, price: 28, from: -85, to: -60, usage: {} },
+      { code: '03.01', name: "Concreto en zapatas f'c=210 kg/cm2", unit: 'm3', total: 180, price: 420, from: -65, to: -35, usage: { cemento: 9.7, arena: 0.5, piedra: 0.8, aditivo: 0.25 } },
+      { code: '03.02', name: 'Acero corrugado fy=4200 kg/cm2', unit: 'kg', total: 15000, price: 5.2, from: -60, to: -10, usage: { acero: 0.11, alambre: 0.03 } },
+      { code: '04.01', name: 'Muros de albañilería de cabeza', unit: 'm2', total: 1800, price: 68, from: -30, to: 60, usage: { ladrillo: 39, cemento: 0.3, arena: 0.03 } },
+      { code: '05.01', name: 'Tarrajeo de muros interiores', unit: 'm2', total: 3600, price: 32, from: 20, to: 110, usage: { cemento: 0.2, arena: 0.02 } }
+    ]
+  },
+  {
+    key: 'lurin',
+    company: 'consorcio',
+    currency: 'USD',
+    code: 'OBR-002',
+    name: 'Nave Industrial Lurín',
+    client: 'Logística del Sur SAC',
+    location: 'Lurín, Lima',
+    start: -30,
+    end: 150,
+    description: 'Nave de almacenamiento de 4 500 m2 con losa industrial y estructura metálica.',
+    partidas: [
+      { code: '01.01', name: 'Limpieza de terreno', unit: 'm2', total: 5000, price: 0.6, from: -30, to: -20, usage: {} },
+      { code: '02.01', name: 'Movimiento de tierras', unit: 'm3', total: 2200, price: 4.95, from: -25, to: 5, usage: {} },
+      { code: '03.01', name: 'Losa de concreto industrial', unit: 'm3', total: 650, price: 122.5, from: 0, to: 60, usage: { cemento: 9.7, arena: 0.5, piedra: 0.8, aditivo: 0.25 } },
+      { code: '04.01', name: 'Estructura metálica', unit: 'kg', total: 42000, price: 2.6, from: 20, to: 120, usage: {} }
+    ]
+  }
+]
+
+const CREW = [
+  { full_name: 'Juan Pérez Mamani', dni: '41234567', category: 'capataz' },
+  { full_name: 'Luis Condori Apaza', dni: '42345678', category: 'operario' },
+  { full_name: 'Pedro Ccori Huanca', dni: '43456789', category: 'operario' },
+  { full_name: 'Miguel Rojas Salas', dni: '44567890', category: 'oficial' },
+  { full_name: 'José Flores Inga', dni: '45678901', category: 'peon' },
+  { full_name: 'Raúl Vargas Choque', dni: '46789012', category: 'peon' }
+]
+
+// Dos razones sociales: cada obra, con su catálogo y proveedores, pertenece a una de ellas
+const COMPANIES = [
+  { key: 'constructora', name: 'Constructora Andina S.A.C.', ruc: '20512765433' },
+  { key: 'consorcio', name: 'Consorcio Nave Lurín', ruc: '20603456786' }
+]
+
+const SUPPLIERS = [
+  { ruc: '20501234568', business_name: 'Distribuidora de Materiales Lima SAC', trade_name: 'DIMALIMA', payment_terms_days: 30 },
+  { ruc: '20609876540', business_name: 'Aceros y Fierros del Perú SAC', trade_name: 'AFPERU', payment_terms_days: 15 }
+]
+
+// Tipo de cambio (soles por dólar) alrededor de 3.75; sin publicación en fines de semana
+const USD_RATE_BASE = 3.75
+const EXCHANGE_RATE_DAYS = 180
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+export function buildDemoSeed({ today, uuid }) {
+  const base = new Date(today + 'T00:00:00')
+  const day = (offset) => {
+    const date = new Date(base)
+    date.setDate(date.getDate() + offset)
+    return toISODate(date)
+  }
+  const stamp = (offset, hour = 18) => `${day(offset)}T${String(hour).padStart(2, '0')}:00:00.000Z`
+
+  const tables = {
+    companies: [], company_members: [], profiles: [], projects: [], project_assignments: [], partidas: [], labor_rates: [], workers: [],
+    tareo_entries: [], daily_reports: [], material_categories: [], materials_catalog: [], material_prices: [],
+    suppliers: [], warehouse_receipts: [], warehouse_receipt_items: [], purchase_requisitions: [],
+    purchase_requisition_items: [], purchase_orders: [], purchase_order_items: [], supplier_quotes: [],
+    valuations: [], valuation_items: [], invoices: [], collections: [], evidence_uploads: [], audit_log: [],
+    exchange_rates: []
+  }
+
+  // Tipo de cambio de días hábiles; los reportes usan el último publicado hasta su fecha
+  for (let offset = -EXCHANGE_RATE_DAYS; offset <= 0; offset++) {
+    const weekday = new Date(day(offset) + 'T00:00:00').getDay()
+    if (weekday === 0 || weekday === 6) continue
+    tables.exchange_rates.push({
+      rate_date: day(offset), currency: 'USD', rate: Math.round((USD_RATE_BASE + 0.04 * Math.sin(offset / 11)) * 1000) / 1000,
+      source: 'import', created_by: null, created_at: stamp(offset, 9)
+    })
+  }
+  const rateOn = (currency, date) => {
+    if (currency === 'PEN') return 1
+    return tables.exchange_rates.filter(r => r.currency === currency && r.rate_date <= date).at(-1)?.rate ?? USD_RATE_BASE
+  }
+
+  // Usuarios
+  const users = {}
+  const authUsers = DEMO_USERS.map(user => {
+    const id = uuid()
+    users[user.key] = id
+    tables.profiles.push({ id, email: user.email, full_name: user.full_name, role: user.role, is_active: true, created_at: stamp(-120, 9) })
+    return { id, email: user.email, password: DEMO_PASSWORD, user_metadata: { full_name: user.full_name, role: user.role } }
+  })
+
+  // Empresas: todos los usuarios de la demo son miembros de ambas, para probar el cambio de empresa
+  const companies = {}
+  COMPANIES.forEach(company => {
+    companies[company.key] = uuid()
+    tables.companies.push({ id: companies[company.key], name: company.name, ruc: company.ruc, created_at: stamp(-150, 9) })
+    tables.profiles.forEach(profile => tables.company_members.push({
+      company_id: companies[company.key], user_id: profile.id, created_at: stamp(-120, 9)
+    }))
+  })
+
+  // Catálogo de materiales y proveedores de cada empresa
+  const catalogs = {}
+  COMPANIES.forEach(company => {
+    const company_id = companies[company.key]
+    const categories = {}
+    MATERIALS.forEach(material => {
+      if (!categories[material.category]) {
+        categories[material.category] = uuid()
+        tables.material_categories.push({ id: categories[material.category], company_id, name: material.category, is_active: true, created_at: stamp(-120, 9) })
+      }
+    })
+    const materials = {}
+    MATERIALS.forEach(material => {
+      materials[material.key] = { ...material, id: uuid() }
+      tables.materials_catalog.push({
+        id: materials[material.key].id, company_id, name: material.name, description: null, unit: material.unit,
+        unit_cost: material.unit_cost, currency: material.currency || 'PEN', category_id: categories[material.category],
+        is_active: true, created_at: stamp(-120, 9)
+      })
+      tables.material_prices.push({
+        id: uuid(), material_id: materials[material.key].id, unit_cost: material.unit_cost, currency: material.currency || 'PEN',
+        effective_from: '2000-01-01', created_by: null, created_at: stamp(-120, 9)
+      })
+    })
+
+    const suppliers = SUPPLIERS.map(supplier => {
+      const row = { id: uuid(), company_id, ...supplier, address: 'Lima, Perú', contacts: [], is_active: true, created_at: stamp(-100, 9) }
+      tables.suppliers.push(row)
+      return row
+    })
+    catalogs[company.key] = { materials, suppliers }
+  })
+
+  PROJECTS.forEach((spec, projectIndex) => {
+    const projectId = uuid()
+    const { materials, suppliers } = catalogs[spec.company]
+    const partidas = spec.partidas.map(p => ({
+      id: uuid(), project_id: projectId, code: p.code, name: p.name, unit: p.unit,
+      total_budgeted: p.total, unit_price: p.price, current_progress: 0,
+      planned_start: day(p.from), planned_finish: day(p.to), distribution: 'linear', created_at: stamp(spec.start - 5, 9),
+      _spec: p
+    }))
+    tables.projects.push({
+      id: projectId, company_id: companies[spec.company], code: spec.code, name: spec.name, client: spec.client, location: spec.location,
+      start_date: day(spec.start), end_date: day(spec.end), description: spec.description, currency: spec.currency || 'PEN', is_active: true,
+      total_budget: round2(partidas.reduce((sum, p) => sum + p.total_budgeted * p.unit_price, 0)),
+      created_at: stamp(spec.start - 10, 9)
+    })
+
+    // La demo muestra todo con cualquier rol: ingeniero y logística ven ambas obras; el maestro es maestro
+    // en la primera y apoya la logística en la segunda
+    const assigned = projectIndex === 0
+      ? [['engineer', 'engineer'], ['foreman', 'foreman'], ['logistics', 'logistics']]
+      : [['engineer', 'engineer'], ['logistics', 'logistics'], ['foreman', 'logistics']]
+    assigned.forEach(([userKey, roleKey]) => tables.project_assignments.push({
+      id: uuid(), project_id: projectId, user_id: users[userKey], role_key: roleKey,
+      start_date: day(spec.start - 5), end_date: null, created_at: stamp(spec.start - 5, 9)
+    }))
+
+    Object.entries(LABOR_RATES).forEach(([category, hourly_rate]) => {
+      tables.labor_rates.push({
+        id: uuid(), project_id: projectId, category, hourly_rate, overtime_first_pct: 60, overtime_after_pct: 100,
+        night_pct: 35, effective_from: day(spec.start), created_at: stamp(spec.start - 5, 9)
+      })
+    })
+
+    const rateIds = Object.fromEntries(tables.labor_rates.filter(r => r.project_id === projectId).map(r => [r.category, r.id]))
+    const workers = CREW.map(worker => {
+      const row = {
+        id: uuid(), project_id: projectId, ...worker, dni: String(Number(worker.dni) + projectIndex * 100000),
+        hire_date: day(spec.start), is_active: true, created_at: stamp(spec.start, 8)
+      }
+      tables.workers.push(row)
+      return row
+    })
+
+    // Reportes semanales aprobados sobre las partidas que ya empezaron
+    const addReport = ({ partida, offset, progress, status, reviewComment = null, crew }) => {
+      const reportId = uuid()
+      const laborData = crew.map(worker => {
+        const tareoId = uuid()
+        tables.tareo_entries.push({
+          id: tareoId, project_id: projectId, worker_id: worker.id, work_date: day(offset), attendance: 'present',
+          partida_id: partida.id, hours: 8, overtime_hours: 0, night_shift: false, daily_report_id: reportId,
+          created_by: users.foreman, created_at: stamp(offset, 17)
+        })
+        return {
+          tareo_entry_id: tareoId, worker_id: worker.id, worker_name: worker.full_name, dni: worker.dni,
+          worker_type: worker.category, hours: 8, overtime_hours: 0, night_shift: false,
+          rate: LABOR_RATES[worker.category], rate_id: rateIds[worker.category], rate_effective_from: day(spec.start),
+          cost: round2(8 * LABOR_RATES[worker.category])
+        }
+      })
+      // Los costos de obra van en soles: el material importado se convierte al tipo de cambio del día
+      const materialsData = Object.entries(partida._spec.usage).map(([key, perUnit]) => {
+        const material = materials[key]
+        const quantity = round2(perUnit * progress)
+        const priceCurrency = material.currency || 'PEN'
+        const exchangeRate = rateOn(priceCurrency, day(offset))
+        const unitCost = round2(material.unit_cost * exchangeRate)
+        return {
+          material_id: material.id, material_name: material.name, quantity, unit: material.unit,
+          unit_cost: unitCost, price_effective_from: '2000-01-01', price_currency: priceCurrency, exchange_rate: exchangeRate,
+          total_cost: round2(quantity * unitCost)
+        }
+      })
+      tables.daily_reports.push({
+        id: reportId, project_id: projectId, user_id: users.foreman, report_date: day(offset), partida_id: partida.id,
+        progress_value: progress, labor_data: laborData, materials_data: materialsData, photos: [],
+        notes: status === 'rejected' ? 'Avance de la semana' : 'Trabajos según cronograma',
+        total_labor_cost: round2(laborData.reduce((sum, l) => sum + l.cost, 0)),
+        total_materials_cost: round2(materialsData.reduce((sum, m) => sum + m.total_cost, 0)),
+        status, review_comment: reviewComment,
+        reviewed_by: status === 'pending' ? null : users.engineer,
+        reviewed_at: status === 'pending' ? null : stamp(offset + 1, 10),
+        created_at: stamp(offset, 18)
+      })
+      if (status === 'approved') partida.current_progress = round2(partida.current_progress + progress)
+    }
+
+    partidas.forEach((partida, i) => {
+      const { from, to, total } = partida._spec
+      if (from >= 0) return
+      const lastDay = Math.min(to, -1)
+      const days = []
+      for (let offset = from; offset <= lastDay; offset += 7) days.push(offset)
+      // Algunas partidas van atrasadas para que el cronograma muestre alertas
+      const planned = Math.min(1, (lastDay - from + 1) / (to - from + 1))
+      const achieved = i % 3 === 2 ? planned * 0.75 : planned
+      const perReport = Math.floor((total * achieved) / days.length)
+      const crew = [workers[0], workers[1 + (i % 2)], workers[4]]
+      days.forEach(offset => addReport({ partida, offset, progress: perReport, status: 'approved', crew }))
+    })
+
+    // Un pendiente de aprobar y uno observado para mostrar el flujo de revisión
+    const active = partidas.find(p => p._spec.from < 0 && p._spec.to > 0)
+    if (active) {
+      addReport({ partida: active, offset: -1, progress: round2(active.total_budgeted * 0.02), status: 'pending', crew: [workers[1], workers[5]] })
+      addReport({
+        partida: active, offset: -2, progress: round2(active.total_budgeted * 0.015), status: 'rejected', crew: [workers[3]],
+        reviewComment: 'El avance no coincide con lo verificado en campo. Revisar metrado.'
+      })
+
+      // Tareo de hoy sin reporte: el maestro puede enviar su reporte en la demo
+      workers.slice(0, 4).forEach(worker => {
+        tables.tareo_entries.push({
+          id: uuid(), project_id: projectId, worker_id: worker.id, work_date: day(0), attendance: 'present',
+          partida_id: active.id, hours: 8, overtime_hours: worker.category === 'operario' ? 2 : 0, night_shift: false,
+          daily_report_id: null, created_by: users.foreman, created_at: stamp(0, 8)
+        })
+      })
+    }
+
+    // Ingreso a almacén con guía de remisión
+    const receiptId = uuid()
+    const supplier = suppliers[projectIndex % suppliers.length]
+    tables.warehouse_receipts.push({
+      id: receiptId, project_id: projectId, receipt_date: day(spec.start + 3), guia_remision: `T001-00${1520 + projectIndex}`,
+      supplier_id: supplier.id, supplier_name: supplier.business_name, purchase_order_id: null, notes: null,
+      created_by: users.logistics, created_at: stamp(spec.start + 3, 11)
+    })
+    const receivedQuantities = { cemento: 2500, arena: 150, piedra: 200, acero: 400, alambre: 500, ladrillo: 80000, aditivo: 200 }
+    Object.entries(receivedQuantities).forEach(([key, quantity]) => {
+      const unitCost = round2(materials[key].unit_cost * rateOn(materials[key].currency || 'PEN', day(spec.start + 3)))
+      tables.warehouse_receipt_items.push({
+        id: uuid(), receipt_id: receiptId, material_id: materials[key].id, quantity, unit_cost: unitCost
+      })
+    })
+
+    // Valorización aprobada del mes anterior con lo aprobado en ese periodo
+    if (projectIndex === 0) {
+      const periodStart = new Date(base.getFullYear(), base.getMonth() - 1, 1)
+      const periodEnd = new Date(base.getFullYear(), base.getMonth(), 0)
+      const beforeIso = toISODate(new Date(base.getFullYear(), base.getMonth() - 1, 0))
+      const startIso = toISODate(periodStart)
+      const endIso = toISODate(periodEnd)
+      const valuationId = uuid()
+      const items = partidas.map(partida => {
+        const inPeriod = (from, to) => tables.daily_reports
+          .filter(r => r.partida_id === partida.id && r.status === 'approved' && r.report_date >= from && r.report_date <= to)
+          .reduce((sum, r) => sum + r.progress_value, 0)
+        return {
+          id: uuid(), valuation_id: valuationId, partida_id: partida.id, code: partida.code, name: partida.name, unit: partida.unit,
+          unit_price: partida.unit_price, budgeted_quantity: partida.total_budgeted,
+          previous_quantity: round2(inPeriod('0000-01-01', beforeIso)),
+          current_quantity: round2(inPeriod(startIso, endIso))
+        }
+      })
+      const totalAmount = round2(items.reduce((sum, item) => sum + item.current_quantity * item.unit_price, 0))
+      if (totalAmount > 0) {
+        tables.valuations.push({
+          id: valuationId, project_id: projectId, number: 1, period_start: startIso, period_end: endIso,
+          total_amount: totalAmount, status: 'approved', approved_date: toISODate(new Date(base.getFullYear(), base.getMonth(), 5)),
+          approved_by: users.engineer, created_by: users.engineer, created_at: `${endIso}T20:00:00.000Z`
+        })
+        tables.valuation_items.push(...items)
+      }
+    }
+
+    partidas.forEach(partida => {
+      delete partida._spec
+      tables.partidas.push(partida)
+    })
+  })
+
+  Object.assign(tables, buildAccessSeed({ uuid, profiles: tables.profiles, assignments: tables.project_assignments }))
+
+  return { tables, authUsers }
+}
@@ -0,0 +1,1323 @@
+// Backend local de datos para el modo demostración (capacitación, ventas y pruebas de UI).
+// Implementa la parte de la API de supabase-js que usa la app —from() con select anidado,
+// insert/update/upsert/delete y filtros, rpc(), auth y storage— sobre tablas en memoria que se
+// guardan en IndexedDB, así la demo sobrevive a una recarga sin tocar producción.
+
+import { buildDemoSeed, DEMO_SCHEMA_VERSION } from './demoSeed'
+import { todayISO } from './dates'
+
+const DB_NAME = 'erp-demo'
+const DB_VERSION = 1
+const SNAPSHOT_KEY = 'snapshot'
+const SESSION_KEY = 'erp_demo_session'
+// Los enlaces de los correos de la demo llevan este parámetro en lugar de los tokens de Supabase
+const LINK_PARAM = 'demo_link'
+
+// 1. Esquema mínimo: relaciones (para selects anidados y borrados), valores por defecto y llaves únicas.
+//    Acción del borrado: 'cascade', 'set null' o sin acción (bloquea el borrado como en Postgres).
+const FOREIGN_KEYS = {
+  company_members: { company_id: ['companies', 'cascade'], user_id: ['profiles', 'cascade'] },
+  projects: { company_id: ['companies'] },
+  project_assignments: { project_id: ['projects', 'cascade'], user_id: ['profiles', 'cascade'], role_id: ['roles', 'set null'] },
+  partidas: { project_id: ['projects', 'cascade'] },
+  daily_reports: { project_id: ['projects', 'cascade'], partida_id: ['partidas'], user_id: ['profiles'] },
+  labor_rates: { project_id: ['projects', 'cascade'] },
+  workers: { project_id: ['projects', 'cascade'] },
+  tareo_entries: {
+    project_id: ['projects', 'cascade'],
+    worker_id: ['workers', 'cascade'],
+    partida_id: ['partidas'],
+    daily_report_id: ['daily_reports', 'set null']
+  },
+  materials_catalog: { company_id: ['companies'], category_id: ['material_categories'] },
+  material_categories: { company_id: ['companies'] },
+  suppliers: { company_id: ['companies'] },
+  material_prices: { material_id: ['materials_catalog', 'cascade'], supplier_quote_id: ['supplier_quotes', 'set null'] },
+  warehouse_receipts: {
+    project_id: ['projects', 'cascade'],
+    purchase_order_id: ['purchase_orders', 'set null'],
+    supplier_id: ['suppliers']
+  },
+  warehouse_receipt_items: { receipt_id: ['warehouse_receipts', 'cascade'], material_id: ['materials_catalog'] },
+  purchase_requisitions: { project_id: ['projects', 'cascade'], requested_by: ['profiles'] },
+  purchase_requisition_items: { requisition_id: ['purchase_requisitions', 'cascade'], material_id: ['materials_catalog'] },
+  purchase_orders: {
+    project_id: ['projects', 'cascade'],
+    requisition_id: ['purchase_requisitions', 'set null'],
+    supplier_id: ['suppliers']
+  },
+  purchase_order_items: { order_id: ['purchase_orders', 'cascade'], material_id: ['materials_catalog'] },
+  supplier_quotes: { requisition_item_id: ['purchase_requisition_items', 'cascade'], supplier_id: ['suppliers'] },
+  valuations: { project_id: ['projects', 'cascade'] },
+  valuation_items: { valuation_id: ['valuations', 'cascade'], partida_id: ['partidas', 'set null'] },
+  invoices: { project_id: ['projects', 'cascade'], valuation_id: ['valuations'] },
+  collections: { invoice_id: ['invoices', 'cascade'] },
+  evidence_uploads: { project_id: ['projects', 'cascade'], daily_report_id: ['daily_reports', 'set null'] },
+  role_permissions: { role_id: ['roles', 'cascade'], permission_key: ['permissions', 'cascade'] },
+  user_roles: { user_id: ['profiles', 'cascade'], role_id: ['roles', 'cascade'] },
+  user_invitations: { company_id: ['companies', 'cascade'] }
+}
+
+const DEFAULTS = {
+  projects: { is_active: true, currency: 'PEN' },
+  profiles: { is_active: true, must_change_password: false },
+  partidas: { current_progress: 0, distribution: 'linear' },
+  daily_reports: { status: 'pending' },
+  labor_rates: { overtime_first_pct: 60, overtime_after_pct: 100, night_pct: 35 },
+  workers: { is_active: true },
+  tareo_entries: { attendance: 'present', hours: 0, overtime_hours: 0, night_shift: false },
+  materials_catalog: { is_active: true, currency: 'PEN' },
+  material_categories: { is_active: true },
+  material_prices: { currency: 'PEN', created_by: ctx => ctx.uid },
+  warehouse_receipt_items: { unit_cost: 0 },
+  purchase_requisitions: { status: 'pending' },
+  purchase_orders: { status: 'issued', order_date: ctx => ctx.today },
+  purchase_order_items: { unit_cost: 0, received_quantity: 0 },
+  suppliers: { payment_terms_days: 0, contacts: () => [], is_active: true },
+  supplier_quotes: { is_winner: false, currency: 'PEN', created_by: ctx => ctx.uid },
+  valuations: { total_amount: 0, status: 'draft' },
+  valuation_items: { unit_price: 0, budgeted_quantity: 0, previous_quantity: 0, current_quantity: 0 },
+  invoices: { currency: 'PEN', detraccion_amount: 0, retencion_amount: 0, guarantee_pct: 0, guarantee_amount: 0, status: 'issued' },
+  exchange_rates: { created_by: ctx => ctx.uid },
+  evidence_uploads: { uploaded_by: ctx => ctx.uid },
+  roles: { is_system: false },
+  user_invitations: {
+    role_keys: () => [],
+    project_ids: () => [],
+    assignments: () => [],
+    invited_by: ctx => ctx.uid,
+    expires_at: () => new Date(Date.now() + 7 * 24 * 3600 * 1000).toISOString()
+  }
+}
+
+// Columnas con numeración correlativa (identity) y tablas sin id uuid
+const IDENTITY_COLUMNS = { purchase_requisitions: 'number', purchase_orders: 'number', audit_log: 'id' }
+const PRIMARY_KEYS = { evidence_uploads: 'path', permissions: 'key' }
+
+const UNIQUE_KEYS = {
+  profiles: [['email']],
+  labor_rates: [['project_id', 'category', 'effective_from']],
+  workers: [['project_id', 'dni']],
+  material_categories: [['company_id', 'name']],
+  material_prices: [['material_id', 'effective_from']],
+  warehouse_receipts: [['project_id', 'supplier_name', 'guia_remision']],
+  suppliers: [['company_id', 'ruc']],
+  supplier_quotes: [['requisition_item_id', 'supplier_id']],
+  valuations: [['project_id', 'number'], ['project_id', 'period_start']],
+  invoices: [['invoice_number']],
+  roles: [['key']],
+  role_permissions: [['role_id', 'permission_key']],
+  user_roles: [['user_id', 'role_id']],
+  companies: [['ruc']],
+  company_members: [['company_id', 'user_id']],
+  exchange_rates: [['rate_date', 'currency']]
+}
+
+// Postgres devuelve numeric como número aunque el formulario envíe texto
+const NUMERIC_COLUMNS = new Set([
+  'total_budget', 'total_budgeted', 'unit_price', 'current_progress', 'progress_value', 'total_labor_cost',
+  'total_materials_cost', 'hourly_rate', 'overtime_first_pct', 'overtime_after_pct', 'night_pct', 'hours',
+  'overtime_hours', 'unit_cost', 'quantity', 'received_quantity', 'total_amount', 'budgeted_quantity',
+  'previous_quantity', 'current_quantity', 'subtotal', 'igv', 'total', 'detraccion_amount', 'retencion_amount',
+  'guarantee_pct', 'guarantee_amount', 'net_amount', 'amount', 'payment_terms_days', 'delivery_days', 'rate'
+])
+
+// Mismas tablas que audita el trigger de la base real
+const AUDITED_TABLES = ['projects', 'profiles', 'project_assignments', 'partidas', 'daily_reports']
+
+// Como el trigger sync_profile_role: profiles.role es el primer rol de sistema del usuario
+const SYSTEM_ROLE_ORDER = ['admin', 'ceo', 'engineer', 'foreman', 'logistics']
+
+class LocalError extends Error {
+  constructor(message, code = 'P0001') {
+    super(message)
+    this.code = code
+  }
+}
+
+const toErrorObject = (error) => ({ message: error.message, code: error.code || 'P0001', details: null, hint: null })
+
+const clone = (value) => JSON.parse(JSON.stringify(value))
+
+const sameValue = (a, b) => a === b || (a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b))
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return String(a).localeCompare(String(b))
+}
+
+// 2. Persistencia del estado de la demo en IndexedDB
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => request.result.createObjectStore('state')
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+async function idbRequest(mode, operation) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('state', mode)
+    const request = operation(tx.objectStore('state'))
+    tx.oncomplete = () => resolve(request.result)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+async function loadSnapshot() {
+  try {
+    return (await idbRequest('readonly', store => store.get(SNAPSHOT_KEY))) || null
+  } catch (error) {
+    console.warn('Demo: no se pudo leer el estado guardado', error)
+    return null
+  }
+}
+
+async function saveSnapshot(state) {
+  try {
+    await idbRequest('readwrite', store => store.put(state, SNAPSHOT_KEY))
+  } catch (error) {
+    console.warn('Demo: no se pudo guardar el estado', error)
+  }
+}
+
+// Borra los datos de la demo; la próxima carga vuelve a los datos de ejemplo
+export async function resetLocalData() {
+  localStorage.removeItem(SESSION_KEY)
+  try {
+    await idbRequest('readwrite', store => store.delete(SNAPSHOT_KEY))
+  } catch (error) {
+    console.warn('Demo: no se pudo borrar el estado', error)
+  }
+}
+
+// 3. Select: "*, partidas(code, name), warehouse_receipts!inner(project_id)"
+function parseSelect(columns) {
+  const source = (columns || '*').replace(/\s+/g, '')
+  const parts = []
+  let depth = 0
+  let current = ''
+  for (const ch of source) {
+    if (ch === '(') depth++
+    if (ch === ')') depth--
+    if (ch === ',' && depth === 0) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += ch
+    }
+  }
+  if (current) parts.push(current)
+
+  return parts.map(part => {
+    if (part === '*') return { type: 'all' }
+    const match = /^(?:(\w+):)?(\w+)(?:!(\w+))?(?:\((.*)\))?$/.exec(part)
+    if (!match) throw new LocalError(`Select no soportado: ${part}`, 'PGRST100')
+    const [, alias, name, hint, children] = match
+    if (children === undefined) return { type: 'column', name, alias: alias || name }
+    return {
+      type: 'embed',
+      name,
+      alias: alias || name,
+      inner: hint === 'inner',
+      fkHint: hint && hint !== 'inner' ? hint : null,
+      children: parseSelect(children)
+    }
+  })
+}
+
+class LocalStore {
+  constructor() {
+    this.state = null
+    this.listeners = new Set()
+    this.objectUrls = {}
+    this.saveTimer = null
+    this.ready = this.init()
+  }
+
+  // Una demo guardada con otra versión del esquema se descarta y se vuelve a sembrar: el seed es
+  // la única fuente de los datos de ejemplo, sin parches que repitan las migraciones.
+  async init() {
+    const snapshot = await loadSnapshot()
+    if (snapshot?.schemaVersion === DEMO_SCHEMA_VERSION) {
+      this.state = snapshot
+    } else {
+      const seed = buildDemoSeed({ today: todayISO(), uuid: () => crypto.randomUUID() })
+      this.state = {
+        schemaVersion: DEMO_SCHEMA_VERSION,
+        tables: seed.tables,
+        authUsers: seed.authUsers,
+        files: {},
+        sequences: {},
+        mailbox: [],
+        links: {}
+      }
+      localStorage.removeItem(SESSION_KEY)
+      await saveSnapshot(this.state)
+    }
+    this.consumeLinkFromUrl()
+  }
+
+  // Permiso general o, si se indica la obra, por el rol de la asignación vigente en ella
+  hasPermission(permission, projectId = null) {
+    const today = todayISO()
+    const roleIds = this.rows('user_roles').filter(ur => ur.user_id === this.uid).map(ur => ur.role_id)
+    if (projectId) {
+      this.rows('project_assignments')
+        .filter(a => a.user_id === this.uid && a.project_id === projectId && a.role_id)
+        .filter(a => (!a.start_date || a.start_date <= today) && (!a.end_date || a.end_date >= today))
+        .forEach(a => roleIds.push(a.role_id))
+    }
+    return this.rows('role_permissions').some(rp => roleIds.includes(rp.role_id) && rp.permission_key === permission)
+  }
+
+  get uid() {
+    return this.session?.user.id || null
+  }
+
+  get session() {
+    const userId = localStorage.getItem(SESSION_KEY)
+    const authUser = userId && this.state?.authUsers.find(u => u.id === userId)
+    if (!authUser) return null
+    return {
+      access_token: 'local',
+      token_type: 'bearer',
+      user: { id: authUser.id, email: authUser.email, user_metadata: authUser.user_metadata || {} }
+    }
+  }
+
+  rows(table) {
+    if (!this.state.tables[table]) this.state.tables[table] = []
+    return this.state.tables[table]
+  }
+
+  persist() {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = setTimeout(() => saveSnapshot(this.state), 200)
+  }
+
+  // Todo o nada: si algo falla se restaura el estado anterior (como una transacción)
+  transact(operation) {
+    const backup = clone(this.state.tables)
+    const sequences = { ...this.state.sequences }
+    try {
+      const result = operation()
+      this.persist()
+      return result
+    } catch (error) {
+      this.state.tables = backup
+      this.state.sequences = sequences
+      throw error
+    }
+  }
+
+  nextSequence(table, column) {
+    const key = `${table}.${column}`
+    const current = this.state.sequences[key] ?? this.rows(table).reduce((max, row) => Math.max(max, Number(row[column]) || 0), 0)
+    this.state.sequences[key] = current + 1
+    return current + 1
+  }
+
+  // --- Proyección y relaciones ---
+
+  project(table, row, spec) {
+    const out = {}
+    spec.forEach(item => {
+      if (item.type === 'all') Object.assign(out, clone(row))
+      else if (item.type === 'column') out[item.alias] = row[item.name] === undefined ? null : clone(row[item.name])
+      else out[item.alias] = this.resolveEmbed(table, row, item)
+    })
+    return out
+  }
+
+  resolveEmbed(parentTable, row, item) {
+    const toOne = Object.entries(FOREIGN_KEYS[parentTable] || {})
+      .find(([column, [target]]) => target === item.name && (!item.fkHint || column === item.fkHint))
+    if (toOne) {
+      const related = this.rows(item.name).find(r => r.id === row[toOne[0]])
+      return related ? this.project(item.name, related, item.children) : null
+    }
+    const toMany = Object.entries(FOREIGN_KEYS[item.name] || {})
+      .find(([column, [target]]) => target === parentTable && (!item.fkHint || column === item.fkHint))
+    if (toMany) {
+      return this.rows(item.name)
+        .filter(r => r[toMany[0]] === row.id)
+        .map(r => this.project(item.name, r, item.children))
+    }
+    throw new LocalError(`Could not find a relationship between '${parentTable}' and '${item.name}'`, 'PGRST200')
+  }
+
+  // --- Escritura ---
+
+  prepareRow(table, values) {
+    const ctx = { uid: this.uid, today: todayISO() }
+    const row = {}
+    Object.entries(DEFAULTS[table] || {}).forEach(([column, value]) => {
+      row[column] = typeof value === 'function' ? value(ctx) : value
+    })
+    Object.assign(row, this.coerce(values))
+    const identity = IDENTITY_COLUMNS[table]
+    if (identity) row[identity] = this.nextSequence(table, identity)
+    if (!PRIMARY_KEYS[table] && identity !== 'id' && !row.id) row.id = crypto.randomUUID()
+    if (table !== 'audit_log' && !row.created_at) row.created_at = new Date().toISOString()
+    return row
+  }
+
+  coerce(values) {
+    const out = clone(values)
+    Object.keys(out).forEach(column => {
+      if (NUMERIC_COLUMNS.has(column) && typeof out[column] === 'string') {
+        out[column] = out[column].trim() === '' ? null : Number(out[column])
+      }
+    })
+    return out
+  }
+
+  checkUnique(table, row) {
+    const pk = PRIMARY_KEYS[table] || 'id'
+    const keys = [[pk], ...(UNIQUE_KEYS[table] || [])]
+    keys.forEach(columns => {
+      const duplicate = this.rows(table).find(other =>
+        other !== row && columns.every(column => row[column] !== null && row[column] !== undefined && sameValue(other[column], row[column])))
+      if (duplicate) {
+        throw new LocalError(`duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`, '23505')
+      }
+    })
+  }
+
+  insertRow(table, values) {
+    const row = this.prepareRow(table, values)
+    this.checkUnique(table, row)
+    this.rows(table).push(row)
+    this.audit(table, 'insert', null, row)
+    if (table === 'user_roles') this.syncProfileRole(row.user_id)
+    return row
+  }
+
+  updateRow(table, row, values) {
+    const before = clone(row)
+    Object.assign(row, this.coerce(values))
+    this.checkUnique(table, row)
+    this.audit(table, 'update', before, row)
+    return row
+  }
+
+  deleteRow(table, row) {
+    const pk = PRIMARY_KEYS[table] || 'id'
+    Object.entries(FOREIGN_KEYS).forEach(([childTable, columns]) => {
+      Object.entries(columns).forEach(([column, [target, action]]) => {
+        if (target !== table) return
+        const children = this.rows(childTable).filter(child => child[column] === row[pk])
+        if (children.length === 0) return
+        if (action === 'cascade') children.forEach(child => this.deleteRow(childTable, child))
+        else if (action === 'set null') children.forEach(child => { child[column] = null })
+        else {
+          throw new LocalError(
+            `update or delete on table "${table}" violates foreign key constraint on table "${childTable}"`,
+            '23503'
+          )
+        }
+      })
+    })
+    const list = this.rows(table)
+    const index = list.indexOf(row)
+    if (index >= 0) list.splice(index, 1)
+    this.audit(table, 'delete', row, null)
+    if (table === 'user_roles') this.syncProfileRole(row.user_id)
+  }
+
+  syncProfileRole(userId) {
+    const profile = this.rows('profiles').find(p => p.id === userId)
+    if (!profile) return
+    const roleIds = this.rows('user_roles').filter(ur => ur.user_id === userId).map(ur => ur.role_id)
+    const keys = this.rows('roles').filter(r => r.is_system && roleIds.includes(r.id)).map(r => r.key)
+    this.updateRow('profiles', profile, { role: SYSTEM_ROLE_ORDER.find(key => keys.includes(key)) || null })
+  }
+
+  audit(table, tgOp, before, after) {
+    if (!AUDITED_TABLES.includes(table)) return
+    const oldRow = before || {}
+    const newRow = after || {}
+    const diff = {}
+    new Set([...Object.keys(oldRow), ...Object.keys(newRow)]).forEach(key => {
+      if (JSON.stringify(oldRow[key] ?? null) !== JSON.stringify(newRow[key] ?? null)) {
+        diff[key] = { before: oldRow[key] ?? null, after: newRow[key] ?? null }
+      }
+    })
+    if (tgOp === 'update' && Object.keys(diff).length === 0) return
+
+    let action = tgOp
+    if (tgOp === 'update' && diff.is_active) {
+      if (newRow.is_active === false) action = 'soft_delete'
+      else if (oldRow.is_active === false) action = 'restore'
+    }
+    const row = after || before
+    this.rows('audit_log').push({
+      id: this.nextSequence('audit_log', 'id'),
+      table_name: table,
+      record_id: String(row.id ?? [row.project_id, row.user_id].filter(Boolean).join(':')),
+      action,
+      actor_id: this.uid,
+      changed_at: new Date().toISOString(),
+      diff
+    })
+  }
+
+  // --- Auth ---
+
+  emitAuth(event) {
+    const session = this.session
+    this.listeners.forEach(listener => listener(event, session))
+  }
+
+  findAuthUser(email) {
+    const normalized = String(email).trim().toLowerCase()
+    return this.state.authUsers.find(u => u.email.toLowerCase() === normalized)
+  }
+
+  // Hace de mail catcher: el correo queda en la bandeja de la demo con su enlace de un solo uso
+  sendLink(authUser, type, redirectTo) {
+    const token = crypto.randomUUID()
+    const link = new URL(redirectTo || window.location.origin)
+    link.searchParams.set(LINK_PARAM, token)
+    this.state.links[token] = { user_id: authUser.id, type }
+    this.state.mailbox.unshift({
+      id: token,
+      to: authUser.email,
+      subject: type === 'recovery' ? 'Restablecer contraseña' : 'Su enlace de acceso',
+      link: link.toString(),
+      sent_at: new Date().toISOString()
+    })
+    this.persist()
+  }
+
+  // Como supabase-js al abrir el enlace del correo: inicia la sesión y limpia la URL
+  consumeLinkFromUrl() {
+    const url = new URL(window.location.href)
+    const token = url.searchParams.get(LINK_PARAM)
+    if (!token) return
+    url.searchParams.delete(LINK_PARAM)
+    window.history.replaceState(null, '', url.toString())
+
+    const link = this.state.links[token]
+    if (!link) return
+    delete this.state.links[token]
+    localStorage.setItem(SESSION_KEY, link.user_id)
+    this.persist()
+    setTimeout(() => this.emitAuth(link.type === 'recovery' ? 'PASSWORD_RECOVERY' : 'SIGNED_IN'), 0)
+  }
+
+  // --- Storage ---
+
+  objectUrl(key) {
+    const blob = this.state.files[key]
+    if (!blob) return null
+    if (!this.objectUrls[key]) this.objectUrls[key] = URL.createObjectURL(blob)
+    return this.objectUrls[key]
+  }
+}
+
+// 4. Consulta encadenable con la misma forma que el query builder de supabase-js
+class LocalQuery {
+  constructor(store, table) {
+    this.store = store
+    this.table = table
+    this.operation = 'select'
+    this.columns = '*'
+    this.returning = null
+    this.filters = []
+    this.orders = []
+    this.rangeFrom = null
+    this.rangeTo = null
+    this.resultMode = 'many'
+    this.countMode = null
+    this.headOnly = false
+  }
+
+  select(columns = '*', { count, head } = {}) {
+    if (this.operation === 'select') this.columns = columns
+    else this.returning = columns
+    this.countMode = count || null
+    this.headOnly = !!head
+    return this
+  }
+
+  insert(values) {
+    this.operation = 'insert'
+    this.payload = Array.isArray(values) ? values : [values]
+    return this
+  }
+
+  update(values) {
+    this.operation = 'update'
+    this.payload = values
+    return this
+  }
+
+  upsert(values, { onConflict } = {}) {
+    this.operation = 'upsert'
+    this.payload = Array.isArray(values) ? values : [values]
+    this.conflictColumns = onConflict ? onConflict.split(',').map(c => c.trim()) : [PRIMARY_KEYS[this.table] || 'id']
+    return this
+  }
+
+  delete() {
+    this.operation = 'delete'
+    return this
+  }
+
+  addFilter(column, test) {
+    this.filters.push({ column, test })
+    return this
+  }
+
+  eq(column, value) { return this.addFilter(column, v => sameValue(v, value)) }
+  neq(column, value) { return this.addFilter(column, v => !sameValue(v, value)) }
+  gt(column, value) { return this.addFilter(column, v => v !== null && v !== undefined && compareValues(v, value) > 0) }
+  gte(column, value) { return this.addFilter(column, v => v !== null && v !== undefined && compareValues(v, value) >= 0) }
+  lt(column, value) { return this.addFilter(column, v => v !== null && v !== undefined && compareValues(v, value) < 0) }
+  lte(column, value) { return this.addFilter(column, v => v !== null && v !== undefined && compareValues(v, value) <= 0) }
+  in(column, values) { return this.addFilter(column, v => values.some(value => sameValue(v, value))) }
+  is(column, value) { return this.addFilter(column, v => (value === null ? v === null || v === undefined : v === value)) }
+
+  not(column, operator, value) {
+    if (operator === 'in') {
+      const values = String(value).replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, ''))
+      return this.addFilter(column, v => !values.some(item => sameValue(v, item)))
+    }
+    if (operator === 'is') return this.addFilter(column, v => (value === null ? v !== null && v !== undefined : v !== value))
+    if (operator === 'eq') return this.neq(column, value)
+    throw new LocalError(`Filtro not.${operator} no soportado`, 'PGRST100')
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending })
+    return this
+  }
+
+  range(from, to) {
+    this.rangeFrom = from
+    this.rangeTo = to
+    return this
+  }
+
+  limit(count) {
+    this.rangeFrom = this.rangeFrom ?? 0
+    this.rangeTo = this.rangeFrom + count - 1
+    return this
+  }
+
+  single() {
+    this.resultMode = 'single'
+    return this
+  }
+
+  maybeSingle() {
+    this.resultMode = 'maybeSingle'
+    return this
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject)
+  }
+
+  baseMatches(row) {
+    return this.filters.every(filter => filter.column.includes('.') || filter.test(row[filter.column]))
+  }
+
+  // Filtros sobre recursos anidados ("warehouse_receipts.project_id"): con !inner descartan la fila padre
+  applyEmbeddedFilters(rows, spec) {
+    const embedded = this.filters.filter(filter => filter.column.includes('.'))
+    const innerAliases = spec.filter(item => item.type === 'embed' && item.inner).map(item => item.alias)
+    embedded.forEach(filter => {
+      const [alias, column] = filter.column.split('.')
+      rows.forEach(row => {
+        const value = row[alias]
+        if (Array.isArray(value)) row[alias] = value.filter(child => filter.test(child[column]))
+        else if (value && !filter.test(value[column])) row[alias] = null
+      })
+    })
+    return rows.filter(row => innerAliases.every(alias => (Array.isArray(row[alias]) ? row[alias].length > 0 : !!row[alias])))
+  }
+
+  sortRows(rows) {
+    if (this.orders.length === 0) return rows
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const av = a[column]
+        const bv = b[column]
+        const aNull = av === null || av === undefined
+        const bNull = bv === null || bv === undefined
+        if (aNull && bNull) continue
+        if (aNull || bNull) return (aNull ? -1 : 1) * (nullsFirst ? 1 : -1)
+        const diff = compareValues(av, bv)
+        if (diff !== 0) return ascending ? diff : -diff
+      }
+      return 0
+    })
+  }
+
+  shape(table, rows, columns) {
+    const spec = parseSelect(columns)
+    const projected = rows.map(row => this.store.project(table, row, spec))
+    return this.applyEmbeddedFilters(projected, spec)
+  }
+
+  runSelect() {
+    const matching = this.sortRows(this.store.rows(this.table).filter(row => this.baseMatches(row)))
+    // Los filtros anidados se evalúan antes de paginar, como en PostgREST
+    let rows = this.shape(this.table, matching, this.columns)
+    const count = rows.length
+    if (this.rangeFrom !== null) rows = rows.slice(this.rangeFrom, this.rangeTo + 1)
+    return { rows: this.headOnly ? null : rows, count }
+  }
+
+  runMutation() {
+    const store = this.store
+    return store.transact(() => {
+      if (this.operation === 'insert') {
+        return this.payload.map(values => store.insertRow(this.table, values))
+      }
+      if (this.operation === 'upsert') {
+        return this.payload.map(values => {
+          const existing = store.rows(this.table).find(row =>
+            this.conflictColumns.every(column => values[column] !== undefined && sameValue(row[column], values[column])))
+          return existing ? store.updateRow(this.table, existing, values) : store.insertRow(this.table, values)
+        })
+      }
+      const targets = store.rows(this.table).filter(row => this.baseMatches(row))
+      if (this.operation === 'update') return targets.map(row => store.updateRow(this.table, row, this.payload))
+      targets.forEach(row => store.deleteRow(this.table, row))
+      return targets
+    })
+  }
+
+  async execute() {
+    await this.store.ready
+    try {
+      let data
+      let count = null
+      if (this.operation === 'select') {
+        const result = this.runSelect()
+        data = result.rows
+        count = this.countMode ? result.count : null
+      } else {
+        const affected = clone(this.runMutation())
+        data = this.returning === null ? null : this.shape(this.table, affected, this.returning)
+      }
+
+      if (this.resultMode !== 'many' && data) {
+        if (data.length > 1 || (data.length === 0 && this.resultMode === 'single')) {
+          throw new LocalError('JSON object requested, multiple (or no) rows returned', 'PGRST116')
+        }
+        data = data[0] || null
+      }
+      return { data, error: null, count, status: 200 }
+    } catch (error) {
+      if (!(error instanceof LocalError)) console.error('Demo:', error)
+      return { data: null, error: toErrorObject(error), count: null, status: 400 }
+    }
+  }
+}
+
+// 5. Funciones de base de datos. Cada handler copia las validaciones y escrituras de la versión
+//    vigente de su función en supabase/migrations (indicada encima); si se cambia la función SQL,
+//    hay que cambiar también su handler. Las políticas RLS no se replican: la demo confía en la app.
+const RPC_HANDLERS = {
+  // public.submit_daily_report — 20261019001500_roles_permissions.sql
+  submit_daily_report(store, { p_report_id, p_project_id, p_report_date, p_fields, p_tareo_entry_ids = [], p_evidence_paths = [] }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    if (!store.hasPermission('reports.submit', p_project_id)) {
+      throw new LocalError('No tiene permiso para registrar reportes en esta obra')
+    }
+    const partida = store.rows('partidas').find(p => p.id === p_fields.partida_id && p.project_id === p_project_id)
+    if (!partida) throw new LocalError('La partida no pertenece al proyecto')
+
+    const existing = store.rows('daily_reports').find(r => r.id === p_report_id)
+    if (existing && existing.user_id !== store.uid) throw new LocalError('Solo el autor puede corregir este reporte')
+    if (existing?.status === 'approved') throw new LocalError('El reporte ya fue aprobado y no se puede modificar')
+
+    const progress = Number(p_fields.progress_value) || 0
+    const pending = store.rows('daily_reports')
+      .filter(r => r.partida_id === partida.id && r.status === 'pending' && r.id !== p_report_id)
+      .reduce((sum, r) => sum + (Number(r.progress_value) || 0), 0)
+    const current = (Number(partida.current_progress) || 0) + pending
+    const budgeted = Number(partida.total_budgeted) || 0
+    if (current + progress > budgeted) {
+      throw new LocalError(
+        `El avance excede el presupuesto. Actual (incl. pendientes): ${current}, Ingresado: ${progress}, Máximo permitido: ${budgeted - current}`
+      )
+    }
+
+    const fields = {
+      partida_id: partida.id,
+      progress_value: progress,
+      labor_data: p_fields.labor_data,
+      materials_data: p_fields.materials_data,
+      photos: p_fields.photos,
+      notes: p_fields.notes,
+      total_labor_cost: Number(p_fields.total_labor_cost) || 0,
+      total_materials_cost: Number(p_fields.total_materials_cost) || 0,
+      status: 'pending'
+    }
+    if (existing) {
+      store.updateRow('daily_reports', existing, fields)
+      store.rows('tareo_entries').filter(t => t.daily_report_id === p_report_id).forEach(t => { t.daily_report_id = null })
+    } else {
+      store.insertRow('daily_reports', {
+        ...fields,
+        id: p_report_id,
+        project_id: p_project_id,
+        user_id: store.uid,
+        report_date: p_report_date
+      })
+    }
+
+    const tareo = store.rows('tareo_entries').filter(t => p_tareo_entry_ids.includes(t.id))
+    if (tareo.some(t => t.daily_report_id && t.daily_report_id !== p_report_id)) {
+      throw new LocalError('Parte del tareo ya fue usado en otro reporte. Actualice la página e intente de nuevo')
+    }
+    tareo.forEach(t => { t.daily_report_id = p_report_id })
+    store.rows('evidence_uploads')
+      .filter(e => p_evidence_paths.includes(e.path))
+      .forEach(e => { e.daily_report_id = p_report_id })
+    return p_report_id
+  },
+
+  // public.save_tareo — 20261019001900_save_tareo_rpc.sql
+  save_tareo(store, { p_project_id, p_work_date, p_entries = [] }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    const workerIds = new Set(store.rows('workers').filter(w => w.project_id === p_project_id).map(w => w.id))
+    if (p_entries.some(e => !workerIds.has(e.worker_id))) throw new LocalError('El trabajador no pertenece al proyecto')
+
+    const reportStatus = (reportId) => store.rows('daily_reports').find(r => r.id === reportId)?.status
+    store.rows('tareo_entries')
+      .filter(t => t.project_id === p_project_id && t.work_date === p_work_date)
+      .filter(t => !['pending', 'approved'].includes(reportStatus(t.daily_report_id)))
+      .forEach(t => store.deleteRow('tareo_entries', t))
+
+    p_entries.forEach(e => {
+      if (store.rows('tareo_entries').some(t => t.id === e.id)) return
+      store.insertRow('tareo_entries', {
+        id: e.id,
+        project_id: p_project_id,
+        worker_id: e.worker_id,
+        work_date: p_work_date,
+        attendance: e.attendance || 'present',
+        partida_id: e.partida_id || null,
+        hours: Number(e.hours) || 0,
+        overtime_hours: Number(e.overtime_hours) || 0,
+        night_shift: !!e.night_shift,
+        daily_report_id: reportStatus(e.daily_report_id) === 'rejected' ? e.daily_report_id : null,
+        created_by: store.uid
+      })
+    })
+    return null
+  },
+
+  // public.import_partidas — 20261019002100_import_partidas_rpc.sql
+  import_partidas(store, { p_project_id, p_rows = [] }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    if (!store.hasPermission('budgets.edit', p_project_id)) {
+      throw new LocalError('No tiene permiso para editar el presupuesto de esta obra')
+    }
+    const codeKey = (code) => String(code).trim().toUpperCase()
+    const existing = new Map(store.rows('partidas')
+      .filter(p => p.project_id === p_project_id)
+      .map(p => [codeKey(p.code), p]))
+    const conflict = p_rows.map(r => existing.get(codeKey(r.code)))
+      .find((p, i) => p && Number(p_rows[i].total_budgeted) < (Number(p.current_progress) || 0))
+    if (conflict) {
+      throw new LocalError(`Partida ${conflict.code}: el metrado es menor al avance ejecutado (${conflict.current_progress})`)
+    }
+
+    p_rows.forEach(({ code, name, unit, total_budgeted, unit_price }) => {
+      const partida = existing.get(codeKey(code))
+      if (partida) {
+        store.updateRow('partidas', partida, { name, unit, total_budgeted, unit_price })
+      } else {
+        store.insertRow('partidas', {
+          project_id: p_project_id, code: String(code).trim(), name, unit, total_budgeted, unit_price, current_progress: 0
+        })
+      }
+    })
+    return null
+  },
+
+  // public.save_valuation — 20261019002000_save_valuation_rpc.sql
+  save_valuation(store, { p_project_id, p_period_start, p_period_end, p_items = [] }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    if (!store.hasPermission('valuations.manage', p_project_id)) {
+      throw new LocalError('No tiene permiso para valorizar esta obra')
+    }
+    const valuations = store.rows('valuations').filter(v => v.project_id === p_project_id)
+    const open = valuations.filter(v => v.status !== 'approved').sort((a, b) => a.number - b.number)[0]
+    if (open) {
+      throw new LocalError(
+        `La valorización N° ${open.number} aún no está aprobada por el cliente; apruébela o elimínela antes de generar la siguiente`
+      )
+    }
+    if (valuations.some(v => v.period_start >= p_period_start)) {
+      throw new LocalError('El periodo debe ser posterior a la última valorización')
+    }
+
+    const lastApproved = valuations
+      .filter(v => v.status === 'approved')
+      .sort((a, b) => b.period_start.localeCompare(a.period_start))[0]
+    const previous = Object.fromEntries(store.rows('valuation_items')
+      .filter(i => i.valuation_id === lastApproved?.id)
+      .map(i => [i.partida_id, (Number(i.previous_quantity) || 0) + (Number(i.current_quantity) || 0)]))
+    const partidaIds = new Set(store.rows('partidas').filter(p => p.project_id === p_project_id).map(p => p.id))
+    const total = p_items.reduce((sum, i) => sum + (Number(i.current_quantity) || 0) * (Number(i.unit_price) || 0), 0)
+
+    const valuation = store.insertRow('valuations', {
+      project_id: p_project_id,
+      number: Math.max(0, ...valuations.map(v => v.number)) + 1,
+      period_start: p_period_start,
+      period_end: p_period_end,
+      total_amount: Math.round(total * 100) / 100,
+      status: 'draft',
+      created_by: store.uid
+    })
+    p_items.filter(i => partidaIds.has(i.partida_id)).forEach(i => store.insertRow('valuation_items', {
+      valuation_id: valuation.id,
+      partida_id: i.partida_id,
+      code: i.code,
+      name: i.name,
+      unit: i.unit,
+      unit_price: Number(i.unit_price) || 0,
+      budgeted_quantity: Number(i.budgeted_quantity) || 0,
+      previous_quantity: previous[i.partida_id] || 0,
+      current_quantity: Number(i.current_quantity) || 0
+    }))
+    return valuation.id
+  },
+
+  // public.create_purchase_orders — 20261019002300_purchasing_rpc.sql
+  create_purchase_orders(store, { p_requisition_id, p_order_date, p_lines = [] }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    const requisition = store.rows('purchase_requisitions').find(r => r.id === p_requisition_id)
+    if (!requisition) throw new LocalError('Requerimiento no encontrado')
+    if (!store.hasPermission('purchasing.manage', requisition.project_id)) {
+      throw new LocalError('No tiene permiso para emitir órdenes de compra en esta obra')
+    }
+    if (requisition.status !== 'pending') throw new LocalError('El requerimiento ya fue atendido o rechazado')
+
+    const lines = p_lines.filter(l => Number(l.quantity) > 0)
+    if (lines.length === 0) throw new LocalError('Indique al menos un ítem a comprar')
+    const materialIds = new Set(store.rows('purchase_requisition_items')
+      .filter(i => i.requisition_id === p_requisition_id)
+      .map(i => i.material_id))
+    if (lines.some(l => !materialIds.has(l.material_id))) throw new LocalError('El material no pertenece al requerimiento')
+    const companyId = store.rows('projects').find(p => p.id === requisition.project_id)?.company_id
+    const suppliers = new Map(store.rows('suppliers').filter(sp => sp.company_id === companyId).map(sp => [sp.id, sp]))
+    if (lines.some(l => !suppliers.has(l.supplier_id))) throw new LocalError('Todos los ítems necesitan un proveedor de la empresa')
+
+    const supplierIds = [...new Set(lines.map(l => l.supplier_id))]
+    supplierIds.forEach(supplierId => {
+      const order = store.insertRow('purchase_orders', {
+        project_id: requisition.project_id,
+        requisition_id: p_requisition_id,
+        supplier_id: supplierId,
+        supplier_name: suppliers.get(supplierId).business_name,
+        order_date: p_order_date,
+        status: 'issued',
+        created_by: store.uid
+      })
+      lines.filter(l => l.supplier_id === supplierId).forEach(l => store.insertRow('purchase_order_items', {
+        order_id: order.id,
+        material_id: l.material_id,
+        quantity: Number(l.quantity),
+        unit_cost: Number(l.unit_cost) || 0,
+        received_quantity: 0
+      }))
+    })
+    store.updateRow('purchase_requisitions', requisition, {
+      status: 'ordered',
+      reviewed_by: store.uid,
+      reviewed_at: new Date().toISOString()
+    })
+    return null
+  },
+
+  // public.receive_purchase_order — 20261019002300_purchasing_rpc.sql
+  receive_purchase_order(store, { p_order_id, p_receipt_date, p_guia_remision, p_lines = [] }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    const order = store.rows('purchase_orders').find(o => o.id === p_order_id)
+    if (!order) throw new LocalError('Orden de compra no encontrada')
+    if (!store.hasPermission('purchasing.manage', order.project_id) && !store.hasPermission('warehouse.manage', order.project_id)) {
+      throw new LocalError('No tiene permiso para registrar recepciones en esta obra')
+    }
+    if (!['issued', 'partial'].includes(order.status)) throw new LocalError('La orden ya fue recibida o anulada')
+
+    const lines = p_lines.filter(l => Number(l.quantity) > 0)
+    if (lines.length === 0) throw new LocalError('Indique al menos una cantidad recibida')
+    const items = store.rows('purchase_order_items').filter(i => i.order_id === p_order_id)
+    const itemOf = (line) => items.find(i => i.id === line.item_id)
+    if (lines.some(l => !itemOf(l))) throw new LocalError('La línea no pertenece a la orden de compra')
+    const over = lines.find(l => Number(l.quantity) > itemOf(l).quantity - (itemOf(l).received_quantity || 0))
+    if (over) {
+      const material = store.rows('materials_catalog').find(m => m.id === itemOf(over).material_id)
+      throw new LocalError(`La cantidad recibida de ${material?.name} supera lo pendiente de la orden`)
+    }
+
+    const receipt = store.insertRow('warehouse_receipts', {
+      project_id: order.project_id,
+      purchase_order_id: p_order_id,
+      receipt_date: p_receipt_date,
+      guia_remision: String(p_guia_remision).trim().toUpperCase(),
+      supplier_id: order.supplier_id,
+      supplier_name: order.supplier_name,
+      created_by: store.uid
+    })
+    lines.forEach(l => {
+      const item = itemOf(l)
+      store.insertRow('warehouse_receipt_items', {
+        receipt_id: receipt.id,
+        material_id: item.material_id,
+        quantity: Number(l.quantity),
+        unit_cost: item.unit_cost
+      })
+      store.updateRow('purchase_order_items', item, { received_quantity: (item.received_quantity || 0) + Number(l.quantity) })
+    })
+    // La orden se cierra cuando todas sus líneas quedan completas
+    store.updateRow('purchase_orders', order, {
+      status: items.every(i => (i.received_quantity || 0) >= i.quantity) ? 'received' : 'partial'
+    })
+    return receipt.id
+  },
+
+  // public.select_winning_quote — 20261019002500_quote_currency_winner_rpc.sql
+  select_winning_quote(store, { p_quote_id, p_effective_from }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    const quote = store.rows('supplier_quotes').find(q => q.id === p_quote_id)
+    if (!quote) throw new LocalError('Cotización no encontrada')
+    const item = store.rows('purchase_requisition_items').find(i => i.id === quote.requisition_item_id)
+    const requisition = store.rows('purchase_requisitions').find(r => r.id === item.requisition_id)
+    if (!store.hasPermission('purchasing.manage', requisition.project_id)) {
+      throw new LocalError('No tiene permiso para elegir cotizaciones en esta obra')
+    }
+
+    const itemQuotes = store.rows('supplier_quotes').filter(q => q.requisition_item_id === item.id)
+    itemQuotes.filter(q => q.is_winner && q !== quote).forEach(q => store.updateRow('supplier_quotes', q, { is_winner: false }))
+    store.updateRow('supplier_quotes', quote, { is_winner: true })
+
+    const price = store.rows('material_prices')
+      .find(mp => mp.material_id === item.material_id && mp.effective_from === p_effective_from)
+    const values = { unit_cost: quote.unit_cost, currency: quote.currency, supplier_quote_id: quote.id }
+    if (price) {
+      // Solo se corrige el precio que dejó otra cotización de este mismo ítem
+      if (!itemQuotes.some(q => q.id === price.supplier_quote_id)) return false
+      store.updateRow('material_prices', price, values)
+    } else {
+      store.insertRow('material_prices', { ...values, material_id: item.material_id, effective_from: p_effective_from })
+    }
+    const material = store.rows('materials_catalog').find(m => m.id === item.material_id)
+    store.updateRow('materials_catalog', material, { unit_cost: quote.unit_cost, currency: quote.currency })
+    return true
+  },
+
+  // public.approve_daily_report — 20261019001600_project_roles.sql (permiso por rol de la asignación)
+  approve_daily_report(store, { p_report_id, p_comment = null }) {
+    const report = store.rows('daily_reports').find(r => r.id === p_report_id)
+    if (!report) throw new LocalError('Reporte no encontrado')
+    if (!store.hasPermission('reports.approve', report.project_id)) {
+      throw new LocalError('No tiene permiso para aprobar reportes en esta obra')
+    }
+    if (report.status !== 'pending') throw new LocalError('El reporte ya fue revisado')
+
+    const partida = store.rows('partidas').find(p => p.id === report.partida_id)
+    const newProgress = (Number(partida.current_progress) || 0) + (Number(report.progress_value) || 0)
+    if (newProgress > (Number(partida.total_budgeted) || 0)) {
+      throw new LocalError(
+        `No se puede aprobar: el avance acumulado (${newProgress}) excede el metrado presupuestado (${partida.total_budgeted}).`
+      )
+    }
+    store.updateRow('partidas', partida, { current_progress: newProgress })
+    store.updateRow('daily_reports', report, {
+      status: 'approved',
+      review_comment: p_comment?.trim() || null,
+      reviewed_by: store.uid,
+      reviewed_at: new Date().toISOString()
+    })
+    return newProgress
+  },
+
+  // public.reject_daily_report — 20261019002200_reject_daily_report_rpc.sql
+  reject_daily_report(store, { p_report_id, p_comment }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    if (!p_comment?.trim()) throw new LocalError('Indique el motivo de la observación')
+    const report = store.rows('daily_reports').find(r => r.id === p_report_id)
+    if (!report) throw new LocalError('Reporte no encontrado')
+    if (!store.hasPermission('reports.approve', report.project_id)) {
+      throw new LocalError('No tiene permiso para observar reportes en esta obra')
+    }
+    if (report.status !== 'pending') throw new LocalError('El reporte ya fue revisado')
+
+    store.updateRow('daily_reports', report, {
+      status: 'rejected',
+      review_comment: p_comment.trim(),
+      reviewed_by: store.uid,
+      reviewed_at: new Date().toISOString()
+    })
+    return null
+  },
+
+  // public.accept_invitation — 20261019001700_companies.sql (asignaciones con rol y empresa de la invitación)
+  accept_invitation(store) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    const existing = store.rows('profiles').find(p => p.id === store.uid)
+    if (existing) return existing
+
+    const email = store.session.user.email.toLowerCase()
+    const invitation = store.rows('user_invitations')
+      .find(i => i.email.toLowerCase() === email && !i.accepted_at && !i.revoked_at)
+    if (!invitation) throw new LocalError(`No hay una invitación pendiente para ${email}`)
+    if (new Date(invitation.expires_at) < new Date()) {
+      throw new LocalError('La invitación venció. Pida al administrador que la reenvíe')
+    }
+
+    const profile = store.insertRow('profiles', {
+      id: store.uid,
+      email,
+      full_name: invitation.full_name,
+      role: null,
+      is_active: true,
+      must_change_password: true
+    })
+    if (invitation.company_id) store.insertRow('company_members', { company_id: invitation.company_id, user_id: store.uid })
+    store.rows('roles')
+      .filter(role => invitation.role_keys.includes(role.key))
+      .forEach(role => store.insertRow('user_roles', { user_id: store.uid, role_id: role.id }))
+    // Invitaciones anteriores a los roles por proyecto solo traen project_ids
+    const assignments = invitation.assignments?.length
+      ? invitation.assignments
+      : invitation.project_ids.map(project_id => ({ project_id }))
+    assignments.forEach(({ project_id, role_id = null, start_date = null, end_date = null }) => {
+      const assigned = store.rows('project_assignments').some(a => a.user_id === store.uid && a.project_id === project_id)
+      if (!assigned) store.insertRow('project_assignments', { user_id: store.uid, project_id, role_id, start_date, end_date })
+    })
+    store.updateRow('user_invitations', invitation, { accepted_at: new Date().toISOString(), accepted_by: store.uid })
+    return profile
+  },
+
+  // public.save_user_access — 20261019002400_save_user_access_rpc.sql
+  save_user_access(store, { p_user_id, p_company_id, p_full_name, p_role_ids = [], p_assignments = [], p_company_ids = null }) {
+    if (!store.uid) throw new LocalError('Sesión no válida')
+    const isMember = (companyId, userId = store.uid) =>
+      store.rows('company_members').some(m => m.company_id === companyId && m.user_id === userId)
+    if (!store.hasPermission('users.manage') || !isMember(p_company_id)) {
+      throw new LocalError('No tiene permiso para administrar usuarios de esta empresa')
+    }
+    if (!isMember(p_company_id, p_user_id)) throw new LocalError('El usuario no pertenece a la empresa')
+
+    if (p_role_ids.length === 0 && !p_assignments.some(a => a.role_id)) {
+      throw new LocalError('Asigne al menos un rol general o un rol en alguna obra')
+    }
+    const projectIds = new Set(store.rows('projects').filter(p => p.company_id === p_company_id).map(p => p.id))
+    if (p_assignments.some(a => !projectIds.has(a.project_id))) throw new LocalError('La obra no pertenece a la empresa')
+    if (p_company_ids) {
+      if (p_company_ids.length === 0) throw new LocalError('El usuario debe pertenecer al menos a una empresa')
+      if (p_company_ids.some(id => !isMember(id))) {
+        throw new LocalError('Solo puede agregar al usuario a empresas a las que usted pertenece')
+      }
+    }
+
+    const profile = store.rows('profiles').find(p => p.id === p_user_id)
+    store.updateRow('profiles', profile, { full_name: p_full_name })
+
+    store.rows('user_roles')
+      .filter(ur => ur.user_id === p_user_id && !p_role_ids.includes(ur.role_id))
+      .forEach(ur => store.deleteRow('user_roles', ur))
+    p_role_ids
+      .filter(roleId => !store.rows('user_roles').some(ur => ur.user_id === p_user_id && ur.role_id === roleId))
+      .forEach(roleId => store.insertRow('user_roles', { user_id: p_user_id, role_id: roleId }))
+
+    if (p_company_ids) {
+      store.rows('company_members')
+        .filter(m => m.user_id === p_user_id && isMember(m.company_id) && !p_company_ids.includes(m.company_id))
+        .forEach(m => store.deleteRow('company_members', m))
+      p_company_ids
+        .filter(id => !isMember(id, p_user_id))
+        .forEach(id => store.insertRow('company_members', { company_id: id, user_id: p_user_id }))
+    }
+
+    store.rows('project_assignments')
+      .filter(a => a.user_id === p_user_id && projectIds.has(a.project_id))
+      .forEach(a => store.deleteRow('project_assignments', a))
+    p_assignments.forEach(({ project_id, role_id = null, start_date = null, end_date = null }) =>
+      store.insertRow('project_assignments', { user_id: p_user_id, project_id, role_id, start_date, end_date }))
+    return null
+  },
+
+  // public.complete_password_change — 20261019001400_user_invitations.sql
+  complete_password_change(store) {
+    const profile = store.rows('profiles').find(p => p.id === store.uid)
+    if (profile) store.updateRow('profiles', profile, { must_change_password: false })
+    return null
+  }
+}
+
+// 6. Cliente con la misma superficie que createClient() de supabase-js
+export function createLocalClient() {
+  const store = new LocalStore()
+
+  const auth = {
+    async getSession() {
+      await store.ready
+      return { data: { session: store.session }, error: null }
+    },
+
+    async getUser() {
+      await store.ready
+      return { data: { user: store.session?.user || null }, error: null }
+    },
+
+    async signInWithPassword({ email, password }) {
+      await store.ready
+      const authUser = store.findAuthUser(email)
+      if (!authUser || !authUser.password || authUser.password !== password) {
+        return { data: { user: null, session: null }, error: { message: 'Invalid login credentials', status: 400 } }
+      }
+      localStorage.setItem(SESSION_KEY, authUser.id)
+      const session = store.session
+      setTimeout(() => store.emitAuth('SIGNED_IN'), 0)
+      return { data: { user: session.user, session }, error: null }
+    },
+
+    // Igual que en Supabase con confirmación por correo: crea la cuenta sin cambiar la sesión actual
+    async signUp({ email, password, options = {} }) {
+      await store.ready
+      if (store.findAuthUser(email)) {
+        return { data: { user: null, session: null }, error: { message: 'User already registered', status: 422 } }
+      }
+      const authUser = { id: crypto.randomUUID(), email: String(email).trim().toLowerCase(), password, user_metadata: options.data || {} }
+      store.state.authUsers.push(authUser)
+      store.persist()
+      return { data: { user: { id: authUser.id, email: authUser.email, user_metadata: authUser.user_metadata }, session: null }, error: null }
+    },
+
+    // Enlace de acceso por correo; crea la cuenta (sin contraseña) si no existe
+    async signInWithOtp({ email, options = {} }) {
+      await store.ready
+      let authUser = store.findAuthUser(email)
+      if (!authUser) {
+        if (options.shouldCreateUser === false) {
+          return { data: { user: null, session: null }, error: { message: 'Signups not allowed for otp', status: 422 } }
+        }
+        authUser = { id: crypto.randomUUID(), email: String(email).trim().toLowerCase(), password: null, user_metadata: options.data || {} }
+        store.state.authUsers.push(authUser)
+      }
+      store.sendLink(authUser, 'magiclink', options.emailRedirectTo)
+      return { data: { user: null, session: null }, error: null }
+    },
+
+    // Igual que Supabase, no revela si el correo existe
+    async resetPasswordForEmail(email, options = {}) {
+      await store.ready
+      const authUser = store.findAuthUser(email)
+      if (authUser) store.sendLink(authUser, 'recovery', options.redirectTo)
+      return { data: {}, error: null }
+    },
+
+    async updateUser({ password, data } = {}) {
+      await store.ready
+      const authUser = store.uid && store.state.authUsers.find(u => u.id === store.uid)
+      if (!authUser) return { data: { user: null }, error: { message: 'Auth session missing!', status: 401 } }
+      if (password !== undefined) {
+        if (password === authUser.password) {
+          return { data: { user: null }, error: { message: 'New password should be different from the old password.', status: 422 } }
+        }
+        authUser.password = password
+      }
+      if (data) authUser.user_metadata = { ...authUser.user_metadata, ...data }
+      store.persist()
+      setTimeout(() => store.emitAuth('USER_UPDATED'), 0)
+      return { data: { user: store.session.user }, error: null }
+    },
+
+    async signOut() {
+      localStorage.removeItem(SESSION_KEY)
+      store.emitAuth('SIGNED_OUT')
+      return { error: null }
+    },
+
+    onAuthStateChange(callback) {
+      store.listeners.add(callback)
+      return { data: { subscription: { unsubscribe: () => store.listeners.delete(callback) } } }
+    }
+  }
+
+  const storage = {
+    from(bucket) {
+      const key = (path) => `${bucket}/${path}`
+      return {
+        async upload(path, file) {
+          await store.ready
+          if (store.state.files[key(path)]) return { data: null, error: { message: 'The resource already exists', statusCode: '409' } }
+          store.state.files[key(path)] = file
+          store.persist()
+          return { data: { path }, error: null }
+        },
+        getPublicUrl(path) {
+          return { data: { publicUrl: store.objectUrl(key(path)) || '' } }
+        },
+        async createSignedUrl(path) {
+          await store.ready
+          const signedUrl = store.objectUrl(key(path))
+          return signedUrl ? { data: { signedUrl }, error: null } : { data: null, error: { message: 'Object not found' } }
+        },
+        async createSignedUrls(paths) {
+          await store.ready
+          return { data: paths.map(path => ({ path, signedUrl: store.objectUrl(key(path)), error: null })), error: null }
+        },
+        async remove(paths) {
+          await store.ready
+          paths.forEach(path => {
+            delete store.state.files[key(path)]
+            if (store.objectUrls[key(path)]) URL.revokeObjectURL(store.objectUrls[key(path)])
+            delete store.objectUrls[key(path)]
+          })
+          store.persist()
+          return { data: paths.map(name => ({ name })), error: null }
+        }
+      }
+    }
+  }
+
+  return {
+    from: (table) => new LocalQuery(store, table),
+
+    async rpc(name, params = {}) {
+      await store.ready
+      const handler = RPC_HANDLERS[name]
+      if (!handler) return { data: null, error: { message: `Function ${name} not found`, code: 'PGRST202' } }
+      try {
+        return { data: clone(store.transact(() => handler(store, params))), error: null }
+      } catch (error) {
+        return { data: null, error: toErrorObject(error) }
+      }
+    },
+
+    auth,
+    storage,
+
+    // Solo en la demo: bandeja de los correos "enviados" (en Supabase local es el mail catcher)
+    mailbox: {
+      async list() {
+        await store.ready
+        return clone(store.state.mailbox)
+      }
+    }
+  }
+}
@@ -0,0 +1,183 @@
+// Almacenamiento local (IndexedDB) para trabajar en obra sin señal:
+// copia de los datos de lectura, cola de reportes diarios, tareo por enviar y fotos pendientes de subir.
+
+const DB_NAME = 'erp-offline'
+const DB_VERSION = 2
+
+// 1. Apertura de la base local (se crea la primera vez)
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains('cache')) db.createObjectStore('cache', { keyPath: 'key' })
+        if (!db.objectStoreNames.contains('report_queue')) {
+          const queue = db.createObjectStore('report_queue', { keyPath: 'local_id' })
+          queue.createIndex('project_id', 'project_id')
+        }
+        if (!db.objectStoreNames.contains('photo_blobs')) db.createObjectStore('photo_blobs', { keyPath: 'id' })
+        if (!db.objectStoreNames.contains('tareo_queue')) {
+          const tareo = db.createObjectStore('tareo_queue', { keyPath: 'key' })
+          tareo.createIndex('project_id', 'project_id')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+async function run(storeName, mode, operation) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = operation(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+const newLocalId = () =>
+  (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`)
+
+// 2. Detección de fallas de red (sin señal o servidor inalcanzable)
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true
+  return /failed to fetch|networkerror|load failed|fetch failed|network request failed/i.test(error?.message || '')
+}
+
+// 3. Copia local de datos de lectura (partidas, materiales, tarifas...)
+export async function cacheSet(key, data) {
+  try {
+    await run('cache', 'readwrite', store => store.put({ key, data, cached_at: new Date().toISOString() }))
+  } catch (error) {
+    console.warn('No se pudo guardar la copia local:', error)
+  }
+}
+
+export async function cacheGet(key) {
+  try {
+    return (await run('cache', 'readonly', store => store.get(key))) || null
+  } catch {
+    return null
+  }
+}
+
+// Lee del servidor y guarda la copia; si la red falla devuelve la última copia guardada.
+// Sin señal no se intenta la red: devuelve la copia, o null si nunca se guardó una.
+export async function fetchWithOfflineCache(key, loader) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) {
+    return (await cacheGet(key))?.data ?? null
+  }
+  try {
+    const data = await loader()
+    await cacheSet(key, data)
+    return data
+  } catch (error) {
+    if (!isNetworkError(error)) throw error
+    const cached = await cacheGet(key)
+    if (cached) return cached.data
+    throw error
+  }
+}
+
+// 4. Cola de reportes diarios pendientes de enviar
+export async function queueReport(entry) {
+  const queued = {
+    ...entry,
+    local_id: entry.local_id || newLocalId(),
+    sync_status: 'pending',
+    sync_error: null,
+    queued_at: new Date().toISOString()
+  }
+  await run('report_queue', 'readwrite', store => store.put(queued))
+  return queued
+}
+
+export async function listQueuedReports(projectId) {
+  const rows = await run('report_queue', 'readonly', store => store.index('project_id').getAll(projectId))
+  return (rows || []).sort((a, b) => a.queued_at.localeCompare(b.queued_at))
+}
+
+async function updateRecord(storeName, key, changes) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite')
+    const store = tx.objectStore(storeName)
+    let updated = null
+    const request = store.get(key)
+    request.onsuccess = () => {
+      if (!request.result) return
+      updated = { ...request.result, ...changes }
+      store.put(updated)
+    }
+    tx.oncomplete = () => resolve(updated)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export async function updateQueuedReport(localId, changes) {
+  return updateRecord('report_queue', localId, changes)
+}
+
+export async function removeQueuedReport(localId) {
+  await run('report_queue', 'readwrite', store => store.delete(localId))
+}
+
+// 5. Tareo guardado sin señal: uno por proyecto y día, el último guardado reemplaza al anterior.
+//    Se envía antes que los reportes de la cola, que se vinculan a sus filas.
+const tareoKey = (projectId, workDate) => `${projectId}:${workDate}`
+
+export async function queueTareo({ project_id, work_date, entries }) {
+  const queued = {
+    key: tareoKey(project_id, work_date),
+    project_id,
+    work_date,
+    entries,
+    sync_status: 'pending',
+    sync_error: null,
+    queued_at: new Date().toISOString()
+  }
+  await run('tareo_queue', 'readwrite', store => store.put(queued))
+  return queued
+}
+
+export async function getQueuedTareo(projectId, workDate) {
+  return (await run('tareo_queue', 'readonly', store => store.get(tareoKey(projectId, workDate)))) || null
+}
+
+export async function listQueuedTareo(projectId) {
+  const rows = await run('tareo_queue', 'readonly', store => store.index('project_id').getAll(projectId))
+  return (rows || []).sort((a, b) => a.work_date.localeCompare(b.work_date))
+}
+
+export async function updateQueuedTareo(key, changes) {
+  return updateRecord('tareo_queue', key, changes)
+}
+
+export async function removeQueuedTareo(projectId, workDate) {
+  await run('tareo_queue', 'readwrite', store => store.delete(tareoKey(projectId, workDate)))
+}
+
+// 6. Fotos tomadas sin señal: se guarda el archivo hasta que pueda subirse
+export async function savePhotoBlob(file) {
+  const id = newLocalId()
+  await run('photo_blobs', 'readwrite', store => store.put({ id, blob: file, name: file.name, type: file.type }))
+  return id
+}
+
+export async function getPhotoBlob(id) {
+  return (await run('photo_blobs', 'readonly', store => store.get(id))) || null
+}
+
+export async function deletePhotoBlob(id) {
+  await run('photo_blobs', 'readwrite', store => store.delete(id))
+}
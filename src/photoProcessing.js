@@ -0,0 +1,171 @@
+// Procesamiento de fotos en el navegador antes de subirlas: se reducen y comprimen
+// (las fotos del celular pesan 4-8 MB y en obra la señal es mala), se genera una miniatura
+// para las galerías y se leen del EXIF la hora de captura y la ubicación GPS.
+
+export const PHOTO_MAX_SIZE = 1600
+export const PHOTO_QUALITY = 0.8
+export const THUMB_MAX_SIZE = 320
+export const THUMB_QUALITY = 0.7
+
+// 1. Lectura de EXIF (solo JPEG; el bloque EXIF está siempre al inicio del archivo)
+const EXIF_READ_BYTES = 128 * 1024
+const TAG_EXIF_IFD = 0x8769
+const TAG_GPS_IFD = 0x8825
+const TAG_DATETIME = 0x0132
+const TAG_DATETIME_ORIGINAL = 0x9003
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }
+
+function readIfd(view, tiffStart, ifdOffset, little) {
+  const tags = {}
+  const start = tiffStart + ifdOffset
+  if (start + 2 > view.byteLength) return tags
+  const count = view.getUint16(start, little)
+
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12
+    if (entry + 12 > view.byteLength) break
+    const tag = view.getUint16(entry, little)
+    const type = view.getUint16(entry + 2, little)
+    const length = view.getUint32(entry + 4, little)
+    const size = (TYPE_SIZES[type] || 1) * length
+    const valueAt = size > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8
+    if (valueAt + size > view.byteLength) continue
+
+    if (type === 2) {
+      let text = ''
+      for (let j = 0; j < length; j++) {
+        const code = view.getUint8(valueAt + j)
+        if (code === 0) break
+        text += String.fromCharCode(code)
+      }
+      tags[tag] = text
+    } else if (type === 5 || type === 10) {
+      const values = []
+      for (let j = 0; j < length; j++) {
+        const num = type === 5 ? view.getUint32(valueAt + j * 8, little) : view.getInt32(valueAt + j * 8, little)
+        const den = type === 5 ? view.getUint32(valueAt + j * 8 + 4, little) : view.getInt32(valueAt + j * 8 + 4, little)
+        values.push(den ? num / den : 0)
+      }
+      tags[tag] = values
+    } else if (type === 3) {
+      tags[tag] = view.getUint16(valueAt, little)
+    } else if (type === 4) {
+      tags[tag] = view.getUint32(valueAt, little)
+    } else {
+      tags[tag] = view.getUint8(valueAt)
+    }
+  }
+  return tags
+}
+
+// "2026:10:19 08:15:30" -> "2026-10-19T08:15:30" (hora local de la cámara, con zona si la trae)
+function exifDateToIso(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '')
+  if (!match || match[1] === '0000') return null
+  const [, y, mo, d, h, mi, s] = match
+  return `${y}-${mo}-${d}T${h}:${mi}:${s}${/^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : ''}`
+}
+
+function gpsToDecimal(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600
+  return Math.round((ref === 'S' || ref === 'W' ? -value : value) * 1e6) / 1e6
+}
+
+export async function readExifMetadata(file) {
+  const empty = { taken_at: null, gps: null }
+  try {
+    const view = new DataView(await file.slice(0, EXIF_READ_BYTES).arrayBuffer())
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return empty
+
+    let offset = 2
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset)
+      const segmentLength = view.getUint16(offset + 2)
+      // APP1 con cabecera "Exif\0\0"
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        const tiffStart = offset + 10
+        const little = view.getUint16(tiffStart) === 0x4949
+        const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little)
+        const exif = ifd0[TAG_EXIF_IFD] ? readIfd(view, tiffStart, ifd0[TAG_EXIF_IFD], little) : {}
+        const gpsTags = ifd0[TAG_GPS_IFD] ? readIfd(view, tiffStart, ifd0[TAG_GPS_IFD], little) : {}
+
+        const lat = gpsToDecimal(gpsTags[2], gpsTags[1])
+        const lng = gpsToDecimal(gpsTags[4], gpsTags[3])
+        const hasGps = lat !== null && lng !== null && !(lat === 0 && lng === 0)
+        return {
+          taken_at: exifDateToIso(exif[TAG_DATETIME_ORIGINAL] || ifd0[TAG_DATETIME], exif[TAG_OFFSET_TIME_ORIGINAL]),
+          gps: hasGps
+            ? {
+                lat,
+                lng,
+                altitude: Array.isArray(gpsTags[6]) ? Math.round((gpsTags[5] === 1 ? -gpsTags[6][0] : gpsTags[6][0]) * 10) / 10 : null
+              }
+            : null
+        }
+      }
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break
+      offset += 2 + segmentLength
+    }
+  } catch (error) {
+    console.warn('No se pudo leer el EXIF:', error)
+  }
+  return empty
+}
+
+// 2. Reducción y compresión con canvas (la orientación EXIF se aplica al decodificar)
+function canvasToBlob(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('No se pudo comprimir la imagen'))), 'image/jpeg', quality)
+  })
+}
+
+async function renderScaled(bitmap, maxSize, quality) {
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+  const ctx = canvas.getContext('2d')
+  // Fondo blanco para PNG con transparencia, que en JPEG saldría negro
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  return { blob: await canvasToBlob(canvas, quality), width: canvas.width, height: canvas.height }
+}
+
+const jpegName = (name, suffix = '') => `${name.replace(/\.[^.]+$/, '') || 'foto'}${suffix}.jpg`
+
+export async function createThumbnail(file) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  try {
+    const { blob } = await renderScaled(bitmap, THUMB_MAX_SIZE, THUMB_QUALITY)
+    return new File([blob], jpegName(file.name, '_thumb'), { type: 'image/jpeg' })
+  } finally {
+    bitmap.close()
+  }
+}
+
+// 3. Preparación completa: devuelve el archivo a subir y los metadatos para el arreglo photos.
+//    Si el navegador no puede decodificar el formato (p. ej. HEIC) se sube el original.
+export async function preparePhoto(file) {
+  const exif = await readExifMetadata(file)
+  const metadata = { ...exif, original_size: file.size }
+
+  let bitmap
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  } catch (error) {
+    console.warn('Formato de imagen no soportado, se sube sin comprimir:', error)
+    return { file, metadata: { ...metadata, size: file.size } }
+  }
+
+  try {
+    const { blob, width, height } = await renderScaled(bitmap, PHOTO_MAX_SIZE, PHOTO_QUALITY)
+    const keepOriginal = file.type === 'image/jpeg' && blob.size >= file.size && Math.max(bitmap.width, bitmap.height) <= PHOTO_MAX_SIZE
+    const output = keepOriginal ? file : new File([blob], jpegName(file.name), { type: 'image/jpeg' })
+    return { file: output, metadata: { ...metadata, width, height, size: output.size } }
+  } finally {
+    bitmap.close()
+  }
+}
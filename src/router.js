@@ -0,0 +1,64 @@
+// Rutas de la app sobre la History API del navegador:
+// la URL indica qué se está viendo (proyecto, pestaña, reporte), así funcionan el botón
+// "atrás", los enlaces compartidos y la recarga de la página.
+
+import { useSyncExternalStore } from 'react'
+
+const NAVIGATE_EVENT = 'erp:navigate'
+
+// 1. Cambiar de ruta
+export function navigate(path, { replace = false } = {}) {
+  if (path === window.location.pathname) return
+  if (replace) window.history.replaceState(null, '', path)
+  else window.history.pushState(null, '', path)
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+// 2. Escuchar la ruta actual (navegación propia y botones atrás/adelante)
+function subscribe(callback) {
+  window.addEventListener('popstate', callback)
+  window.addEventListener(NAVIGATE_EVENT, callback)
+  return () => {
+    window.removeEventListener('popstate', callback)
+    window.removeEventListener(NAVIGATE_EVENT, callback)
+  }
+}
+
+export function usePathname() {
+  return useSyncExternalStore(subscribe, () => window.location.pathname)
+}
+
+// 3. Patrones tipo /projects/:projectId/reports/:reportId
+export function matchRoute(pattern, pathname) {
+  const patternParts = pattern.split('/').filter(Boolean)
+  const pathParts = pathname.split('/').filter(Boolean)
+  if (patternParts.length !== pathParts.length) return null
+
+  const params = {}
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i])
+      } catch {
+        return null
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null
+    }
+  }
+  return params
+}
+
+// Primera ruta que coincide, con sus parámetros
+export function resolveRoute(routes, pathname) {
+  for (const route of routes) {
+    const params = matchRoute(route.pattern, pathname)
+    if (params) return { ...route, params }
+  }
+  return null
+}
+
+// 4. Armar rutas sin preocuparse por los separadores
+export function buildPath(...parts) {
+  return '/' + parts.filter(part => part !== undefined && part !== null && part !== '').map(part => encodeURIComponent(part)).join('/')
+}
@@ -1,66 +1,280 @@
 import { createClient } from '@supabase/supabase-js'
+import { createLocalClient, resetLocalData } from './localBackend'
+import { todayISO } from './dates'
 
 // TUS CREDENCIALES
 const supabaseUrl = 'https://kmunyebyfyxobmkfptqe.supabase.co'
 const supabaseKey = 'sb_publishable_Oj98rTHfSyRtrfv2BW3lGg_p5T_oX2f'
 
-// 1. La Conexión Principal
-export const supabase = createClient(supabaseUrl, supabaseKey)
+// 0. Backend de datos: 'supabase' (producción) o 'local' (demo, capacitación y pruebas de UI
+//    con datos de ejemplo en el navegador). Se elige al iniciar: ?backend=local|supabase en la URL
+//    (queda recordado), o VITE_DATA_BACKEND en el build.
+const DATA_BACKEND_KEY = 'erp_data_backend'
+export const DATA_BACKENDS = ['supabase', 'local']
 
-// 2. Nombre del "Bucket" (Carpeta en la nube donde se guardan fotos)
+function resolveDataBackend() {
+  const fromUrl = new URLSearchParams(window.location.search).get('backend')
+  if (DATA_BACKENDS.includes(fromUrl)) localStorage.setItem(DATA_BACKEND_KEY, fromUrl)
+  const chosen = localStorage.getItem(DATA_BACKEND_KEY) || import.meta.env.VITE_DATA_BACKEND
+  return DATA_BACKENDS.includes(chosen) ? chosen : 'supabase'
+}
+
+export const DATA_BACKEND = resolveDataBackend()
+export const isLocalBackend = DATA_BACKEND === 'local'
+
+// Cambiar de backend recarga la app para empezar con una sesión limpia
+export function switchDataBackend(backend) {
+  localStorage.setItem(DATA_BACKEND_KEY, backend)
+  const url = new URL(window.location.href)
+  url.searchParams.delete('backend')
+  window.location.replace(url.toString())
+}
+
+// Vuelve a los datos de ejemplo de la demo
+export async function resetDemoData() {
+  await resetLocalData()
+  window.location.reload()
+}
+
+// 1. La Conexión Principal. Toda la app usa esta interfaz (la API de supabase-js: from, rpc,
+//    auth y storage); el backend local implementa la misma superficie sobre datos en el navegador.
+export const supabase = isLocalBackend
+  ? createLocalClient()
+  : createClient(supabaseUrl, supabaseKey)
+
+// 2. Nombre del "Bucket" (Carpeta privada en la nube donde se guardan fotos)
 export const EVIDENCE_BUCKET = 'evidence-photos'
 
-// 3. Función para subir fotos (El Maestro y Logística la usan)
-export async function uploadEvidence(file, folder = 'misc') {
+// Las URLs firmadas caducan; las fotos nunca quedan expuestas con un enlace permanente
+export const EVIDENCE_URL_TTL_SECONDS = 60 * 60
+// Los enlaces que salen en las exportaciones a Excel duran una semana
+export const EVIDENCE_EXPORT_URL_TTL_SECONDS = 7 * 24 * 60 * 60
+
+// Archivos subidos que no llegaron a un reporte se borran pasado este plazo
+const ORPHAN_EVIDENCE_MAX_AGE_HOURS = 24
+
+// 3. Función para subir fotos (El Maestro y Logística la usan).
+//    folder es la ruta proyecto/fecha/reporte; devuelve la ruta del archivo (no una URL)
+export async function uploadEvidence(file, folder) {
   const fileExt = file.name.split('.').pop()
-  const fileName = `${Math.random()}.${fileExt}`
+  const fileName = `${crypto.randomUUID()}.${fileExt}`
   const filePath = `${folder}/${fileName}`
 
   // Subir archivo
   const { error: uploadError } = await supabase.storage
     .from(EVIDENCE_BUCKET)
-    .upload(filePath, file)
+    .upload(filePath, file, { contentType: file.type })
 
   if (uploadError) {
     console.error('Error subiendo imagen:', uploadError)
     return null
   }
 
-  // Obtener la URL pública para verla
-  const { data } = supabase.storage
+  // Registro para limpiar el archivo si nunca se vincula a un reporte
+  const { error: trackError } = await supabase
+    .from('evidence_uploads')
+    .insert({ path: filePath, project_id: folder.split('/')[0] })
+  if (trackError) console.error('Error registrando la subida:', trackError)
+
+  return filePath
+}
+
+// Rutas de fotos anteriores al bucket privado (guardaban la URL pública)
+export function evidencePathFromUrl(url) {
+  const marker = `/object/public/${EVIDENCE_BUCKET}/`
+  const index = url?.indexOf(marker) ?? -1
+  return index >= 0 ? decodeURIComponent(url.slice(index + marker.length).split('?')[0]) : null
+}
+
+// URLs firmadas para ver varias fotos a la vez: { ruta: url }
+export async function getEvidenceSignedUrls(paths, expiresIn = EVIDENCE_URL_TTL_SECONDS) {
+  const unique = [...new Set(paths.filter(Boolean))]
+  if (unique.length === 0) return {}
+  const { data, error } = await supabase.storage
     .from(EVIDENCE_BUCKET)
-    .getPublicUrl(filePath)
+    .createSignedUrls(unique, expiresIn)
+  if (error) {
+    console.error('Error firmando URLs:', error)
+    return {}
+  }
+  return Object.fromEntries(data.filter(item => item.signedUrl).map(item => [item.path, item.signedUrl]))
+}
 
-  return data.publicUrl
+export async function removeEvidence(paths) {
+  const toRemove = paths.filter(Boolean)
+  if (toRemove.length === 0) return
+  const { error } = await supabase.storage.from(EVIDENCE_BUCKET).remove(toRemove)
+  if (error) {
+    console.error('Error borrando evidencia:', error)
+    return
+  }
+  await supabase.from('evidence_uploads').delete().in('path', toRemove)
 }
 
-// 4. Función para obtener el perfil del usuario (Nombre, Rol)
-export async function getUserProfile(userId) {
+// Borra lo que el usuario subió y nunca envió (borradores abandonados).
+// keepPaths protege las fotos de reportes que esperan sincronizarse desde el dispositivo
+export async function cleanupOrphanEvidence(userId, projectId, keepPaths = []) {
+  const cutoff = new Date(Date.now() - ORPHAN_EVIDENCE_MAX_AGE_HOURS * 60 * 60 * 1000).toISOString()
   const { data, error } = await supabase
-    .from('profiles')
-    .select('*')
-    .eq('id', userId)
-    .single()
-  
-  if (error) return null
-  return data
+    .from('evidence_uploads')
+    .select('path')
+    .eq('uploaded_by', userId)
+    .eq('project_id', projectId)
+    .is('daily_report_id', null)
+    .lt('created_at', cutoff)
+  if (error) return 0
+  const keep = new Set(keepPaths)
+  const orphans = data.map(row => row.path).filter(path => !keep.has(path))
+  await removeEvidence(orphans)
+  return orphans.length
 }
 
-// 5. Función para saber qué proyectos puede ver el usuario
-export async function getUserProjects(userId, userRole) {
-  // Si es Admin o CEO, ve todo
-  if (userRole === 'admin' || userRole === 'ceo') {
-     const { data } = await supabase.from('projects').select('*')
-     return data || []
+// 4. Función para obtener el perfil del usuario (Nombre, Empresas, Roles y Permisos)
+const PROFILE_SELECT = '*, company_members(companies(id, name, ruc)), user_roles(roles(key, name, role_permissions(permission_key)))'
+
+// companies: [{ id, name, ruc }], roles: [{ key, name }] y permissions: ['reports.approve', ...] (unión de todos sus roles)
+function withPermissions(profile) {
+  const { user_roles: userRoles = [], company_members: memberships = [], ...rest } = profile
+  const roles = userRoles.map(ur => ur.roles).filter(Boolean)
+  return {
+    ...rest,
+    companies: memberships.map(m => m.companies).filter(Boolean).sort((a, b) => a.name.localeCompare(b.name)),
+    roles: roles.map(role => ({ key: role.key, name: role.name })),
+    permissions: [...new Set(roles.flatMap(role => role.role_permissions.map(rp => rp.permission_key)))]
   }
-  
-  // Si es mortal, solo sus asignados
-  const { data, error } = await supabase
+}
+
+async function fetchProfile(userId) {
+  return supabase.from('profiles').select(PROFILE_SELECT).eq('id', userId).single()
+}
+
+export async function getUserProfile(userId) {
+  const { data, error } = await fetchProfile(userId)
+  if (data) return withPermissions(data)
+
+  // Primer ingreso de un invitado: el perfil se crea desde su invitación
+  if (error?.code === 'PGRST116') {
+    const { error: inviteError } = await supabase.rpc('accept_invitation')
+    if (inviteError) {
+      console.warn('Invitación:', inviteError.message)
+      return null
+    }
+    const { data: invited } = await fetchProfile(userId)
+    return invited ? withPermissions(invited) : null
+  }
+  return null
+}
+
+export function hasPermission(profile, permission) {
+  return !!profile?.permissions?.includes(permission)
+}
+
+// Empresa con la que se trabaja: la última elegida en este dispositivo, si sigue siendo miembro
+const ACTIVE_COMPANY_KEY = 'erp_active_company'
+
+export function getActiveCompany(profile) {
+  const companies = profile?.companies || []
+  return companies.find(c => c.id === localStorage.getItem(ACTIVE_COMPANY_KEY)) || companies[0] || null
+}
+
+export function setActiveCompany(companyId) {
+  localStorage.setItem(ACTIVE_COMPANY_KEY, companyId)
+}
+
+// Perfil con los permisos que tiene en una obra: los de sus roles generales más los de su rol en ella
+export function withProjectRole(profile, project) {
+  if (!project?.project_role) return profile
+  return { ...profile, permissions: [...new Set([...profile.permissions, ...project.project_role.permissions])] }
+}
+
+const isAssignmentActive = (assignment, today) =>
+  (!assignment.start_date || assignment.start_date <= today) && (!assignment.end_date || assignment.end_date >= today)
+
+// 5. Función para saber qué proyectos de la empresa puede ver el usuario.
+//    Cada proyecto trae project_role: { key, name, permissions } si tiene un rol vigente en esa obra
+export async function getUserProjects(userId, profile, companyId) {
+  if (!companyId) return []
+  const today = todayISO()
+  const { data: assignments, error } = await supabase
     .from('project_assignments')
-    .select('project_id, projects(*)')
+    .select('project_id, start_date, end_date, projects(*), roles(key, name, role_permissions(permission_key))')
     .eq('user_id', userId)
+  const active = (assignments || []).filter(a => isAssignmentActive(a, today))
+  const projectRole = (projectId) => {
+    const role = active.find(a => a.project_id === projectId)?.roles
+    return role ? { key: role.key, name: role.name, permissions: role.role_permissions.map(rp => rp.permission_key) } : null
+  }
+
+  // Con projects.view_all (administración, gerencia) ve todo
+  if (hasPermission(profile, 'projects.view_all')) {
+     const { data } = await supabase.from('projects').select('*').eq('company_id', companyId)
+     return (data || []).map(project => ({ ...project, project_role: projectRole(project.id) }))
+  }
   
-  if (error || !data) return []
-  // Limpiamos el formato de datos
-  return data.map(item => item.projects)
+  // Si es mortal, solo sus asignaciones vigentes
+  if (error) return []
+  return active
+    .filter(item => item.projects?.company_id === companyId)
+    .map(item => ({ ...item.projects, project_role: projectRole(item.project_id) }))
+}
+
+// 6. Stock en almacén de obra: ingresos (guías) menos consumo de los reportes diarios.
+//    Se descuenta todo lo reportado salvo lo observado, porque el material ya salió del almacén
+//    aunque el ingeniero todavía no apruebe el reporte.
+export async function getMaterialStock(projectId, { excludeReportId } = {}) {
+  const [receiptsRes, reportsRes] = await Promise.all([
+    supabase
+      .from('warehouse_receipt_items')
+      .select('material_id, quantity, warehouse_receipts!inner(project_id)')
+      .eq('warehouse_receipts.project_id', projectId),
+    supabase
+      .from('daily_reports')
+      .select('id, materials_data, status')
+      .eq('project_id', projectId)
+      .neq('status', 'rejected')
+  ])
+
+  const stock = {}
+  const entry = (materialId) => {
+    if (!stock[materialId]) stock[materialId] = { received: 0, consumed: 0, available: 0 }
+    return stock[materialId]
+  }
+
+  receiptsRes.data?.forEach(item => {
+    entry(item.material_id).received += Number(item.quantity) || 0
+  })
+
+  reportsRes.data?.forEach(report => {
+    if (report.id === excludeReportId) return
+    report.materials_data?.forEach(mat => {
+      entry(mat.material_id).consumed += Number(mat.quantity) || 0
+    })
+  })
+
+  Object.values(stock).forEach(s => { s.available = s.received - s.consumed })
+  return stock
+}
+
+// 7. Invitaciones y contraseña olvidada: Supabase Auth envía el enlace por correo.
+//    Las URLs de retorno deben estar en "Redirect URLs" de la configuración de Auth.
+export async function sendInvitationEmail(email) {
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: { shouldCreateUser: true, emailRedirectTo: window.location.origin }
+  })
+  if (error) throw error
+}
+
+export const PASSWORD_RESET_PATH = '/reset-password'
+
+export async function sendPasswordResetEmail(email) {
+  const { error } = await supabase.auth.resetPasswordForEmail(email, {
+    redirectTo: `${window.location.origin}${PASSWORD_RESET_PATH}`
+  })
+  if (error) throw error
+}
+
+// Correos enviados en el modo demostración (no hay servidor de correo)
+export async function listDemoMail() {
+  return isLocalBackend ? supabase.mailbox.list() : []
 }
\ No newline at end of file
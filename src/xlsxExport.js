@@ -0,0 +1,360 @@
+// Libros de Excel (.xlsx) generados en el navegador, sin librerías. Un .xlsx es un ZIP con XML
+// (SpreadsheetML): aquí se arma con celdas tipadas (números, montos con su moneda, porcentajes,
+// fechas y enlaces), encabezado congelado con filtro y varias hojas por libro. Los textos van como
+// "inline strings", así no hace falta la tabla de cadenas compartidas y las tildes llegan intactas.
+//
+// Una hoja se describe así:
+//   { name: 'Reportes', columns: [{ header: 'Fecha', type: 'date', value: r => r.report_date }], rows }
+// Tipos de columna: text (por defecto), number, integer, currency (con `currency`: código o función
+// de la fila), percent (fracción: 0.25 = 25 %), date ('YYYY-MM-DD' o ISO) y link ({ url, text } o url).
+
+import { todayISO } from './dates'
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+const MAX_SHEET_NAME = 31
+const MAX_AUTO_WIDTH = 60
+
+// 1. ZIP sin compresión (método "stored"): Excel lo abre igual y no hace falta implementar deflate
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+function zip(files) {
+  const encoder = new TextEncoder()
+  const stamp = dosDateTime(new Date())
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name)
+    const data = encoder.encode(file.data)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true) // nombres en UTF-8
+    local.setUint16(8, 0, true)
+    local.setUint16(10, stamp.time, true)
+    local.setUint16(12, stamp.date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, stamp.time, true)
+    central.setUint16(14, stamp.date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+
+    localParts.push(new Uint8Array(local.buffer), name, data)
+    centralParts.push(new Uint8Array(central.buffer), name)
+    offset += 30 + name.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  parts.forEach(part => {
+    output.set(part, position)
+    position += part.length
+  })
+  return output
+}
+
+// 2. XML
+// Se quitan los caracteres de control que XML no admite (vienen a veces de textos pegados);
+// tabulación, salto de línea y retorno de carro sí se conservan
+const XML_ALLOWED_CONTROLS = new Set([9, 10, 13])
+const isXmlChar = (char) => char.charCodeAt(0) >= 32 || XML_ALLOWED_CONTROLS.has(char.charCodeAt(0))
+
+function escapeXml(value) {
+  return Array.from(String(value)).filter(isXmlChar).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships'
+
+// 3. Estilos: índices fijos de cellXfs; los formatos de moneda se agregan al final, uno por moneda
+const CURRENCY_FORMATS = {
+  PEN: '"S/" #,##0.00',
+  USD: '"US$" #,##0.00'
+}
+const CURRENCY_CODES = Object.keys(CURRENCY_FORMATS)
+
+const STYLE = { default: 0, header: 1, number: 2, integer: 3, percent: 4, date: 5, link: 6 }
+// Una moneda sin formato propio queda como número simple: mejor sin símbolo que con uno equivocado
+const currencyStyle = (code) => (CURRENCY_CODES.includes(code) ? 7 + CURRENCY_CODES.indexOf(code) : STYLE.number)
+
+function stylesXml() {
+  const numFmts = [
+    '<numFmt numFmtId="164" formatCode="dd/mm/yyyy"/>',
+    ...CURRENCY_CODES.map((code, i) => `<numFmt numFmtId="${165 + i}" formatCode="${escapeXml(CURRENCY_FORMATS[code])}"/>`)
+  ]
+  const xfs = [
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+    '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>',
+    '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+    '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+    '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+    '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>',
+    ...CURRENCY_CODES.map((_, i) => `<xf numFmtId="${165 + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`)
+  ]
+  return XML_HEADER +
+    `<styleSheet xmlns="${NS_MAIN}">` +
+    `<numFmts count="${numFmts.length}">${numFmts.join('')}</numFmts>` +
+    '<fonts count="3">' +
+    '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+    '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/><family val="2"/></font>' +
+    '</fonts>' +
+    '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+    '<fill><patternFill patternType="solid"><fgColor rgb="FFE5E7EB"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>` +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>'
+}
+
+// 4. Celdas
+// Número de serie de Excel: días desde el 30/12/1899 (las fechas se toman como día calendario)
+function excelDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''))
+  if (!match) return null
+  return (Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) - Date.UTC(1899, 11, 30)) / 86400000
+}
+
+function textCell(ref, text, style = STYLE.default) {
+  const styleAttr = style ? ` s="${style}"` : ''
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`
+}
+
+function numberCell(ref, number, style) {
+  return `<c r="${ref}" s="${style}"><v>${number}</v></c>`
+}
+
+// Devuelve el XML de la celda y, para enlaces, la URL a registrar en las relaciones de la hoja
+function buildCell(ref, column, row) {
+  const value = column.value(row)
+  if (value === null || value === undefined || value === '') return { xml: '' }
+
+  switch (column.type) {
+    case 'number':
+    case 'integer':
+    case 'percent':
+    case 'currency': {
+      const number = Number(value)
+      if (!Number.isFinite(number)) return { xml: textCell(ref, value) }
+      const style = column.type === 'currency'
+        ? currencyStyle(typeof column.currency === 'function' ? column.currency(row) : column.currency)
+        : STYLE[column.type]
+      return { xml: numberCell(ref, number, style) }
+    }
+    case 'date': {
+      const serial = excelDate(value)
+      return { xml: serial === null ? textCell(ref, value) : numberCell(ref, serial, STYLE.date) }
+    }
+    case 'link': {
+      const link = typeof value === 'string' ? { url: value, text: value } : value
+      if (!link.url) return { xml: link.text ? textCell(ref, link.text) : '' }
+      return { xml: textCell(ref, link.text || link.url, STYLE.link), url: link.url }
+    }
+    default:
+      return { xml: textCell(ref, value) }
+  }
+}
+
+// 5. Hojas
+function displayLength(column, row) {
+  const value = column.value(row)
+  if (value === null || value === undefined) return 0
+  if (column.type === 'date') return 10
+  if (column.type === 'link') return String(typeof value === 'string' ? value : value.text || '').length
+  if (['number', 'integer', 'currency', 'percent'].includes(column.type)) return String(Math.round(Number(value) || 0)).length + 6
+  return String(value).length
+}
+
+function sheetXml(sheet) {
+  const { columns, rows } = sheet
+  const lastColumn = columnName(Math.max(columns.length - 1, 0))
+  const range = `A1:${lastColumn}${rows.length + 1}`
+  const links = []
+
+  const headerCells = columns.map((column, i) => textCell(`${columnName(i)}1`, column.header, STYLE.header)).join('')
+  const dataRows = rows.map((row, r) => {
+    const rowNumber = r + 2
+    const cells = columns.map((column, i) => {
+      const ref = `${columnName(i)}${rowNumber}`
+      const cell = buildCell(ref, column, row)
+      if (cell.url) links.push({ ref, url: cell.url })
+      return cell.xml
+    }).join('')
+    return `<row r="${rowNumber}">${cells}</row>`
+  })
+
+  const widths = columns.map(column => column.width || Math.min(
+    Math.max(String(column.header).length, ...rows.map(row => displayLength(column, row))) + 2,
+    MAX_AUTO_WIDTH
+  ))
+
+  const xml = XML_HEADER +
+    `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+    `<dimension ref="${range}"/>` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft"/>' +
+    '</sheetView></sheetViews>' +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+    `<sheetData><row r="1">${headerCells}</row>${dataRows.join('')}</sheetData>` +
+    `<autoFilter ref="${range}"/>` +
+    (links.length > 0
+      ? `<hyperlinks>${links.map((link, i) => `<hyperlink ref="${link.ref}" r:id="rId${i + 1}"/>`).join('')}</hyperlinks>`
+      : '') +
+    '</worksheet>'
+
+  const rels = links.length > 0
+    ? XML_HEADER + `<Relationships xmlns="${NS_PKG_REL}">` +
+      links.map((link, i) =>
+        `<Relationship Id="rId${i + 1}" Type="${NS_REL}/hyperlink" Target="${escapeXml(link.url)}" TargetMode="External"/>`
+      ).join('') +
+      '</Relationships>'
+    : null
+
+  return { xml, rels, range }
+}
+
+// Excel no admite []:*?/\ en el nombre de la hoja, ni más de 31 caracteres, ni nombres repetidos
+function sheetNames(sheets) {
+  const used = new Set()
+  return sheets.map((sheet, i) => {
+    const base = String(sheet.name || `Hoja${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_SHEET_NAME) || `Hoja${i + 1}`
+    let name = base
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      const suffix = ` (${n})`
+      name = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix
+    }
+    used.add(name.toLowerCase())
+    return name
+  })
+}
+
+// 6. Libro completo
+export function buildWorkbook(sheets) {
+  const names = sheetNames(sheets)
+  const built = sheets.map(sheetXml)
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        built.map((_, i) =>
+          `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: XML_HEADER + `<Relationships xmlns="${NS_PKG_REL}">` +
+        `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: XML_HEADER + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+        '<bookViews><workbookView/></bookViews>' +
+        `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+        // El filtro de cada hoja necesita su nombre definido para que Excel lo reconozca
+        '<definedNames>' +
+        built.map(({ range }, i) => {
+          const absolute = range.split(':').map(ref => ref.replace(/^([A-Z]+)(\d+)$/, '$$$1$$$2')).join(':')
+          return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">${escapeXml(`'${names[i].replace(/'/g, "''")}'!${absolute}`)}</definedName>`
+        }).join('') +
+        '</definedNames>' +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: XML_HEADER + `<Relationships xmlns="${NS_PKG_REL}">` +
+        built.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${built.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    { name: 'xl/styles.xml', data: stylesXml() }
+  ]
+
+  built.forEach((sheet, i) => {
+    files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheet.xml })
+    if (sheet.rels) files.push({ name: `xl/worksheets/_rels/sheet${i + 1}.xml.rels`, data: sheet.rels })
+  })
+
+  return new Blob([zip(files)], { type: XLSX_MIME })
+}
+
+// 7. Descarga, con la fecha del día en el nombre como las exportaciones anteriores
+export function downloadWorkbook(sheets, filename) {
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(buildWorkbook(sheets))
+  link.download = `${filename}_${todayISO()}.xlsx`
+  link.click()
+  // Algunos navegadores leen el blob después del click: se libera cuando la descarga ya empezó
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+}
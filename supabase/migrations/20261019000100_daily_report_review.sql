@@ -0,0 +1,21 @@
+-- Flujo de aprobación de reportes diarios.
+-- Un reporte nace 'pending'; solo al aprobarlo el ingeniero se suma su avance a la partida
+-- y su costo al dashboard. 'rejected' lo devuelve al maestro de obra para corrección.
+
+alter table public.daily_reports
+  add column if not exists status text not null default 'approved',
+  add column if not exists review_comment text,
+  add column if not exists reviewed_by uuid references auth.users (id),
+  add column if not exists reviewed_at timestamptz;
+
+-- Los reportes existentes ya sumaron su avance, por eso quedan como aprobados;
+-- a partir de aquí los nuevos entran como pendientes.
+alter table public.daily_reports
+  alter column status set default 'pending';
+
+alter table public.daily_reports
+  add constraint daily_reports_status_check
+  check (status in ('pending', 'approved', 'rejected'));
+
+create index if not exists daily_reports_project_status_idx
+  on public.daily_reports (project_id, status);
@@ -0,0 +1,59 @@
+-- Tarifas de mano de obra por proyecto con fecha de vigencia.
+-- Las filas no se editan: una nueva vigencia reemplaza a la anterior desde effective_from,
+-- y cada reporte guarda en labor_data la tarifa que aplicó en su fecha.
+
+create table if not exists public.labor_rates (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  category text not null check (category in ('operario', 'oficial', 'peon', 'capataz')),
+  hourly_rate numeric(12, 2) not null check (hourly_rate > 0),
+  overtime_first_pct numeric(5, 2) not null default 60,
+  overtime_after_pct numeric(5, 2) not null default 100,
+  night_pct numeric(5, 2) not null default 35,
+  effective_from date not null,
+  created_at timestamptz not null default now(),
+  unique (project_id, category, effective_from)
+);
+
+create index if not exists labor_rates_project_idx
+  on public.labor_rates (project_id, effective_from);
+
+-- Acceso a datos de obra: las tablas por proyecto las lee quien tiene acceso a la obra (admin y
+-- ceo ven todas; el resto, las de sus asignaciones) y las escribe el rol que atiende el módulo.
+-- has_role y can_access_project son las reglas que comparten las siguientes migraciones.
+create or replace function public.has_role(p_roles text[], p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.profiles p where p.id = p_user and p.role = any (p_roles));
+$$;
+
+grant execute on function public.has_role(text[], uuid) to authenticated;
+
+create or replace function public.can_access_project(p_project uuid, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_role(array['admin', 'ceo'], p_user) or exists (
+    select 1 from public.project_assignments pa
+    where pa.user_id = p_user and pa.project_id = p_project
+  );
+$$;
+
+grant execute on function public.can_access_project(uuid, uuid) to authenticated;
+
+-- Las tarifas las usa el reporte diario de la obra; solo las cambia el administrador
+alter table public.labor_rates enable row level security;
+
+drop policy if exists "labor rates readable by project members" on public.labor_rates;
+create policy "labor rates readable by project members" on public.labor_rates for select to authenticated
+  using (public.can_access_project(project_id));
+drop policy if exists "labor rates managed" on public.labor_rates;
+create policy "labor rates managed" on public.labor_rates for all to authenticated
+  using (public.has_role(array['admin'])) with check (public.has_role(array['admin']));
@@ -0,0 +1,58 @@
+-- Padrón de trabajadores por proyecto y tareo diario.
+-- La mano de obra de cada reporte diario se genera desde tareo_entries; al enviar el reporte
+-- las filas usadas quedan vinculadas por daily_report_id y ya no se pueden reutilizar.
+
+create table if not exists public.workers (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  dni char(8) not null check (dni ~ '^[0-9]{8}$'),
+  full_name text not null,
+  category text not null check (category in ('operario', 'oficial', 'peon', 'capataz')),
+  hire_date date not null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  unique (project_id, dni)
+);
+
+create table if not exists public.tareo_entries (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  worker_id uuid not null references public.workers (id) on delete cascade,
+  work_date date not null,
+  attendance text not null default 'present' check (attendance in ('present', 'absent')),
+  partida_id uuid references public.partidas (id),
+  hours numeric(5, 2) not null default 0 check (hours >= 0),
+  overtime_hours numeric(5, 2) not null default 0 check (overtime_hours >= 0),
+  night_shift boolean not null default false,
+  daily_report_id uuid references public.daily_reports (id) on delete set null,
+  created_by uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  check (attendance = 'absent' or partida_id is not null)
+);
+
+create index if not exists tareo_entries_project_date_idx
+  on public.tareo_entries (project_id, work_date);
+
+create index if not exists tareo_entries_report_idx
+  on public.tareo_entries (daily_report_id);
+
+-- Personal y tareo: los lee quien tiene acceso a la obra y los registra el maestro de obra
+-- asignado, que también vincula las filas al enviar su reporte
+alter table public.workers enable row level security;
+alter table public.tareo_entries enable row level security;
+
+drop policy if exists "workers readable by project members" on public.workers;
+create policy "workers readable by project members" on public.workers for select to authenticated
+  using (public.can_access_project(project_id));
+drop policy if exists "workers managed" on public.workers;
+create policy "workers managed" on public.workers for all to authenticated
+  using (public.has_role(array['foreman']) and public.can_access_project(project_id))
+  with check (public.has_role(array['foreman']) and public.can_access_project(project_id));
+
+drop policy if exists "tareo readable by project members" on public.tareo_entries;
+create policy "tareo readable by project members" on public.tareo_entries for select to authenticated
+  using (public.can_access_project(project_id));
+drop policy if exists "tareo managed" on public.tareo_entries;
+create policy "tareo managed" on public.tareo_entries for all to authenticated
+  using (public.has_role(array['foreman']) and public.can_access_project(project_id))
+  with check (public.has_role(array['foreman']) and public.can_access_project(project_id));
@@ -0,0 +1,50 @@
+-- Categorías del catálogo de materiales e historial de precios con vigencia.
+-- materials_catalog.unit_cost se mantiene como el precio vigente hoy; los reportes
+-- diarios se valorizan con el precio de material_prices vigente en su fecha.
+
+create table if not exists public.material_categories (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table public.materials_catalog
+  add column if not exists category_id uuid references public.material_categories (id);
+
+create table if not exists public.material_prices (
+  id uuid primary key default gen_random_uuid(),
+  material_id uuid not null references public.materials_catalog (id) on delete cascade,
+  unit_cost numeric(12, 2) not null check (unit_cost >= 0),
+  effective_from date not null,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now(),
+  unique (material_id, effective_from)
+);
+
+create index if not exists material_prices_material_idx
+  on public.material_prices (material_id, effective_from);
+
+-- El precio actual de cada material pasa a ser su primera vigencia conocida
+insert into public.material_prices (material_id, unit_cost, effective_from)
+select id, coalesce(unit_cost, 0), date '2000-01-01'
+from public.materials_catalog
+on conflict (material_id, effective_from) do nothing;
+
+-- Categorías y precios no son de una obra: los lee cualquier usuario y los mantiene logística
+alter table public.material_categories enable row level security;
+alter table public.material_prices enable row level security;
+
+drop policy if exists "material categories readable" on public.material_categories;
+create policy "material categories readable" on public.material_categories for select to authenticated
+  using (true);
+drop policy if exists "material categories managed" on public.material_categories;
+create policy "material categories managed" on public.material_categories for all to authenticated
+  using (public.has_role(array['logistics'])) with check (public.has_role(array['logistics']));
+
+drop policy if exists "material prices readable" on public.material_prices;
+create policy "material prices readable" on public.material_prices for select to authenticated
+  using (true);
+drop policy if exists "material prices managed" on public.material_prices;
+create policy "material prices managed" on public.material_prices for all to authenticated
+  using (public.has_role(array['logistics'])) with check (public.has_role(array['logistics']));
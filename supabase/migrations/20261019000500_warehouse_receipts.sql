@@ -0,0 +1,58 @@
+-- Ingresos a almacén de obra (guías de remisión). El stock disponible se calcula en el
+-- cliente como ingresos menos el consumo registrado en los reportes diarios.
+
+create table if not exists public.warehouse_receipts (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  receipt_date date not null,
+  guia_remision text not null,
+  supplier_name text not null,
+  notes text,
+  created_by uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  unique (project_id, supplier_name, guia_remision)
+);
+
+create table if not exists public.warehouse_receipt_items (
+  id uuid primary key default gen_random_uuid(),
+  receipt_id uuid not null references public.warehouse_receipts (id) on delete cascade,
+  material_id uuid not null references public.materials_catalog (id),
+  quantity numeric(12, 2) not null check (quantity > 0),
+  unit_cost numeric(12, 2) not null default 0
+);
+
+create index if not exists warehouse_receipts_project_idx
+  on public.warehouse_receipts (project_id, receipt_date);
+
+create index if not exists warehouse_receipt_items_receipt_idx
+  on public.warehouse_receipt_items (receipt_id);
+
+-- El stock de la obra lo consultan todos sus miembros; los ingresos los registra logística en
+-- sus obras. Los ítems siguen a su ingreso.
+alter table public.warehouse_receipts enable row level security;
+alter table public.warehouse_receipt_items enable row level security;
+
+drop policy if exists "warehouse receipts readable by project members" on public.warehouse_receipts;
+create policy "warehouse receipts readable by project members" on public.warehouse_receipts for select to authenticated
+  using (public.can_access_project(project_id));
+drop policy if exists "warehouse receipts managed" on public.warehouse_receipts;
+create policy "warehouse receipts managed" on public.warehouse_receipts for all to authenticated
+  using (public.has_role(array['logistics']) and public.can_access_project(project_id))
+  with check (public.has_role(array['logistics']) and public.can_access_project(project_id));
+
+drop policy if exists "warehouse receipt items readable by project members" on public.warehouse_receipt_items;
+create policy "warehouse receipt items readable by project members" on public.warehouse_receipt_items for select to authenticated
+  using (exists (
+    select 1 from public.warehouse_receipts r
+    where r.id = receipt_id and public.can_access_project(r.project_id)
+  ));
+drop policy if exists "warehouse receipt items managed" on public.warehouse_receipt_items;
+create policy "warehouse receipt items managed" on public.warehouse_receipt_items for all to authenticated
+  using (exists (
+    select 1 from public.warehouse_receipts r
+    where r.id = receipt_id and public.has_role(array['logistics']) and public.can_access_project(r.project_id)
+  ))
+  with check (exists (
+    select 1 from public.warehouse_receipts r
+    where r.id = receipt_id and public.has_role(array['logistics']) and public.can_access_project(r.project_id)
+  ));
@@ -0,0 +1,133 @@
+-- Flujo de compras: requerimiento de obra -> orden de compra -> recepción en almacén.
+-- Las recepciones de una OC se registran como ingresos de almacén enlazados a la orden.
+
+create table if not exists public.purchase_requisitions (
+  id uuid primary key default gen_random_uuid(),
+  number bigint generated always as identity,
+  project_id uuid not null references public.projects (id) on delete cascade,
+  -- Referencia a profiles para poder embeber el nombre del solicitante
+  requested_by uuid not null references public.profiles (id),
+  required_date date,
+  status text not null default 'pending',
+  notes text,
+  review_comment text,
+  reviewed_by uuid references auth.users (id),
+  reviewed_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint purchase_requisitions_status_check
+    check (status in ('pending', 'ordered', 'rejected'))
+);
+
+create table if not exists public.purchase_requisition_items (
+  id uuid primary key default gen_random_uuid(),
+  requisition_id uuid not null references public.purchase_requisitions (id) on delete cascade,
+  material_id uuid not null references public.materials_catalog (id),
+  quantity numeric(12, 2) not null check (quantity > 0),
+  notes text
+);
+
+create table if not exists public.purchase_orders (
+  id uuid primary key default gen_random_uuid(),
+  number bigint generated always as identity,
+  project_id uuid not null references public.projects (id) on delete cascade,
+  requisition_id uuid references public.purchase_requisitions (id) on delete set null,
+  supplier_name text not null,
+  order_date date not null default current_date,
+  status text not null default 'issued',
+  created_by uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  constraint purchase_orders_status_check
+    check (status in ('issued', 'partial', 'received', 'cancelled'))
+);
+
+create table if not exists public.purchase_order_items (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.purchase_orders (id) on delete cascade,
+  material_id uuid not null references public.materials_catalog (id),
+  quantity numeric(12, 2) not null check (quantity > 0),
+  unit_cost numeric(12, 2) not null default 0,
+  received_quantity numeric(12, 2) not null default 0
+);
+
+alter table public.warehouse_receipts
+  add column if not exists purchase_order_id uuid references public.purchase_orders (id) on delete set null;
+
+create index if not exists purchase_requisitions_project_idx
+  on public.purchase_requisitions (project_id, status);
+
+create index if not exists purchase_orders_project_idx
+  on public.purchase_orders (project_id, status);
+
+create index if not exists purchase_order_items_order_idx
+  on public.purchase_order_items (order_id);
+
+-- Requerimientos y órdenes los ven los miembros de la obra. El requerimiento lo registran el
+-- ingeniero y el maestro de obra (a su nombre); logística lo atiende o rechaza y emite y recibe
+-- las órdenes. Los ítems siguen a su cabecera.
+alter table public.purchase_requisitions enable row level security;
+alter table public.purchase_requisition_items enable row level security;
+alter table public.purchase_orders enable row level security;
+alter table public.purchase_order_items enable row level security;
+
+drop policy if exists "requisitions readable by project members" on public.purchase_requisitions;
+create policy "requisitions readable by project members" on public.purchase_requisitions for select to authenticated
+  using (public.can_access_project(project_id));
+drop policy if exists "requisitions created" on public.purchase_requisitions;
+create policy "requisitions created" on public.purchase_requisitions for insert to authenticated
+  with check (
+    requested_by = auth.uid()
+    and public.has_role(array['engineer', 'foreman'])
+    and public.can_access_project(project_id)
+  );
+drop policy if exists "requisitions managed by purchasing" on public.purchase_requisitions;
+create policy "requisitions managed by purchasing" on public.purchase_requisitions for all to authenticated
+  using (public.has_role(array['logistics']) and public.can_access_project(project_id))
+  with check (public.has_role(array['logistics']) and public.can_access_project(project_id));
+
+drop policy if exists "requisition items readable by project members" on public.purchase_requisition_items;
+create policy "requisition items readable by project members" on public.purchase_requisition_items for select to authenticated
+  using (exists (
+    select 1 from public.purchase_requisitions r
+    where r.id = requisition_id and public.can_access_project(r.project_id)
+  ));
+drop policy if exists "requisition items created by requester" on public.purchase_requisition_items;
+create policy "requisition items created by requester" on public.purchase_requisition_items for insert to authenticated
+  with check (exists (
+    select 1 from public.purchase_requisitions r
+    where r.id = requisition_id and r.requested_by = auth.uid() and r.status = 'pending'
+  ));
+drop policy if exists "requisition items managed by purchasing" on public.purchase_requisition_items;
+create policy "requisition items managed by purchasing" on public.purchase_requisition_items for all to authenticated
+  using (exists (
+    select 1 from public.purchase_requisitions r
+    where r.id = requisition_id and public.has_role(array['logistics']) and public.can_access_project(r.project_id)
+  ))
+  with check (exists (
+    select 1 from public.purchase_requisitions r
+    where r.id = requisition_id and public.has_role(array['logistics']) and public.can_access_project(r.project_id)
+  ));
+
+drop policy if exists "purchase orders readable by project members" on public.purchase_orders;
+create policy "purchase orders readable by project members" on public.purchase_orders for select to authenticated
+  using (public.can_access_project(project_id));
+drop policy if exists "purchase orders managed" on public.purchase_orders;
+create policy "purchase orders managed" on public.purchase_orders for all to authenticated
+  using (public.has_role(array['logistics']) and public.can_access_project(project_id))
+  with check (public.has_role(array['logistics']) and public.can_access_project(project_id));
+
+drop policy if exists "purchase order items readable by project members" on public.purchase_order_items;
+create policy "purchase order items readable by project members" on public.purchase_order_items for select to authenticated
+  using (exists (
+    select 1 from public.purchase_orders o
+    where o.id = order_id and public.can_access_project(o.project_id)
+  ));
+drop policy if exists "purchase order items managed" on public.purchase_order_items;
+create policy "purchase order items managed" on public.purchase_order_items for all to authenticated
+  using (exists (
+    select 1 from public.purchase_orders o
+    where o.id = order_id and public.has_role(array['logistics']) and public.can_access_project(o.project_id)
+  ))
+  with check (exists (
+    select 1 from public.purchase_orders o
+    where o.id = order_id and public.has_role(array['logistics']) and public.can_access_project(o.project_id)
+  ));
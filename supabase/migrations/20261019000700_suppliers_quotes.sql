@@ -0,0 +1,74 @@
+-- Maestro de proveedores (RUC validado en el cliente) y cuadro comparativo de cotizaciones
+-- por ítem de requerimiento. La cotización ganadora alimenta la OC y el historial de precios.
+
+create table if not exists public.suppliers (
+  id uuid primary key default gen_random_uuid(),
+  ruc text not null unique check (ruc ~ '^(10|15|17|20)[0-9]{9}$'),
+  business_name text not null,
+  trade_name text,
+  address text,
+  payment_terms_days integer not null default 0 check (payment_terms_days >= 0),
+  contacts jsonb not null default '[]'::jsonb,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.supplier_quotes (
+  id uuid primary key default gen_random_uuid(),
+  requisition_item_id uuid not null references public.purchase_requisition_items (id) on delete cascade,
+  supplier_id uuid not null references public.suppliers (id),
+  unit_cost numeric(12, 2) not null check (unit_cost >= 0),
+  delivery_days integer,
+  is_winner boolean not null default false,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now(),
+  unique (requisition_item_id, supplier_id)
+);
+
+-- Una sola cotización ganadora por ítem
+create unique index if not exists supplier_quotes_winner_idx
+  on public.supplier_quotes (requisition_item_id) where is_winner;
+
+alter table public.purchase_orders
+  add column if not exists supplier_id uuid references public.suppliers (id);
+
+alter table public.warehouse_receipts
+  add column if not exists supplier_id uuid references public.suppliers (id);
+
+alter table public.material_prices
+  add column if not exists supplier_quote_id uuid references public.supplier_quotes (id) on delete set null;
+
+-- Proveedores: maestro compartido entre obras que mantiene logística. Las cotizaciones son de un
+-- requerimiento: las ven los miembros de su obra y las registra logística en esa obra.
+alter table public.suppliers enable row level security;
+alter table public.supplier_quotes enable row level security;
+
+drop policy if exists "suppliers readable" on public.suppliers;
+create policy "suppliers readable" on public.suppliers for select to authenticated
+  using (true);
+drop policy if exists "suppliers managed" on public.suppliers;
+create policy "suppliers managed" on public.suppliers for all to authenticated
+  using (public.has_role(array['logistics'])) with check (public.has_role(array['logistics']));
+
+drop policy if exists "supplier quotes readable by project members" on public.supplier_quotes;
+create policy "supplier quotes readable by project members" on public.supplier_quotes for select to authenticated
+  using (exists (
+    select 1
+    from public.purchase_requisition_items i
+    join public.purchase_requisitions r on r.id = i.requisition_id
+    where i.id = requisition_item_id and public.can_access_project(r.project_id)
+  ));
+drop policy if exists "supplier quotes managed" on public.supplier_quotes;
+create policy "supplier quotes managed" on public.supplier_quotes for all to authenticated
+  using (exists (
+    select 1
+    from public.purchase_requisition_items i
+    join public.purchase_requisitions r on r.id = i.requisition_id
+    where i.id = requisition_item_id and public.has_role(array['logistics']) and public.can_access_project(r.project_id)
+  ))
+  with check (exists (
+    select 1
+    from public.purchase_requisition_items i
+    join public.purchase_requisitions r on r.id = i.requisition_id
+    where i.id = requisition_item_id and public.has_role(array['logistics']) and public.can_access_project(r.project_id)
+  ));
@@ -0,0 +1,69 @@
+-- Valorizaciones mensuales al cliente. Cada ítem guarda una copia de la partida
+-- (código, precio unitario, metrado) para que la hoja no cambie si luego se edita el presupuesto.
+-- Las valorizaciones aprobadas son el ingreso real en el flujo de caja del CEO.
+
+create table if not exists public.valuations (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  number integer not null,
+  period_start date not null,
+  period_end date not null,
+  total_amount numeric(14, 2) not null default 0,
+  status text not null default 'draft',
+  approved_date date,
+  approved_by uuid references auth.users (id),
+  created_by uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  unique (project_id, number),
+  unique (project_id, period_start),
+  constraint valuations_status_check
+    check (status in ('draft', 'submitted', 'approved')),
+  constraint valuations_approved_date_check
+    check (status <> 'approved' or approved_date is not null)
+);
+
+create table if not exists public.valuation_items (
+  id uuid primary key default gen_random_uuid(),
+  valuation_id uuid not null references public.valuations (id) on delete cascade,
+  partida_id uuid references public.partidas (id) on delete set null,
+  code text not null,
+  name text not null,
+  unit text,
+  unit_price numeric(12, 2) not null default 0,
+  budgeted_quantity numeric(12, 2) not null default 0,
+  previous_quantity numeric(12, 2) not null default 0,
+  current_quantity numeric(12, 2) not null default 0
+);
+
+create index if not exists valuation_items_valuation_idx
+  on public.valuation_items (valuation_id);
+
+-- Las ven los miembros de la obra (y gerencia); las genera, presenta y aprueba el ingeniero
+-- asignado. Los ítems siguen a su cabecera.
+alter table public.valuations enable row level security;
+alter table public.valuation_items enable row level security;
+
+drop policy if exists "valuations readable by project members" on public.valuations;
+create policy "valuations readable by project members" on public.valuations for select to authenticated
+  using (public.can_access_project(project_id));
+drop policy if exists "valuations managed" on public.valuations;
+create policy "valuations managed" on public.valuations for all to authenticated
+  using (public.has_role(array['engineer']) and public.can_access_project(project_id))
+  with check (public.has_role(array['engineer']) and public.can_access_project(project_id));
+
+drop policy if exists "valuation items readable by project members" on public.valuation_items;
+create policy "valuation items readable by project members" on public.valuation_items for select to authenticated
+  using (exists (
+    select 1 from public.valuations v
+    where v.id = valuation_id and public.can_access_project(v.project_id)
+  ));
+drop policy if exists "valuation items managed" on public.valuation_items;
+create policy "valuation items managed" on public.valuation_items for all to authenticated
+  using (exists (
+    select 1 from public.valuations v
+    where v.id = valuation_id and public.has_role(array['engineer']) and public.can_access_project(v.project_id)
+  ))
+  with check (exists (
+    select 1 from public.valuations v
+    where v.id = valuation_id and public.has_role(array['engineer']) and public.can_access_project(v.project_id)
+  ));
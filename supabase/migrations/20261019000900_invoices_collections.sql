@@ -0,0 +1,70 @@
+-- Facturas emitidas contra valorizaciones aprobadas y cobranzas registradas.
+-- Los descuentos del cliente (detracción, retención, fondo de garantía) se calculan
+-- en el cliente al emitir y quedan guardados en la factura; cada cobro indica a cuál concepto aplica.
+
+create table if not exists public.invoices (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  valuation_id uuid not null references public.valuations (id),
+  invoice_number text not null unique,
+  issue_date date not null,
+  due_date date not null,
+  subtotal numeric(14, 2) not null,
+  igv numeric(14, 2) not null,
+  total numeric(14, 2) not null,
+  detraccion_amount numeric(14, 2) not null default 0,
+  retencion_amount numeric(14, 2) not null default 0,
+  guarantee_pct numeric(5, 2) not null default 0,
+  guarantee_amount numeric(14, 2) not null default 0,
+  net_amount numeric(14, 2) not null,
+  status text not null default 'issued',
+  created_by uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  constraint invoices_status_check
+    check (status in ('issued', 'cancelled'))
+);
+
+-- Una valorización solo puede tener una factura vigente
+create unique index if not exists invoices_valuation_active_idx
+  on public.invoices (valuation_id) where status <> 'cancelled';
+
+create table if not exists public.collections (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id uuid not null references public.invoices (id) on delete cascade,
+  type text not null,
+  collection_date date not null,
+  amount numeric(14, 2) not null check (amount > 0),
+  reference text,
+  created_by uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  constraint collections_type_check
+    check (type in ('payment', 'detraccion', 'retencion', 'guarantee'))
+);
+
+create index if not exists invoices_project_idx
+  on public.invoices (project_id, due_date);
+
+create index if not exists collections_invoice_idx
+  on public.collections (invoice_id);
+
+-- Las ven los miembros de la obra (y gerencia); las emite y registra el administrador.
+-- Los cobros siguen a su factura.
+alter table public.invoices enable row level security;
+alter table public.collections enable row level security;
+
+drop policy if exists "invoices readable by project members" on public.invoices;
+create policy "invoices readable by project members" on public.invoices for select to authenticated
+  using (public.can_access_project(project_id));
+drop policy if exists "invoices managed" on public.invoices;
+create policy "invoices managed" on public.invoices for all to authenticated
+  using (public.has_role(array['admin'])) with check (public.has_role(array['admin']));
+
+drop policy if exists "collections readable by project members" on public.collections;
+create policy "collections readable by project members" on public.collections for select to authenticated
+  using (exists (
+    select 1 from public.invoices i
+    where i.id = invoice_id and public.can_access_project(i.project_id)
+  ));
+drop policy if exists "collections managed" on public.collections;
+create policy "collections managed" on public.collections for all to authenticated
+  using (public.has_role(array['admin'])) with check (public.has_role(array['admin']));
@@ -0,0 +1,21 @@
+-- Cronograma por partida: fechas programadas y distribución del metrado en el plazo.
+-- Con ellas se calcula la curva S programada y se detectan partidas atrasadas.
+
+alter table public.partidas
+  add column if not exists planned_start date,
+  add column if not exists planned_finish date,
+  add column if not exists distribution text not null default 'linear';
+
+alter table public.partidas
+  drop constraint if exists partidas_distribution_check;
+
+alter table public.partidas
+  add constraint partidas_distribution_check
+    check (distribution in ('linear', 'front', 'back', 'bell'));
+
+alter table public.partidas
+  drop constraint if exists partidas_planned_dates_check;
+
+alter table public.partidas
+  add constraint partidas_planned_dates_check
+    check (planned_finish is null or planned_start is null or planned_finish >= planned_start);
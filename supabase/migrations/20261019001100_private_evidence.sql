@@ -0,0 +1,83 @@
+-- Evidencia fotográfica privada. El bucket deja de ser público: las fotos se ven con URLs
+-- firmadas de corta duración y se guardan en rutas proyecto/fecha/reporte/archivo.
+-- evidence_uploads registra cada archivo subido para poder borrar los que nunca llegaron
+-- a un reporte (fotos quitadas antes de enviar o borradores abandonados).
+
+insert into storage.buckets (id, name, public)
+values ('evidence-photos', 'evidence-photos', false)
+on conflict (id) do update set public = false;
+
+create table if not exists public.evidence_uploads (
+  path text primary key,
+  project_id uuid not null references public.projects (id) on delete cascade,
+  daily_report_id uuid references public.daily_reports (id) on delete set null,
+  uploaded_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists evidence_uploads_orphans_idx
+  on public.evidence_uploads (uploaded_by, created_at)
+  where daily_report_id is null;
+
+-- Acceso a los archivos: el primer nivel de la ruta es el proyecto
+create or replace function public.can_access_project_evidence(object_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.profiles p
+    where p.id = auth.uid() and p.role in ('admin', 'ceo')
+  ) or exists (
+    select 1 from public.project_assignments pa
+    where pa.user_id = auth.uid()
+      and pa.project_id::text = (storage.foldername(object_name))[1]
+  );
+$$;
+
+drop policy if exists "evidence read by project members" on storage.objects;
+create policy "evidence read by project members" on storage.objects
+  for select to authenticated
+  using (bucket_id = 'evidence-photos' and public.can_access_project_evidence(name));
+
+drop policy if exists "evidence upload by project members" on storage.objects;
+create policy "evidence upload by project members" on storage.objects
+  for insert to authenticated
+  with check (bucket_id = 'evidence-photos' and public.can_access_project_evidence(name));
+
+drop policy if exists "evidence delete by project members" on storage.objects;
+create policy "evidence delete by project members" on storage.objects
+  for delete to authenticated
+  using (bucket_id = 'evidence-photos' and public.can_access_project_evidence(name));
+
+-- El registro de subidas sigue las mismas reglas que los archivos del bucket. Cada usuario
+-- registra solo sus propias subidas y en la carpeta del proyecto que declara.
+alter table public.evidence_uploads enable row level security;
+
+drop policy if exists "evidence uploads readable by project members" on public.evidence_uploads;
+create policy "evidence uploads readable by project members" on public.evidence_uploads
+  for select to authenticated
+  using (public.can_access_project_evidence(path));
+
+drop policy if exists "evidence uploads registered by uploader" on public.evidence_uploads;
+create policy "evidence uploads registered by uploader" on public.evidence_uploads
+  for insert to authenticated
+  with check (
+    uploaded_by = auth.uid()
+    and project_id::text = (storage.foldername(path))[1]
+    and public.can_access_project_evidence(path)
+  );
+
+-- El envío del reporte vincula las fotos al reporte
+drop policy if exists "evidence uploads linked by project members" on public.evidence_uploads;
+create policy "evidence uploads linked by project members" on public.evidence_uploads
+  for update to authenticated
+  using (public.can_access_project_evidence(path))
+  with check (public.can_access_project_evidence(path));
+
+drop policy if exists "evidence uploads removed by project members" on public.evidence_uploads;
+create policy "evidence uploads removed by project members" on public.evidence_uploads
+  for delete to authenticated
+  using (public.can_access_project_evidence(path));
@@ -0,0 +1,102 @@
+-- Bitácora de auditoría: quién cambió qué y cuándo en proyectos, usuarios, asignaciones,
+-- presupuesto (partidas) y reportes diarios. La escriben triggers, así que también queda
+-- registrado lo que se cambie fuera de la app. Es solo de agregado: no se edita ni se borra.
+-- diff guarda solo los campos que cambiaron: { campo: { "before": ..., "after": ... } }.
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  table_name text not null,
+  record_id text not null,
+  action text not null check (action in ('insert', 'update', 'soft_delete', 'restore', 'delete')),
+  actor_id uuid references auth.users (id) on delete set null,
+  changed_at timestamptz not null default now(),
+  diff jsonb not null
+);
+
+create index if not exists audit_log_changed_at_idx on public.audit_log (changed_at desc);
+create index if not exists audit_log_table_record_idx on public.audit_log (table_name, record_id);
+create index if not exists audit_log_actor_idx on public.audit_log (actor_id, changed_at desc);
+
+create or replace function public.audit_row_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) else '{}'::jsonb end;
+  v_new jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) else '{}'::jsonb end;
+  v_row jsonb := case when tg_op = 'DELETE' then v_old else v_new end;
+  v_action text := lower(tg_op);
+  v_diff jsonb;
+begin
+  select coalesce(jsonb_object_agg(k, jsonb_build_object('before', v_old -> k, 'after', v_new -> k)), '{}'::jsonb)
+    into v_diff
+  from (select jsonb_object_keys(v_old) as k union select jsonb_object_keys(v_new)) keys
+  where (v_old -> k) is distinct from (v_new -> k);
+
+  -- Un update que no cambia nada no deja rastro
+  if tg_op = 'UPDATE' and v_diff = '{}'::jsonb then
+    return new;
+  end if;
+
+  -- Desactivar (is_active) es el borrado lógico de proyectos y usuarios
+  if tg_op = 'UPDATE' and v_diff ? 'is_active' then
+    if (v_new ->> 'is_active')::boolean is false then
+      v_action := 'soft_delete';
+    elsif (v_old ->> 'is_active')::boolean is false then
+      v_action := 'restore';
+    end if;
+  end if;
+
+  insert into public.audit_log (table_name, record_id, action, actor_id, diff)
+  values (
+    tg_table_name,
+    coalesce(v_row ->> 'id', concat_ws(':', v_row ->> 'project_id', v_row ->> 'user_id')),
+    v_action,
+    auth.uid(),
+    v_diff
+  );
+
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['projects', 'profiles', 'project_assignments', 'partidas', 'daily_reports'] loop
+    execute format('drop trigger if exists audit_%1$s on public.%1$I', t);
+    execute format(
+      'create trigger audit_%1$s after insert or update or delete on public.%1$I
+         for each row execute function public.audit_row_change()',
+      t
+    );
+  end loop;
+end;
+$$;
+
+-- Solo de agregado: ni la app ni un administrador pueden reescribir la historia
+create or replace function public.audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'La bitácora de auditoría no se puede modificar ni borrar';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on public.audit_log;
+create trigger audit_log_append_only
+  before update or delete or truncate on public.audit_log
+  for each statement execute function public.audit_log_append_only();
+
+revoke insert, update, delete, truncate on public.audit_log from anon, authenticated;
+
+-- Guarda diffs de usuarios, presupuestos y reportes: solo la lee el administrador (pestaña Auditoría)
+alter table public.audit_log enable row level security;
+
+drop policy if exists "audit log readable by auditors" on public.audit_log;
+create policy "audit log readable by auditors" on public.audit_log for select to authenticated
+  using (public.has_role(array['admin']));
@@ -0,0 +1,158 @@
+-- Envío y aprobación de reportes diarios en una sola transacción en el servidor.
+-- Antes el navegador hacía varias escrituras seguidas (reporte, tareo, evidencia; o estado y
+-- avance de la partida calculado como "anterior + delta"): dos usuarios a la vez podían pisarse
+-- y una falla a mitad de camino dejaba datos a medias.
+-- El permiso se revisa aquí mismo: registra el maestro de obra y aprueba el ingeniero de la obra.
+-- Ambas funciones bloquean la fila de la partida, así los envíos y aprobaciones concurrentes
+-- sobre la misma partida se ejecutan uno detrás de otro y el tope del metrado se revisa aquí.
+
+-- Envío (nuevo o corrección). p_report_id lo genera el cliente, así que reintentar el mismo
+-- envío (p. ej. al sincronizar la cola sin conexión) actualiza en lugar de duplicar.
+create or replace function public.submit_daily_report(
+  p_report_id uuid,
+  p_project_id uuid,
+  p_report_date date,
+  p_fields jsonb,
+  p_tareo_entry_ids uuid[],
+  p_evidence_paths text[] default '{}'
+)
+returns uuid
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_existing public.daily_reports%rowtype;
+  v_partida public.partidas%rowtype;
+  v_progress numeric := coalesce((p_fields ->> 'progress_value')::numeric, 0);
+  v_pending numeric;
+  v_conflicts int;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+  if not (public.has_role(array['foreman']) and public.can_access_project(p_project_id)) then
+    raise exception 'No tiene permiso para registrar reportes en esta obra';
+  end if;
+
+  select * into v_partida
+  from public.partidas
+  where id = (p_fields ->> 'partida_id')::uuid and project_id = p_project_id
+  for update;
+  if not found then
+    raise exception 'La partida no pertenece al proyecto';
+  end if;
+
+  select * into v_existing from public.daily_reports where id = p_report_id for update;
+  if found then
+    if v_existing.user_id <> auth.uid() then
+      raise exception 'Solo el autor puede corregir este reporte';
+    end if;
+    if v_existing.status = 'approved' then
+      raise exception 'El reporte ya fue aprobado y no se puede modificar';
+    end if;
+  end if;
+
+  -- Tope del metrado: avance aprobado + otros reportes pendientes + este reporte
+  select coalesce(sum(progress_value), 0) into v_pending
+  from public.daily_reports
+  where partida_id = v_partida.id and status = 'pending' and id <> p_report_id;
+
+  if coalesce(v_partida.current_progress, 0) + v_pending + v_progress > coalesce(v_partida.total_budgeted, 0) then
+    raise exception 'El avance excede el presupuesto. Actual (incl. pendientes): %, Ingresado: %, Máximo permitido: %',
+      coalesce(v_partida.current_progress, 0) + v_pending,
+      v_progress,
+      coalesce(v_partida.total_budgeted, 0) - coalesce(v_partida.current_progress, 0) - v_pending;
+  end if;
+
+  if v_existing.id is null then
+    insert into public.daily_reports (
+      id, project_id, user_id, report_date, partida_id, progress_value, labor_data, materials_data,
+      photos, notes, total_labor_cost, total_materials_cost, status
+    ) values (
+      p_report_id, p_project_id, auth.uid(), p_report_date, v_partida.id, v_progress,
+      p_fields -> 'labor_data', p_fields -> 'materials_data', p_fields -> 'photos', p_fields ->> 'notes',
+      coalesce((p_fields ->> 'total_labor_cost')::numeric, 0),
+      coalesce((p_fields ->> 'total_materials_cost')::numeric, 0),
+      'pending'
+    );
+  else
+    update public.daily_reports set
+      partida_id = v_partida.id,
+      progress_value = v_progress,
+      labor_data = p_fields -> 'labor_data',
+      materials_data = p_fields -> 'materials_data',
+      photos = p_fields -> 'photos',
+      notes = p_fields ->> 'notes',
+      total_labor_cost = coalesce((p_fields ->> 'total_labor_cost')::numeric, 0),
+      total_materials_cost = coalesce((p_fields ->> 'total_materials_cost')::numeric, 0),
+      status = 'pending'
+    where id = p_report_id;
+
+    update public.tareo_entries set daily_report_id = null where daily_report_id = p_report_id;
+  end if;
+
+  -- El tareo no puede estar ya vinculado a otro reporte
+  select count(*) into v_conflicts
+  from public.tareo_entries
+  where id = any (p_tareo_entry_ids) and daily_report_id is not null and daily_report_id <> p_report_id;
+  if v_conflicts > 0 then
+    raise exception 'Parte del tareo ya fue usado en otro reporte. Actualice la página e intente de nuevo';
+  end if;
+
+  update public.tareo_entries set daily_report_id = p_report_id where id = any (p_tareo_entry_ids);
+
+  update public.evidence_uploads set daily_report_id = p_report_id where path = any (p_evidence_paths);
+
+  return p_report_id;
+end;
+$$;
+
+-- Aprobación: el avance se suma en el servidor con el valor vigente de la partida
+create or replace function public.approve_daily_report(p_report_id uuid, p_comment text default null)
+returns numeric
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_report public.daily_reports%rowtype;
+  v_partida public.partidas%rowtype;
+  v_new_progress numeric;
+begin
+  select * into v_report from public.daily_reports where id = p_report_id;
+  if not found then
+    raise exception 'Reporte no encontrado';
+  end if;
+
+  if not (public.has_role(array['engineer']) and public.can_access_project(v_report.project_id)) then
+    raise exception 'No tiene permiso para aprobar reportes en esta obra';
+  end if;
+
+  select * into v_partida from public.partidas where id = v_report.partida_id for update;
+
+  -- Se vuelve a leer con bloqueo: otro ingeniero pudo revisarlo mientras tanto
+  select * into v_report from public.daily_reports where id = p_report_id for update;
+  if v_report.status <> 'pending' then
+    raise exception 'El reporte ya fue revisado';
+  end if;
+
+  v_new_progress := coalesce(v_partida.current_progress, 0) + coalesce(v_report.progress_value, 0);
+  if v_new_progress > coalesce(v_partida.total_budgeted, 0) then
+    raise exception 'No se puede aprobar: el avance acumulado (%) excede el metrado presupuestado (%).',
+      v_new_progress, coalesce(v_partida.total_budgeted, 0);
+  end if;
+
+  update public.partidas set current_progress = v_new_progress where id = v_partida.id;
+
+  update public.daily_reports set
+    status = 'approved',
+    review_comment = nullif(trim(p_comment), ''),
+    reviewed_by = auth.uid(),
+    reviewed_at = now()
+  where id = p_report_id;
+
+  return v_new_progress;
+end;
+$$;
+
+grant execute on function public.submit_daily_report(uuid, uuid, date, jsonb, uuid[], text[]) to authenticated;
+grant execute on function public.approve_daily_report(uuid, text) to authenticated;
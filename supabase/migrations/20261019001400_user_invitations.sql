@@ -0,0 +1,99 @@
+-- Invitaciones de usuarios. Antes el administrador creaba la cuenta con signUp desde su navegador
+-- y entregaba a mano una contraseña generada. Ahora registra una invitación y Supabase Auth envía
+-- al invitado un enlace de acceso por correo (plantilla "Magic Link"; con el entorno local de
+-- Supabase los correos se ven en el mail catcher, http://localhost:54324).
+-- Al entrar por el enlace, accept_invitation() crea su perfil con el rol y los proyectos de la
+-- invitación, y la app le pide crear su contraseña antes de continuar (must_change_password).
+
+alter table public.profiles
+  add column if not exists must_change_password boolean not null default false;
+
+create table if not exists public.user_invitations (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  full_name text not null,
+  role text not null check (role in ('admin', 'ceo', 'engineer', 'foreman', 'logistics')),
+  project_ids uuid[] not null default '{}',
+  invited_by uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null default now() + interval '7 days',
+  accepted_at timestamptz,
+  accepted_by uuid references auth.users (id) on delete set null,
+  revoked_at timestamptz
+);
+
+-- Una sola invitación vigente por correo
+create unique index if not exists user_invitations_pending_email_idx
+  on public.user_invitations (lower(email))
+  where accepted_at is null and revoked_at is null;
+
+alter table public.user_invitations enable row level security;
+
+drop policy if exists "invitations managed by admins" on public.user_invitations;
+create policy "invitations managed by admins" on public.user_invitations
+  for all to authenticated
+  using (exists (select 1 from public.profiles p where p.id = auth.uid() and p.role = 'admin'))
+  with check (exists (select 1 from public.profiles p where p.id = auth.uid() and p.role = 'admin'));
+
+-- El invitado entra por el enlace del correo: si no tiene perfil se crea desde su invitación vigente.
+-- El correo sale del token de la sesión, así nadie puede tomar la invitación de otra persona.
+create or replace function public.accept_invitation()
+returns public.profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(auth.jwt() ->> 'email');
+  v_invitation public.user_invitations%rowtype;
+  v_profile public.profiles%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+
+  select * into v_profile from public.profiles where id = auth.uid();
+  if found then
+    return v_profile;
+  end if;
+
+  select * into v_invitation
+  from public.user_invitations
+  where lower(email) = v_email and accepted_at is null and revoked_at is null
+  for update;
+  if not found then
+    raise exception 'No hay una invitación pendiente para %', v_email;
+  end if;
+  if v_invitation.expires_at < now() then
+    raise exception 'La invitación venció. Pida al administrador que la reenvíe';
+  end if;
+
+  insert into public.profiles (id, email, full_name, role, is_active, must_change_password)
+  values (auth.uid(), v_email, v_invitation.full_name, v_invitation.role, true, true)
+  returning * into v_profile;
+
+  insert into public.project_assignments (user_id, project_id)
+  select auth.uid(), unnest(v_invitation.project_ids)
+  on conflict do nothing;
+
+  update public.user_invitations
+  set accepted_at = now(), accepted_by = auth.uid()
+  where id = v_invitation.id;
+
+  return v_profile;
+end;
+$$;
+
+-- La contraseña se cambia con auth.updateUser en el navegador; esto solo levanta el aviso.
+-- Va en una función para no tener que dejar que cada usuario edite su propio perfil (y su rol).
+create or replace function public.complete_password_change()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.profiles set must_change_password = false where id = auth.uid();
+$$;
+
+grant execute on function public.accept_invitation() to authenticated;
+grant execute on function public.complete_password_change() to authenticated;
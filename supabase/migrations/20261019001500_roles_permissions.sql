@@ -0,0 +1,546 @@
+-- Roles y permisos configurables. Antes el acceso estaba fijo en el código según profiles.role
+-- (admin, ceo, engineer, foreman, logistics). Ahora los permisos son datos, los roles se arman
+-- con permisos desde la administración y un usuario puede tener varios roles (user_roles).
+-- profiles.role se mantiene como rol principal para compatibilidad y lo actualiza un trigger.
+-- Las políticas de las tablas de obra y las funciones de reportes pasan de roles a permisos.
+
+create table if not exists public.permissions (
+  key text primary key,
+  label text not null,
+  group_name text not null,
+  sort_order int not null default 0
+);
+
+insert into public.permissions (key, label, group_name, sort_order) values
+  ('projects.view_all', 'Ver todos los proyectos (sin asignación)', 'Administración', 10),
+  ('projects.manage', 'Crear y editar proyectos', 'Administración', 20),
+  ('users.manage', 'Usuarios, invitaciones y roles', 'Administración', 30),
+  ('audit.view', 'Bitácora de auditoría', 'Administración', 40),
+  ('dashboard.view', 'Dashboard gerencial', 'Gerencia', 50),
+  ('costs.view', 'Ver costos y montos', 'Gerencia', 60),
+  ('billing.manage', 'Facturación y cobranzas', 'Gerencia', 70),
+  ('budgets.edit', 'Editar presupuestos (partidas)', 'Obra', 80),
+  ('labor_rates.manage', 'Tarifas de mano de obra', 'Obra', 90),
+  ('progress.view', 'Avance, reportes, evidencia y cronograma', 'Obra', 100),
+  ('reports.approve', 'Aprobar y observar reportes diarios', 'Obra', 110),
+  ('reports.submit', 'Registrar reportes diarios', 'Obra', 120),
+  ('tareo.manage', 'Tareo y personal de obra', 'Obra', 130),
+  ('valuations.manage', 'Valorizaciones', 'Obra', 140),
+  ('requisitions.create', 'Requerimientos de materiales', 'Obra', 150),
+  ('materials.view', 'Consumo de materiales', 'Logística', 160),
+  ('purchasing.manage', 'Compras y proveedores', 'Logística', 170),
+  ('warehouse.manage', 'Almacén de obra', 'Logística', 180),
+  ('catalog.manage', 'Catálogo y precios de materiales', 'Logística', 190)
+on conflict (key) do update set
+  label = excluded.label, group_name = excluded.group_name, sort_order = excluded.sort_order;
+
+create table if not exists public.roles (
+  id uuid primary key default gen_random_uuid(),
+  key text not null unique,
+  name text not null,
+  description text,
+  is_system boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.role_permissions (
+  role_id uuid not null references public.roles (id) on delete cascade,
+  permission_key text not null references public.permissions (key) on delete cascade,
+  primary key (role_id, permission_key)
+);
+
+create table if not exists public.user_roles (
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  role_id uuid not null references public.roles (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, role_id)
+);
+
+-- Los roles de siempre, con los permisos que tenían en el código
+insert into public.roles (key, name, is_system) values
+  ('admin', 'Administrador', true),
+  ('ceo', 'CEO', true),
+  ('engineer', 'Ingeniero Residente', true),
+  ('foreman', 'Maestro de Obra', true),
+  ('logistics', 'Logística', true)
+on conflict (key) do nothing;
+
+insert into public.role_permissions (role_id, permission_key)
+select r.id, v.permission_key
+from (values
+  ('admin', 'projects.view_all'), ('admin', 'projects.manage'), ('admin', 'users.manage'), ('admin', 'audit.view'),
+  ('admin', 'costs.view'), ('admin', 'billing.manage'), ('admin', 'budgets.edit'), ('admin', 'labor_rates.manage'),
+  ('ceo', 'projects.view_all'), ('ceo', 'dashboard.view'), ('ceo', 'costs.view'),
+  ('engineer', 'costs.view'), ('engineer', 'budgets.edit'), ('engineer', 'progress.view'), ('engineer', 'reports.approve'),
+  ('engineer', 'valuations.manage'), ('engineer', 'requisitions.create'),
+  ('foreman', 'costs.view'), ('foreman', 'reports.submit'), ('foreman', 'tareo.manage'), ('foreman', 'requisitions.create'),
+  ('logistics', 'costs.view'), ('logistics', 'materials.view'), ('logistics', 'purchasing.manage'),
+  ('logistics', 'warehouse.manage'), ('logistics', 'catalog.manage')
+) as v (role_key, permission_key)
+join public.roles r on r.key = v.role_key
+on conflict do nothing;
+
+insert into public.user_roles (user_id, role_id)
+select p.id, r.id
+from public.profiles p
+join public.roles r on r.key = p.role
+on conflict do nothing;
+
+create or replace function public.has_permission(p_permission text, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.user_roles ur
+    join public.role_permissions rp on rp.role_id = ur.role_id
+    where ur.user_id = p_user and rp.permission_key = p_permission
+  );
+$$;
+
+grant execute on function public.has_permission(text, uuid) to authenticated;
+
+-- Rol principal: el primer rol de sistema del usuario (o ninguno si solo tiene roles propios)
+alter table public.profiles alter column role drop not null;
+
+create or replace function public.sync_profile_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user uuid := coalesce(new.user_id, old.user_id);
+begin
+  update public.profiles set role = (
+    select r.key
+    from public.user_roles ur
+    join public.roles r on r.id = ur.role_id
+    where ur.user_id = v_user and r.is_system
+    order by array_position(array['admin', 'ceo', 'engineer', 'foreman', 'logistics'], r.key)
+    limit 1
+  )
+  where id = v_user;
+  return null;
+end;
+$$;
+
+drop trigger if exists sync_profile_role on public.user_roles;
+create trigger sync_profile_role
+  after insert or delete on public.user_roles
+  for each row execute function public.sync_profile_role();
+
+-- Lectura para todos los usuarios (la app arma el menú con esto); escritura con users.manage
+alter table public.permissions enable row level security;
+alter table public.roles enable row level security;
+alter table public.role_permissions enable row level security;
+alter table public.user_roles enable row level security;
+
+drop policy if exists "permissions readable" on public.permissions;
+create policy "permissions readable" on public.permissions for select to authenticated using (true);
+
+drop policy if exists "roles readable" on public.roles;
+create policy "roles readable" on public.roles for select to authenticated using (true);
+drop policy if exists "roles managed" on public.roles;
+create policy "roles managed" on public.roles for all to authenticated
+  using (public.has_permission('users.manage')) with check (public.has_permission('users.manage'));
+
+drop policy if exists "role permissions readable" on public.role_permissions;
+create policy "role permissions readable" on public.role_permissions for select to authenticated using (true);
+drop policy if exists "role permissions managed" on public.role_permissions;
+create policy "role permissions managed" on public.role_permissions for all to authenticated
+  using (public.has_permission('users.manage')) with check (public.has_permission('users.manage'));
+
+drop policy if exists "user roles readable" on public.user_roles;
+create policy "user roles readable" on public.user_roles for select to authenticated using (true);
+drop policy if exists "user roles managed" on public.user_roles;
+create policy "user roles managed" on public.user_roles for all to authenticated
+  using (public.has_permission('users.manage')) with check (public.has_permission('users.manage'));
+
+-- Lo que antes miraba profiles.role ahora mira permisos
+create or replace function public.can_access_project(p_project uuid, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission('projects.view_all', p_user) or exists (
+    select 1 from public.project_assignments pa
+    where pa.user_id = p_user and pa.project_id = p_project
+  );
+$$;
+
+-- Permiso del módulo en una obra a la que se tiene acceso
+create or replace function public.has_project_permission(p_project uuid, p_permission text, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission(p_permission, p_user) and public.can_access_project(p_project, p_user);
+$$;
+
+grant execute on function public.has_project_permission(uuid, text, uuid) to authenticated;
+
+drop policy if exists "labor rates managed" on public.labor_rates;
+create policy "labor rates managed" on public.labor_rates for all to authenticated
+  using (public.has_project_permission(project_id, 'labor_rates.manage'))
+  with check (public.has_project_permission(project_id, 'labor_rates.manage'));
+
+drop policy if exists "workers managed" on public.workers;
+create policy "workers managed" on public.workers for all to authenticated
+  using (public.has_project_permission(project_id, 'tareo.manage'))
+  with check (public.has_project_permission(project_id, 'tareo.manage'));
+drop policy if exists "tareo managed" on public.tareo_entries;
+create policy "tareo managed" on public.tareo_entries for all to authenticated
+  using (public.has_project_permission(project_id, 'tareo.manage'))
+  with check (public.has_project_permission(project_id, 'tareo.manage'));
+-- El envío del reporte (submit_daily_report) vincula las filas del tareo con reports.submit
+drop policy if exists "tareo linked to reports" on public.tareo_entries;
+create policy "tareo linked to reports" on public.tareo_entries for update to authenticated
+  using (public.has_project_permission(project_id, 'reports.submit'))
+  with check (public.has_project_permission(project_id, 'reports.submit'));
+
+-- Los precios también los registra compras al elegir la cotización ganadora
+drop policy if exists "material categories managed" on public.material_categories;
+create policy "material categories managed" on public.material_categories for all to authenticated
+  using (public.has_permission('catalog.manage')) with check (public.has_permission('catalog.manage'));
+drop policy if exists "material prices managed" on public.material_prices;
+create policy "material prices managed" on public.material_prices for all to authenticated
+  using (public.has_permission('catalog.manage') or public.has_permission('purchasing.manage'))
+  with check (public.has_permission('catalog.manage') or public.has_permission('purchasing.manage'));
+
+-- Ingresos: el almacén (warehouse.manage) y compras al recibir una orden (purchasing.manage)
+drop policy if exists "warehouse receipts managed" on public.warehouse_receipts;
+create policy "warehouse receipts managed" on public.warehouse_receipts for all to authenticated
+  using (public.has_project_permission(project_id, 'warehouse.manage') or public.has_project_permission(project_id, 'purchasing.manage'))
+  with check (public.has_project_permission(project_id, 'warehouse.manage') or public.has_project_permission(project_id, 'purchasing.manage'));
+drop policy if exists "warehouse receipt items managed" on public.warehouse_receipt_items;
+create policy "warehouse receipt items managed" on public.warehouse_receipt_items for all to authenticated
+  using (exists (
+    select 1 from public.warehouse_receipts r
+    where r.id = receipt_id
+      and (public.has_project_permission(r.project_id, 'warehouse.manage') or public.has_project_permission(r.project_id, 'purchasing.manage'))
+  ))
+  with check (exists (
+    select 1 from public.warehouse_receipts r
+    where r.id = receipt_id
+      and (public.has_project_permission(r.project_id, 'warehouse.manage') or public.has_project_permission(r.project_id, 'purchasing.manage'))
+  ));
+
+drop policy if exists "requisitions created" on public.purchase_requisitions;
+create policy "requisitions created" on public.purchase_requisitions for insert to authenticated
+  with check (requested_by = auth.uid() and public.has_project_permission(project_id, 'requisitions.create'));
+drop policy if exists "requisitions managed by purchasing" on public.purchase_requisitions;
+create policy "requisitions managed by purchasing" on public.purchase_requisitions for all to authenticated
+  using (public.has_project_permission(project_id, 'purchasing.manage'))
+  with check (public.has_project_permission(project_id, 'purchasing.manage'));
+drop policy if exists "requisition items managed by purchasing" on public.purchase_requisition_items;
+create policy "requisition items managed by purchasing" on public.purchase_requisition_items for all to authenticated
+  using (exists (
+    select 1 from public.purchase_requisitions r
+    where r.id = requisition_id and public.has_project_permission(r.project_id, 'purchasing.manage')
+  ))
+  with check (exists (
+    select 1 from public.purchase_requisitions r
+    where r.id = requisition_id and public.has_project_permission(r.project_id, 'purchasing.manage')
+  ));
+drop policy if exists "purchase orders managed" on public.purchase_orders;
+create policy "purchase orders managed" on public.purchase_orders for all to authenticated
+  using (public.has_project_permission(project_id, 'purchasing.manage'))
+  with check (public.has_project_permission(project_id, 'purchasing.manage'));
+drop policy if exists "purchase order items managed" on public.purchase_order_items;
+create policy "purchase order items managed" on public.purchase_order_items for all to authenticated
+  using (exists (
+    select 1 from public.purchase_orders o
+    where o.id = order_id and public.has_project_permission(o.project_id, 'purchasing.manage')
+  ))
+  with check (exists (
+    select 1 from public.purchase_orders o
+    where o.id = order_id and public.has_project_permission(o.project_id, 'purchasing.manage')
+  ));
+
+drop policy if exists "suppliers managed" on public.suppliers;
+create policy "suppliers managed" on public.suppliers for all to authenticated
+  using (public.has_permission('purchasing.manage')) with check (public.has_permission('purchasing.manage'));
+drop policy if exists "supplier quotes managed" on public.supplier_quotes;
+create policy "supplier quotes managed" on public.supplier_quotes for all to authenticated
+  using (exists (
+    select 1
+    from public.purchase_requisition_items i
+    join public.purchase_requisitions r on r.id = i.requisition_id
+    where i.id = requisition_item_id and public.has_project_permission(r.project_id, 'purchasing.manage')
+  ))
+  with check (exists (
+    select 1
+    from public.purchase_requisition_items i
+    join public.purchase_requisitions r on r.id = i.requisition_id
+    where i.id = requisition_item_id and public.has_project_permission(r.project_id, 'purchasing.manage')
+  ));
+
+drop policy if exists "valuations managed" on public.valuations;
+create policy "valuations managed" on public.valuations for all to authenticated
+  using (public.has_project_permission(project_id, 'valuations.manage'))
+  with check (public.has_project_permission(project_id, 'valuations.manage'));
+drop policy if exists "valuation items managed" on public.valuation_items;
+create policy "valuation items managed" on public.valuation_items for all to authenticated
+  using (exists (
+    select 1 from public.valuations v
+    where v.id = valuation_id and public.has_project_permission(v.project_id, 'valuations.manage')
+  ))
+  with check (exists (
+    select 1 from public.valuations v
+    where v.id = valuation_id and public.has_project_permission(v.project_id, 'valuations.manage')
+  ));
+
+drop policy if exists "invoices managed" on public.invoices;
+create policy "invoices managed" on public.invoices for all to authenticated
+  using (public.has_project_permission(project_id, 'billing.manage'))
+  with check (public.has_project_permission(project_id, 'billing.manage'));
+drop policy if exists "collections managed" on public.collections;
+create policy "collections managed" on public.collections for all to authenticated
+  using (exists (
+    select 1 from public.invoices i
+    where i.id = invoice_id and public.has_project_permission(i.project_id, 'billing.manage')
+  ))
+  with check (exists (
+    select 1 from public.invoices i
+    where i.id = invoice_id and public.has_project_permission(i.project_id, 'billing.manage')
+  ));
+
+drop policy if exists "audit log readable by auditors" on public.audit_log;
+create policy "audit log readable by auditors" on public.audit_log for select to authenticated
+  using (public.has_permission('audit.view'));
+
+-- La evidencia también pasa de roles a permisos
+create or replace function public.can_access_project_evidence(object_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission('projects.view_all') or exists (
+    select 1 from public.project_assignments pa
+    where pa.user_id = auth.uid()
+      and pa.project_id::text = (storage.foldername(object_name))[1]
+  );
+$$;
+
+drop policy if exists "invitations managed by admins" on public.user_invitations;
+create policy "invitations managed by admins" on public.user_invitations
+  for all to authenticated
+  using (public.has_permission('users.manage'))
+  with check (public.has_permission('users.manage'));
+
+-- Las invitaciones llevan una lista de roles
+alter table public.user_invitations add column if not exists role_keys text[] not null default '{}';
+update public.user_invitations set role_keys = array[role] where role_keys = '{}' and role is not null;
+alter table public.user_invitations drop constraint if exists user_invitations_role_check;
+alter table public.user_invitations alter column role drop not null;
+
+create or replace function public.accept_invitation()
+returns public.profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(auth.jwt() ->> 'email');
+  v_invitation public.user_invitations%rowtype;
+  v_profile public.profiles%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+
+  select * into v_profile from public.profiles where id = auth.uid();
+  if found then
+    return v_profile;
+  end if;
+
+  select * into v_invitation
+  from public.user_invitations
+  where lower(email) = v_email and accepted_at is null and revoked_at is null
+  for update;
+  if not found then
+    raise exception 'No hay una invitación pendiente para %', v_email;
+  end if;
+  if v_invitation.expires_at < now() then
+    raise exception 'La invitación venció. Pida al administrador que la reenvíe';
+  end if;
+
+  insert into public.profiles (id, email, full_name, is_active, must_change_password)
+  values (auth.uid(), v_email, v_invitation.full_name, true, true);
+
+  insert into public.user_roles (user_id, role_id)
+  select auth.uid(), r.id from public.roles r where r.key = any (v_invitation.role_keys)
+  on conflict do nothing;
+
+  insert into public.project_assignments (user_id, project_id)
+  select auth.uid(), unnest(v_invitation.project_ids)
+  on conflict do nothing;
+
+  update public.user_invitations
+  set accepted_at = now(), accepted_by = auth.uid()
+  where id = v_invitation.id;
+
+  select * into v_profile from public.profiles where id = auth.uid();
+  return v_profile;
+end;
+$$;
+
+-- Registrar reportes exige reports.submit en la obra del reporte
+create or replace function public.submit_daily_report(
+  p_report_id uuid,
+  p_project_id uuid,
+  p_report_date date,
+  p_fields jsonb,
+  p_tareo_entry_ids uuid[],
+  p_evidence_paths text[] default '{}'
+)
+returns uuid
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_existing public.daily_reports%rowtype;
+  v_partida public.partidas%rowtype;
+  v_progress numeric := coalesce((p_fields ->> 'progress_value')::numeric, 0);
+  v_pending numeric;
+  v_conflicts int;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+  if not public.has_project_permission(p_project_id, 'reports.submit') then
+    raise exception 'No tiene permiso para registrar reportes en esta obra';
+  end if;
+
+  select * into v_partida
+  from public.partidas
+  where id = (p_fields ->> 'partida_id')::uuid and project_id = p_project_id
+  for update;
+  if not found then
+    raise exception 'La partida no pertenece al proyecto';
+  end if;
+
+  select * into v_existing from public.daily_reports where id = p_report_id for update;
+  if found then
+    if v_existing.user_id <> auth.uid() then
+      raise exception 'Solo el autor puede corregir este reporte';
+    end if;
+    if v_existing.status = 'approved' then
+      raise exception 'El reporte ya fue aprobado y no se puede modificar';
+    end if;
+  end if;
+
+  -- Tope del metrado: avance aprobado + otros reportes pendientes + este reporte
+  select coalesce(sum(progress_value), 0) into v_pending
+  from public.daily_reports
+  where partida_id = v_partida.id and status = 'pending' and id <> p_report_id;
+
+  if coalesce(v_partida.current_progress, 0) + v_pending + v_progress > coalesce(v_partida.total_budgeted, 0) then
+    raise exception 'El avance excede el presupuesto. Actual (incl. pendientes): %, Ingresado: %, Máximo permitido: %',
+      coalesce(v_partida.current_progress, 0) + v_pending,
+      v_progress,
+      coalesce(v_partida.total_budgeted, 0) - coalesce(v_partida.current_progress, 0) - v_pending;
+  end if;
+
+  if v_existing.id is null then
+    insert into public.daily_reports (
+      id, project_id, user_id, report_date, partida_id, progress_value, labor_data, materials_data,
+      photos, notes, total_labor_cost, total_materials_cost, status
+    ) values (
+      p_report_id, p_project_id, auth.uid(), p_report_date, v_partida.id, v_progress,
+      p_fields -> 'labor_data', p_fields -> 'materials_data', p_fields -> 'photos', p_fields ->> 'notes',
+      coalesce((p_fields ->> 'total_labor_cost')::numeric, 0),
+      coalesce((p_fields ->> 'total_materials_cost')::numeric, 0),
+      'pending'
+    );
+  else
+    update public.daily_reports set
+      partida_id = v_partida.id,
+      progress_value = v_progress,
+      labor_data = p_fields -> 'labor_data',
+      materials_data = p_fields -> 'materials_data',
+      photos = p_fields -> 'photos',
+      notes = p_fields ->> 'notes',
+      total_labor_cost = coalesce((p_fields ->> 'total_labor_cost')::numeric, 0),
+      total_materials_cost = coalesce((p_fields ->> 'total_materials_cost')::numeric, 0),
+      status = 'pending'
+    where id = p_report_id;
+
+    update public.tareo_entries set daily_report_id = null where daily_report_id = p_report_id;
+  end if;
+
+  -- El tareo no puede estar ya vinculado a otro reporte
+  select count(*) into v_conflicts
+  from public.tareo_entries
+  where id = any (p_tareo_entry_ids) and daily_report_id is not null and daily_report_id <> p_report_id;
+  if v_conflicts > 0 then
+    raise exception 'Parte del tareo ya fue usado en otro reporte. Actualice la página e intente de nuevo';
+  end if;
+
+  update public.tareo_entries set daily_report_id = p_report_id where id = any (p_tareo_entry_ids);
+
+  update public.evidence_uploads set daily_report_id = p_report_id where path = any (p_evidence_paths);
+
+  return p_report_id;
+end;
+$$;
+
+-- Aprobar reportes exige el permiso, no solo ver la pantalla
+create or replace function public.approve_daily_report(p_report_id uuid, p_comment text default null)
+returns numeric
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_report public.daily_reports%rowtype;
+  v_partida public.partidas%rowtype;
+  v_new_progress numeric;
+begin
+  if not public.has_permission('reports.approve') then
+    raise exception 'No tiene permiso para aprobar reportes';
+  end if;
+
+  select * into v_report from public.daily_reports where id = p_report_id;
+  if not found then
+    raise exception 'Reporte no encontrado';
+  end if;
+
+  select * into v_partida from public.partidas where id = v_report.partida_id for update;
+
+  -- Se vuelve a leer con bloqueo: otro ingeniero pudo revisarlo mientras tanto
+  select * into v_report from public.daily_reports where id = p_report_id for update;
+  if v_report.status <> 'pending' then
+    raise exception 'El reporte ya fue revisado';
+  end if;
+
+  v_new_progress := coalesce(v_partida.current_progress, 0) + coalesce(v_report.progress_value, 0);
+  if v_new_progress > coalesce(v_partida.total_budgeted, 0) then
+    raise exception 'No se puede aprobar: el avance acumulado (%) excede el metrado presupuestado (%).',
+      v_new_progress, coalesce(v_partida.total_budgeted, 0);
+  end if;
+
+  update public.partidas set current_progress = v_new_progress where id = v_partida.id;
+
+  update public.daily_reports set
+    status = 'approved',
+    review_comment = nullif(trim(p_comment), ''),
+    reviewed_by = auth.uid(),
+    reviewed_at = now()
+  where id = p_report_id;
+
+  return v_new_progress;
+end;
+$$;
+
+-- profiles.role queda solo como rol principal: ninguna regla lo usa ya
+drop function if exists public.has_role(text[], uuid);
@@ -0,0 +1,233 @@
+-- Rol por proyecto. Una asignación (project_assignments) ya no solo une usuario y obra: dice con
+-- qué rol trabaja en ella y desde/hasta cuándo. Alguien puede ser residente en una obra y
+-- encargado de logística en otra. En la obra abierta el usuario tiene sus permisos generales
+-- (user_roles) más los del rol de su asignación vigente.
+
+alter table public.project_assignments
+  add column if not exists role_id uuid references public.roles (id) on delete set null,
+  add column if not exists start_date date,
+  add column if not exists end_date date;
+
+alter table public.project_assignments drop constraint if exists project_assignments_dates_check;
+alter table public.project_assignments
+  add constraint project_assignments_dates_check check (end_date is null or start_date is null or end_date >= start_date);
+
+-- Los roles de obra que antes valían para todas las obras pasan a cada asignación. Quien no tiene
+-- asignaciones conserva el rol general para no quedarse sin acceso.
+update public.project_assignments pa
+set role_id = r.id
+from public.profiles p
+join public.roles r on r.key = p.role
+where pa.user_id = p.id
+  and pa.role_id is null
+  and r.key in ('engineer', 'foreman', 'logistics');
+
+delete from public.user_roles ur
+using public.roles r
+where r.id = ur.role_id
+  and r.key in ('engineer', 'foreman', 'logistics')
+  and exists (select 1 from public.project_assignments pa where pa.user_id = ur.user_id and pa.role_id = ur.role_id);
+
+create or replace function public.is_assignment_active(p_start date, p_end date)
+returns boolean
+language sql
+stable
+as $$
+  select (p_start is null or p_start <= current_date) and (p_end is null or p_end >= current_date);
+$$;
+
+-- Permiso general o por el rol de la asignación vigente en esa obra
+create or replace function public.has_project_permission(p_project uuid, p_permission text, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission(p_permission, p_user) or exists (
+    select 1
+    from public.project_assignments pa
+    join public.role_permissions rp on rp.role_id = pa.role_id
+    where pa.user_id = p_user
+      and pa.project_id = p_project
+      and rp.permission_key = p_permission
+      and public.is_assignment_active(pa.start_date, pa.end_date)
+  );
+$$;
+
+grant execute on function public.has_project_permission(uuid, text, uuid) to authenticated;
+
+-- Una asignación vencida ya no da acceso a la obra
+create or replace function public.can_access_project(p_project uuid, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission('projects.view_all', p_user) or exists (
+    select 1 from public.project_assignments pa
+    where pa.user_id = p_user
+      and pa.project_id = p_project
+      and public.is_assignment_active(pa.start_date, pa.end_date)
+  );
+$$;
+
+-- Catálogo y proveedores no son de una obra: logística ahora tiene su rol en las asignaciones,
+-- así que el permiso se toma del rol general o del de cualquier asignación vigente
+create or replace function public.has_any_project_permission(p_permission text, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission(p_permission, p_user) or exists (
+    select 1
+    from public.project_assignments pa
+    join public.role_permissions rp on rp.role_id = pa.role_id
+    where pa.user_id = p_user
+      and rp.permission_key = p_permission
+      and public.is_assignment_active(pa.start_date, pa.end_date)
+  );
+$$;
+
+grant execute on function public.has_any_project_permission(text, uuid) to authenticated;
+
+drop policy if exists "material categories managed" on public.material_categories;
+create policy "material categories managed" on public.material_categories for all to authenticated
+  using (public.has_any_project_permission('catalog.manage'))
+  with check (public.has_any_project_permission('catalog.manage'));
+drop policy if exists "material prices managed" on public.material_prices;
+create policy "material prices managed" on public.material_prices for all to authenticated
+  using (public.has_any_project_permission('catalog.manage') or public.has_any_project_permission('purchasing.manage'))
+  with check (public.has_any_project_permission('catalog.manage') or public.has_any_project_permission('purchasing.manage'));
+drop policy if exists "suppliers managed" on public.suppliers;
+create policy "suppliers managed" on public.suppliers for all to authenticated
+  using (public.has_any_project_permission('purchasing.manage'))
+  with check (public.has_any_project_permission('purchasing.manage'));
+
+-- Una asignación vencida ya no da acceso a la evidencia de la obra
+create or replace function public.can_access_project_evidence(object_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission('projects.view_all') or exists (
+    select 1 from public.project_assignments pa
+    where pa.user_id = auth.uid()
+      and pa.project_id::text = (storage.foldername(object_name))[1]
+      and public.is_assignment_active(pa.start_date, pa.end_date)
+  );
+$$;
+
+-- Las invitaciones llevan las asignaciones completas: [{ project_id, role_id, start_date, end_date }]
+alter table public.user_invitations add column if not exists assignments jsonb not null default '[]';
+
+create or replace function public.accept_invitation()
+returns public.profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(auth.jwt() ->> 'email');
+  v_invitation public.user_invitations%rowtype;
+  v_profile public.profiles%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+
+  select * into v_profile from public.profiles where id = auth.uid();
+  if found then
+    return v_profile;
+  end if;
+
+  select * into v_invitation
+  from public.user_invitations
+  where lower(email) = v_email and accepted_at is null and revoked_at is null
+  for update;
+  if not found then
+    raise exception 'No hay una invitación pendiente para %', v_email;
+  end if;
+  if v_invitation.expires_at < now() then
+    raise exception 'La invitación venció. Pida al administrador que la reenvíe';
+  end if;
+
+  insert into public.profiles (id, email, full_name, is_active, must_change_password)
+  values (auth.uid(), v_email, v_invitation.full_name, true, true);
+
+  insert into public.user_roles (user_id, role_id)
+  select auth.uid(), r.id from public.roles r where r.key = any (v_invitation.role_keys)
+  on conflict do nothing;
+
+  -- Invitaciones anteriores a los roles por proyecto solo traen project_ids
+  if jsonb_array_length(v_invitation.assignments) > 0 then
+    insert into public.project_assignments (user_id, project_id, role_id, start_date, end_date)
+    select auth.uid(), a.project_id, a.role_id, a.start_date, a.end_date
+    from jsonb_to_recordset(v_invitation.assignments) as a (project_id uuid, role_id uuid, start_date date, end_date date)
+    on conflict do nothing;
+  else
+    insert into public.project_assignments (user_id, project_id)
+    select auth.uid(), unnest(v_invitation.project_ids)
+    on conflict do nothing;
+  end if;
+
+  update public.user_invitations
+  set accepted_at = now(), accepted_by = auth.uid()
+  where id = v_invitation.id;
+
+  select * into v_profile from public.profiles where id = auth.uid();
+  return v_profile;
+end;
+$$;
+
+-- Aprobar exige el permiso en la obra del reporte
+create or replace function public.approve_daily_report(p_report_id uuid, p_comment text default null)
+returns numeric
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_report public.daily_reports%rowtype;
+  v_partida public.partidas%rowtype;
+  v_new_progress numeric;
+begin
+  select * into v_report from public.daily_reports where id = p_report_id;
+  if not found then
+    raise exception 'Reporte no encontrado';
+  end if;
+
+  if not public.has_project_permission(v_report.project_id, 'reports.approve') then
+    raise exception 'No tiene permiso para aprobar reportes en esta obra';
+  end if;
+
+  select * into v_partida from public.partidas where id = v_report.partida_id for update;
+
+  -- Se vuelve a leer con bloqueo: otro ingeniero pudo revisarlo mientras tanto
+  select * into v_report from public.daily_reports where id = p_report_id for update;
+  if v_report.status <> 'pending' then
+    raise exception 'El reporte ya fue revisado';
+  end if;
+
+  v_new_progress := coalesce(v_partida.current_progress, 0) + coalesce(v_report.progress_value, 0);
+  if v_new_progress > coalesce(v_partida.total_budgeted, 0) then
+    raise exception 'No se puede aprobar: el avance acumulado (%) excede el metrado presupuestado (%).',
+      v_new_progress, coalesce(v_partida.total_budgeted, 0);
+  end if;
+
+  update public.partidas set current_progress = v_new_progress where id = v_partida.id;
+
+  update public.daily_reports set
+    status = 'approved',
+    review_comment = nullif(trim(p_comment), ''),
+    reviewed_by = auth.uid(),
+    reviewed_at = now()
+  where id = p_report_id;
+
+  return v_new_progress;
+end;
+$$;
@@ -0,0 +1,445 @@
+-- Multiempresa. Operamos con más de una razón social (constructora, consorcio) y hasta ahora
+-- proyectos, catálogo, proveedores y usuarios eran globales. Cada uno pasa a pertenecer a una
+-- empresa (companies); un usuario puede ser miembro de varias (company_members) y elige en la
+-- app con cuál trabaja. Lo existente queda en una empresa inicial.
+-- Roles y permisos siguen siendo generales: valen en todas las empresas del usuario.
+-- La separación la hace la base: cada obra, catálogo y proveedor solo es visible y editable para
+-- los miembros de su empresa, y la bitácora de cada empresa solo la leen sus auditores.
+
+create table if not exists public.companies (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  ruc text unique check (ruc ~ '^(10|15|17|20)[0-9]{9}$'),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.company_members (
+  company_id uuid not null references public.companies (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (company_id, user_id)
+);
+
+insert into public.companies (name)
+select 'Empresa principal'
+where not exists (select 1 from public.companies);
+
+insert into public.company_members (company_id, user_id)
+select (select id from public.companies order by created_at limit 1), p.id
+from public.profiles p
+on conflict do nothing;
+
+-- Proyectos, catálogo y proveedores: columna company_id llenada con la empresa inicial
+do $$
+declare
+  v_company uuid := (select id from public.companies order by created_at limit 1);
+  v_table text;
+begin
+  foreach v_table in array array['projects', 'materials_catalog', 'material_categories', 'suppliers'] loop
+    execute format('alter table public.%I add column if not exists company_id uuid references public.companies (id)', v_table);
+    execute format('update public.%I set company_id = $1 where company_id is null', v_table) using v_company;
+    execute format('alter table public.%I alter column company_id set not null', v_table);
+    execute format('create index if not exists %I on public.%I (company_id)', v_table || '_company_idx', v_table);
+  end loop;
+end;
+$$;
+
+-- Nombres de categoría y RUC de proveedor se repiten entre empresas, no dentro de una
+alter table public.material_categories drop constraint if exists material_categories_name_key;
+alter table public.material_categories
+  add constraint material_categories_company_name_key unique (company_id, name);
+
+alter table public.suppliers drop constraint if exists suppliers_ruc_key;
+alter table public.suppliers
+  add constraint suppliers_company_ruc_key unique (company_id, ruc);
+
+create or replace function public.is_company_member(p_company uuid, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.company_members where company_id = p_company and user_id = p_user);
+$$;
+
+grant execute on function public.is_company_member(uuid, uuid) to authenticated;
+
+insert into public.permissions (key, label, group_name, sort_order) values
+  ('companies.manage', 'Empresas y sus miembros', 'Administración', 35)
+on conflict (key) do nothing;
+
+insert into public.role_permissions (role_id, permission_key)
+select id, 'companies.manage' from public.roles where key = 'admin'
+on conflict do nothing;
+
+alter table public.companies enable row level security;
+alter table public.company_members enable row level security;
+
+drop policy if exists "companies readable by members" on public.companies;
+create policy "companies readable by members" on public.companies for select to authenticated
+  using (public.is_company_member(id) or public.has_permission('companies.manage'));
+drop policy if exists "companies managed" on public.companies;
+create policy "companies managed" on public.companies for all to authenticated
+  using (public.has_permission('companies.manage')) with check (public.has_permission('companies.manage'));
+
+-- Roles y membresías por empresa: un administrador solo cambia roles de quien comparte alguna
+-- empresa con él y solo ve, agrega o quita miembros de sus propias empresas. Quien crea una
+-- empresa (companies.manage) puede sumarse a ella mientras no tenga miembros.
+create or replace function public.shares_company_with(p_other uuid, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.company_members mine
+    join public.company_members theirs on theirs.company_id = mine.company_id
+    where mine.user_id = p_user and theirs.user_id = p_other
+  );
+$$;
+
+grant execute on function public.shares_company_with(uuid, uuid) to authenticated;
+
+create or replace function public.company_has_members(p_company uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.company_members where company_id = p_company);
+$$;
+
+grant execute on function public.company_has_members(uuid) to authenticated;
+
+drop policy if exists "user roles managed" on public.user_roles;
+create policy "user roles managed" on public.user_roles for all to authenticated
+  using (public.has_permission('users.manage') and public.shares_company_with(user_id))
+  with check (public.has_permission('users.manage') and public.shares_company_with(user_id));
+
+drop policy if exists "company members readable" on public.company_members;
+create policy "company members readable" on public.company_members for select to authenticated
+  using (public.is_company_member(company_id));
+drop policy if exists "company members managed" on public.company_members;
+create policy "company members managed" on public.company_members for all to authenticated
+  using (
+    (public.has_permission('users.manage') and public.is_company_member(company_id))
+    or (public.has_permission('companies.manage') and user_id = auth.uid())
+  )
+  with check (
+    (public.has_permission('users.manage') and public.is_company_member(company_id))
+    or (public.has_permission('companies.manage') and user_id = auth.uid() and not public.company_has_members(company_id))
+  );
+
+-- El invitado entra como miembro de la empresa desde la que se le invitó
+alter table public.user_invitations add column if not exists company_id uuid references public.companies (id) on delete cascade;
+
+create or replace function public.accept_invitation()
+returns public.profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(auth.jwt() ->> 'email');
+  v_invitation public.user_invitations%rowtype;
+  v_profile public.profiles%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+
+  select * into v_profile from public.profiles where id = auth.uid();
+  if found then
+    return v_profile;
+  end if;
+
+  select * into v_invitation
+  from public.user_invitations
+  where lower(email) = v_email and accepted_at is null and revoked_at is null
+  for update;
+  if not found then
+    raise exception 'No hay una invitación pendiente para %', v_email;
+  end if;
+  if v_invitation.expires_at < now() then
+    raise exception 'La invitación venció. Pida al administrador que la reenvíe';
+  end if;
+
+  insert into public.profiles (id, email, full_name, is_active, must_change_password)
+  values (auth.uid(), v_email, v_invitation.full_name, true, true);
+
+  if v_invitation.company_id is not null then
+    insert into public.company_members (company_id, user_id)
+    values (v_invitation.company_id, auth.uid())
+    on conflict do nothing;
+  end if;
+
+  insert into public.user_roles (user_id, role_id)
+  select auth.uid(), r.id from public.roles r where r.key = any (v_invitation.role_keys)
+  on conflict do nothing;
+
+  -- Invitaciones anteriores a los roles por proyecto solo traen project_ids
+  if jsonb_array_length(v_invitation.assignments) > 0 then
+    insert into public.project_assignments (user_id, project_id, role_id, start_date, end_date)
+    select auth.uid(), a.project_id, a.role_id, a.start_date, a.end_date
+    from jsonb_to_recordset(v_invitation.assignments) as a (project_id uuid, role_id uuid, start_date date, end_date date)
+    on conflict do nothing;
+  else
+    insert into public.project_assignments (user_id, project_id)
+    select auth.uid(), unnest(v_invitation.project_ids)
+    on conflict do nothing;
+  end if;
+
+  update public.user_invitations
+  set accepted_at = now(), accepted_by = auth.uid()
+  where id = v_invitation.id;
+
+  select * into v_profile from public.profiles where id = auth.uid();
+  return v_profile;
+end;
+$$;
+
+-- Membresía de la empresa dueña de la obra
+create or replace function public.is_project_company_member(p_project uuid, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.projects p
+    join public.company_members m on m.company_id = p.company_id
+    where p.id = p_project and m.user_id = p_user
+  );
+$$;
+
+grant execute on function public.is_project_company_member(uuid, uuid) to authenticated;
+
+-- Permiso sobre datos de la empresa (catálogo, proveedores): rol general o rol de una asignación
+-- vigente en alguna obra de esa empresa, siempre siendo miembro
+create or replace function public.has_company_permission(p_company uuid, p_permission text, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_company_member(p_company, p_user) and (
+    public.has_permission(p_permission, p_user) or exists (
+      select 1
+      from public.project_assignments pa
+      join public.projects p on p.id = pa.project_id
+      join public.role_permissions rp on rp.role_id = pa.role_id
+      where pa.user_id = p_user
+        and p.company_id = p_company
+        and rp.permission_key = p_permission
+        and public.is_assignment_active(pa.start_date, pa.end_date)
+    )
+  );
+$$;
+
+grant execute on function public.has_company_permission(uuid, text, uuid) to authenticated;
+
+-- Las reglas de obra exigen la membresía, así que las tablas de cada obra quedan cubiertas
+create or replace function public.can_access_project(p_project uuid, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_project_company_member(p_project, p_user) and (
+    public.has_permission('projects.view_all', p_user) or exists (
+      select 1 from public.project_assignments pa
+      where pa.user_id = p_user
+        and pa.project_id = p_project
+        and public.is_assignment_active(pa.start_date, pa.end_date)
+    )
+  );
+$$;
+
+create or replace function public.has_project_permission(p_project uuid, p_permission text, p_user uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_project_company_member(p_project, p_user) and (
+    public.has_permission(p_permission, p_user) or exists (
+      select 1
+      from public.project_assignments pa
+      join public.role_permissions rp on rp.role_id = pa.role_id
+      where pa.user_id = p_user
+        and pa.project_id = p_project
+        and rp.permission_key = p_permission
+        and public.is_assignment_active(pa.start_date, pa.end_date)
+    )
+  );
+$$;
+
+create or replace function public.can_access_project_evidence(object_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.projects p
+    where p.id::text = (storage.foldername(object_name))[1]
+      and public.can_access_project(p.id)
+  );
+$$;
+
+-- Obras
+alter table public.projects enable row level security;
+
+drop policy if exists "projects readable by project members" on public.projects;
+create policy "projects readable by project members" on public.projects for select to authenticated
+  using (public.can_access_project(id));
+drop policy if exists "projects managed" on public.projects;
+create policy "projects managed" on public.projects for all to authenticated
+  using (public.has_permission('projects.manage')) with check (public.has_permission('projects.manage'));
+drop policy if exists "projects limited to member companies" on public.projects;
+create policy "projects limited to member companies" on public.projects as restrictive for all to authenticated
+  using (public.is_company_member(company_id)) with check (public.is_company_member(company_id));
+
+-- Partidas y reportes: se suman a las políticas que ya tengan estas tablas
+drop policy if exists "partidas limited to member companies" on public.partidas;
+create policy "partidas limited to member companies" on public.partidas as restrictive for all to authenticated
+  using (public.is_project_company_member(project_id)) with check (public.is_project_company_member(project_id));
+drop policy if exists "daily reports limited to member companies" on public.daily_reports;
+create policy "daily reports limited to member companies" on public.daily_reports as restrictive for all to authenticated
+  using (public.is_project_company_member(project_id)) with check (public.is_project_company_member(project_id));
+
+-- Catálogo de materiales: lo editan catálogo y compras (el precio de la cotización ganadora)
+alter table public.materials_catalog enable row level security;
+
+drop policy if exists "materials readable by company members" on public.materials_catalog;
+create policy "materials readable by company members" on public.materials_catalog for select to authenticated
+  using (public.is_company_member(company_id));
+drop policy if exists "materials managed" on public.materials_catalog;
+create policy "materials managed" on public.materials_catalog for all to authenticated
+  using (public.has_company_permission(company_id, 'catalog.manage') or public.has_company_permission(company_id, 'purchasing.manage'))
+  with check (public.has_company_permission(company_id, 'catalog.manage') or public.has_company_permission(company_id, 'purchasing.manage'));
+
+drop policy if exists "material categories readable" on public.material_categories;
+create policy "material categories readable" on public.material_categories for select to authenticated
+  using (public.is_company_member(company_id));
+drop policy if exists "material categories managed" on public.material_categories;
+create policy "material categories managed" on public.material_categories for all to authenticated
+  using (public.has_company_permission(company_id, 'catalog.manage'))
+  with check (public.has_company_permission(company_id, 'catalog.manage'));
+
+drop policy if exists "material prices readable" on public.material_prices;
+create policy "material prices readable" on public.material_prices for select to authenticated
+  using (exists (
+    select 1 from public.materials_catalog m
+    where m.id = material_id and public.is_company_member(m.company_id)
+  ));
+drop policy if exists "material prices managed" on public.material_prices;
+create policy "material prices managed" on public.material_prices for all to authenticated
+  using (exists (
+    select 1 from public.materials_catalog m
+    where m.id = material_id
+      and (public.has_company_permission(m.company_id, 'catalog.manage') or public.has_company_permission(m.company_id, 'purchasing.manage'))
+  ))
+  with check (exists (
+    select 1 from public.materials_catalog m
+    where m.id = material_id
+      and (public.has_company_permission(m.company_id, 'catalog.manage') or public.has_company_permission(m.company_id, 'purchasing.manage'))
+  ));
+
+-- Proveedores
+drop policy if exists "suppliers readable" on public.suppliers;
+create policy "suppliers readable" on public.suppliers for select to authenticated
+  using (public.is_company_member(company_id));
+drop policy if exists "suppliers managed" on public.suppliers;
+create policy "suppliers managed" on public.suppliers for all to authenticated
+  using (public.has_company_permission(company_id, 'purchasing.manage'))
+  with check (public.has_company_permission(company_id, 'purchasing.manage'));
+
+-- Reemplazada por has_company_permission en las políticas anteriores
+drop function if exists public.has_any_project_permission(text, uuid);
+
+-- Bitácora: cada cambio guarda la empresa de su fila (o de su obra). Los cambios sin empresa
+-- (usuarios, roles) los ve cualquier auditor; el resto solo los miembros de esa empresa.
+alter table public.audit_log add column if not exists company_id uuid references public.companies (id) on delete set null;
+
+create index if not exists audit_log_company_idx on public.audit_log (company_id, changed_at desc);
+
+create or replace function public.audit_row_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) else '{}'::jsonb end;
+  v_new jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) else '{}'::jsonb end;
+  v_row jsonb := case when tg_op = 'DELETE' then v_old else v_new end;
+  v_action text := lower(tg_op);
+  v_diff jsonb;
+begin
+  select coalesce(jsonb_object_agg(k, jsonb_build_object('before', v_old -> k, 'after', v_new -> k)), '{}'::jsonb)
+    into v_diff
+  from (select jsonb_object_keys(v_old) as k union select jsonb_object_keys(v_new)) keys
+  where (v_old -> k) is distinct from (v_new -> k);
+
+  -- Un update que no cambia nada no deja rastro
+  if tg_op = 'UPDATE' and v_diff = '{}'::jsonb then
+    return new;
+  end if;
+
+  -- Desactivar (is_active) es el borrado lógico de proyectos y usuarios
+  if tg_op = 'UPDATE' and v_diff ? 'is_active' then
+    if (v_new ->> 'is_active')::boolean is false then
+      v_action := 'soft_delete';
+    elsif (v_old ->> 'is_active')::boolean is false then
+      v_action := 'restore';
+    end if;
+  end if;
+
+  insert into public.audit_log (table_name, record_id, action, actor_id, diff, company_id)
+  values (
+    tg_table_name,
+    coalesce(v_row ->> 'id', concat_ws(':', v_row ->> 'project_id', v_row ->> 'user_id')),
+    v_action,
+    auth.uid(),
+    v_diff,
+    coalesce(
+      (v_row ->> 'company_id')::uuid,
+      (select p.company_id from public.projects p where p.id = (v_row ->> 'project_id')::uuid)
+    )
+  );
+
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+-- Historia anterior: empresa de la obra del registro. La bitácora es de solo agregado, así que
+-- el bloqueo se suspende únicamente durante este relleno.
+alter table public.audit_log disable trigger audit_log_append_only;
+
+update public.audit_log a
+set company_id = p.company_id
+from public.projects p
+where a.company_id is null
+  and p.id::text = case a.table_name
+    when 'projects' then a.record_id
+    when 'project_assignments' then split_part(a.record_id, ':', 1)
+    when 'partidas' then (select pa.project_id::text from public.partidas pa where pa.id::text = a.record_id)
+    when 'daily_reports' then (select r.project_id::text from public.daily_reports r where r.id::text = a.record_id)
+  end;
+
+alter table public.audit_log enable trigger audit_log_append_only;
+
+drop policy if exists "audit log readable by auditors" on public.audit_log;
+create policy "audit log readable by auditors" on public.audit_log for select to authenticated
+  using (public.has_permission('audit.view') and (company_id is null or public.is_company_member(company_id)));
@@ -0,0 +1,38 @@
+-- Multimoneda. Algunos contratos privados son en dólares y los materiales importados se compran
+-- en dólares. Proyecto (moneda del contrato: presupuesto, valorizaciones y facturas), precio de
+-- catálogo y factura llevan su moneda. Los costos de obra (mano de obra, reportes, compras,
+-- almacén) siguen en soles: un precio de catálogo en dólares se convierte al valorizar el reporte.
+-- exchange_rates guarda el tipo de cambio diario (soles por unidad de la moneda).
+
+do $$
+declare
+  v_table text;
+begin
+  foreach v_table in array array['projects', 'materials_catalog', 'material_prices', 'invoices'] loop
+    execute format('alter table public.%I add column if not exists currency text not null default ''PEN''', v_table);
+    execute format('alter table public.%I drop constraint if exists %I', v_table, v_table || '_currency_check');
+    execute format('alter table public.%I add constraint %I check (currency in (''PEN'', ''USD''))', v_table, v_table || '_currency_check');
+  end loop;
+end;
+$$;
+
+create table if not exists public.exchange_rates (
+  rate_date date not null,
+  currency text not null check (currency in ('USD')),
+  rate numeric(10, 4) not null check (rate > 0),
+  source text,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now(),
+  primary key (rate_date, currency)
+);
+
+-- El tipo de cambio lo carga quien factura
+update public.permissions set label = 'Facturación, cobranzas y tipo de cambio' where key = 'billing.manage';
+
+alter table public.exchange_rates enable row level security;
+
+drop policy if exists "exchange rates readable" on public.exchange_rates;
+create policy "exchange rates readable" on public.exchange_rates for select to authenticated using (true);
+drop policy if exists "exchange rates managed" on public.exchange_rates;
+create policy "exchange rates managed" on public.exchange_rates for all to authenticated
+  using (public.has_permission('billing.manage')) with check (public.has_permission('billing.manage'));
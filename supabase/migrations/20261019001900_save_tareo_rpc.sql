@@ -0,0 +1,51 @@
+-- Guardado del tareo de un día en una sola transacción. Antes el navegador borraba el tareo
+-- editable del día y después insertaba el nuevo: si la inserción fallaba, el día quedaba sin tareo.
+-- p_entries trae las filas que el día debe tener, con el id generado por el cliente; las filas ya
+-- vinculadas a un reporte pendiente o aprobado no se borran ni se modifican.
+
+create or replace function public.save_tareo(p_project_id uuid, p_work_date date, p_entries jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_to_recordset(p_entries) as e (worker_id uuid)
+    where not exists (select 1 from public.workers w where w.id = e.worker_id and w.project_id = p_project_id)
+  ) then
+    raise exception 'El trabajador no pertenece al proyecto';
+  end if;
+
+  -- Se reemplaza lo editable: filas sin reporte o de un reporte observado
+  delete from public.tareo_entries t
+  where t.project_id = p_project_id
+    and t.work_date = p_work_date
+    and not exists (
+      select 1 from public.daily_reports r
+      where r.id = t.daily_report_id and r.status in ('pending', 'approved')
+    );
+
+  insert into public.tareo_entries (
+    id, project_id, worker_id, work_date, attendance, partida_id, hours, overtime_hours, night_shift,
+    daily_report_id, created_by
+  )
+  select
+    e.id, p_project_id, e.worker_id, p_work_date, coalesce(e.attendance, 'present'), e.partida_id,
+    coalesce(e.hours, 0), coalesce(e.overtime_hours, 0), coalesce(e.night_shift, false),
+    -- Solo se conserva el vínculo con un reporte observado, que se corrige con este tareo
+    (select r.id from public.daily_reports r where r.id = e.daily_report_id and r.status = 'rejected'),
+    auth.uid()
+  from jsonb_to_recordset(p_entries) as e (
+    id uuid, worker_id uuid, attendance text, partida_id uuid, hours numeric, overtime_hours numeric,
+    night_shift boolean, daily_report_id uuid
+  )
+  on conflict (id) do nothing;
+end;
+$$;
+
+grant execute on function public.save_tareo(uuid, date, jsonb) to authenticated;
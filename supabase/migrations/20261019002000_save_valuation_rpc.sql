@@ -0,0 +1,85 @@
+-- Guardado de una valorización (cabecera e ítems) en una sola transacción. Antes el navegador
+-- insertaba la cabecera y después los ítems: si la segunda escritura fallaba quedaba un borrador vacío.
+-- Cada valorización parte de la última aprobada por el cliente: mientras haya una en borrador o
+-- presentada no se puede generar la siguiente, y el metrado anterior se toma de la aprobada.
+
+create or replace function public.save_valuation(
+  p_project_id uuid,
+  p_period_start date,
+  p_period_end date,
+  p_items jsonb
+)
+returns uuid
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_open public.valuations%rowtype;
+  v_last_approved uuid;
+  v_number int;
+  v_valuation_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+  if not public.has_project_permission(p_project_id, 'valuations.manage') then
+    raise exception 'No tiene permiso para valorizar esta obra';
+  end if;
+
+  -- Dos ingenieros generando a la vez se ejecutan uno detrás de otro
+  perform 1 from public.projects where id = p_project_id for update;
+
+  select * into v_open
+  from public.valuations
+  where project_id = p_project_id and status <> 'approved'
+  order by number
+  limit 1;
+  if found then
+    raise exception 'La valorización N° % aún no está aprobada por el cliente; apruébela o elimínela antes de generar la siguiente',
+      v_open.number;
+  end if;
+
+  if exists (select 1 from public.valuations where project_id = p_project_id and period_start >= p_period_start) then
+    raise exception 'El periodo debe ser posterior a la última valorización';
+  end if;
+
+  select id into v_last_approved
+  from public.valuations
+  where project_id = p_project_id and status = 'approved'
+  order by period_start desc
+  limit 1;
+
+  select coalesce(max(number), 0) + 1 into v_number from public.valuations where project_id = p_project_id;
+
+  insert into public.valuations (project_id, number, period_start, period_end, total_amount, status, created_by)
+  values (
+    p_project_id, v_number, p_period_start, p_period_end,
+    (select round(coalesce(sum(coalesce(i.current_quantity, 0) * coalesce(i.unit_price, 0)), 0), 2)
+     from jsonb_to_recordset(p_items) as i (current_quantity numeric, unit_price numeric)),
+    'draft', auth.uid()
+  )
+  returning id into v_valuation_id;
+
+  -- El metrado anterior es el acumulado de la última valorización aprobada
+  insert into public.valuation_items (
+    valuation_id, partida_id, code, name, unit, unit_price, budgeted_quantity, previous_quantity, current_quantity
+  )
+  select
+    v_valuation_id, i.partida_id, i.code, i.name, i.unit, coalesce(i.unit_price, 0), coalesce(i.budgeted_quantity, 0),
+    coalesce((
+      select p.previous_quantity + p.current_quantity
+      from public.valuation_items p
+      where p.valuation_id = v_last_approved and p.partida_id = i.partida_id
+    ), 0),
+    coalesce(i.current_quantity, 0)
+  from jsonb_to_recordset(p_items) as i (
+    partida_id uuid, code text, name text, unit text, unit_price numeric, budgeted_quantity numeric,
+    current_quantity numeric
+  )
+  where exists (select 1 from public.partidas pa where pa.id = i.partida_id and pa.project_id = p_project_id);
+
+  return v_valuation_id;
+end;
+$$;
+
+grant execute on function public.save_valuation(uuid, date, date, jsonb) to authenticated;
@@ -0,0 +1,48 @@
+-- Importación del presupuesto (partidas) en una sola transacción. Antes el navegador insertaba las
+-- partidas nuevas y después actualizaba las existentes una por una: si alguna fallaba, el presupuesto
+-- quedaba importado a medias. Las partidas se emparejan por código dentro del proyecto; las
+-- existentes se bloquean para revisar que el metrado no quede por debajo del avance ejecutado.
+
+create or replace function public.import_partidas(p_project_id uuid, p_rows jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_conflict record;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+  if not public.has_project_permission(p_project_id, 'budgets.edit') then
+    raise exception 'No tiene permiso para editar el presupuesto de esta obra';
+  end if;
+
+  perform 1 from public.partidas where project_id = p_project_id for update;
+
+  select p.code, p.current_progress into v_conflict
+  from jsonb_to_recordset(p_rows) as r (code text, total_budgeted numeric)
+  join public.partidas p
+    on p.project_id = p_project_id and upper(trim(p.code)) = upper(trim(r.code))
+  where r.total_budgeted < coalesce(p.current_progress, 0)
+  limit 1;
+  if found then
+    raise exception 'Partida %: el metrado es menor al avance ejecutado (%)', v_conflict.code, v_conflict.current_progress;
+  end if;
+
+  update public.partidas p
+  set name = r.name, unit = r.unit, total_budgeted = r.total_budgeted, unit_price = r.unit_price
+  from jsonb_to_recordset(p_rows) as r (code text, name text, unit text, total_budgeted numeric, unit_price numeric)
+  where p.project_id = p_project_id and upper(trim(p.code)) = upper(trim(r.code));
+
+  insert into public.partidas (project_id, code, name, unit, total_budgeted, unit_price, current_progress)
+  select p_project_id, trim(r.code), r.name, r.unit, r.total_budgeted, r.unit_price, 0
+  from jsonb_to_recordset(p_rows) as r (code text, name text, unit text, total_budgeted numeric, unit_price numeric)
+  where not exists (
+    select 1 from public.partidas p
+    where p.project_id = p_project_id and upper(trim(p.code)) = upper(trim(r.code))
+  );
+end;
+$$;
+
+grant execute on function public.import_partidas(uuid, jsonb) to authenticated;
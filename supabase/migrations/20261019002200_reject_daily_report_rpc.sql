@@ -0,0 +1,41 @@
+-- Observación de reportes diarios en el servidor, junto a approve_daily_report. Antes el navegador
+-- cambiaba el estado a 'rejected' sin revisar el estado vigente: un reporte que otro ingeniero
+-- acababa de aprobar podía quedar observado con su avance ya sumado a la partida.
+
+create or replace function public.reject_daily_report(p_report_id uuid, p_comment text)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_report public.daily_reports%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+  if nullif(trim(p_comment), '') is null then
+    raise exception 'Indique el motivo de la observación';
+  end if;
+
+  select * into v_report from public.daily_reports where id = p_report_id for update;
+  if not found then
+    raise exception 'Reporte no encontrado';
+  end if;
+
+  if not public.has_project_permission(v_report.project_id, 'reports.approve') then
+    raise exception 'No tiene permiso para observar reportes en esta obra';
+  end if;
+  if v_report.status <> 'pending' then
+    raise exception 'El reporte ya fue revisado';
+  end if;
+
+  update public.daily_reports set
+    status = 'rejected',
+    review_comment = trim(p_comment),
+    reviewed_by = auth.uid(),
+    reviewed_at = now()
+  where id = p_report_id;
+end;
+$$;
+
+grant execute on function public.reject_daily_report(uuid, text) to authenticated;
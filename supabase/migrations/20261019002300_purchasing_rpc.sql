@@ -0,0 +1,172 @@
+-- Órdenes de compra y recepciones en una sola transacción. Antes el navegador insertaba una OC
+-- por proveedor, luego sus ítems y al final marcaba el requerimiento como atendido; al recibir,
+-- insertaba la guía y sus ítems y escribía received_quantity calculado en el cliente (anterior +
+-- recibido), de modo que dos recepciones simultáneas se pisaban y un fallo a medio camino dejaba
+-- órdenes o ingresos a medias.
+
+-- Emite una OC por proveedor para un requerimiento que sigue pendiente.
+-- p_lines: [{ material_id, supplier_id, quantity, unit_cost }]
+create or replace function public.create_purchase_orders(p_requisition_id uuid, p_order_date date, p_lines jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_requisition public.purchase_requisitions%rowtype;
+  v_supplier public.suppliers%rowtype;
+  v_order_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+
+  select * into v_requisition from public.purchase_requisitions where id = p_requisition_id for update;
+  if not found then
+    raise exception 'Requerimiento no encontrado';
+  end if;
+  if not public.has_project_permission(v_requisition.project_id, 'purchasing.manage') then
+    raise exception 'No tiene permiso para emitir órdenes de compra en esta obra';
+  end if;
+  if v_requisition.status <> 'pending' then
+    raise exception 'El requerimiento ya fue atendido o rechazado';
+  end if;
+
+  if not exists (select 1 from jsonb_to_recordset(p_lines) as l (quantity numeric) where l.quantity > 0) then
+    raise exception 'Indique al menos un ítem a comprar';
+  end if;
+  if exists (
+    select 1
+    from jsonb_to_recordset(p_lines) as l (material_id uuid, quantity numeric)
+    where l.quantity > 0 and not exists (
+      select 1 from public.purchase_requisition_items i
+      where i.requisition_id = p_requisition_id and i.material_id = l.material_id
+    )
+  ) then
+    raise exception 'El material no pertenece al requerimiento';
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_to_recordset(p_lines) as l (supplier_id uuid, quantity numeric)
+    where l.quantity > 0 and not exists (
+      select 1
+      from public.suppliers s
+      join public.projects p on p.company_id = s.company_id
+      where s.id = l.supplier_id and p.id = v_requisition.project_id
+    )
+  ) then
+    raise exception 'Todos los ítems necesitan un proveedor de la empresa';
+  end if;
+
+  for v_supplier in
+    select s.*
+    from public.suppliers s
+    where s.id in (
+      select l.supplier_id from jsonb_to_recordset(p_lines) as l (supplier_id uuid, quantity numeric) where l.quantity > 0
+    )
+  loop
+    insert into public.purchase_orders (project_id, requisition_id, supplier_id, supplier_name, order_date, status, created_by)
+    values (v_requisition.project_id, p_requisition_id, v_supplier.id, v_supplier.business_name, p_order_date, 'issued', auth.uid())
+    returning id into v_order_id;
+
+    insert into public.purchase_order_items (order_id, material_id, quantity, unit_cost, received_quantity)
+    select v_order_id, l.material_id, l.quantity, l.unit_cost, 0
+    from jsonb_to_recordset(p_lines) as l (material_id uuid, supplier_id uuid, quantity numeric, unit_cost numeric)
+    where l.supplier_id = v_supplier.id and l.quantity > 0;
+  end loop;
+
+  update public.purchase_requisitions set
+    status = 'ordered',
+    reviewed_by = auth.uid(),
+    reviewed_at = now()
+  where id = p_requisition_id;
+end;
+$$;
+
+-- Registra la guía de remisión de una OC y suma lo recibido sobre las líneas bloqueadas.
+-- p_lines: [{ item_id, quantity }]
+create or replace function public.receive_purchase_order(
+  p_order_id uuid,
+  p_receipt_date date,
+  p_guia_remision text,
+  p_lines jsonb
+)
+returns uuid
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_order public.purchase_orders%rowtype;
+  v_over record;
+  v_receipt_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+
+  select * into v_order from public.purchase_orders where id = p_order_id for update;
+  if not found then
+    raise exception 'Orden de compra no encontrada';
+  end if;
+  if not (public.has_project_permission(v_order.project_id, 'purchasing.manage')
+          or public.has_project_permission(v_order.project_id, 'warehouse.manage')) then
+    raise exception 'No tiene permiso para registrar recepciones en esta obra';
+  end if;
+  if v_order.status not in ('issued', 'partial') then
+    raise exception 'La orden ya fue recibida o anulada';
+  end if;
+
+  perform 1 from public.purchase_order_items where order_id = p_order_id for update;
+
+  if not exists (select 1 from jsonb_to_recordset(p_lines) as l (quantity numeric) where l.quantity > 0) then
+    raise exception 'Indique al menos una cantidad recibida';
+  end if;
+  if exists (
+    select 1
+    from jsonb_to_recordset(p_lines) as l (item_id uuid, quantity numeric)
+    where l.quantity > 0
+      and not exists (select 1 from public.purchase_order_items i where i.id = l.item_id and i.order_id = p_order_id)
+  ) then
+    raise exception 'La línea no pertenece a la orden de compra';
+  end if;
+
+  select m.name into v_over
+  from jsonb_to_recordset(p_lines) as l (item_id uuid, quantity numeric)
+  join public.purchase_order_items i on i.id = l.item_id
+  join public.materials_catalog m on m.id = i.material_id
+  where l.quantity > i.quantity - i.received_quantity
+  limit 1;
+  if found then
+    raise exception 'La cantidad recibida de % supera lo pendiente de la orden', v_over.name;
+  end if;
+
+  insert into public.warehouse_receipts (project_id, purchase_order_id, receipt_date, guia_remision, supplier_id, supplier_name, created_by)
+  values (v_order.project_id, p_order_id, p_receipt_date, upper(trim(p_guia_remision)), v_order.supplier_id, v_order.supplier_name, auth.uid())
+  returning id into v_receipt_id;
+
+  insert into public.warehouse_receipt_items (receipt_id, material_id, quantity, unit_cost)
+  select v_receipt_id, i.material_id, l.quantity, i.unit_cost
+  from jsonb_to_recordset(p_lines) as l (item_id uuid, quantity numeric)
+  join public.purchase_order_items i on i.id = l.item_id
+  where l.quantity > 0;
+
+  update public.purchase_order_items i
+  set received_quantity = i.received_quantity + l.quantity
+  from jsonb_to_recordset(p_lines) as l (item_id uuid, quantity numeric)
+  where i.id = l.item_id and l.quantity > 0;
+
+  -- La orden se cierra cuando todas sus líneas quedan completas
+  update public.purchase_orders set status = case
+    when exists (
+      select 1 from public.purchase_order_items where order_id = p_order_id and received_quantity < quantity
+    ) then 'partial'
+    else 'received'
+  end
+  where id = p_order_id;
+
+  return v_receipt_id;
+end;
+$$;
+
+grant execute on function public.create_purchase_orders(uuid, date, jsonb) to authenticated;
+grant execute on function public.receive_purchase_order(uuid, date, text, jsonb) to authenticated;
@@ -0,0 +1,78 @@
+-- Edición de un usuario (nombre, roles generales, empresas y asignaciones a obras) en una sola
+-- transacción. Antes el navegador borraba y volvía a insertar user_roles, project_assignments y
+-- company_members sin revisar errores: si una inserción fallaba, el usuario quedaba sin roles o
+-- sin obras. Solo se reemplazan las asignaciones de las obras de la empresa activa y las
+-- membresías de las empresas a las que pertenece quien edita, como mostraba el panel.
+-- p_company_ids null deja las membresías como están.
+-- p_assignments: [{ project_id, role_id, start_date, end_date }]
+
+create or replace function public.save_user_access(
+  p_user_id uuid,
+  p_company_id uuid,
+  p_full_name text,
+  p_role_ids uuid[],
+  p_assignments jsonb,
+  p_company_ids uuid[] default null
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+  if not (public.has_permission('users.manage') and public.is_company_member(p_company_id)) then
+    raise exception 'No tiene permiso para administrar usuarios de esta empresa';
+  end if;
+  if not public.is_company_member(p_company_id, p_user_id) then
+    raise exception 'El usuario no pertenece a la empresa';
+  end if;
+
+  if coalesce(array_length(p_role_ids, 1), 0) = 0 and not exists (
+    select 1 from jsonb_to_recordset(p_assignments) as a (role_id uuid) where a.role_id is not null
+  ) then
+    raise exception 'Asigne al menos un rol general o un rol en alguna obra';
+  end if;
+  if exists (
+    select 1
+    from jsonb_to_recordset(p_assignments) as a (project_id uuid)
+    where not exists (select 1 from public.projects p where p.id = a.project_id and p.company_id = p_company_id)
+  ) then
+    raise exception 'La obra no pertenece a la empresa';
+  end if;
+  if p_company_ids is not null then
+    if coalesce(array_length(p_company_ids, 1), 0) = 0 then
+      raise exception 'El usuario debe pertenecer al menos a una empresa';
+    end if;
+    if exists (select 1 from unnest(p_company_ids) as c (id) where not public.is_company_member(c.id)) then
+      raise exception 'Solo puede agregar al usuario a empresas a las que usted pertenece';
+    end if;
+  end if;
+
+  update public.profiles set full_name = p_full_name where id = p_user_id;
+
+  -- El rol principal (profiles.role) lo recalcula el trigger de user_roles
+  delete from public.user_roles where user_id = p_user_id and role_id <> all (p_role_ids);
+  insert into public.user_roles (user_id, role_id)
+  select p_user_id, r.id from unnest(p_role_ids) as r (id)
+  on conflict do nothing;
+
+  if p_company_ids is not null then
+    delete from public.company_members
+    where user_id = p_user_id and public.is_company_member(company_id) and company_id <> all (p_company_ids);
+    insert into public.company_members (company_id, user_id)
+    select c.id, p_user_id from unnest(p_company_ids) as c (id)
+    on conflict do nothing;
+  end if;
+
+  delete from public.project_assignments pa
+  using public.projects p
+  where pa.user_id = p_user_id and p.id = pa.project_id and p.company_id = p_company_id;
+  insert into public.project_assignments (user_id, project_id, role_id, start_date, end_date)
+  select p_user_id, a.project_id, a.role_id, a.start_date, a.end_date
+  from jsonb_to_recordset(p_assignments) as a (project_id uuid, role_id uuid, start_date date, end_date date);
+end;
+$$;
+
+grant execute on function public.save_user_access(uuid, uuid, text, uuid[], jsonb, uuid[]) to authenticated;
@@ -0,0 +1,70 @@
+-- Las cotizaciones llevan su moneda: un proveedor de material importado cotiza en dólares y al
+-- elegirla ganadora el catálogo guardaba el precio como si fuera en soles.
+-- La cotización ganadora se elige en una sola transacción. El precio pasa al historial del
+-- catálogo con vigencia desde la fecha indicada, salvo que ese día ya tenga un precio cargado a
+-- mano o por la cotización de otro requerimiento: antes el upsert lo reemplazaba sin avisar.
+-- Devuelve si se actualizó el precio del catálogo.
+
+alter table public.supplier_quotes
+  add column if not exists currency text not null default 'PEN';
+alter table public.supplier_quotes drop constraint if exists supplier_quotes_currency_check;
+alter table public.supplier_quotes
+  add constraint supplier_quotes_currency_check check (currency in ('PEN', 'USD'));
+
+create or replace function public.select_winning_quote(p_quote_id uuid, p_effective_from date)
+returns boolean
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_quote public.supplier_quotes%rowtype;
+  v_item public.purchase_requisition_items%rowtype;
+  v_project_id uuid;
+  v_price public.material_prices%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Sesión no válida';
+  end if;
+
+  select * into v_quote from public.supplier_quotes where id = p_quote_id;
+  if not found then
+    raise exception 'Cotización no encontrada';
+  end if;
+  select * into v_item from public.purchase_requisition_items where id = v_quote.requisition_item_id;
+  select project_id into v_project_id from public.purchase_requisitions where id = v_item.requisition_id;
+  if not public.has_project_permission(v_project_id, 'purchasing.manage') then
+    raise exception 'No tiene permiso para elegir cotizaciones en esta obra';
+  end if;
+
+  perform 1 from public.supplier_quotes where requisition_item_id = v_item.id for update;
+  update public.supplier_quotes set is_winner = false where requisition_item_id = v_item.id and id <> p_quote_id;
+  update public.supplier_quotes set is_winner = true where id = p_quote_id;
+
+  select * into v_price
+  from public.material_prices
+  where material_id = v_item.material_id and effective_from = p_effective_from
+  for update;
+  if found then
+    -- Solo se corrige el precio que dejó otra cotización de este mismo ítem
+    if v_price.supplier_quote_id is null or not exists (
+      select 1 from public.supplier_quotes q
+      where q.id = v_price.supplier_quote_id and q.requisition_item_id = v_item.id
+    ) then
+      return false;
+    end if;
+    update public.material_prices
+    set unit_cost = v_quote.unit_cost, currency = v_quote.currency, supplier_quote_id = p_quote_id
+    where id = v_price.id;
+  else
+    insert into public.material_prices (material_id, unit_cost, currency, effective_from, supplier_quote_id)
+    values (v_item.material_id, v_quote.unit_cost, v_quote.currency, p_effective_from, p_quote_id);
+  end if;
+
+  update public.materials_catalog
+  set unit_cost = v_quote.unit_cost, currency = v_quote.currency
+  where id = v_item.material_id;
+  return true;
+end;
+$$;
+
+grant execute on function public.select_winning_quote(uuid, date) to authenticated;
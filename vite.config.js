@@ -1,7 +1,28 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// El service worker (public/sw.js) guarda al instalarse los archivos con hash de este build.
+// Se le inyecta la lista y una versión que cambia con cada build, así el navegador lo reinstala.
+const precacheServiceWorker = () => ({
+  name: 'precache-service-worker',
+  apply: 'build',
+  async writeBundle({ dir }, bundle) {
+    const swPath = path.join(dir, 'sw.js')
+    const source = await readFile(swPath, 'utf8').catch(() => null)
+    if (!source) return
+
+    const assets = Object.keys(bundle).filter(name => name.startsWith('assets/')).sort().map(name => `/${name}`)
+    const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 10)
+    await writeFile(swPath, source
+      .replace("const BUILD_VERSION = 'dev'", `const BUILD_VERSION = '${version}'`)
+      .replace('const BUILD_ASSETS = []', `const BUILD_ASSETS = ${JSON.stringify(assets)}`))
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
 })